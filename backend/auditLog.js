@@ -0,0 +1,262 @@
+// auditLog.js
+// Append-only audit log of every command the bridge sends to the devices.
+// Each command is written as soon as it is published:
+//   { type: 'command', id, time, user, source, experimentId, flowchartId, action, device, command, stop, topic, payload }
+// and the device's answer follows as a separate line once it arrives (or the wait runs out):
+//   { type: 'reply', commandId, time, status: 'replied' | 'timeout', latency, replies: [{ time, topic, payload }] }
+// Lines are never rewritten; queries join the two line types by id.
+// Once the file reaches maxFileSize it is renamed to audit-<time>.jsonl and a new one is
+// started. Rotated files are kept for the record, queries read the current file and the
+// newest searchArchives of them.
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const DEFAULT_AUDIT_FILE = path.join(__dirname, 'data', 'audit.jsonl');
+const DEFAULT_REPLY_TIMEOUT = 5000;
+const DEFAULT_QUERY_LIMIT = 200;
+const DEFAULT_MAX_FILE_SIZE = 5 * 1024 * 1024;
+const DEFAULT_SEARCH_ARCHIVES = 1;
+const PROGRAM_COMMANDS = ['new_program', 'continue_program'];
+
+function parsePayload(payload) {
+  const text = Buffer.isBuffer(payload) ? payload.toString() : payload;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+// A zero-speed single-entry program is how every stop is sent
+function isStopProgram(command, payload) {
+  return command === 'new_program' && Array.isArray(payload) && payload.length === 1 &&
+    Array.isArray(payload[0]) && Number(payload[0][0]) === 0;
+}
+
+// Which inbound messages count as the answer to a command
+function getReplyMatcher(device, command) {
+  if (command === 'device_scan') {
+    return (topic) => topic === 'common/device_response';
+  }
+  if (PROGRAM_COMMANDS.includes(command)) {
+    return (topic) => topic === `${device}/response/program`;
+  }
+  return (topic) => topic === `${device}/status` || topic.startsWith(`${device}/response/`);
+}
+
+function parseLine(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Streamed, so a query does not hold up the bridge while a large file is read
+async function readFileLines(logFile, onLine) {
+  if (!fs.existsSync(logFile)) return;
+  const lines = readline.createInterface({ input: fs.createReadStream(logFile, 'utf8'), crlfDelay: Infinity });
+  for await (const text of lines) {
+    const line = parseLine(text);
+    if (line) onLine(line);
+  }
+}
+
+function matchesFilters(entry, filters) {
+  const { device, user, command, experimentId, flowchartId, status, from, to, q } = filters;
+  if (device && entry.device !== device) return false;
+  if (user && entry.user !== user) return false;
+  if (command && entry.command !== command && entry.action !== command && !(command === 'stop' && entry.stop)) return false;
+  if (experimentId && String(entry.experimentId) !== String(experimentId)) return false;
+  if (flowchartId && entry.flowchartId !== flowchartId) return false;
+  if (status && (entry.reply ? entry.reply.status : 'pending') !== status) return false;
+  if (from && entry.time < new Date(from).toISOString()) return false;
+  if (to && entry.time > new Date(to).toISOString()) return false;
+  if (q && !JSON.stringify(entry).toLowerCase().includes(String(q).toLowerCase())) return false;
+  return true;
+}
+
+/**
+ * Create the audit log
+ * @param {Object} options
+ * @param {string} [options.file] - Where the log is appended
+ * @param {number} [options.replyTimeout] - Milliseconds to wait for a device answer
+ * @param {number} [options.maxFileSize] - Bytes after which the file is rotated
+ * @param {number} [options.searchArchives] - Rotated files searched by queries, newest first
+ */
+function createAuditLog({ file, replyTimeout, maxFileSize, searchArchives } = {}) {
+  const auditFile = file || DEFAULT_AUDIT_FILE;
+  const timeout = replyTimeout || DEFAULT_REPLY_TIMEOUT;
+  const maxSize = maxFileSize || DEFAULT_MAX_FILE_SIZE;
+  const archivesToSearch = Math.max(0, searchArchives ?? DEFAULT_SEARCH_ARCHIVES);
+  const auditDir = path.dirname(auditFile);
+  const archivePrefix = `${path.basename(auditFile, '.jsonl')}-`;
+  // Commands still waiting for their answer, oldest first
+  const pending = [];
+  let lastId = 0;
+  let fileSize = fs.existsSync(auditFile) ? fs.statSync(auditFile).size : 0;
+
+  // Rotated files, oldest first - the time in the name sorts as text
+  const listArchives = () => {
+    if (!fs.existsSync(auditDir)) return [];
+    return fs.readdirSync(auditDir)
+      .filter(name => name.startsWith(archivePrefix) && name.endsWith('.jsonl'))
+      .sort()
+      .map(name => path.join(auditDir, name));
+  };
+
+  const rotate = () => {
+    const base = path.join(auditDir, `${archivePrefix}${new Date().toISOString().replace(/[:.]/g, '-')}`);
+    // With a counter if two rotations fall within the same millisecond
+    let archive = `${base}.jsonl`;
+    for (let counter = 1; fs.existsSync(archive); counter++) {
+      archive = `${base}_${counter}.jsonl`;
+    }
+    fs.renameSync(auditFile, archive);
+    fileSize = 0;
+    console.log(`Audit log rotated to ${archive}`);
+  };
+
+  const append = (line) => {
+    const text = JSON.stringify(line) + '\n';
+    const bytes = Buffer.byteLength(text);
+    try {
+      fs.mkdirSync(auditDir, { recursive: true });
+      if (fileSize > 0 && fileSize + bytes > maxSize) {
+        rotate();
+      }
+      fs.appendFileSync(auditFile, text);
+      fileSize += bytes;
+    } catch (error) {
+      console.error(`Error writing audit log ${auditFile}:`, error);
+    }
+  };
+
+  // Ids continue after the last entry so they stay unique across restarts and rotations.
+  // Runs once at startup, newest file first until one holds a command (a file can hold replies only)
+  const loadLastId = () => {
+    try {
+      const files = [auditFile, ...listArchives().reverse()].filter(logFile => fs.existsSync(logFile));
+      for (const logFile of files) {
+        fs.readFileSync(logFile, 'utf8').split('\n').forEach(text => {
+          const line = parseLine(text);
+          if (line && line.type === 'command' && line.id > lastId) lastId = line.id;
+        });
+        if (lastId > 0) break;
+      }
+    } catch (error) {
+      console.error(`Error reading audit log ${auditFile}:`, error);
+    }
+  };
+
+  const finish = (item, status) => {
+    clearTimeout(item.timer);
+    const index = pending.indexOf(item);
+    if (index !== -1) pending.splice(index, 1);
+    append({
+      type: 'reply',
+      commandId: item.id,
+      time: new Date().toISOString(),
+      status,
+      latency: item.replies.length > 0 ? Date.parse(item.replies[0].time) - item.sentAt : null,
+      replies: item.replies
+    });
+  };
+
+  /**
+   * Log an outbound command
+   * @param {string} topic - MQTT topic the command went to
+   * @param {*} payload - Command payload as published
+   * @param {Object} [origin] - { user, source, experimentId, flowchartId, action }
+   * @returns {number} Entry id
+   */
+  const record = (topic, payload, origin = {}) => {
+    const separator = topic.indexOf('/');
+    const device = topic.startsWith('common/') ? null : topic.slice(0, separator);
+    const command = topic.slice(separator + 1);
+    const data = parsePayload(payload);
+    const entry = {
+      type: 'command',
+      id: ++lastId,
+      time: new Date().toISOString(),
+      user: origin.user || null,
+      source: origin.source || null,
+      experimentId: origin.experimentId || null,
+      flowchartId: origin.flowchartId || null,
+      action: origin.action || null,
+      device,
+      command,
+      stop: isStopProgram(command, data),
+      topic,
+      payload: data
+    };
+    append(entry);
+
+    const item = { id: entry.id, sentAt: Date.now(), matches: getReplyMatcher(device, command), collect: command === 'device_scan', replies: [] };
+    // A scan is answered by every device, so replies are collected until the wait is over
+    item.timer = setTimeout(() => finish(item, item.replies.length > 0 ? 'replied' : 'timeout'), timeout);
+    pending.push(item);
+    return entry.id;
+  };
+
+  // Feed inbound MQTT messages here - the first matching message answers the oldest waiting command
+  const handleMessage = (topic, payload) => {
+    const item = pending.find(candidate => candidate.matches(topic));
+    if (!item) return;
+
+    item.replies.push({ time: new Date().toISOString(), topic, payload: parsePayload(payload) });
+    if (!item.collect) {
+      finish(item, 'replied');
+    }
+  };
+
+  /**
+   * Search the log, newest first
+   * @param {Object} [filters] - { device, user, command, experimentId, flowchartId, status, from, to, q, limit, offset }
+   * @returns {Promise<Object>} { total, entries } - entries carry their reply (or null while pending)
+   */
+  const query = async (filters = {}) => {
+    const replies = new Map();
+    const commands = [];
+    const archives = archivesToSearch > 0 ? listArchives().slice(-archivesToSearch) : [];
+    // A reply can land in the file after its command's, so every file is read before joining
+    for (const logFile of [...archives, auditFile]) {
+      await readFileLines(logFile, line => {
+        if (line.type === 'command') commands.push(line);
+        else if (line.type === 'reply') replies.set(line.commandId, line);
+      });
+    }
+
+    const matching = commands
+      .map(({ type, ...command }) => {
+        const reply = replies.get(command.id);
+        return { ...command, reply: reply ? { status: reply.status, time: reply.time, latency: reply.latency, replies: reply.replies } : null };
+      })
+      .filter(entry => matchesFilters(entry, filters))
+      .reverse();
+
+    const offset = Math.max(0, Number(filters.offset) || 0);
+    const limit = Math.max(1, Number(filters.limit) || DEFAULT_QUERY_LIMIT);
+    return { total: matching.length, entries: matching.slice(offset, offset + limit) };
+  };
+
+  // Write out what is still waiting, e.g. on shutdown
+  const flush = () => {
+    pending.slice().forEach(item => finish(item, item.replies.length > 0 ? 'replied' : 'timeout'));
+  };
+
+  loadLastId();
+
+  return {
+    record,
+    handleMessage,
+    query,
+    flush
+  };
+}
+
+module.exports = {
+  createAuditLog
+};
@@ -0,0 +1,214 @@
+// auth.js
+// Local accounts and access tokens for the bridge. Every connection gets a role:
+//   operator - may publish commands, upload programs and run experiments
+//   viewer   - only receives telemetry
+// Accounts and tokens live in the "auth" section of config.json. Logging in with a
+// username and password hands out a session token; configured tokens (for scripts
+// and wall displays) can be used directly. Sessions are kept in memory only.
+//
+// Manage accounts from the command line:
+//   node auth.js add-user <username> <operator|viewer> <password>
+//   node auth.js add-token <name> <operator|viewer>
+//   node auth.js remove <username or token name>
+//   node auth.js list
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'operator'];
+const DEFAULT_SESSION_TTL = 12 * 60 * 60 * 1000;
+const HASH_LENGTH = 64;
+
+// Stored as scrypt:<salt hex>:<hash hex>
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, HASH_LENGTH);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+// True if the session's role includes everything the required role may do
+function hasRole(session, role) {
+  return Boolean(session) && ROLES.indexOf(session.role) >= ROLES.indexOf(role);
+}
+
+// Bearer token from an Authorization header, or ?token= on the URL
+function getRequestToken(req) {
+  const header = req.headers && req.headers.authorization;
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  try {
+    return new URL(req.url, 'http://localhost').searchParams.get('token');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Create the authenticator
+ * @param {Object} options
+ * @param {boolean} [options.enabled] - false gives every connection the operator role
+ * @param {Array} [options.users] - Accounts { username, passwordHash, role }
+ * @param {Array} [options.tokens] - Static tokens { name, token, role }
+ * @param {string} [options.anonymousRole] - Role for connections without credentials, empty refuses them
+ * @param {number} [options.sessionTtl] - Milliseconds a login stays valid
+ */
+function createAuth({ enabled = false, users = [], tokens = [], anonymousRole = 'viewer', sessionTtl } = {}) {
+  const ttl = sessionTtl || DEFAULT_SESSION_TTL;
+  const sessions = new Map();
+
+  [...users, ...tokens].forEach(account => {
+    if (!isValidRole(account.role)) {
+      throw new Error(`Invalid role "${account.role}" for ${account.username || account.name}`);
+    }
+  });
+  if (anonymousRole && !isValidRole(anonymousRole)) {
+    throw new Error(`Invalid anonymous role "${anonymousRole}"`);
+  }
+
+  const describeSession = (session) => ({
+    enabled,
+    authenticated: Boolean(session && session.username),
+    username: session ? session.username : null,
+    role: session ? session.role : null,
+    expiresAt: session && session.expiresAt ? new Date(session.expiresAt).toISOString() : null
+  });
+
+  const pruneSessions = () => {
+    const now = Date.now();
+    sessions.forEach((session, token) => {
+      if (session.expiresAt <= now) sessions.delete(token);
+    });
+  };
+
+  /**
+   * Check a username and password
+   * @returns {Object|null} { token, session } or null if the credentials are wrong
+   */
+  const login = (username, password) => {
+    if (!enabled) return null;
+    const user = users.find(u => u.username === username);
+    if (!user || !verifyPassword(password, user.passwordHash)) {
+      console.warn(`Failed login for ${username}`);
+      return null;
+    }
+
+    pruneSessions();
+    const token = crypto.randomBytes(32).toString('hex');
+    const session = { username: user.username, role: user.role, expiresAt: Date.now() + ttl };
+    sessions.set(token, session);
+    console.log(`${user.username} logged in as ${user.role}`);
+    return { token, session: describeSession(session) };
+  };
+
+  const logout = (token) => sessions.delete(token);
+
+  /**
+   * Resolve the session for a token
+   * @returns {Object|null} { username, role } - the anonymous role without a valid token,
+   * null if the connection is refused
+   */
+  const authenticate = (token) => {
+    if (!enabled) {
+      return { username: null, role: 'operator' };
+    }
+    if (token) {
+      const session = sessions.get(token);
+      if (session && session.expiresAt > Date.now()) {
+        return session;
+      }
+      sessions.delete(token);
+      const staticToken = tokens.find(t => safeEqual(t.token, token));
+      if (staticToken) {
+        return { username: staticToken.name, role: staticToken.role };
+      }
+    }
+    return anonymousRole ? { username: null, role: anonymousRole } : null;
+  };
+
+  return {
+    login,
+    logout,
+    authenticate,
+    describeSession,
+    isEnabled: () => enabled
+  };
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  hasRole,
+  getRequestToken,
+  createAuth
+};
+
+if (require.main === module) {
+  const { getConfig, updateConfig } = require('./config');
+  const [command, name, role, password] = process.argv.slice(2);
+  const settings = getConfig('auth');
+  const users = settings.users.slice();
+  const tokens = settings.tokens.slice();
+
+  const fail = (message) => {
+    console.error(message);
+    process.exit(1);
+  };
+
+  switch (command) {
+    case 'add-user':
+      if (!name || !isValidRole(role) || !password) {
+        fail('Usage: node auth.js add-user <username> <operator|viewer> <password>');
+      }
+      updateConfig('auth', {
+        ...settings,
+        users: [...users.filter(u => u.username !== name), { username: name, passwordHash: hashPassword(password), role }]
+      });
+      console.log(`User ${name} saved as ${role}`);
+      break;
+    case 'add-token': {
+      if (!name || !isValidRole(role)) {
+        fail('Usage: node auth.js add-token <name> <operator|viewer>');
+      }
+      const token = crypto.randomBytes(24).toString('hex');
+      updateConfig('auth', { ...settings, tokens: [...tokens.filter(t => t.name !== name), { name, token, role }] });
+      console.log(`Token ${name} (${role}): ${token}`);
+      break;
+    }
+    case 'remove':
+      if (!name) {
+        fail('Usage: node auth.js remove <username or token name>');
+      }
+      updateConfig('auth', {
+        ...settings,
+        users: users.filter(u => u.username !== name),
+        tokens: tokens.filter(t => t.name !== name)
+      });
+      console.log(`Removed ${name}`);
+      break;
+    case 'list':
+      console.log(`Authentication ${settings.enabled ? 'enabled' : 'disabled'}, anonymous role: ${settings.anonymousRole || 'none'}`);
+      users.forEach(u => console.log(`  user  ${u.username} (${u.role})`));
+      tokens.forEach(t => console.log(`  token ${t.name} (${t.role})`));
+      break;
+    default:
+      fail('Usage: node auth.js add-user|add-token|remove|list ...');
+  }
+}
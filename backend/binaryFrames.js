@@ -0,0 +1,123 @@
+// binaryFrames.js
+// Binary WebSocket encoding for the bulky spectrometer topics. Camera frames arrive from
+// the devices as base64 inside JSON and spectra as long number arrays; clients that opt in
+// get them as one binary message instead of JSON-in-JSON.
+//
+// Layout (header integers big-endian):
+//   0   uint8   version (FRAME_VERSION)
+//   1   uint8   kind (FRAME_KINDS)
+//   2   uint16  topic length T
+//   4   uint32  metadata length M
+//   8   T bytes topic, UTF-8
+//   8+T M bytes metadata JSON, UTF-8 - every payload field except the bulk data,
+//               padded with spaces so the body starts on a 4-byte boundary
+//   ... body    image: the image file bytes, metadata.mimeType tells the format
+//               spectrum: Float32 arrays (little-endian) back to back, metadata.arrays
+//               lists them as [name, length] in order
+
+const FRAME_VERSION = 1;
+const HEADER_SIZE = 8;
+const FRAME_KINDS = {
+  image: 1,
+  spectrum: 2
+};
+
+const IMAGE_TOPICS = ['response/full_frame', 'response/crop_frame'];
+const SPECTRUM_TOPICS = ['response/data'];
+
+// Which kind of frame a topic carries, null for topics that stay JSON
+function getFrameKind(topic) {
+  const suffix = topic.split('/').slice(1).join('/');
+  if (IMAGE_TOPICS.includes(suffix)) return 'image';
+  if (SPECTRUM_TOPICS.includes(suffix)) return 'spectrum';
+  return null;
+}
+
+function getImageType(bytes) {
+  if (bytes.length >= 4 && bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) {
+    return 'image/png';
+  }
+  // Anything else is what the cameras send by default
+  return 'image/jpeg';
+}
+
+function isNumberArray(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'number' && Number.isFinite(item));
+}
+
+function splitImage(payload) {
+  if (typeof payload.image !== 'string' || payload.image.length === 0) return null;
+  const { image, ...metadata } = payload;
+  const body = Buffer.from(image, 'base64');
+  if (body.length === 0) return null;
+  metadata.mimeType = getImageType(body);
+  return { metadata, body };
+}
+
+function splitSpectrum(payload) {
+  const metadata = {};
+  const arrays = [];
+  Object.entries(payload).forEach(([key, value]) => {
+    if (isNumberArray(value)) {
+      arrays.push([key, value]);
+    } else {
+      metadata[key] = value;
+    }
+  });
+  if (arrays.length === 0) return null;
+
+  const count = arrays.reduce((sum, [, values]) => sum + values.length, 0);
+  const body = Buffer.alloc(count * 4);
+  let offset = 0;
+  arrays.forEach(([, values]) => {
+    values.forEach(value => {
+      body.writeFloatLE(value, offset);
+      offset += 4;
+    });
+  });
+  metadata.arrays = arrays.map(([key, values]) => [key, values.length]);
+  return { metadata, body };
+}
+
+/**
+ * Encode a broker message as a binary frame
+ * @param {string} topic - MQTT topic
+ * @param {string|Buffer} payload - Payload as received from the broker
+ * @returns {Buffer|null} The frame, or null when the message has to stay JSON
+ */
+function encodeFrame(topic, payload) {
+  const kind = getFrameKind(topic);
+  if (!kind) return null;
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.isBuffer(payload) ? payload.toString() : payload);
+  } catch (e) {
+    return null;
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+
+  const parts = kind === 'image' ? splitImage(data) : splitSpectrum(data);
+  if (!parts) return null;
+
+  const topicBytes = Buffer.from(topic);
+  if (topicBytes.length > 0xffff) return null;
+  let metadataText = JSON.stringify(parts.metadata);
+  const unpadded = HEADER_SIZE + topicBytes.length + Buffer.byteLength(metadataText);
+  metadataText += ' '.repeat((4 - (unpadded % 4)) % 4);
+  const metadataBytes = Buffer.from(metadataText);
+
+  const header = Buffer.alloc(HEADER_SIZE);
+  header.writeUInt8(FRAME_VERSION, 0);
+  header.writeUInt8(FRAME_KINDS[kind], 1);
+  header.writeUInt16BE(topicBytes.length, 2);
+  header.writeUInt32BE(metadataBytes.length, 4);
+  return Buffer.concat([header, topicBytes, metadataBytes, parts.body]);
+}
+
+module.exports = {
+  FRAME_VERSION,
+  FRAME_KINDS,
+  getFrameKind,
+  encodeFrame
+};
@@ -0,0 +1,83 @@
+// brokerConnection.js
+// Turns the broker section of the config into an MQTT URL and connect options
+const fs = require('fs');
+const path = require('path');
+
+// 'tcp' is plain MQTT (mqtt:// or mqtts://), 'websocket' is MQTT over ws:// or wss://
+const TRANSPORTS = ['tcp', 'websocket'];
+const DEFAULT_WEBSOCKET_PATH = '/mqtt';
+
+// Certificate fields of the broker config and the connect option each one becomes
+const TLS_FILES = {
+  caFile: 'ca',
+  certFile: 'cert',
+  keyFile: 'key'
+};
+
+// Relative paths are taken from the backend directory, where config.json lives
+function resolveFile(file) {
+  return path.isAbsolute(file) ? file : path.join(__dirname, file);
+}
+
+function getBrokerUrl(broker) {
+  if (broker.transport === 'websocket') {
+    const protocol = broker.tls ? 'wss' : 'ws';
+    const brokerPath = broker.path || DEFAULT_WEBSOCKET_PATH;
+    return `${protocol}://${broker.host}:${broker.port}${brokerPath.startsWith('/') ? '' : '/'}${brokerPath}`;
+  }
+  const protocol = broker.tls ? 'mqtts' : 'mqtt';
+  return `${protocol}://${broker.host}:${broker.port}`;
+}
+
+// Check the configured certificate files can be read, returns an error string or null
+function checkTlsFiles(broker) {
+  if (!broker.tls) return null;
+  for (const field of Object.keys(TLS_FILES)) {
+    if (!broker[field]) continue;
+    try {
+      fs.accessSync(resolveFile(broker[field]), fs.constants.R_OK);
+    } catch (error) {
+      return `Cannot read ${field} ${broker[field]}`;
+    }
+  }
+  if (Boolean(broker.certFile) !== Boolean(broker.keyFile)) {
+    return 'A client certificate needs both certFile and keyFile';
+  }
+  return null;
+}
+
+function getConnectOptions(broker) {
+  const options = {
+    reconnectPeriod: 5000,
+    connectTimeout: 30000,
+    clean: true,
+    clientId: broker.clientId || `fluidicgui_${Math.random().toString(16).slice(2, 8)}`,
+  };
+
+  if (broker.username) {
+    options.username = broker.username;
+    options.password = broker.password;
+  }
+
+  if (broker.tls) {
+    options.rejectUnauthorized = broker.rejectUnauthorized !== false;
+    // A private CA bundle replaces the system CAs; a client certificate authenticates the bridge
+    Object.entries(TLS_FILES).forEach(([field, option]) => {
+      if (broker[field]) {
+        options[option] = fs.readFileSync(resolveFile(broker[field]));
+      }
+    });
+    if (broker.keyPassphrase) {
+      options.passphrase = broker.keyPassphrase;
+    }
+  }
+
+  return options;
+}
+
+module.exports = {
+  TRANSPORTS,
+  getBrokerUrl,
+  checkTlsFiles,
+  getConnectOptions
+};
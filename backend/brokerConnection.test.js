@@ -0,0 +1,132 @@
+// brokerConnection.test.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const http = require('http');
+const mqtt = require('mqtt');
+const WebSocket = require('ws');
+const { DEFAULT_CONFIG } = require('./config');
+const { getBrokerUrl, getConnectOptions, checkTlsFiles } = require('./brokerConnection');
+
+const broker = (values = {}) => ({ ...DEFAULT_CONFIG.broker, host: 'localhost', port: 1883, ...values });
+
+// PEM stand-ins, the options only carry the file contents
+const tlsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fluidicgui-tls-'));
+const caFile = path.join(tlsDir, 'ca.pem');
+const certFile = path.join(tlsDir, 'client.crt');
+const keyFile = path.join(tlsDir, 'client.key');
+fs.writeFileSync(caFile, 'CA');
+fs.writeFileSync(certFile, 'CERT');
+fs.writeFileSync(keyFile, 'KEY');
+test.after(() => fs.rmSync(tlsDir, { recursive: true, force: true }));
+
+test('builds mqtt, mqtts, ws and wss URLs', () => {
+  assert.strictEqual(getBrokerUrl(broker()), 'mqtt://localhost:1883');
+  assert.strictEqual(getBrokerUrl(broker({ tls: true, port: 8883 })), 'mqtts://localhost:8883');
+  assert.strictEqual(getBrokerUrl(broker({ transport: 'websocket', port: 9001 })), 'ws://localhost:9001/mqtt');
+  assert.strictEqual(getBrokerUrl(broker({ transport: 'websocket', tls: true, port: 443, path: 'broker' })), 'wss://localhost:443/broker');
+  assert.strictEqual(getBrokerUrl(broker({ transport: 'websocket', port: 80, path: '/ws' })), 'ws://localhost:80/ws');
+});
+
+test('adds credentials only when a username is set', () => {
+  const anonymous = getConnectOptions(broker());
+  assert.strictEqual(anonymous.username, undefined);
+  assert.strictEqual(anonymous.password, undefined);
+  assert.match(anonymous.clientId, /^fluidicgui_/);
+
+  const options = getConnectOptions(broker({ username: 'lab', password: 'secret', clientId: 'bench2' }));
+  assert.strictEqual(options.username, 'lab');
+  assert.strictEqual(options.password, 'secret');
+  assert.strictEqual(options.clientId, 'bench2');
+});
+
+test('reads the CA bundle, client certificate and key for TLS', () => {
+  const options = getConnectOptions(broker({ tls: true, caFile, certFile, keyFile, keyPassphrase: 'pass' }));
+  assert.strictEqual(options.ca.toString(), 'CA');
+  assert.strictEqual(options.cert.toString(), 'CERT');
+  assert.strictEqual(options.key.toString(), 'KEY');
+  assert.strictEqual(options.passphrase, 'pass');
+  assert.strictEqual(options.rejectUnauthorized, true);
+
+  const insecure = getConnectOptions(broker({ tls: true, rejectUnauthorized: false }));
+  assert.strictEqual(insecure.rejectUnauthorized, false);
+  assert.strictEqual(insecure.ca, undefined);
+
+  // Certificate files are ignored without TLS
+  const plain = getConnectOptions(broker({ caFile, certFile, keyFile }));
+  assert.strictEqual(plain.ca, undefined);
+  assert.strictEqual(plain.rejectUnauthorized, undefined);
+});
+
+test('checks the certificate files before connecting', () => {
+  assert.strictEqual(checkTlsFiles(broker({ caFile: '/missing/ca.pem' })), null);
+  assert.strictEqual(checkTlsFiles(broker({ tls: true, caFile, certFile, keyFile })), null);
+  assert.strictEqual(checkTlsFiles(broker({ tls: true, caFile: path.join(tlsDir, 'missing.pem') })), `Cannot read caFile ${path.join(tlsDir, 'missing.pem')}`);
+  assert.strictEqual(checkTlsFiles(broker({ tls: true, certFile })), 'A client certificate needs both certFile and keyFile');
+});
+
+// Minimal local broker: answers CONNECT with CONNACK, refusing wrong credentials.
+// The client may write a packet in several pieces, so bytes are collected until the CONNECT is complete.
+const CONNACK_ACCEPTED = Buffer.from([0x20, 0x02, 0x00, 0x00]);
+const CONNACK_BAD_CREDENTIALS = Buffer.from([0x20, 0x02, 0x00, 0x04]);
+const createConnectHandler = (send) => {
+  let received = Buffer.alloc(0);
+  return (data) => {
+    received = Buffer.concat([received, Buffer.from(data)]);
+    if (received.length < 2 || (received[0] & 0xf0) !== 0x10) return;
+
+    // Remaining length is a variable-length integer after the fixed header byte
+    let length = 0;
+    let offset = 1;
+    for (let multiplier = 1; offset < received.length; multiplier *= 128) {
+      length += (received[offset] & 0x7f) * multiplier;
+      if ((received[offset++] & 0x80) === 0) break;
+    }
+    if (received.length < offset + length) return;
+
+    const text = received.toString('latin1');
+    received = Buffer.alloc(0);
+    send(text.includes('lab') && text.includes('secret') ? CONNACK_ACCEPTED : CONNACK_BAD_CREDENTIALS);
+  };
+};
+
+const connect = (config) => new Promise((resolve) => {
+  const client = mqtt.connect(getBrokerUrl(config), { ...getConnectOptions(config), reconnectPeriod: 0 });
+  const done = (result) => {
+    client.end(true);
+    resolve(result);
+  };
+  client.once('connect', () => done('connected'));
+  client.once('error', (error) => done(error.message));
+});
+
+const listen = (server) => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+test('connects to a local broker over TCP with username and password', async () => {
+  const server = net.createServer(socket => socket.on('data', createConnectHandler(reply => socket.write(reply))));
+  const port = await listen(server);
+  try {
+    assert.strictEqual(await connect(broker({ host: '127.0.0.1', port, username: 'lab', password: 'secret' })), 'connected');
+    assert.match(await connect(broker({ host: '127.0.0.1', port, username: 'lab', password: 'wrong' })), /Bad username or password/);
+  } finally {
+    server.close();
+  }
+});
+
+test('connects to a local broker over WebSocket on the configured path', async () => {
+  const server = http.createServer();
+  const wss = new WebSocket.Server({ server, path: '/broker' });
+  wss.on('connection', ws => ws.on('message', createConnectHandler(reply => ws.send(reply))));
+  const port = await listen(server);
+  try {
+    const config = broker({ host: '127.0.0.1', port, transport: 'websocket', path: '/broker', username: 'lab', password: 'secret' });
+    assert.strictEqual(await connect(config), 'connected');
+  } finally {
+    wss.close();
+    server.close();
+  }
+});
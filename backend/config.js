@@ -0,0 +1,153 @@
+// config.js
+const fs = require('fs');
+const path = require('path');
+
+// Runtime configuration is kept next to the server so every lab bench can carry its own file
+const CONFIG_PATH = process.env.FLUIDICGUI_CONFIG || path.join(__dirname, 'config.json');
+
+const DEFAULT_CONFIG = {
+  broker: {
+    host: '10.0.0.4',
+    port: 1883,
+    clientId: '',
+    username: '',
+    password: '',
+    tls: false,
+    rejectUnauthorized: true,
+    // 'tcp' for mqtt:// / mqtts://, 'websocket' for ws:// / wss://
+    transport: 'tcp',
+    // WebSocket path on the broker, empty means /mqtt
+    path: '',
+    // PEM files for TLS, relative to backend/ - empty uses the system CAs and no client certificate
+    caFile: '',
+    certFile: '',
+    keyFile: '',
+    keyPassphrase: ''
+  },
+  recorder: {
+    enabled: true,
+    // Empty means backend/data/sessions
+    directory: '',
+    // Bytes after which a session is closed and a new one started
+    maxSessionSize: 52428800,
+    // Bytes all sessions may take together - the oldest are deleted when a session starts
+    maxTotalSize: 1073741824
+  },
+  programUpload: {
+    // Wait for <pump>/response/program after every program chunk. Only turn this on for pump
+    // firmware that answers it (the virtual devices do) - other pumps never confirm and every upload fails.
+    acknowledged: false
+  },
+  registry: {
+    // Empty means backend/data/devices.json
+    file: '',
+    probeInterval: 15000,
+    offlineAfter: 45000
+  },
+  emergencyStop: {
+    // Thermostat setpoint in °C
+    safeTemperature: 25,
+    ackTimeout: 5000,
+    // Fail the stop for devices that do not confirm it. The confirmations (<name>/response/program,
+    // <name>/status) are only sent by the virtual devices, so leave this off for real hardware:
+    // silent devices are then reported as sent but unconfirmed.
+    requireConfirmation: false
+  },
+  publishPolicy: {
+    // 'enforce' rejects what the allow-list does not match, 'log' publishes everything and only
+    // logs what would be rejected (e.g. to try a new allow-list), 'off' skips the checks.
+    // Device rules only match registered devices, ones that answered a device scan.
+    mode: 'enforce',
+    // Rules { topic, schema } - empty means the built-in list in publishPolicy.js
+    allow: []
+  },
+  auditLog: {
+    enabled: true,
+    // Empty means backend/data/audit.jsonl
+    file: '',
+    // How long to wait for a device to answer a command, in ms
+    replyTimeout: 5000,
+    // Bytes after which the log is rotated to audit-<time>.jsonl (rotated files are kept)
+    maxFileSize: 5242880,
+    // Rotated files the viewer searches besides the current one
+    searchArchives: 1,
+    // Log the registry's periodic device scans too
+    includeProbes: false
+  },
+  projects: {
+    // Shared projects folder, e.g. a network drive - empty means backend/data/projects
+    directory: ''
+  },
+  nodeTypes: {
+    // Node types defined in the GUI's node type editor - empty means backend/data/node-types.json
+    file: ''
+  },
+  auth: {
+    // Disabled means every connection is an operator
+    enabled: false,
+    // Role for connections without credentials - empty refuses them
+    anonymousRole: 'viewer',
+    // Login lifetime in ms
+    sessionTtl: 43200000,
+    // Managed with `node auth.js add-user` / `add-token`
+    users: [],
+    tokens: []
+  }
+};
+
+let currentConfig = null;
+
+// Merge a saved section over its defaults so new keys get sensible values
+function mergeSection(defaults, saved) {
+  if (!saved || typeof saved !== 'object' || Array.isArray(saved)) {
+    return defaults;
+  }
+  return { ...defaults, ...saved };
+}
+
+function loadConfig() {
+  let saved = {};
+  try {
+    if (fs.existsSync(CONFIG_PATH)) {
+      saved = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+    }
+  } catch (error) {
+    console.error(`Error reading config file ${CONFIG_PATH}:`, error);
+  }
+
+  currentConfig = {};
+  Object.keys(DEFAULT_CONFIG).forEach(section => {
+    currentConfig[section] = mergeSection(DEFAULT_CONFIG[section], saved[section]);
+  });
+  return currentConfig;
+}
+
+function getConfig(section) {
+  if (!currentConfig) {
+    loadConfig();
+  }
+  return section ? currentConfig[section] : currentConfig;
+}
+
+// Replace one section and write the whole config back to disk
+function updateConfig(section, values) {
+  const config = getConfig();
+  config[section] = mergeSection(DEFAULT_CONFIG[section] || {}, values);
+
+  try {
+    fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2));
+    console.log(`Saved ${section} configuration to ${CONFIG_PATH}`);
+  } catch (error) {
+    console.error(`Error writing config file ${CONFIG_PATH}:`, error);
+    throw error;
+  }
+  return config[section];
+}
+
+module.exports = {
+  CONFIG_PATH,
+  DEFAULT_CONFIG,
+  loadConfig,
+  getConfig,
+  updateConfig
+};
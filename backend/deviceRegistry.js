@@ -0,0 +1,232 @@
+// deviceRegistry.js
+// Persistent registry of every device the bridge has heard from.
+// Devices announce themselves on common/device_response as "name:type[:firmware]"
+// (or JSON { name, type, firmware }); any later <name>/status or <name>/response/*
+// message counts as a heartbeat. The registry probes with common/device_scan and
+// marks devices offline when they stay silent for longer than offlineAfter.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_REGISTRY_FILE = path.join(__dirname, 'data', 'devices.json');
+const DEFAULT_PROBE_INTERVAL = 15000;
+const DEFAULT_OFFLINE_AFTER = 45000;
+const SAVE_DELAY = 1000;
+
+// Map the reported device type onto a device category
+function getDeviceCategory(type) {
+  const value = String(type || '').toLowerCase();
+  if (value.includes('pump')) return 'pump';
+  if (value.includes('therm') || value.includes('temp')) return 'thermostat';
+  if (value.includes('led') || value.includes('light')) return 'led';
+  if (value.includes('spectro')) return 'spectrometer';
+  if (value.includes('detect')) return 'detector';
+  return null;
+}
+
+// "name:type[:firmware]" or a JSON object
+function parseDeviceResponse(payload) {
+  const text = (Buffer.isBuffer(payload) ? payload.toString() : String(payload)).trim();
+  try {
+    const data = JSON.parse(text);
+    if (data && typeof data === 'object') {
+      const name = data.MQTTname || data.name || data.mqtt_name;
+      const type = data.type || data.device_type;
+      return name && type ? { name, type, firmware: data.firmware || data.version || null } : null;
+    }
+    if (typeof data === 'string') {
+      return parseDeviceResponse(data);
+    }
+  } catch (e) {
+    // Plain "name:type" string
+  }
+
+  const [name, type, ...firmware] = text.split(':');
+  if (!name || !type) return null;
+  return { name, type, firmware: firmware.length > 0 ? firmware.join(':') : null };
+}
+
+function parseState(payload) {
+  try {
+    return JSON.parse(Buffer.isBuffer(payload) ? payload.toString() : payload);
+  } catch (e) {
+    return Buffer.isBuffer(payload) ? payload.toString() : payload;
+  }
+}
+
+/**
+ * Create the device registry
+ * @param {Object} options
+ * @param {Function} options.probe - Called to send a device scan
+ * @param {Function} [options.onChange] - Called with (event, device) for 'discovered', 'online', 'offline', 'updated' and 'removed'
+ * @param {string} [options.file] - Where the registry is stored
+ * @param {number} [options.probeInterval] - Milliseconds between scans
+ * @param {number} [options.offlineAfter] - Milliseconds of silence before a device is offline
+ */
+function createDeviceRegistry({ probe, onChange, file, probeInterval, offlineAfter } = {}) {
+  const registryFile = file || DEFAULT_REGISTRY_FILE;
+  const interval = probeInterval || DEFAULT_PROBE_INTERVAL;
+  const timeout = offlineAfter || DEFAULT_OFFLINE_AFTER;
+  const devices = new Map();
+  let probeTimer = null;
+  let saveTimer = null;
+
+  const notify = (event, device) => {
+    if (onChange) onChange(event, { ...device });
+  };
+
+  const save = () => {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(registryFile), { recursive: true });
+      fs.writeFileSync(registryFile, JSON.stringify(Array.from(devices.values()), null, 2));
+    } catch (error) {
+      console.error(`Error writing device registry ${registryFile}:`, error);
+    }
+  };
+
+  // Heartbeats arrive often, so writes are batched
+  const scheduleSave = () => {
+    if (!saveTimer) {
+      saveTimer = setTimeout(save, SAVE_DELAY);
+    }
+  };
+
+  const load = () => {
+    try {
+      if (!fs.existsSync(registryFile)) return;
+      const saved = JSON.parse(fs.readFileSync(registryFile, 'utf8'));
+      (Array.isArray(saved) ? saved : []).forEach(device => {
+        if (!device || typeof device.name !== 'string') return;
+        // Nothing is online until it answers again
+        devices.set(device.name, { ...device, online: false });
+      });
+      console.log(`Loaded ${devices.size} devices from ${registryFile}`);
+    } catch (error) {
+      console.error(`Error reading device registry ${registryFile}:`, error);
+    }
+  };
+
+  const markSeen = (device) => {
+    device.lastSeen = new Date().toISOString();
+    if (!device.online) {
+      device.online = true;
+      console.log(`Device ${device.name} is online`);
+      notify('online', device);
+    }
+    scheduleSave();
+  };
+
+  const handleDeviceResponse = (payload) => {
+    const info = parseDeviceResponse(payload);
+    if (!info) {
+      console.error('Could not parse device response:', payload.toString());
+      return;
+    }
+
+    let device = devices.get(info.name);
+    if (!device) {
+      const now = new Date().toISOString();
+      device = {
+        name: info.name,
+        type: info.type,
+        firmware: info.firmware,
+        firstSeen: now,
+        lastSeen: now,
+        online: true,
+        state: null
+      };
+      devices.set(info.name, device);
+      console.log(`New device registered: ${info.name} (${info.type})`);
+      notify('discovered', device);
+      scheduleSave();
+      return;
+    }
+
+    const changed = device.type !== info.type || (info.firmware && device.firmware !== info.firmware);
+    device.type = info.type;
+    device.firmware = info.firmware || device.firmware;
+    markSeen(device);
+    if (changed) {
+      notify('updated', device);
+    }
+  };
+
+  // Feed every inbound MQTT message here
+  const handleMessage = (topic, payload) => {
+    if (topic === 'common/device_response') {
+      handleDeviceResponse(payload);
+      return;
+    }
+
+    const separator = topic.indexOf('/');
+    if (separator <= 0) return;
+    const device = devices.get(topic.slice(0, separator));
+    if (!device) return;
+
+    const subtopic = topic.slice(separator + 1);
+    if (subtopic === 'status') {
+      device.state = parseState(payload);
+      markSeen(device);
+    } else if (subtopic.startsWith('response/')) {
+      markSeen(device);
+    }
+  };
+
+  const checkOffline = () => {
+    const now = Date.now();
+    devices.forEach(device => {
+      if (device.online && now - Date.parse(device.lastSeen) > timeout) {
+        device.online = false;
+        console.log(`Device ${device.name} is offline (last seen ${device.lastSeen})`);
+        notify('offline', device);
+        scheduleSave();
+      }
+    });
+  };
+
+  const start = () => {
+    stop();
+    probe();
+    probeTimer = setInterval(() => {
+      checkOffline();
+      probe();
+    }, interval);
+  };
+
+  const stop = () => {
+    clearInterval(probeTimer);
+    probeTimer = null;
+    if (saveTimer) save();
+  };
+
+  const remove = (name) => {
+    const device = devices.get(name);
+    if (!device) return false;
+    devices.delete(name);
+    notify('removed', device);
+    scheduleSave();
+    return true;
+  };
+
+  const getDevice = (name) => (devices.has(name) ? { ...devices.get(name) } : null);
+
+  const getDevices = () => Array.from(devices.values()).map(device => ({ ...device }));
+
+  load();
+
+  return {
+    start,
+    stop,
+    handleMessage,
+    remove,
+    getDevice,
+    getDevices
+  };
+}
+
+module.exports = {
+  getDeviceCategory,
+  parseDeviceResponse,
+  createDeviceRegistry
+};
@@ -0,0 +1,185 @@
+// emergencyStop.js
+// Puts every registered device into a safe state and collects their confirmations:
+//   pumps       -> <name>/new_program [[0, 0]], confirmed by the program ack or an idle status
+//   LEDs        -> <name>/set_power { power: 0 }, confirmed by a status with power 0
+//   thermostats -> <name>/set_temperature { temperature: safeTemperature }, confirmed by the status setpoint
+// The LED and thermostat commands are placeholders until their firmware exists (see virtualDevices.js).
+// The confirmations are PLACEHOLDERS too: <name>/response/program (see programUpload.js) and
+// <name>/status are only sent by the virtual devices. So unless confirmations are required,
+// a device that stays silent ends as 'unconfirmed' - the stop was sent, nothing proves it arrived -
+// instead of failing the stop. With requireConfirmation it ends as 'timeout' and the stop fails.
+// Commands are resent until the device answers or the ack timeout runs out.
+// Devices without a safe state (spectrometers, detectors) are reported as skipped.
+const { getDeviceCategory } = require('./deviceRegistry');
+
+const DEFAULT_SAFE_TEMPERATURE = 25;
+const DEFAULT_ACK_TIMEOUT = 5000;
+const DEFAULT_RESEND_INTERVAL = 1000;
+
+function parsePayload(payload) {
+  try {
+    return JSON.parse(Buffer.isBuffer(payload) ? payload.toString() : payload);
+  } catch (e) {
+    return null;
+  }
+}
+
+const SAFE_STATES = {
+  pump: {
+    command: () => ({ topic: 'new_program', payload: [[0, 0]] }),
+    isConfirmed: (subtopic, data) => {
+      if (subtopic === 'response/program') return !data.error && Number(data.total) === 1;
+      if (subtopic === 'status') return !['running', 'armed'].includes(data.state);
+      return false;
+    }
+  },
+  led: {
+    command: () => ({ topic: 'set_power', payload: { power: 0 } }),
+    isConfirmed: (subtopic, data) => subtopic === 'status' && Number(data.power) === 0
+  },
+  thermostat: {
+    command: ({ safeTemperature }) => ({ topic: 'set_temperature', payload: { temperature: safeTemperature } }),
+    isConfirmed: (subtopic, data, { safeTemperature }) => subtopic === 'status' && data.setpoint !== undefined &&
+      (data.setpoint === null || Number(data.setpoint) <= safeTemperature)
+  }
+};
+
+/**
+ * Create the emergency stop
+ * @param {Object} options
+ * @param {Function} options.publish - Called with (topic, payload string, origin) for every command
+ * @param {Function} options.getDevices - Returns the registered devices [{ name, type }]
+ * @param {Function} [options.onStatus] - Called with the status whenever a device confirms or times out
+ * @param {number} [options.safeTemperature] - Thermostat setpoint in °C
+ * @param {number} [options.ackTimeout] - Milliseconds to wait for every device
+ * @param {number} [options.resendInterval] - Milliseconds between resends to silent devices
+ * @param {boolean} [options.requireConfirmation] - Fail the stop for devices that do not confirm (firmware with confirmations only)
+ */
+function createEmergencyStop({ publish, getDevices, onStatus, safeTemperature, ackTimeout, resendInterval, requireConfirmation = false }) {
+  const settings = {
+    safeTemperature: Number.isFinite(Number(safeTemperature)) ? Number(safeTemperature) : DEFAULT_SAFE_TEMPERATURE,
+    ackTimeout: ackTimeout || DEFAULT_ACK_TIMEOUT,
+    resendInterval: resendInterval || DEFAULT_RESEND_INTERVAL
+  };
+  let stopCounter = 0;
+  let active = null;
+  let lastStatus = null;
+
+  const buildStatus = (stop) => ({
+    stopId: stop.id,
+    source: stop.source,
+    user: stop.user,
+    startedAt: stop.startedAt,
+    done: stop.done,
+    success: stop.done ? stop.devices.every(device => device.state !== 'timeout') : null,
+    devices: stop.devices.map(({ name, type, state, attempts, confirmedAt }) => ({ name, type, state, attempts, confirmedAt }))
+  });
+
+  const notify = (stop) => {
+    lastStatus = buildStatus(stop);
+    if (onStatus) onStatus(lastStatus);
+  };
+
+  const sendCommand = (stop, device) => {
+    const { topic, payload } = SAFE_STATES[device.category].command(settings);
+    device.attempts++;
+    publish(`${device.name}/${topic}`, JSON.stringify(payload), { user: stop.user, source: stop.source, action: 'emergency stop' });
+  };
+
+  const finish = (stop) => {
+    if (stop.done) return;
+    clearInterval(stop.resendTimer);
+    clearTimeout(stop.timeoutTimer);
+    stop.devices.forEach(device => {
+      if (device.state !== 'pending') return;
+      if (requireConfirmation) {
+        device.state = 'timeout';
+        console.error(`EMERGENCY STOP: no confirmation from ${device.name}`);
+      } else {
+        device.state = 'unconfirmed';
+        console.warn(`EMERGENCY STOP: sent to ${device.name}, which cannot confirm it`);
+      }
+    });
+    stop.done = true;
+    if (active === stop) active = null;
+    notify(stop);
+    stop.resolve(lastStatus);
+  };
+
+  const checkComplete = (stop) => {
+    if (stop.devices.every(device => device.state !== 'pending')) {
+      finish(stop);
+    }
+  };
+
+  /**
+   * Stop every registered device
+   * @param {string} source - Where the stop was triggered from, for the log
+   * @param {string} [user] - Who triggered it
+   * @returns {Promise<Object>} Final status once all devices confirmed or the ack timeout ran out
+   */
+  const trigger = (source, user = null) => {
+    // A second press starts over so every device gets the command again
+    if (active) finish(active);
+
+    const stop = {
+      id: ++stopCounter,
+      source,
+      user,
+      startedAt: new Date().toISOString(),
+      done: false,
+      devices: getDevices().map(({ name, type }) => {
+        const category = getDeviceCategory(type);
+        return { name, type, category, state: SAFE_STATES[category] ? 'pending' : 'skipped', attempts: 0, confirmedAt: null };
+      })
+    };
+    const promise = new Promise(resolve => {
+      stop.resolve = resolve;
+    });
+    active = stop;
+
+    console.error(`EMERGENCY STOP triggered by ${user ? `${user} via ` : ''}${source} - ${stop.devices.length} devices`);
+    stop.devices.filter(device => device.state === 'pending').forEach(device => sendCommand(stop, device));
+    notify(stop);
+
+    stop.resendTimer = setInterval(() => {
+      stop.devices.filter(device => device.state === 'pending').forEach(device => sendCommand(stop, device));
+    }, settings.resendInterval);
+    stop.timeoutTimer = setTimeout(() => finish(stop), settings.ackTimeout);
+    checkComplete(stop);
+
+    return promise;
+  };
+
+  // Feed inbound MQTT messages here to collect the confirmations
+  const handleMessage = (topic, payload) => {
+    if (!active) return;
+    const separator = topic.indexOf('/');
+    if (separator <= 0) return;
+
+    const device = active.devices.find(d => d.name === topic.slice(0, separator) && d.state === 'pending');
+    if (!device) return;
+
+    const data = parsePayload(payload);
+    if (!data || typeof data !== 'object') return;
+    if (!SAFE_STATES[device.category].isConfirmed(topic.slice(separator + 1), data, settings)) return;
+
+    device.state = 'confirmed';
+    device.confirmedAt = new Date().toISOString();
+    console.log(`EMERGENCY STOP: ${device.name} confirmed`);
+    notify(active);
+    checkComplete(active);
+  };
+
+  const getStatus = () => lastStatus;
+
+  return {
+    trigger,
+    handleMessage,
+    getStatus
+  };
+}
+
+module.exports = {
+  createEmergencyStop
+};
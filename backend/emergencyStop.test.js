@@ -0,0 +1,65 @@
+// emergencyStop.test.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEmergencyStop } = require('./emergencyStop');
+
+const devices = [
+  { name: 'pump1', type: 'pump' },
+  { name: 'led1', type: 'led' },
+  { name: 'spectro1', type: 'spectrometer' }
+];
+
+const quietly = async (run) => {
+  const { warn, error, log } = console;
+  console.warn = console.error = console.log = () => {};
+  try {
+    return await run();
+  } finally {
+    Object.assign(console, { warn, error, log });
+  }
+};
+
+test('devices that cannot confirm are reported as sent but unconfirmed', () => quietly(async () => {
+  const published = [];
+  const stop = createEmergencyStop({
+    publish: (topic, payload) => published.push({ topic, payload }),
+    getDevices: () => devices,
+    ackTimeout: 20
+  });
+
+  const status = await stop.trigger('test');
+  assert.strictEqual(status.success, true);
+  assert.deepStrictEqual(status.devices.map(device => [device.name, device.state]), [
+    ['pump1', 'unconfirmed'],
+    ['led1', 'unconfirmed'],
+    ['spectro1', 'skipped']
+  ]);
+  assert.deepStrictEqual(published.slice(0, 2), [
+    { topic: 'pump1/new_program', payload: '[[0,0]]' },
+    { topic: 'led1/set_power', payload: '{"power":0}' }
+  ]);
+}));
+
+test('devices that answer are confirmed', () => quietly(async () => {
+  const stop = createEmergencyStop({ publish: () => {}, getDevices: () => devices, ackTimeout: 1000 });
+
+  const done = stop.trigger('test');
+  stop.handleMessage('pump1/response/program', JSON.stringify({ command: 'new_program', received: 1, total: 1 }));
+  stop.handleMessage('led1/status', JSON.stringify({ power: 0 }));
+  const status = await done;
+
+  assert.strictEqual(status.success, true);
+  assert.deepStrictEqual(status.devices.map(device => device.state), ['confirmed', 'confirmed', 'skipped']);
+}));
+
+test('with requireConfirmation silent devices fail the stop', () => quietly(async () => {
+  const stop = createEmergencyStop({ publish: () => {}, getDevices: () => devices, ackTimeout: 20, requireConfirmation: true });
+
+  const done = stop.trigger('test');
+  stop.handleMessage('pump1/status', JSON.stringify({ state: 'idle' }));
+  const status = await done;
+
+  assert.strictEqual(status.success, false);
+  assert.deepStrictEqual(status.devices.map(device => device.state), ['confirmed', 'timeout', 'skipped']);
+}));
@@ -0,0 +1,299 @@
+// experimentRunner.js
+// Runs experiment jobs on the server so a closed or reloaded browser tab does not
+// lose the orchestration. A job is a set of pump programs (as built by the
+// Simulation step) and moves through:
+//   queued -> uploading -> running <-> paused -> finished
+// and can be aborted at any point. One job runs at a time, the rest wait in the queue.
+//
+// The pumps have no pause command, so pausing stops them and resuming uploads
+// what is left of each program from the paused position.
+
+const MAX_FINISHED_JOBS = 20;
+const FINISH_GRACE = 500;
+const TERMINAL_STATES = ['finished', 'aborted'];
+
+function isValidEntry(entry) {
+  return Array.isArray(entry) && entry.length >= 2 && entry.every(value => Number.isFinite(Number(value)));
+}
+
+function validatePrograms(programs) {
+  if (!Array.isArray(programs) || programs.length === 0) {
+    return 'An experiment needs at least one device program';
+  }
+  for (const program of programs) {
+    if (!program || typeof program.device !== 'string' || program.device === '') {
+      return 'Every program needs a device name';
+    }
+    if (!Array.isArray(program.entries) || program.entries.length === 0 || !program.entries.every(isValidEntry)) {
+      return `Program for ${program.device} must be a list of [delayMicroseconds, waitMicroseconds] entries`;
+    }
+  }
+  return null;
+}
+
+// Run time of a program in ms - every entry waits before it is applied
+function getProgramDuration(entries) {
+  return entries.reduce((total, [, wait]) => total + Number(wait), 0) / 1000;
+}
+
+// What is left of a program after elapsedMs: the current speed first, then the remaining entries
+function getRemainingProgram(entries, elapsedMs) {
+  const elapsed = elapsedMs * 1000;
+  let time = 0;
+  let currentDelay = 0;
+  const remaining = [];
+
+  entries.forEach(([delay, wait]) => {
+    time += Number(wait);
+    if (time <= elapsed) {
+      currentDelay = Number(delay);
+    } else {
+      remaining.push([Number(delay), remaining.length === 0 ? time - elapsed : Number(wait)]);
+    }
+  });
+
+  return [[currentDelay, 0], ...remaining.map(([delay, wait]) => [delay, Math.round(wait)])];
+}
+
+/**
+ * Create the experiment runner
+ * @param {Object} options
+ * @param {Function} options.uploadPrograms - (request, onProgress, origin) => Promise<{ success, error }>, see programUpload.js
+ * @param {Function} options.cancelUploads - (reason, devices) aborts uploads to the devices
+ * @param {Function} options.stopDevices - (devices, origin) halts the pumps
+ * @param {Function} [options.onUpdate] - Called with the public job view on every change
+ */
+function createExperimentRunner({ uploadPrograms, cancelUploads, stopDevices, onUpdate }) {
+  const jobs = new Map();
+  const queue = [];
+  let jobCounter = 0;
+  let activeJob = null;
+  // Upload of an aborted job that has not settled yet - it still holds its devices
+  let settlingUpload = null;
+
+  const getElapsed = (job) => (job.resumedAt ? job.elapsed + (Date.now() - job.resumedAt) : job.elapsed);
+
+  const describeJob = (job) => ({
+    id: job.id,
+    name: job.name,
+    source: job.source,
+    user: job.user,
+    flowchartId: job.flowchartId,
+    state: job.state,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    elapsed: Math.min(getElapsed(job), job.duration),
+    duration: job.duration,
+    queuePosition: job.state === 'queued' ? queue.indexOf(job) + 1 : null,
+    devices: job.programs.map(program => ({
+      device: program.device,
+      role: program.role,
+      entries: program.entries.length,
+      upload: job.upload[program.device] || null
+    }))
+  });
+
+  const notify = (job) => {
+    if (onUpdate) onUpdate(describeJob(job));
+  };
+
+  const getDeviceNames = (job) => job.programs.map(program => program.device);
+
+  // Attached to every command sent for the job, for the audit log - user is whoever caused the command
+  const getOrigin = (job, action, user = job.user) => ({ user, source: job.source, experimentId: job.id, flowchartId: job.flowchartId, action });
+
+  // Keep the history bounded, oldest finished jobs go first
+  const pruneJobs = () => {
+    const finished = Array.from(jobs.values()).filter(job => TERMINAL_STATES.includes(job.state));
+    finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)).forEach(job => jobs.delete(job.id));
+  };
+
+  const endJob = (job, state, error = null) => {
+    clearTimeout(job.finishTimer);
+    if (job.resumedAt) {
+      job.elapsed = getElapsed(job);
+      job.resumedAt = null;
+    }
+    job.state = state;
+    job.error = error;
+    job.finishedAt = new Date().toISOString();
+    console.log(`Experiment ${job.id} (${job.name}) ${state}${error ? `: ${error}` : ''}`);
+    if (activeJob === job) activeJob = null;
+    notify(job);
+    pruneJobs();
+    processQueue();
+  };
+
+  const scheduleFinish = (job) => {
+    clearTimeout(job.finishTimer);
+    job.finishTimer = setTimeout(() => endJob(job, 'finished'), Math.max(0, job.duration - job.elapsed) + FINISH_GRACE);
+  };
+
+  // Upload the programs (complete, or the remainder after a pause) and start the run
+  const uploadAndRun = (job, programs, origin) => {
+    job.state = 'uploading';
+    job.upload = {};
+    notify(job);
+
+    job.uploadTask = uploadPrograms({ programs }, (progress) => {
+      if (job.state !== 'uploading') return;
+      job.upload[progress.device] = { state: progress.state, chunk: progress.chunk, chunks: progress.chunks, attempts: progress.attempts, error: progress.error || null };
+      notify(job);
+    }, origin).then(result => {
+      if (job.state !== 'uploading') return; // aborted while uploading
+      if (!result.success) {
+        endJob(job, 'aborted', `Upload failed: ${result.error}`);
+        return;
+      }
+      job.state = 'running';
+      job.startedAt = job.startedAt || new Date().toISOString();
+      job.resumedAt = Date.now();
+      scheduleFinish(job);
+      notify(job);
+    }).catch(error => {
+      if (job.state === 'uploading') endJob(job, 'aborted', `Upload failed: ${error.message}`);
+    });
+  };
+
+  const processQueue = () => {
+    if (activeJob || settlingUpload || queue.length === 0) return;
+    activeJob = queue.shift();
+    console.log(`Starting experiment ${activeJob.id} (${activeJob.name})`);
+    uploadAndRun(activeJob, activeJob.programs, getOrigin(activeJob, 'start'));
+    queue.forEach(notify); // queue positions moved
+  };
+
+  const getJobOrThrow = (id) => {
+    const job = jobs.get(Number(id));
+    if (!job) {
+      throw new Error(`Unknown experiment ${id}`);
+    }
+    return job;
+  };
+
+  /**
+   * Queue an experiment
+   * @param {Object} request - { name, flowchartId, programs: [{ device, entries, role }] }
+   * @param {string} [source] - Where it was submitted from, for the log
+   * @param {string} [user] - Who submitted it
+   * @returns {Object} Public job view
+   */
+  const submit = (request, source = 'unknown', user = null) => {
+    const validationError = validatePrograms(request && request.programs);
+    if (validationError) {
+      throw new Error(validationError);
+    }
+
+    const programs = request.programs.map((program, index) => ({
+      device: program.device,
+      role: program.role || (index === 0 ? 'master' : 'slave'),
+      entries: program.entries.map(([delay, wait]) => [Number(delay), Number(wait)])
+    }));
+    const job = {
+      id: ++jobCounter,
+      name: (request.name && String(request.name)) || `Experiment ${jobCounter}`,
+      source,
+      user,
+      flowchartId: (request.flowchartId && String(request.flowchartId)) || null,
+      state: 'queued',
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      elapsed: 0,
+      resumedAt: null,
+      duration: Math.max(...programs.map(program => getProgramDuration(program.entries))),
+      programs,
+      upload: {},
+      uploadTask: null,
+      finishTimer: null
+    };
+
+    jobs.set(job.id, job);
+    queue.push(job);
+    console.log(`Experiment ${job.id} (${job.name}) queued by ${source}: ${programs.map(program => program.device).join(', ')}`);
+    notify(job);
+    processQueue();
+    return describeJob(job);
+  };
+
+  const pause = (id, user) => {
+    const job = getJobOrThrow(id);
+    if (job.state !== 'running') {
+      throw new Error(`Experiment ${job.id} is ${job.state}, only a running experiment can be paused`);
+    }
+    clearTimeout(job.finishTimer);
+    job.elapsed = getElapsed(job);
+    job.resumedAt = null;
+    stopDevices(getDeviceNames(job), getOrigin(job, 'pause', user));
+    job.state = 'paused';
+    console.log(`Experiment ${job.id} paused at ${Math.round(job.elapsed)} ms`);
+    notify(job);
+    return describeJob(job);
+  };
+
+  const resume = (id, user) => {
+    const job = getJobOrThrow(id);
+    if (job.state !== 'paused') {
+      throw new Error(`Experiment ${job.id} is ${job.state}, only a paused experiment can be resumed`);
+    }
+    console.log(`Experiment ${job.id} resuming from ${Math.round(job.elapsed)} ms`);
+    uploadAndRun(job, job.programs.map(program => ({
+      ...program,
+      entries: getRemainingProgram(program.entries, job.elapsed)
+    })), getOrigin(job, 'resume', user));
+    return describeJob(job);
+  };
+
+  const abort = (id, reason = 'Aborted by user', user = null) => {
+    const job = getJobOrThrow(id);
+    if (TERMINAL_STATES.includes(job.state)) {
+      throw new Error(`Experiment ${job.id} already ${job.state}`);
+    }
+
+    if (job.state === 'queued') {
+      queue.splice(queue.indexOf(job), 1);
+      queue.forEach(notify);
+    } else {
+      if (job.state === 'uploading') {
+        cancelUploads(reason, getDeviceNames(job));
+        // The next job may need the same devices, start it once the cancelled upload has let go of them
+        settlingUpload = job.uploadTask.then(() => {
+          settlingUpload = null;
+          processQueue();
+        });
+      }
+      stopDevices(getDeviceNames(job), getOrigin(job, 'abort', user));
+    }
+    endJob(job, 'aborted', reason);
+    return describeJob(job);
+  };
+
+  // Emergency stop: drop the queue and abort the active job (the devices are stopped elsewhere)
+  const abortAll = (reason, user = null) => {
+    queue.slice().forEach(job => abort(job.id, reason, user));
+    if (activeJob) abort(activeJob.id, reason, user);
+  };
+
+  const getJob = (id) => (jobs.has(Number(id)) ? describeJob(jobs.get(Number(id))) : null);
+
+  const getJobs = () => Array.from(jobs.values()).map(describeJob);
+
+  return {
+    submit,
+    pause,
+    resume,
+    abort,
+    abortAll,
+    getJob,
+    getJobs
+  };
+}
+
+module.exports = {
+  getProgramDuration,
+  getRemainingProgram,
+  createExperimentRunner
+};
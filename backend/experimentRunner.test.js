@@ -0,0 +1,42 @@
+// experimentRunner.test.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { createExperimentRunner } = require('./experimentRunner');
+const { createProgramUploader } = require('./programUpload');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('aborting an uploading job lets the next job on the same devices upload', async () => {
+  const published = [];
+  const uploader = createProgramUploader({ publish: (topic, payload) => published.push({ topic, payload }), acknowledged: true });
+  const runner = createExperimentRunner({
+    uploadPrograms: (request, onProgress, origin) => uploader.uploadPrograms(request, onProgress, origin),
+    cancelUploads: (reason, devices) => uploader.cancel(reason, devices),
+    stopDevices: () => {}
+  });
+  const programs = [{ device: 'pump1', entries: [[1000, 1000]] }];
+
+  const first = runner.submit({ name: 'first', programs });
+  const second = runner.submit({ name: 'second', programs });
+  assert.strictEqual(runner.getJob(first.id).state, 'uploading');
+  assert.strictEqual(runner.getJob(second.id).state, 'queued');
+
+  runner.abort(first.id);
+  assert.strictEqual(runner.getJob(first.id).state, 'aborted');
+  // Still queued until the cancelled upload has released pump1
+  assert.strictEqual(runner.getJob(second.id).state, 'queued');
+
+  await tick();
+  assert.strictEqual(runner.getJob(second.id).state, 'uploading');
+  assert.strictEqual(runner.getJob(second.id).error, null);
+
+  // The device confirms the second job's program, which then runs
+  assert.strictEqual(published.filter(message => message.topic === 'pump1/new_program').length, 2);
+  uploader.handleMessage('pump1/response/program', JSON.stringify({ command: 'new_program', received: 1, total: 1 }));
+  await tick();
+  assert.strictEqual(runner.getJob(second.id).state, 'running');
+  assert.strictEqual(published[published.length - 1].topic, 'pump1/run_master');
+
+  runner.abort(second.id);
+});
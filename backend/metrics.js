@@ -0,0 +1,292 @@
+// metrics.js
+// Bridge health counters for GET /metrics (JSON) and GET /metrics/prometheus (text format).
+// Counters only ever grow; rates are averaged over the last RATE_WINDOW seconds.
+// Per-topic counters cover the MQTT topics passing through the bridge; messages the
+// bridge itself broadcasts (server/*) only count towards the totals.
+
+const RATE_WINDOW = 10;
+const MAX_TOPICS = 500;
+const OTHER_TOPIC = '(other)';
+const LAG_INTERVAL = 500;
+
+// Per-second buckets so the rate follows bursts without keeping every timestamp
+function createRateCounter() {
+  const buckets = new Array(RATE_WINDOW).fill(0);
+  let bucketSecond = Math.floor(Date.now() / 1000);
+
+  const advance = () => {
+    const second = Math.floor(Date.now() / 1000);
+    const steps = Math.min(RATE_WINDOW, second - bucketSecond);
+    for (let i = 1; i <= steps; i++) {
+      buckets[(bucketSecond + i) % RATE_WINDOW] = 0;
+    }
+    bucketSecond = second;
+  };
+
+  return {
+    add: (value = 1) => {
+      advance();
+      buckets[bucketSecond % RATE_WINDOW] += value;
+    },
+    rate: () => {
+      advance();
+      return buckets.reduce((sum, value) => sum + value, 0) / RATE_WINDOW;
+    }
+  };
+}
+
+function createTopicStats() {
+  return {
+    messages: 0,
+    bytes: 0,
+    forwarded: 0,
+    bytesForwarded: 0,
+    throttled: 0,
+    lastMessageAt: null,
+    messageRate: createRateCounter(),
+    byteRate: createRateCounter()
+  };
+}
+
+function getByteLength(payload) {
+  if (Buffer.isBuffer(payload)) return payload.length;
+  return Buffer.byteLength(typeof payload === 'string' ? payload : JSON.stringify(payload) || '');
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Create the metrics collector
+ * @param {Object} options
+ * @param {Function} options.getGauges - Returns the current { clients, bufferedBytes, maxBufferedBytes, mqttConnected, mode }
+ */
+function createMetrics({ getGauges }) {
+  const startedAt = Date.now();
+  const topics = new Map();
+  const totals = {
+    messagesReceived: 0,
+    bytesReceived: 0,
+    messagesForwarded: 0,
+    bytesForwarded: 0,
+    sendsDropped: 0,
+    sendsFailed: 0,
+    messagesThrottled: 0,
+    messagesPublished: 0,
+    publishFailures: 0
+  };
+  const receiveRate = createRateCounter();
+  const forwardRate = createRateCounter();
+  const forwardByteRate = createRateCounter();
+  const mqtt = { reconnects: 0, lastError: null, lastErrorAt: null, connectedSince: null };
+  const eventLoop = { lag: 0, maxLag: 0 };
+  let lagTimer = null;
+
+  const getTopic = (topic) => {
+    if (!topics.has(topic)) {
+      // Keep memory bounded if something floods the bridge with unique topics
+      if (topics.size >= MAX_TOPICS) {
+        if (!topics.has(OTHER_TOPIC)) topics.set(OTHER_TOPIC, createTopicStats());
+        return topics.get(OTHER_TOPIC);
+      }
+      topics.set(topic, createTopicStats());
+    }
+    return topics.get(topic);
+  };
+
+  // An MQTT (or replayed) message arrived at the bridge
+  const recordReceived = (topic, payload) => {
+    const bytes = getByteLength(payload);
+    const stats = getTopic(topic);
+    stats.messages++;
+    stats.bytes += bytes;
+    stats.lastMessageAt = new Date().toISOString();
+    stats.messageRate.add();
+    stats.byteRate.add(bytes);
+    totals.messagesReceived++;
+    totals.bytesReceived += bytes;
+    receiveRate.add();
+  };
+
+  /**
+   * One message went out to a set of WebSocket clients
+   * @param {string|null} topic - MQTT topic, null for the bridge's own messages
+   * @param {number} bytes - Size of the serialized message
+   * @param {Object} counts - { delivered, dropped, failed }
+   */
+  const recordForwarded = (topic, bytes, { delivered = 0, dropped = 0, failed = 0 }) => {
+    totals.messagesForwarded += delivered;
+    totals.bytesForwarded += bytes * delivered;
+    totals.sendsDropped += dropped;
+    totals.sendsFailed += failed;
+    forwardRate.add(delivered);
+    forwardByteRate.add(bytes * delivered);
+    if (topic) {
+      const stats = getTopic(topic);
+      stats.forwarded += delivered;
+      stats.bytesForwarded += bytes * delivered;
+    }
+  };
+
+  // Sends that failed after they were handed to the socket (ws send callback)
+  const recordSendFailure = () => {
+    totals.sendsFailed++;
+  };
+
+  // A message a thinned subscription did not pass on (dropped, skipped or replaced by a newer one)
+  const recordThrottled = (topic) => {
+    totals.messagesThrottled++;
+    getTopic(topic).throttled++;
+  };
+
+  const recordPublished = (failed = false) => {
+    if (failed) {
+      totals.publishFailures++;
+    } else {
+      totals.messagesPublished++;
+    }
+  };
+
+  const recordReconnect = () => {
+    mqtt.reconnects++;
+  };
+
+  const recordConnected = () => {
+    mqtt.connectedSince = new Date().toISOString();
+  };
+
+  const recordDisconnected = () => {
+    mqtt.connectedSince = null;
+  };
+
+  const recordError = (error) => {
+    mqtt.lastError = error && error.message ? error.message : String(error);
+    mqtt.lastErrorAt = new Date().toISOString();
+  };
+
+  // A timer that fires late means the event loop was busy - the usual reason frames lag
+  const start = () => {
+    stop();
+    let expected = Date.now() + LAG_INTERVAL;
+    lagTimer = setInterval(() => {
+      const now = Date.now();
+      eventLoop.lag = Math.max(0, now - expected);
+      eventLoop.maxLag = Math.max(eventLoop.maxLag, eventLoop.lag);
+      expected = now + LAG_INTERVAL;
+    }, LAG_INTERVAL);
+    lagTimer.unref();
+  };
+
+  const stop = () => {
+    clearInterval(lagTimer);
+    lagTimer = null;
+  };
+
+  const getSnapshot = () => {
+    const gauges = getGauges();
+    return {
+      timestamp: new Date().toISOString(),
+      uptime: (Date.now() - startedAt) / 1000,
+      mode: gauges.mode,
+      websocket: {
+        clients: gauges.clients,
+        bufferedBytes: gauges.bufferedBytes,
+        maxBufferedBytes: gauges.maxBufferedBytes,
+        messagesForwarded: totals.messagesForwarded,
+        bytesForwarded: totals.bytesForwarded,
+        forwardRate: forwardRate.rate(),
+        forwardByteRate: forwardByteRate.rate(),
+        sendsDropped: totals.sendsDropped,
+        sendsFailed: totals.sendsFailed,
+        messagesThrottled: totals.messagesThrottled
+      },
+      mqtt: {
+        connected: gauges.mqttConnected,
+        connectedSince: mqtt.connectedSince,
+        reconnects: mqtt.reconnects,
+        lastError: mqtt.lastError,
+        lastErrorAt: mqtt.lastErrorAt,
+        messagesReceived: totals.messagesReceived,
+        bytesReceived: totals.bytesReceived,
+        receiveRate: receiveRate.rate(),
+        messagesPublished: totals.messagesPublished,
+        publishFailures: totals.publishFailures
+      },
+      process: {
+        eventLoopLag: eventLoop.lag,
+        maxEventLoopLag: eventLoop.maxLag,
+        memoryRss: process.memoryUsage().rss
+      },
+      topics: Array.from(topics.entries()).map(([topic, stats]) => ({
+        topic,
+        messages: stats.messages,
+        bytes: stats.bytes,
+        forwarded: stats.forwarded,
+        bytesForwarded: stats.bytesForwarded,
+        throttled: stats.throttled,
+        messageRate: stats.messageRate.rate(),
+        byteRate: stats.byteRate.rate(),
+        lastMessageAt: stats.lastMessageAt
+      })).sort((a, b) => b.messageRate - a.messageRate || b.messages - a.messages)
+    };
+  };
+
+  // Prometheus text exposition format
+  const toPrometheus = (snapshot = getSnapshot()) => {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP fluidicgui_${name} ${help}`);
+      lines.push(`# TYPE fluidicgui_${name} ${type}`);
+      samples.forEach(([labels, value]) => {
+        const labelText = labels ? `{${Object.entries(labels).map(([key, label]) => `${key}="${escapeLabel(label)}"`).join(',')}}` : '';
+        lines.push(`fluidicgui_${name}${labelText} ${Number(value) || 0}`);
+      });
+    };
+    const perTopic = (field) => snapshot.topics.map(topic => [{ topic: topic.topic }, topic[field]]);
+
+    metric('uptime_seconds', 'gauge', 'Seconds since the bridge started', [[null, snapshot.uptime]]);
+    metric('websocket_clients', 'gauge', 'Connected WebSocket clients', [[null, snapshot.websocket.clients]]);
+    metric('websocket_buffered_bytes', 'gauge', 'Bytes queued on WebSocket connections, not yet sent', [[null, snapshot.websocket.bufferedBytes]]);
+    metric('websocket_sends_dropped_total', 'counter', 'Messages not sent because the client connection was not open', [[null, snapshot.websocket.sendsDropped]]);
+    metric('websocket_sends_failed_total', 'counter', 'Messages the WebSocket failed to send', [[null, snapshot.websocket.sendsFailed]]);
+    metric('websocket_messages_throttled_total', 'counter', 'Messages thinned out of rate-limited, coalesced or decimated subscriptions', [[null, snapshot.websocket.messagesThrottled]]);
+    metric('websocket_messages_forwarded_total', 'counter', 'Messages delivered to WebSocket clients (one per client)', [[null, snapshot.websocket.messagesForwarded]]);
+    metric('websocket_bytes_forwarded_total', 'counter', 'Bytes delivered to WebSocket clients', [[null, snapshot.websocket.bytesForwarded]]);
+    metric('mqtt_connected', 'gauge', '1 if the bridge is connected to the broker', [[null, snapshot.mqtt.connected ? 1 : 0]]);
+    metric('mqtt_reconnects_total', 'counter', 'Broker reconnect attempts', [[null, snapshot.mqtt.reconnects]]);
+    metric('mqtt_last_error_timestamp_seconds', 'gauge', 'Time of the last broker error', [[null, snapshot.mqtt.lastErrorAt ? Date.parse(snapshot.mqtt.lastErrorAt) / 1000 : 0]]);
+    metric('mqtt_messages_published_total', 'counter', 'Commands published by the bridge', [[null, snapshot.mqtt.messagesPublished]]);
+    metric('mqtt_publish_failures_total', 'counter', 'Commands the broker did not accept', [[null, snapshot.mqtt.publishFailures]]);
+    metric('mqtt_messages_received_total', 'counter', 'MQTT messages received per topic', perTopic('messages'));
+    metric('mqtt_bytes_received_total', 'counter', 'MQTT payload bytes received per topic', perTopic('bytes'));
+    metric('mqtt_message_rate', 'gauge', `Messages per second per topic over the last ${RATE_WINDOW} s`, perTopic('messageRate'));
+    metric('topic_messages_forwarded_total', 'counter', 'Messages forwarded to WebSocket clients per topic', perTopic('forwarded'));
+    metric('topic_messages_throttled_total', 'counter', 'Messages thinned out per topic', perTopic('throttled'));
+    metric('topic_bytes_forwarded_total', 'counter', 'Bytes forwarded to WebSocket clients per topic', perTopic('bytesForwarded'));
+    metric('event_loop_lag_seconds', 'gauge', 'How late the last event loop timer fired', [[null, snapshot.process.eventLoopLag / 1000]]);
+    metric('process_resident_memory_bytes', 'gauge', 'Resident memory of the bridge process', [[null, snapshot.process.memoryRss]]);
+    return lines.join('\n') + '\n';
+  };
+
+  return {
+    start,
+    stop,
+    recordReceived,
+    recordForwarded,
+    recordSendFailure,
+    recordThrottled,
+    recordPublished,
+    recordReconnect,
+    recordConnected,
+    recordDisconnected,
+    recordError,
+    getSnapshot,
+    toPrometheus
+  };
+}
+
+module.exports = {
+  RATE_WINDOW,
+  createMetrics
+};
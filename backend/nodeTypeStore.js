@@ -0,0 +1,200 @@
+// nodeTypeStore.js
+// Node types defined at runtime, next to the built-ins of the GUI's defaultProperties.json.
+// Each type keeps every saved version so a flowchart built against an older schema can
+// still be explained:
+//   { types: { <name>: { createdAt, deleted, versions: [{ version, savedAt, savedBy, schema }] } } }
+// Deleting hides a type but keeps its history, saving it again continues the numbering.
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+const DEFAULT_NODE_TYPES_FILE = path.join(__dirname, 'data', 'node-types.json');
+// Used as a key in defaultProperties.json and as an id in flowcharts
+const TYPE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,49}$/;
+// The built-in types of the GUI (and its edge settings) cannot be replaced. They are read
+// from the GUI's own file so a type added there is reserved here without a second list.
+const BUILT_IN_TYPES_FILE = path.join(__dirname, '..', 'frontend', 'fluidicgui', 'src', 'data', 'defaultProperties.json');
+const RESERVED_NAMES = Object.keys(require(BUILT_IN_TYPES_FILE));
+
+// Same shape as an entry of the GUI's defaultProperties.json
+const rangeItem = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    min: { type: 'number' },
+    max: { type: 'number' },
+    default: { type: 'number' },
+    script: { type: 'string' }
+  }
+};
+
+const SCHEMA = {
+  type: 'object',
+  required: ['label', 'properties'],
+  properties: {
+    label: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    ender: { type: 'string' },
+    properties: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'type'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          label: { type: 'string' },
+          type: { enum: ['number', 'string', 'text', 'boolean'] },
+          default: { type: ['number', 'string', 'boolean'] }
+        }
+      }
+    },
+    parameters: { type: 'array', items: rangeItem },
+    controlables: { type: 'array', items: rangeItem }
+  }
+};
+
+const validateSchema = new Ajv({ allErrors: true, allowUnionTypes: true }).compile(SCHEMA);
+
+function checkTypeName(name) {
+  if (RESERVED_NAMES.includes(name)) {
+    throw new Error(`"${name}" is a built-in node type`);
+  }
+  if (typeof name !== 'string' || !TYPE_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid node type name "${name}" - start with a letter, then letters, digits and underscores`);
+  }
+}
+
+// Throws with every problem found, duplicate names included
+function checkSchema(schema) {
+  if (!validateSchema(schema)) {
+    const problems = validateSchema.errors.map(error => `${error.instancePath || 'schema'} ${error.message}`);
+    throw new Error(`Invalid node type schema: ${problems.join('; ')}`);
+  }
+  ['properties', 'parameters', 'controlables'].forEach(list => {
+    const names = (schema[list] || []).map(item => item.name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+      throw new Error(`Invalid node type schema: ${list} has "${duplicate}" twice`);
+    }
+  });
+  (schema.parameters || []).concat(schema.controlables || []).forEach(item => {
+    if (item.min !== undefined && item.max !== undefined && item.min > item.max) {
+      throw new Error(`Invalid node type schema: "${item.name}" has min above max`);
+    }
+  });
+}
+
+/**
+ * Create the node type store
+ * @param {Object} options
+ * @param {string} [options.file] - Where the node types are stored, empty means backend/data/node-types.json
+ */
+function createNodeTypeStore({ file } = {}) {
+  const storeFile = file ? path.resolve(__dirname, file) : DEFAULT_NODE_TYPES_FILE;
+  // No prototype, so names like "constructor" are ordinary type names
+  let types = Object.create(null);
+
+  const load = () => {
+    if (!fs.existsSync(storeFile)) return;
+    try {
+      types = Object.assign(Object.create(null), JSON.parse(fs.readFileSync(storeFile, 'utf8')).types);
+    } catch (error) {
+      console.error(`Error reading node types from ${storeFile}:`, error);
+    }
+  };
+
+  const save = () => {
+    fs.mkdirSync(path.dirname(storeFile), { recursive: true });
+    const tempFile = `${storeFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ types }, null, 2));
+    fs.renameSync(tempFile, storeFile);
+  };
+
+  const latest = (name) => {
+    const entry = types[name];
+    return entry.versions[entry.versions.length - 1];
+  };
+
+  const describe = (name) => {
+    const { version, savedAt, savedBy, schema } = latest(name);
+    return { name, version, savedAt, savedBy, schema };
+  };
+
+  // Latest version of every type that is not deleted
+  const listNodeTypes = () => Object.keys(types)
+    .filter(name => !types[name].deleted)
+    .sort()
+    .map(describe);
+
+  const getNodeType = (name) => {
+    checkTypeName(name);
+    if (!types[name] || types[name].deleted) return null;
+    return {
+      ...describe(name),
+      versions: types[name].versions.map(({ version, savedAt, savedBy }) => ({ version, savedAt, savedBy }))
+    };
+  };
+
+  const getNodeTypeVersion = (name, version) => {
+    checkTypeName(name);
+    if (!types[name]) return null;
+    const entry = types[name].versions.find(candidate => candidate.version === Number(version));
+    return entry ? { name, ...entry } : null;
+  };
+
+  /**
+   * Store a new version of a node type
+   * @param {string} name - Type name, the key nodes refer to
+   * @param {Object} schema - { label, description, properties, parameters, controlables, ender }
+   * @param {string} [savedBy] - User name for the version list
+   * @returns {Object} { name, version, savedAt, savedBy, schema }
+   */
+  const saveNodeType = (name, schema, savedBy = null) => {
+    checkTypeName(name);
+    checkSchema(schema);
+    const now = new Date().toISOString();
+    if (!types[name]) {
+      types[name] = { createdAt: now, deleted: false, versions: [] };
+    }
+    const entry = types[name];
+    const previous = entry.versions[entry.versions.length - 1];
+    entry.deleted = false;
+    entry.versions.push({
+      version: previous ? previous.version + 1 : 1,
+      savedAt: now,
+      savedBy,
+      schema
+    });
+    save();
+    return describe(name);
+  };
+
+  const deleteNodeType = (name) => {
+    checkTypeName(name);
+    if (!types[name] || types[name].deleted) return false;
+    types[name].deleted = true;
+    save();
+    return true;
+  };
+
+  const getFile = () => storeFile;
+
+  load();
+
+  return {
+    listNodeTypes,
+    getNodeType,
+    getNodeTypeVersion,
+    saveNodeType,
+    deleteNodeType,
+    getFile
+  };
+}
+
+module.exports = {
+  DEFAULT_NODE_TYPES_FILE,
+  checkSchema,
+  createNodeTypeStore
+};
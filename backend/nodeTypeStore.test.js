@@ -0,0 +1,40 @@
+// nodeTypeStore.test.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createNodeTypeStore } = require('./nodeTypeStore');
+const builtInTypes = require('../frontend/fluidicgui/src/data/defaultProperties.json');
+
+const createStore = (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fluidicgui-node-types-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return createNodeTypeStore({ file: path.join(directory, 'node-types.json') });
+};
+
+const schema = { label: 'Heater', properties: [{ name: 'temperature', type: 'number', default: 25 }] };
+
+test('every built-in type of the GUI is reserved', (t) => {
+  const store = createStore(t);
+  Object.keys(builtInTypes).forEach(name => {
+    assert.throws(() => store.saveNodeType(name, schema), { message: `"${name}" is a built-in node type` });
+  });
+});
+
+test('saving a type again adds a version, deleting keeps the history', (t) => {
+  const store = createStore(t);
+  assert.strictEqual(store.saveNodeType('heater', schema, 'alice').version, 1);
+  assert.strictEqual(store.saveNodeType('heater', { ...schema, label: 'Hot plate' }).version, 2);
+  assert.strictEqual(store.getNodeType('heater').schema.label, 'Hot plate');
+
+  assert.strictEqual(store.deleteNodeType('heater'), true);
+  assert.strictEqual(store.getNodeType('heater'), null);
+  assert.deepStrictEqual(store.listNodeTypes(), []);
+  assert.strictEqual(store.getNodeTypeVersion('heater', 1).savedBy, 'alice');
+
+  // The store survives a restart
+  const reopened = createNodeTypeStore({ file: store.getFile() });
+  assert.strictEqual(reopened.saveNodeType('heater', schema).version, 3);
+});
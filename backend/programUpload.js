@@ -0,0 +1,255 @@
+// programUpload.js
+// Upload of pump programs, optionally flow-controlled by device acknowledgements.
+// Programs go out in chunks: the first as <device>/new_program, the rest as
+// <device>/continue_program. With acknowledgements on, the device answers every chunk on
+// <device>/response/program with { command, received, total } where total is the
+// number of entries it now holds (or { command, error } if it rejected the chunk).
+// That reply is a FIRMWARE REQUIREMENT: today only the virtual devices send it, so the
+// uploader is created without acknowledgements unless the config asks for them, and then
+// sends the chunks back to back the way the GUI always did.
+// Only when every device has its complete program are the run commands
+// sent: run_slave to all slaves first, run_master last.
+
+const ACK_TOPIC_FILTER = '+/response/program';
+const DEFAULT_CHUNK_SIZE = 5;
+const DEFAULT_ACK_TIMEOUT = 2000;
+const DEFAULT_RETRIES = 3;
+// Pause between unacknowledged chunks, as the GUI used to send them
+const DEFAULT_CHUNK_INTERVAL = 2;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function parseAck(payload) {
+  try {
+    const ack = JSON.parse(Buffer.isBuffer(payload) ? payload.toString() : payload);
+    return ack && typeof ack === 'object' ? ack : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function splitIntoChunks(entries, chunkSize) {
+  const chunks = [];
+  for (let i = 0; i < entries.length; i += chunkSize) {
+    chunks.push(entries.slice(i, i + chunkSize));
+  }
+  return chunks;
+}
+
+/**
+ * Create a program uploader
+ * @param {Object} options
+ * @param {Function} options.publish - Called with (topic, payload string, origin) for every command
+ * @param {boolean} [options.acknowledged] - Wait for <device>/response/program after every chunk (needs firmware support)
+ * @param {number} [options.chunkInterval] - Milliseconds between chunks when they are not acknowledged
+ */
+function createProgramUploader({ publish, acknowledged = false, chunkInterval = DEFAULT_CHUNK_INTERVAL }) {
+  const pendingAcks = new Map(); // device -> { expectedTotal, resolve }
+  const busyDevices = new Set();
+  const cancelledDevices = new Map(); // device -> reason
+
+  // Resolves with the ack, or null on timeout
+  const waitForAck = (device, expectedTotal, timeout) => new Promise(resolve => {
+    const timer = setTimeout(() => {
+      pendingAcks.delete(device);
+      resolve(null);
+    }, timeout);
+
+    pendingAcks.set(device, {
+      expectedTotal,
+      resolve: (ack) => {
+        clearTimeout(timer);
+        pendingAcks.delete(device);
+        resolve(ack);
+      }
+    });
+  });
+
+  // Feed inbound MQTT messages here; returns true if it was a program ack
+  const handleMessage = (topic, payload) => {
+    if (!topic.endsWith('/response/program')) return false;
+    const device = topic.slice(0, -'/response/program'.length);
+    const pending = pendingAcks.get(device);
+    if (!pending) return true;
+
+    const ack = parseAck(payload);
+    if (!ack) return true;
+    // Acks for earlier chunks can arrive late after a retry, wait for the current one
+    if (!ack.error && Number(ack.total) < pending.expectedTotal) return true;
+    pending.resolve(ack);
+    return true;
+  };
+
+  // Without acknowledgements the program only counts as sent, nothing confirms the device holds it
+  const sendDevice = async ({ device, entries }, { chunkSize, report, origin }) => {
+    const chunks = splitIntoChunks(entries, chunkSize);
+
+    for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
+      if (chunkIndex > 0) await delay(chunkInterval);
+      if (cancelledDevices.has(device)) {
+        throw new Error(`${device}: ${cancelledDevices.get(device)}`);
+      }
+      report({ device, state: 'uploading', chunk: chunkIndex + 1, chunks: chunks.length, attempts: 0 });
+      publish(`${device}/${chunkIndex === 0 ? 'new_program' : 'continue_program'}`, JSON.stringify(chunks[chunkIndex]), origin);
+    }
+    await delay(chunkInterval);
+
+    report({ device, state: 'sent', chunk: chunks.length, chunks: chunks.length, attempts: 0 });
+  };
+
+  const uploadDevice = async ({ device, entries }, { chunkSize, ackTimeout, retries, report, origin }) => {
+    const chunks = splitIntoChunks(entries, chunkSize);
+    let attempts = 0;
+    let chunkIndex = 0;
+    let expectedTotal = 0;
+
+    while (chunkIndex < chunks.length) {
+      const chunk = chunks[chunkIndex];
+      const command = chunkIndex === 0 ? 'new_program' : 'continue_program';
+      const total = expectedTotal + chunk.length;
+
+      report({ device, state: 'uploading', chunk: chunkIndex + 1, chunks: chunks.length, attempts });
+      publish(`${device}/${command}`, JSON.stringify(chunk), origin);
+      const ack = await waitForAck(device, total, ackTimeout);
+      if (cancelledDevices.has(device)) {
+        throw new Error(`${device}: ${cancelledDevices.get(device)}`);
+      }
+
+      if (ack && !ack.error && Number(ack.total) === total) {
+        expectedTotal = total;
+        chunkIndex++;
+        continue;
+      }
+
+      attempts++;
+      if (attempts > retries) {
+        const reason = !ack
+          ? `no acknowledgement for chunk ${chunkIndex + 1}/${chunks.length} within ${ackTimeout} ms`
+          : ack.error
+            ? `device rejected chunk ${chunkIndex + 1}/${chunks.length}: ${ack.error}`
+            : `device holds ${ack.total} entries, expected ${total}`;
+        throw new Error(`${device}: ${reason}`);
+      }
+
+      if (ack && !ack.error) {
+        // The device got a chunk twice (lost ack) - start over with a fresh program
+        console.warn(`${device}: program length mismatch (${ack.total} != ${total}), restarting upload`);
+        chunkIndex = 0;
+        expectedTotal = 0;
+      } else {
+        console.warn(`${device}: retrying chunk ${chunkIndex + 1}/${chunks.length} (attempt ${attempts}/${retries})`);
+      }
+    }
+
+    report({ device, state: 'confirmed', chunk: chunks.length, chunks: chunks.length, attempts });
+  };
+
+  /**
+   * Upload programs to several devices and start them once all are confirmed (or sent, without acknowledgements)
+   * @param {Object} request
+   * @param {Array} request.programs - [{ device, entries: [[delayMicroseconds, waitMicroseconds], ...], role: 'master' | 'slave' }]
+   * @param {number} [request.chunkSize] - Entries per message
+   * @param {number} [request.ackTimeout] - Milliseconds to wait for each acknowledgement (acknowledged uploads only)
+   * @param {number} [request.retries] - Retries per device before the upload fails (acknowledged uploads only)
+   * @param {boolean} [request.run] - Send the run commands after a complete upload (default true)
+   * @param {Function} [onProgress] - Called with { device, state, chunk, chunks, attempts, error }
+   * @param {Object} [origin] - Who asked for the upload, passed on to publish for the audit log
+   * @returns {Promise<Object>} { success, started, devices, error }
+   */
+  const uploadPrograms = async (request, onProgress, origin = {}) => {
+    const {
+      programs,
+      chunkSize = DEFAULT_CHUNK_SIZE,
+      ackTimeout = DEFAULT_ACK_TIMEOUT,
+      retries = DEFAULT_RETRIES,
+      run = true
+    } = request || {};
+
+    if (!Array.isArray(programs) || programs.length === 0) {
+      return { success: false, started: false, devices: [], error: 'No programs to upload' };
+    }
+    const invalid = programs.find(program => !program || typeof program.device !== 'string' || !Array.isArray(program.entries) || program.entries.length === 0);
+    if (invalid) {
+      return { success: false, started: false, devices: [], error: 'Every program needs a device name and at least one entry' };
+    }
+    const busy = programs.find(program => busyDevices.has(program.device));
+    if (busy) {
+      return { success: false, started: false, devices: [], error: `Upload to ${busy.device} already in progress` };
+    }
+
+    const deviceStates = new Map();
+    const report = (progress) => {
+      deviceStates.set(progress.device, progress);
+      if (onProgress) onProgress(progress);
+    };
+
+    programs.forEach(program => busyDevices.add(program.device));
+    try {
+      const upload = acknowledged ? uploadDevice : sendDevice;
+      const results = await Promise.allSettled(programs.map(program =>
+        upload(program, { chunkSize, ackTimeout, retries, report, origin })
+      ));
+
+      const errors = [];
+      results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+          const device = programs[index].device;
+          errors.push(result.reason.message);
+          report({ ...deviceStates.get(device), device, state: 'failed', error: result.reason.message });
+        }
+      });
+
+      // A cancel after the last ack must still keep the run from starting
+      programs.forEach(program => {
+        if (cancelledDevices.has(program.device) && !errors.some(error => error.startsWith(`${program.device}:`))) {
+          errors.push(`${program.device}: ${cancelledDevices.get(program.device)}`);
+        }
+      });
+
+      if (errors.length > 0) {
+        console.error('Program upload failed, nothing was started:', errors);
+        return { success: false, started: false, devices: Array.from(deviceStates.values()), error: errors.join('; ') };
+      }
+
+      if (run) {
+        // Slaves wait for the master's sync, so they are armed before the master starts
+        const ordered = [
+          ...programs.filter(program => program.role === 'slave'),
+          ...programs.filter(program => program.role !== 'slave')
+        ];
+        ordered.forEach(program => {
+          publish(`${program.device}/${program.role === 'slave' ? 'run_slave' : 'run_master'}`, JSON.stringify('run'), origin);
+          report({ ...deviceStates.get(program.device), state: 'started' });
+        });
+      }
+
+      return { success: true, started: run, devices: Array.from(deviceStates.values()), error: null };
+    } finally {
+      programs.forEach(program => {
+        busyDevices.delete(program.device);
+        cancelledDevices.delete(program.device);
+      });
+    }
+  };
+
+  // Abort uploads in progress (all of them, or only those to the given devices) - none will start its run
+  const cancel = (reason, devices) => {
+    busyDevices.forEach(device => {
+      if (devices && !devices.includes(device)) return;
+      cancelledDevices.set(device, reason);
+      const pending = pendingAcks.get(device);
+      if (pending) pending.resolve({ error: reason });
+    });
+  };
+
+  return {
+    handleMessage,
+    uploadPrograms,
+    cancel
+  };
+}
+
+module.exports = {
+  ACK_TOPIC_FILTER,
+  createProgramUploader
+};
@@ -0,0 +1,83 @@
+// programUpload.test.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProgramUploader } = require('./programUpload');
+
+const entries = [[500, 0], [0, 1000], [800, 0], [0, 2000], [0, 0], [300, 0], [0, 500]];
+
+test('without acknowledgements sends the chunks and starts the run', async () => {
+  const published = [];
+  const progress = [];
+  const uploader = createProgramUploader({ publish: (topic, payload) => published.push({ topic, payload }), chunkInterval: 0 });
+
+  const result = await uploader.uploadPrograms({
+    programs: [
+      { device: 'pump1', entries, role: 'master' },
+      { device: 'pump2', entries: [[100, 0]], role: 'slave' }
+    ]
+  }, update => progress.push(update));
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.started, true);
+  assert.deepStrictEqual(published.filter(message => message.topic.startsWith('pump1/')), [
+    { topic: 'pump1/new_program', payload: JSON.stringify(entries.slice(0, 5)) },
+    { topic: 'pump1/continue_program', payload: JSON.stringify(entries.slice(5)) },
+    { topic: 'pump1/run_master', payload: '"run"' }
+  ]);
+  // Slaves are armed before the master starts
+  assert.deepStrictEqual(published.slice(-2).map(message => message.topic), ['pump2/run_slave', 'pump1/run_master']);
+  assert.ok(progress.some(update => update.device === 'pump1' && update.state === 'sent'));
+  assert.ok(!progress.some(update => update.state === 'confirmed'));
+});
+
+test('without acknowledgements a cancel keeps the run from starting', async () => {
+  const published = [];
+  const uploader = createProgramUploader({ publish: (topic, payload) => published.push({ topic, payload }), chunkInterval: 5 });
+
+  const upload = uploader.uploadPrograms({ programs: [{ device: 'pump1', entries }] });
+  uploader.cancel('Emergency stop');
+  const result = await upload;
+
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /pump1: Emergency stop/);
+  assert.ok(!published.some(message => message.topic === 'pump1/run_master'));
+});
+
+test('with acknowledgements waits for every chunk before the run', async () => {
+  const published = [];
+  const uploader = createProgramUploader({ publish: (topic, payload) => published.push({ topic, payload }), acknowledged: true });
+
+  const upload = uploader.uploadPrograms({ programs: [{ device: 'pump1', entries }] });
+  assert.deepStrictEqual(published.map(message => message.topic), ['pump1/new_program']);
+
+  uploader.handleMessage('pump1/response/program', JSON.stringify({ command: 'new_program', received: 5, total: 5 }));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepStrictEqual(published.map(message => message.topic), ['pump1/new_program', 'pump1/continue_program']);
+
+  uploader.handleMessage('pump1/response/program', JSON.stringify({ command: 'continue_program', received: 2, total: 7 }));
+  const result = await upload;
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.devices[0].state, 'started');
+  assert.strictEqual(published[published.length - 1].topic, 'pump1/run_master');
+});
+
+test('with acknowledgements fails when the device never answers', async () => {
+  const published = [];
+  const uploader = createProgramUploader({ publish: (topic, payload) => published.push({ topic, payload }), acknowledged: true });
+  const warn = console.warn;
+  const error = console.error;
+  console.warn = () => {};
+  console.error = () => {};
+
+  try {
+    const result = await uploader.uploadPrograms({ programs: [{ device: 'pump1', entries: [[0, 0]] }], ackTimeout: 5, retries: 1 });
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /no acknowledgement for chunk 1\/1/);
+    assert.strictEqual(published.filter(message => message.topic === 'pump1/new_program').length, 2);
+    assert.ok(!published.some(message => message.topic === 'pump1/run_master'));
+  } finally {
+    console.warn = warn;
+    console.error = error;
+  }
+});
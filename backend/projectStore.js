@@ -0,0 +1,217 @@
+// projectStore.js
+// File storage for lab work shared between PCs. Every project is a folder under the
+// projects directory with one subfolder per kind of document:
+//   <projects>/<project>/project.json          { name, description, createdAt, updatedAt }
+//   <projects>/<project>/<kind>/<name>.json     the document exactly as the GUI saved it
+// Documents are written to a temporary file and renamed, so a reader never sees half a file.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PROJECTS_DIR = path.join(__dirname, 'data', 'projects');
+const PROJECT_FILE = 'project.json';
+const KINDS = ['flowcharts', 'droplets', 'detector-settings', 'results'];
+// Letters, digits, space, dot, dash and underscore - no separators, no leading dot
+const NAME_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9 _.-]{0,99}$/;
+
+function checkName(name, what) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name) || name.endsWith('.') || name.endsWith(' ')) {
+    throw new Error(`Invalid ${what} name "${name}" - use letters, digits, spaces, dots, dashes and underscores`);
+  }
+}
+
+function checkKind(kind) {
+  if (!KINDS.includes(kind)) {
+    throw new Error(`Unknown document kind "${kind}" - expected one of ${KINDS.join(', ')}`);
+  }
+}
+
+// Relative directories are taken from the backend directory, where config.json lives
+function resolveDirectory(directory) {
+  return directory ? path.resolve(__dirname, directory) : DEFAULT_PROJECTS_DIR;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeJsonAtomic(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tempFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(data, null, 2));
+  fs.renameSync(tempFile, file);
+}
+
+/**
+ * Create the project store
+ * @param {Object} options
+ * @param {string} [options.directory] - Projects directory, empty means backend/data/projects
+ */
+function createProjectStore({ directory } = {}) {
+  let projectsDir = resolveDirectory(directory);
+
+  const getProjectDir = (project) => {
+    checkName(project, 'project');
+    return path.join(projectsDir, project);
+  };
+
+  const getDocumentPath = (project, kind, name) => {
+    checkKind(kind);
+    checkName(name, 'document');
+    return path.join(getProjectDir(project), kind, `${name}.json`);
+  };
+
+  const projectExists = (project) => fs.existsSync(path.join(getProjectDir(project), PROJECT_FILE));
+
+  const readProject = (project) => {
+    const file = path.join(getProjectDir(project), PROJECT_FILE);
+    if (!fs.existsSync(file)) return null;
+    try {
+      return { ...readJson(file), name: project };
+    } catch (error) {
+      console.error(`Error reading project ${project}:`, error);
+      return { name: project, description: '', createdAt: null, updatedAt: null, error: error.message };
+    }
+  };
+
+  // Every save bumps the project's updatedAt so lists show recent activity
+  const touchProject = (project) => {
+    const meta = readProject(project);
+    writeJsonAtomic(path.join(getProjectDir(project), PROJECT_FILE), {
+      name: project,
+      description: meta ? meta.description || '' : '',
+      createdAt: meta ? meta.createdAt : new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+  };
+
+  const listDocuments = (project, kind) => {
+    const kindDir = path.join(getProjectDir(project), kind);
+    checkKind(kind);
+    if (!fs.existsSync(kindDir)) return [];
+    return fs.readdirSync(kindDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => {
+        const stats = fs.statSync(path.join(kindDir, file));
+        return { name: file.slice(0, -'.json'.length), size: stats.size, updatedAt: stats.mtime.toISOString() };
+      })
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  };
+
+  const listProjects = () => {
+    if (!fs.existsSync(projectsDir)) return [];
+    return fs.readdirSync(projectsDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && NAME_PATTERN.test(entry.name))
+      .map(entry => readProject(entry.name))
+      .filter(Boolean)
+      .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  };
+
+  // Project metadata with the documents of every kind
+  const getProject = (project) => {
+    const meta = readProject(project);
+    if (!meta) return null;
+    const documents = {};
+    KINDS.forEach(kind => {
+      documents[kind] = listDocuments(project, kind);
+    });
+    return { ...meta, documents };
+  };
+
+  const createProject = (project, description = '') => {
+    // GET /projects/config is the store's own settings
+    if (project === 'config') {
+      throw new Error('"config" cannot be used as a project name');
+    }
+    if (projectExists(project)) {
+      throw new Error(`Project ${project} already exists`);
+    }
+    const now = new Date().toISOString();
+    writeJsonAtomic(path.join(getProjectDir(project), PROJECT_FILE), {
+      name: project,
+      description: String(description || ''),
+      createdAt: now,
+      updatedAt: now
+    });
+    return getProject(project);
+  };
+
+  const updateProject = (project, { description }) => {
+    const meta = readProject(project);
+    if (!meta) return null;
+    writeJsonAtomic(path.join(getProjectDir(project), PROJECT_FILE), {
+      name: project,
+      description: description !== undefined ? String(description) : meta.description,
+      createdAt: meta.createdAt,
+      updatedAt: new Date().toISOString()
+    });
+    return getProject(project);
+  };
+
+  const deleteProject = (project) => {
+    if (!projectExists(project)) return false;
+    fs.rmSync(getProjectDir(project), { recursive: true, force: true });
+    return true;
+  };
+
+  const documentExists = (project, kind, name) => fs.existsSync(getDocumentPath(project, kind, name));
+
+  const readDocument = (project, kind, name) => {
+    const file = getDocumentPath(project, kind, name);
+    if (!fs.existsSync(file)) return null;
+    return readJson(file);
+  };
+
+  /**
+   * Store a document, creating the project if needed
+   * @returns {Object} { name, size, updatedAt } of the saved file
+   */
+  const saveDocument = (project, kind, name, data) => {
+    const file = getDocumentPath(project, kind, name);
+    if (!projectExists(project)) {
+      createProject(project);
+    }
+    writeJsonAtomic(file, data);
+    touchProject(project);
+    const stats = fs.statSync(file);
+    return { name, size: stats.size, updatedAt: stats.mtime.toISOString() };
+  };
+
+  const deleteDocument = (project, kind, name) => {
+    const file = getDocumentPath(project, kind, name);
+    if (!fs.existsSync(file)) return false;
+    fs.unlinkSync(file);
+    touchProject(project);
+    return true;
+  };
+
+  const getDirectory = () => projectsDir;
+
+  // Switch to another directory, e.g. a network share - created if it does not exist yet
+  const setDirectory = (nextDirectory) => {
+    const resolved = resolveDirectory(nextDirectory);
+    fs.mkdirSync(resolved, { recursive: true });
+    fs.accessSync(resolved, fs.constants.R_OK | fs.constants.W_OK);
+    projectsDir = resolved;
+    return projectsDir;
+  };
+
+  return {
+    listProjects,
+    getProject,
+    createProject,
+    updateProject,
+    deleteProject,
+    listDocuments,
+    documentExists,
+    readDocument,
+    saveDocument,
+    deleteDocument,
+    getDirectory,
+    setDirectory
+  };
+}
+
+module.exports = {
+  KINDS,
+  createProjectStore
+};
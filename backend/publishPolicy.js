@@ -0,0 +1,174 @@
+// publishPolicy.js
+// Decides which WebSocket messages the bridge may publish to the broker.
+// A message is allowed when its topic matches a rule of the allow-list and its
+// payload passes the rule's JSON schema. Topic patterns use MQTT wildcards (+, #)
+// and placeholders for registered devices:
+//   {pump}, {thermostat}, {led}, {spectrometer}, {detector} - a registered device of that category
+//   {device}                                               - any registered device
+// Commands sent by the bridge itself (uploads, emergency stop) do not go through the policy.
+// In 'log' mode nothing is rejected, the policy only reports what it would reject, so a
+// changed allow-list can be checked against a lab's devices before it is enforced.
+const Ajv = require('ajv');
+const { getDeviceCategory } = require('./deviceRegistry');
+
+const integer = { type: 'integer' };
+
+// Payload shapes of the known device commands
+const COMMAND_SCHEMAS = {
+  empty: { type: 'object' },
+  program: {
+    type: 'array',
+    minItems: 1,
+    maxItems: 1000,
+    items: {
+      type: 'array',
+      items: [integer, { type: 'integer', minimum: 0 }],
+      minItems: 2,
+      maxItems: 2
+    }
+  },
+  run: { enum: ['run'] },
+  homing: {
+    type: 'object',
+    required: ['command'],
+    properties: { command: { const: 'home' } }
+  },
+  temperature: {
+    type: 'object',
+    required: ['temperature'],
+    properties: { temperature: { type: ['number', 'null'] } }
+  },
+  power: {
+    type: 'object',
+    required: ['power'],
+    properties: { power: { type: 'number', minimum: 0, maximum: 1 } }
+  },
+  cropFrame: {
+    type: 'object',
+    properties: {
+      interval: { type: 'number', minimum: 0 },
+      crop_range: { type: 'array', minItems: 4, maxItems: 4, items: { type: 'number' } },
+      to_graph: { type: 'boolean' },
+      stream_image: { type: 'boolean' }
+    }
+  },
+  line: {
+    type: 'object',
+    required: ['start_x', 'end_x', 'y'],
+    properties: {
+      start_x: { type: 'integer', minimum: 0 },
+      end_x: { type: 'integer', minimum: 0 },
+      y: { type: 'integer', minimum: 0 }
+    }
+  }
+};
+
+// Everything the GUI sends today
+const DEFAULT_ALLOW_LIST = [
+  { topic: 'common/device_scan', schema: 'empty' },
+  { topic: '{pump}/new_program', schema: 'program' },
+  { topic: '{pump}/continue_program', schema: 'program' },
+  { topic: '{pump}/run_master', schema: 'run' },
+  { topic: '{pump}/run_slave', schema: 'run' },
+  { topic: '{pump}/homing', schema: 'homing' },
+  // Placeholder commands, see virtualDevices.js
+  { topic: '{thermostat}/set_temperature', schema: 'temperature' },
+  { topic: '{led}/set_power', schema: 'power' },
+  { topic: '{spectrometer}/request/full_frame', schema: 'empty' },
+  { topic: '{spectrometer}/request/config', schema: 'empty' },
+  { topic: '{spectrometer}/request/set_config', schema: 'empty' },
+  { topic: '{spectrometer}/request/crop_frame', schema: 'cropFrame' },
+  { topic: '{spectrometer}/request/set_line', schema: 'line' }
+];
+
+const PLACEHOLDER_PATTERN = /^\{(\w+)\}$/;
+const MODES = ['enforce', 'log', 'off'];
+
+function matchesPattern(pattern, topic, devices) {
+  const patternLevels = pattern.split('/');
+  const topicLevels = topic.split('/');
+
+  for (let i = 0; i < patternLevels.length; i++) {
+    const level = patternLevels[i];
+    if (level === '#') return true;
+    if (i >= topicLevels.length) return false;
+
+    const placeholder = level.match(PLACEHOLDER_PATTERN);
+    if (placeholder) {
+      const device = devices.find(d => d.name === topicLevels[i]);
+      if (!device) return false;
+      if (placeholder[1] !== 'device' && getDeviceCategory(device.type) !== placeholder[1]) return false;
+    } else if (level !== '+' && level !== topicLevels[i]) {
+      return false;
+    }
+  }
+  return patternLevels.length === topicLevels.length;
+}
+
+/**
+ * Create the publish policy
+ * @param {Object} options
+ * @param {Function} options.getDevices - Returns the registered devices [{ name, type }]
+ * @param {Array} [options.allow] - Allow-list rules { topic, schema }, schema is a name from COMMAND_SCHEMAS or a JSON schema
+ * @param {string} [options.mode] - 'enforce', 'log' (report but let through) or 'off'
+ */
+function createPublishPolicy({ getDevices, allow, mode = 'enforce' }) {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown publish policy mode "${mode}" - expected one of ${MODES.join(', ')}`);
+  }
+  const ajv = new Ajv({ allErrors: true });
+  const rules = (Array.isArray(allow) && allow.length > 0 ? allow : DEFAULT_ALLOW_LIST).map(rule => {
+    const schema = typeof rule.schema === 'string' ? COMMAND_SCHEMAS[rule.schema] : rule.schema;
+    if (typeof rule.schema === 'string' && !schema) {
+      throw new Error(`Unknown payload schema "${rule.schema}" for ${rule.topic}`);
+    }
+    return { topic: rule.topic, validate: schema ? ajv.compile(schema) : null };
+  });
+
+  // What is wrong with a message under the allow-list, null if nothing
+  const findViolation = (topic, payload) => {
+    if (typeof topic !== 'string' || topic === '' || topic.includes('+') || topic.includes('#')) {
+      return `Invalid topic ${JSON.stringify(topic)}`;
+    }
+
+    const devices = getDevices();
+    const rule = rules.find(r => matchesPattern(r.topic, topic, devices));
+    if (!rule) {
+      const deviceName = topic.split('/')[0];
+      return devices.some(d => d.name === deviceName)
+        ? `Topic ${topic} is not allowed for ${deviceName}`
+        : `Topic ${topic} is not allowed (unknown device ${deviceName})`;
+    }
+
+    if (rule.validate && !rule.validate(payload)) {
+      const details = rule.validate.errors.map(error => `${error.instancePath || 'payload'} ${error.message}`).join(', ');
+      return `Invalid payload for ${topic}: ${details}`;
+    }
+    return null;
+  };
+
+  /**
+   * Check a message before it is published
+   * @returns {string|null} Why the message was rejected, or null if it may be published
+   */
+  const check = (topic, payload) => {
+    if (mode === 'off') return null;
+    const violation = findViolation(topic, payload);
+    if (violation && mode === 'log') {
+      console.warn(`Publish policy (log only) would reject: ${violation}`);
+      return null;
+    }
+    return violation;
+  };
+
+  return {
+    check
+  };
+}
+
+module.exports = {
+  COMMAND_SCHEMAS,
+  DEFAULT_ALLOW_LIST,
+  matchesPattern,
+  createPublishPolicy
+};
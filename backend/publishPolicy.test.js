@@ -0,0 +1,133 @@
+// publishPolicy.test.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPublishPolicy, matchesPattern } = require('./publishPolicy');
+
+const devices = [
+  { name: 'pump1', type: 'pump' },
+  { name: 'pump2', type: 'syringe_pump' },
+  { name: 'thermo1', type: 'thermostat' },
+  { name: 'led1', type: 'led' },
+  { name: 'spectro1', type: 'spectrometer' }
+];
+
+const createPolicy = (options = {}) => createPublishPolicy({ getDevices: () => devices, ...options });
+
+test('matchesPattern matches literal levels and MQTT wildcards', () => {
+  assert.strictEqual(matchesPattern('common/device_scan', 'common/device_scan', devices), true);
+  assert.strictEqual(matchesPattern('common/device_scan', 'common/device_scan/extra', devices), false);
+  assert.strictEqual(matchesPattern('common/+', 'common/device_scan', devices), true);
+  assert.strictEqual(matchesPattern('common/+', 'common', devices), false);
+  assert.strictEqual(matchesPattern('+/+/config', 'spectro1/request/config', devices), true);
+  assert.strictEqual(matchesPattern('common/#', 'common/a/b/c', devices), true);
+  assert.strictEqual(matchesPattern('other/#', 'common/a', devices), false);
+});
+
+test('matchesPattern placeholders only match registered devices of their category', () => {
+  assert.strictEqual(matchesPattern('{pump}/new_program', 'pump1/new_program', devices), true);
+  assert.strictEqual(matchesPattern('{pump}/new_program', 'pump2/new_program', devices), true);
+  assert.strictEqual(matchesPattern('{pump}/new_program', 'thermo1/new_program', devices), false);
+  assert.strictEqual(matchesPattern('{pump}/new_program', 'pump9/new_program', devices), false);
+  assert.strictEqual(matchesPattern('{device}/#', 'led1/set_power', devices), true);
+  assert.strictEqual(matchesPattern('{device}/#', 'unknown/set_power', devices), false);
+  assert.strictEqual(matchesPattern('{spectrometer}/request/full_frame', 'spectro1/request/full_frame', devices), true);
+});
+
+test('allows the device scan', () => {
+  const policy = createPolicy();
+  assert.strictEqual(policy.check('common/device_scan', {}), null);
+  assert.match(policy.check('common/device_scan', 'scan'), /Invalid payload/);
+});
+
+test('allows new_program and continue_program chunks', () => {
+  const policy = createPolicy();
+  // Move and stop programs from PumpActions, and the chunks of an acknowledged upload (5 entries each)
+  assert.strictEqual(policy.check('pump1/new_program', [[1250, 0], [0, 2000000]]), null);
+  assert.strictEqual(policy.check('pump1/new_program', [[0, 0]]), null);
+  assert.strictEqual(policy.check('pump1/new_program', [[-1250, 0], [0, 2000000]]), null);
+  const chunk = [[500, 0], [0, 100000], [800, 0], [0, 250000], [0, 0]];
+  assert.strictEqual(policy.check('pump1/new_program', chunk), null);
+  assert.strictEqual(policy.check('pump2/continue_program', chunk), null);
+});
+
+test('rejects malformed programs', () => {
+  const policy = createPolicy();
+  assert.match(policy.check('pump1/new_program', []), /Invalid payload/);
+  assert.match(policy.check('pump1/new_program', [[1.5, 0]]), /Invalid payload/);
+  assert.match(policy.check('pump1/new_program', [[100, -1]]), /Invalid payload/);
+  assert.match(policy.check('pump1/new_program', [[100]]), /Invalid payload/);
+  assert.match(policy.check('pump1/continue_program', { entries: [[100, 0]] }), /Invalid payload/);
+  assert.match(policy.check('pump1/new_program', Array.from({ length: 1001 }, () => [0, 0])), /Invalid payload/);
+});
+
+test('allows run_master, run_slave and homing', () => {
+  const policy = createPolicy();
+  assert.strictEqual(policy.check('pump1/run_master', 'run'), null);
+  assert.strictEqual(policy.check('pump2/run_slave', 'run'), null);
+  assert.strictEqual(policy.check('pump1/homing', { command: 'home' }), null);
+  assert.match(policy.check('pump1/run_master', 'stop'), /Invalid payload/);
+  assert.match(policy.check('pump1/homing', {}), /Invalid payload/);
+});
+
+test('allows the thermostat and LED placeholder commands', () => {
+  const policy = createPolicy();
+  assert.strictEqual(policy.check('thermo1/set_temperature', { temperature: 37.5 }), null);
+  assert.strictEqual(policy.check('thermo1/set_temperature', { temperature: null }), null);
+  assert.strictEqual(policy.check('led1/set_power', { power: 0.4 }), null);
+  assert.match(policy.check('led1/set_power', { power: 2 }), /Invalid payload/);
+  assert.match(policy.check('thermo1/set_temperature', { temperature: '40' }), /Invalid payload/);
+});
+
+test('allows the spectrometer requests the camera panel sends', () => {
+  const policy = createPolicy();
+  assert.strictEqual(policy.check('spectro1/request/full_frame', { timestamp: Date.now() }), null);
+  assert.strictEqual(policy.check('spectro1/request/config', { timestamp: Date.now() }), null);
+  assert.strictEqual(policy.check('spectro1/request/set_config', { exposure: 100, gain: 2 }), null);
+  assert.strictEqual(policy.check('spectro1/request/crop_frame', {
+    interval: 500,
+    crop_range: [10, 20, 300, 40],
+    to_graph: true,
+    stream_image: false
+  }), null);
+  // Stopping the crop stream
+  assert.strictEqual(policy.check('spectro1/request/crop_frame', { interval: 0, crop_range: [0, 0, 0, 0] }), null);
+  assert.strictEqual(policy.check('spectro1/request/set_line', { start_x: 0, end_x: 639, y: 240 }), null);
+  assert.match(policy.check('spectro1/request/crop_frame', { crop_range: [1, 2] }), /Invalid payload/);
+  assert.match(policy.check('spectro1/request/set_line', { start_x: 0, end_x: 10 }), /Invalid payload/);
+});
+
+test('rejects unknown topics, unknown devices and wildcards', () => {
+  const policy = createPolicy();
+  assert.match(policy.check('pump1/format_disk', {}), /not allowed for pump1/);
+  assert.match(policy.check('pump9/new_program', [[0, 0]]), /unknown device pump9/);
+  assert.match(policy.check('thermo1/new_program', [[0, 0]]), /not allowed for thermo1/);
+  assert.match(policy.check('pump1/#', 'run'), /Invalid topic/);
+  assert.match(policy.check('', {}), /Invalid topic/);
+});
+
+test('enforces by default, log mode lets everything through', () => {
+  assert.notStrictEqual(createPolicy().check('pump9/run_master', 'run'), null);
+
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+  try {
+    assert.strictEqual(createPolicy({ mode: 'log' }).check('pump9/run_master', 'run'), null);
+  } finally {
+    console.warn = warn;
+  }
+  assert.strictEqual(warnings.length, 1);
+  assert.match(warnings[0], /would reject/);
+
+  assert.strictEqual(createPolicy({ mode: 'off' }).check('pump9/run_master', 'run'), null);
+  assert.throws(() => createPolicy({ mode: 'strict' }), /Unknown publish policy mode/);
+});
+
+test('uses the configured allow-list instead of the built-in one', () => {
+  const policy = createPolicy({ allow: [{ topic: '{pump}/run_master', schema: 'run' }, { topic: 'lab/+/note' }] });
+  assert.strictEqual(policy.check('pump1/run_master', 'run'), null);
+  assert.strictEqual(policy.check('lab/bench2/note', { text: 'anything' }), null);
+  assert.notStrictEqual(policy.check('common/device_scan', {}), null);
+  assert.throws(() => createPolicy({ allow: [{ topic: 'a/b', schema: 'nope' }] }), /Unknown payload schema/);
+});
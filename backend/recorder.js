@@ -0,0 +1,182 @@
+// recorder.js
+// Records every MQTT message passing through the bridge into JSONL session files.
+// The first line of a session is a header, every following line is one message:
+// { elapsed, time, direction: 'in' | 'out', topic, payload }
+// A session that reaches maxSessionSize is closed and recording goes on in a new one.
+// Whenever a session starts, the oldest sessions are deleted until all of them together
+// fit into maxTotalSize - camera frames fill a disk within a day otherwise.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SESSIONS_DIR = path.join(__dirname, 'data', 'sessions');
+const DEFAULT_MAX_SESSION_SIZE = 50 * 1024 * 1024;
+const DEFAULT_MAX_TOTAL_SIZE = 1024 * 1024 * 1024;
+const SESSION_ID_PATTERN = /^session_[0-9TZ-]+(_\d+)?$/;
+
+/**
+ * Create the MQTT traffic recorder
+ * @param {Object} [options]
+ * @param {string} [options.directory] - Where the session files are kept
+ * @param {Function} [options.getBrokerUrl] - Broker URL for the session header
+ * @param {number} [options.maxSessionSize] - Bytes after which a new session is started
+ * @param {number} [options.maxTotalSize] - Bytes all sessions may take, the oldest are deleted beyond it
+ */
+function createRecorder({ directory, getBrokerUrl, maxSessionSize, maxTotalSize } = {}) {
+  const sessionsDir = directory || DEFAULT_SESSIONS_DIR;
+  const maxSize = maxSessionSize || DEFAULT_MAX_SESSION_SIZE;
+  const maxTotal = maxTotalSize || DEFAULT_MAX_TOTAL_SIZE;
+  let stream = null;
+  let activeSession = null;
+
+  const getSessionPath = (sessionId) => path.join(sessionsDir, `${sessionId}.jsonl`);
+
+  const isValidSessionId = (sessionId) => typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+
+  // Session ids are the UTC start time, with a counter if two start within the same second
+  const createSessionId = () => {
+    const base = `session_${new Date().toISOString().replace(/[:.]/g, '-').replace(/-\d{3}Z$/, 'Z')}`;
+    let sessionId = base;
+    let counter = 1;
+    while (fs.existsSync(getSessionPath(sessionId))) {
+      sessionId = `${base}_${counter++}`;
+    }
+    return sessionId;
+  };
+
+  const stop = () => {
+    if (!stream) return null;
+    const stoppedSession = activeSession;
+    stream.end();
+    console.log(`Recording session ${stoppedSession.id} closed (${stoppedSession.messageCount} messages)`);
+    stream = null;
+    activeSession = null;
+    return stoppedSession.id;
+  };
+
+  // Delete the oldest finished sessions until the rest fit into maxTotalSize
+  const pruneSessions = () => {
+    const sessions = listSessions().sort((a, b) => a.modifiedAt.localeCompare(b.modifiedAt));
+    let total = sessions.reduce((sum, session) => sum + session.size, 0);
+    for (const session of sessions) {
+      if (total <= maxTotal) break;
+      if (session.active) continue;
+      try {
+        fs.unlinkSync(getSessionPath(session.id));
+        total -= session.size;
+        console.log(`Deleted recording session ${session.id} to stay within ${maxTotal} bytes`);
+      } catch (error) {
+        console.error(`Error deleting recording session ${session.id}:`, error);
+      }
+    }
+  };
+
+  const start = () => {
+    stop();
+    fs.mkdirSync(sessionsDir, { recursive: true });
+
+    const sessionId = createSessionId();
+    const startedAt = Date.now();
+    // The header is written right away so the file exists before the next session id is picked
+    const header = JSON.stringify({
+      session: sessionId,
+      startedAt: new Date(startedAt).toISOString(),
+      broker: getBrokerUrl ? getBrokerUrl() : null
+    }) + '\n';
+    fs.writeFileSync(getSessionPath(sessionId), header);
+
+    activeSession = {
+      id: sessionId,
+      startedAt,
+      startHrtime: process.hrtime.bigint(),
+      messageCount: 0,
+      size: Buffer.byteLength(header)
+    };
+
+    stream = fs.createWriteStream(getSessionPath(sessionId), { flags: 'a' });
+    stream.on('error', (error) => console.error(`Error writing recording session ${sessionId}:`, error));
+
+    console.log(`Recording MQTT traffic to ${getSessionPath(sessionId)}`);
+    pruneSessions();
+    return sessionId;
+  };
+
+  const record = (direction, topic, payload) => {
+    if (!stream) return;
+
+    // Elapsed time comes from the monotonic clock so message spacing is exact
+    const elapsed = Number(process.hrtime.bigint() - activeSession.startHrtime) / 1e6;
+    const line = JSON.stringify({
+      elapsed,
+      time: activeSession.startedAt + elapsed,
+      direction,
+      topic,
+      payload: Buffer.isBuffer(payload) ? payload.toString() : payload
+    }) + '\n';
+    stream.write(line);
+    activeSession.messageCount++;
+    activeSession.size += Buffer.byteLength(line);
+
+    if (activeSession.size >= maxSize) {
+      console.log(`Recording session ${activeSession.id} reached ${maxSize} bytes, starting a new one`);
+      start();
+    }
+  };
+
+  const listSessions = () => {
+    if (!fs.existsSync(sessionsDir)) return [];
+
+    return fs.readdirSync(sessionsDir)
+      .filter(file => file.endsWith('.jsonl'))
+      .map(file => {
+        const sessionId = path.basename(file, '.jsonl');
+        const stats = fs.statSync(path.join(sessionsDir, file));
+        return {
+          id: sessionId,
+          size: stats.size,
+          modifiedAt: stats.mtime.toISOString(),
+          active: Boolean(activeSession && activeSession.id === sessionId)
+        };
+      })
+      .sort((a, b) => b.id.localeCompare(a.id));
+  };
+
+  // Returns the file path of a stored session, or null if it does not exist
+  const getSessionFile = (sessionId) => {
+    if (!isValidSessionId(sessionId)) return null;
+    const sessionPath = getSessionPath(sessionId);
+    return fs.existsSync(sessionPath) ? sessionPath : null;
+  };
+
+  const deleteSession = (sessionId) => {
+    if (activeSession && activeSession.id === sessionId) {
+      throw new Error('Cannot delete the session that is currently being recorded');
+    }
+    const sessionPath = getSessionFile(sessionId);
+    if (!sessionPath) return false;
+    fs.unlinkSync(sessionPath);
+    console.log(`Deleted recording session ${sessionId}`);
+    return true;
+  };
+
+  const getStatus = () => ({
+    recording: Boolean(stream),
+    session: activeSession ? activeSession.id : null,
+    messageCount: activeSession ? activeSession.messageCount : 0,
+    maxSessionSize: maxSize,
+    maxTotalSize: maxTotal
+  });
+
+  return {
+    start,
+    stop,
+    record,
+    listSessions,
+    getSessionFile,
+    deleteSession,
+    getStatus
+  };
+}
+
+module.exports = {
+  createRecorder
+};
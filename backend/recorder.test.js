@@ -0,0 +1,69 @@
+// recorder.test.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRecorder } = require('./recorder');
+
+const quietly = (run) => {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return run();
+  } finally {
+    console.log = log;
+  }
+};
+
+const createDirectory = (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fluidicgui-sessions-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return directory;
+};
+
+// Streams write asynchronously, wait until every session file is flushed
+const stopAndFlush = (recorder) => new Promise(resolve => {
+  quietly(() => recorder.stop());
+  setTimeout(resolve, 50);
+});
+
+test('starts a new session when the current one reaches maxSessionSize', async (t) => {
+  const directory = createDirectory(t);
+  const recorder = createRecorder({ directory, maxSessionSize: 2000, maxTotalSize: 1024 * 1024 });
+
+  const first = quietly(() => recorder.start());
+  quietly(() => {
+    for (let i = 0; i < 30; i++) recorder.record('in', 'spectro1/response/data', JSON.stringify({ values: Array(10).fill(i) }));
+  });
+  assert.notStrictEqual(recorder.getStatus().session, first);
+  await stopAndFlush(recorder);
+
+  const sessions = recorder.listSessions();
+  assert.ok(sessions.length > 1);
+  sessions.forEach(session => {
+    // One message past the limit at most
+    assert.ok(session.size < 2200, `${session.id} has ${session.size} bytes`);
+    const lines = fs.readFileSync(path.join(directory, `${session.id}.jsonl`), 'utf8').trim().split('\n');
+    assert.strictEqual(JSON.parse(lines[0]).session, session.id);
+  });
+});
+
+test('deletes the oldest sessions beyond maxTotalSize', async (t) => {
+  const directory = createDirectory(t);
+  const old = ['session_2020-01-01T00-00-00Z', 'session_2020-01-02T00-00-00Z', 'session_2020-01-03T00-00-00Z'];
+  old.forEach((id, index) => {
+    const file = path.join(directory, `${id}.jsonl`);
+    fs.writeFileSync(file, 'x'.repeat(400));
+    const time = new Date(Date.UTC(2020, 0, index + 1));
+    fs.utimesSync(file, time, time);
+  });
+
+  const recorder = createRecorder({ directory, maxTotalSize: 1000 });
+  const current = quietly(() => recorder.start());
+  await stopAndFlush(recorder);
+
+  const remaining = recorder.listSessions().map(session => session.id).sort();
+  assert.deepStrictEqual(remaining, [old[1], old[2], current].sort());
+});
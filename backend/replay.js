@@ -0,0 +1,202 @@
+// replay.js
+// Plays a recorded session back through the bridge with its original timing.
+// Only inbound messages matching the replay topics are delivered; speed and
+// position can be changed while playing.
+const fs = require('fs');
+const { topicMatches } = require('./subscriptions');
+
+const DEFAULT_REPLAY_TOPICS = ['+/response/#', 'common/device_response'];
+
+// Read a session file into the list of messages to replay
+function loadSessionRecords(sessionPath, topics) {
+  const lines = fs.readFileSync(sessionPath, 'utf8').split('\n');
+  const records = [];
+
+  lines.forEach((line, lineNumber) => {
+    if (!line.trim()) return;
+    try {
+      const record = JSON.parse(line);
+      // Skip the session header and anything the bridge sent itself
+      if (record.direction !== 'in' || typeof record.topic !== 'string') return;
+      if (!topics.some(filter => topicMatches(filter, record.topic))) return;
+      records.push(record);
+    } catch (error) {
+      console.error(`Skipping malformed line ${lineNumber + 1} in ${sessionPath}`);
+    }
+  });
+
+  return records.sort((a, b) => a.elapsed - b.elapsed);
+}
+
+/**
+ * Create a session replayer
+ * @param {Object} options
+ * @param {Function} options.deliver - Called with (topic, payload) for every replayed message
+ * @param {Function} [options.onStatusChange] - Called with the status after play/pause/seek/speed/end
+ * @param {string[]} [options.topics] - Topic filters to replay
+ */
+function createReplayer({ deliver, onStatusChange, topics = DEFAULT_REPLAY_TOPICS }) {
+  let records = [];
+  let sessionId = null;
+  let index = 0;
+  let speed = 1;
+  let loop = false;
+  let playing = false;
+  let timer = null;
+  // Session position (ms) at the wall-clock moment anchorWall
+  let anchorPosition = 0;
+  let anchorWall = 0;
+
+  const getDuration = () => (records.length ? records[records.length - 1].elapsed : 0);
+
+  const getPosition = () => {
+    if (!playing) return anchorPosition;
+    return Math.min(anchorPosition + (Date.now() - anchorWall) * speed, getDuration());
+  };
+
+  const getStatus = () => ({
+    session: sessionId,
+    playing,
+    speed,
+    loop,
+    position: getPosition(),
+    duration: getDuration(),
+    messageIndex: index,
+    messageCount: records.length
+  });
+
+  const notify = () => {
+    if (onStatusChange) onStatusChange(getStatus());
+  };
+
+  const reanchor = (position) => {
+    anchorPosition = position;
+    anchorWall = Date.now();
+  };
+
+  // First record at or after the position
+  const findIndex = (position) => {
+    let low = 0;
+    let high = records.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (records[mid].elapsed < position) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  };
+
+  const scheduleNext = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!playing) return;
+
+    if (index >= records.length) {
+      if (loop && records.length > 0) {
+        index = 0;
+        reanchor(0);
+      } else {
+        reanchor(getDuration());
+        playing = false;
+        console.log(`Replay of ${sessionId} finished`);
+        notify();
+        return;
+      }
+    }
+
+    const delay = Math.max(0, (records[index].elapsed - getPosition()) / speed);
+    timer = setTimeout(() => {
+      const position = getPosition();
+      while (index < records.length && records[index].elapsed <= position) {
+        const record = records[index++];
+        deliver(record.topic, record.payload);
+      }
+      scheduleNext();
+    }, delay);
+  };
+
+  const load = (sessionPath, id) => {
+    pause();
+    records = loadSessionRecords(sessionPath, topics);
+    sessionId = id;
+    index = 0;
+    reanchor(0);
+    console.log(`Loaded ${records.length} messages from ${sessionId} for replay`);
+    notify();
+    return getStatus();
+  };
+
+  const play = () => {
+    if (!sessionId) {
+      throw new Error('No session loaded');
+    }
+    if (playing) return getStatus();
+    // Restart from the beginning when the previous run reached the end
+    if (index >= records.length) {
+      index = 0;
+      reanchor(0);
+    } else {
+      reanchor(anchorPosition);
+    }
+    playing = true;
+    scheduleNext();
+    notify();
+    return getStatus();
+  };
+
+  const pause = () => {
+    if (!playing) return getStatus();
+    reanchor(getPosition());
+    playing = false;
+    clearTimeout(timer);
+    timer = null;
+    notify();
+    return getStatus();
+  };
+
+  const seek = (position) => {
+    const target = Math.max(0, Math.min(Number(position) || 0, getDuration()));
+    reanchor(target);
+    index = findIndex(target);
+    scheduleNext();
+    notify();
+    return getStatus();
+  };
+
+  const setSpeed = (newSpeed) => {
+    const value = Number(newSpeed);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error('Replay speed must be a positive number');
+    }
+    reanchor(getPosition());
+    speed = value;
+    scheduleNext();
+    notify();
+    return getStatus();
+  };
+
+  const setLoop = (enabled) => {
+    loop = Boolean(enabled);
+    notify();
+    return getStatus();
+  };
+
+  return {
+    load,
+    play,
+    pause,
+    seek,
+    setSpeed,
+    setLoop,
+    getStatus
+  };
+}
+
+module.exports = {
+  DEFAULT_REPLAY_TOPICS,
+  loadSessionRecords,
+  createReplayer
+};
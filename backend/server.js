@@ -4,22 +4,327 @@ const WebSocket = require('ws');
 const http = require('http');
 const mqtt = require('mqtt');
 const cors = require('cors');
+const fs = require('fs');
+const path = require('path');
+const { getConfig, updateConfig } = require('./config');
+const { TRANSPORTS, getBrokerUrl, checkTlsFiles, getConnectOptions } = require('./brokerConnection');
+const { createSubscriptionManager } = require('./subscriptions');
+const { createRecorder } = require('./recorder');
+const { createReplayer } = require('./replay');
+const { DEFAULT_DEVICES_FILE, loadDeviceSpecs, createVirtualFleet } = require('./virtualDevices');
+const { ACK_TOPIC_FILTER, createProgramUploader } = require('./programUpload');
+const { createDeviceRegistry } = require('./deviceRegistry');
+const { createEmergencyStop } = require('./emergencyStop');
+const { createExperimentRunner } = require('./experimentRunner');
+const { createPublishPolicy } = require('./publishPolicy');
+const { hasRole, getRequestToken, createAuth } = require('./auth');
+const { createAuditLog } = require('./auditLog');
+const { createMetrics } = require('./metrics');
+const { FRAME_VERSION, encodeFrame } = require('./binaryFrames');
+const { normalizeStreamOptions, createStreamThrottle } = require('./streamThrottle');
+const { createProjectStore } = require('./projectStore');
+const { createNodeTypeStore } = require('./nodeTypeStore');
 
 // Configuration
-const MQTT_BROKER = 'mqtt://10.0.0.4:1883';
-const MQTT_TOPICS = ['common/device_response', 'common/#', 'spectrometer_1/response/full_frame', 'spectrometer_1/response/crop_frame', 'spectrometer_1/response/data'];
+// Topics the bridge always holds on the broker, whether or not any client is connected
+const SERVER_TOPICS = ['common/#', '+/status', ACK_TOPIC_FILTER];
+// Topics every new WebSocket client starts with (device scan replies and other common traffic)
+const DEFAULT_CLIENT_TOPICS = ['common/#'];
 const WS_PORT = 4000;
+const OPERATOR_REQUIRED = 'Operator role required';
+const BROKER_CONNECT_TIMEOUT = 10000;
+
+// Command line:
+// `node server.js --replay [sessionId or file] [--speed 2] [--loop]`
+//   runs the bridge without a broker and streams a recorded session to the clients
+// `node server.js --simulate [devices.json]`
+//   runs the bridge without a broker against a fleet of virtual devices
+function getArgValue(name) {
+  const index = process.argv.indexOf(name);
+  if (index === -1) return null;
+  const value = process.argv[index + 1];
+  return value && !value.startsWith('--') ? value : '';
+}
+
+const REPLAY_MODE = getArgValue('--replay') !== null;
+const SIMULATION_MODE = !REPLAY_MODE && getArgValue('--simulate') !== null;
+const BRIDGE_MODE = REPLAY_MODE ? 'replay' : SIMULATION_MODE ? 'simulation' : 'live';
 
 // Express setup
 const app = express();
 app.use(cors());
+// Flowcharts and run results saved to the project store can be large
+app.use(express.json({ limit: '20mb' }));
 const server = http.createServer(app);
 const wss = new WebSocket.Server({ server });
 
 let mqttClient = null;
+let brokerConfig = getConfig('broker');
+let lastMQTTError = null;
+let virtualFleet = null;
+
+const subscriptions = createSubscriptionManager({
+  onBrokerSubscribe: (topic) => {
+    if (mqttClient && mqttClient.connected) {
+      subscribeToTopic(topic);
+    }
+  },
+  onBrokerUnsubscribe: (topic) => {
+    if (mqttClient && mqttClient.connected) {
+      mqttClient.unsubscribe(topic, (err) => {
+        if (err) {
+          console.error(`Failed to unsubscribe from ${topic}:`, err);
+        } else {
+          console.log(`Unsubscribed from ${topic} - no clients left`);
+        }
+      });
+    }
+  }
+});
+SERVER_TOPICS.forEach(topic => subscriptions.pin(topic));
+
+const recorderConfig = getConfig('recorder');
+const recorder = createRecorder({
+  directory: recorderConfig.directory,
+  getBrokerUrl: () => getBrokerUrl(brokerConfig),
+  maxSessionSize: recorderConfig.maxSessionSize,
+  maxTotalSize: recorderConfig.maxTotalSize
+});
+
+const metrics = createMetrics({
+  getGauges: () => {
+    const buffered = Array.from(wss.clients).map(client => client.bufferedAmount);
+    return {
+      mode: BRIDGE_MODE,
+      clients: wss.clients.size,
+      bufferedBytes: buffered.reduce((sum, bytes) => sum + bytes, 0),
+      maxBufferedBytes: buffered.length > 0 ? Math.max(...buffered) : 0,
+      mqttConnected: canPublish()
+    };
+  }
+});
+
+// Thinned subscriptions send through here once the throttle lets a message out
+const streamThrottle = createStreamThrottle({
+  send: (client, message, topic) => sendToWebSocketClients([client], message, topic),
+  onThrottled: (topic) => metrics.recordThrottled(topic)
+});
+
+const replayer = createReplayer({
+  deliver: (topic, payload) => {
+    metrics.recordReceived(topic, payload);
+    forwardToWebSocketClients(topic, payload);
+  },
+  onStatusChange: (status) => broadcastToWebSocketClients(JSON.stringify({
+    topic: 'server/replay_status',
+    payload: status
+  }))
+});
+
+const auditLogConfig = getConfig('auditLog');
+const auditLog = auditLogConfig.enabled
+  ? createAuditLog({
+    file: auditLogConfig.file,
+    replyTimeout: auditLogConfig.replyTimeout,
+    maxFileSize: auditLogConfig.maxFileSize,
+    searchArchives: auditLogConfig.searchArchives
+  })
+  : null;
+
+const programUploader = createProgramUploader({
+  publish: (topic, payload, origin) => publishToMQTT(topic, payload, origin),
+  acknowledged: getConfig('programUpload').acknowledged
+});
+let uploadCounter = 0;
+
+const registryConfig = getConfig('registry');
+const deviceRegistry = createDeviceRegistry({
+  file: registryConfig.file,
+  probeInterval: registryConfig.probeInterval,
+  offlineAfter: registryConfig.offlineAfter,
+  // Periodic scans stay out of the audit log unless asked for
+  probe: () => probeDevices(auditLogConfig.includeProbes ? { source: 'device registry' } : null),
+  // Every client hears about devices appearing, changing or going offline
+  onChange: (event, device) => broadcastToWebSocketClients(JSON.stringify({
+    topic: 'server/device_status',
+    payload: { event, device }
+  }))
+});
+
+const emergencyStopConfig = getConfig('emergencyStop');
+const emergencyStop = createEmergencyStop({
+  publish: (topic, payload, origin) => publishToMQTT(topic, payload, origin),
+  getDevices: () => deviceRegistry.getDevices(),
+  safeTemperature: emergencyStopConfig.safeTemperature,
+  ackTimeout: emergencyStopConfig.ackTimeout,
+  // The virtual devices confirm every stop
+  requireConfirmation: emergencyStopConfig.requireConfirmation || SIMULATION_MODE,
+  onStatus: (status) => broadcastToWebSocketClients(JSON.stringify({
+    topic: 'server/emergency_stop_status',
+    payload: status
+  }))
+});
+
+const experimentRunner = createExperimentRunner({
+  uploadPrograms: (request, onProgress, origin) => programUploader.uploadPrograms(request, onProgress, origin),
+  cancelUploads: (reason, devices) => programUploader.cancel(reason, devices),
+  // Same stop the pump panel uses: a new zero-speed program
+  stopDevices: (devices, origin) => devices.forEach(device => publishToMQTT(`${device}/new_program`, JSON.stringify([[0, 0]]), origin)),
+  // Every client sees every job, so a reloaded tab can pick its experiment up again
+  onUpdate: (job) => broadcastToWebSocketClients(JSON.stringify({
+    topic: 'server/experiment_status',
+    payload: job
+  }))
+});
+
+const publishPolicyConfig = getConfig('publishPolicy');
+const publishPolicy = createPublishPolicy({
+  getDevices: () => deviceRegistry.getDevices(),
+  allow: publishPolicyConfig.allow,
+  // Config files from before the modes only have enabled
+  mode: publishPolicyConfig.enabled === false ? 'off' : publishPolicyConfig.mode
+});
+
+const projectStore = createProjectStore(getConfig('projects'));
+const nodeTypeStore = createNodeTypeStore(getConfig('nodeTypes'));
+
+const auth = createAuth(getConfig('auth'));
+// Session ({ username, role }) of every WebSocket connection
+const clientSessions = new Map();
+
+// Connections that asked for camera frames and spectra as binary messages
+const binaryClients = new Set();
+
+function isOperator(ws) {
+  return hasRole(clientSessions.get(ws), 'operator');
+}
+
+// Broker settings as shown to clients - the password and key passphrase are never sent back
+function describeBroker() {
+  const { password, keyPassphrase, ...publicSettings } = brokerConfig;
+  return {
+    ...publicSettings,
+    hasPassword: Boolean(password),
+    hasKeyPassphrase: Boolean(keyPassphrase),
+    url: getBrokerUrl(brokerConfig)
+  };
+}
+
+function getSystemStatus() {
+  return {
+    mode: BRIDGE_MODE,
+    mqttConnected: mqttClient ? mqttClient.connected : false,
+    subscribedTopics: subscriptions.getBrokerTopics(),
+    broker: describeBroker(),
+    lastError: lastMQTTError
+  };
+}
+
+// Check broker settings coming from the Settings modal, returns an error string or null
+function validateBrokerSettings(settings) {
+  if (!settings || typeof settings !== 'object') {
+    return 'Broker settings must be an object';
+  }
+  if (typeof settings.host !== 'string' || settings.host.trim() === '') {
+    return 'Broker host is required';
+  }
+  const port = Number(settings.port);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    return 'Broker port must be a number between 1 and 65535';
+  }
+  for (const field of ['clientId', 'username', 'password', 'path', 'caFile', 'certFile', 'keyFile', 'keyPassphrase']) {
+    if (settings[field] !== undefined && typeof settings[field] !== 'string') {
+      return `Broker ${field} must be a string`;
+    }
+  }
+  if (settings.transport !== undefined && !TRANSPORTS.includes(settings.transport)) {
+    return `Broker transport must be one of ${TRANSPORTS.join(', ')}`;
+  }
+  return null;
+}
+
+// Wait for the freshly created MQTT client to either connect or fail
+function waitForBrokerConnection(client, timeoutMs) {
+  return new Promise(resolve => {
+    const timer = setTimeout(() => finish({ connected: false, error: `No answer from broker within ${timeoutMs} ms` }), timeoutMs);
+
+    function finish(result) {
+      clearTimeout(timer);
+      client.removeListener('connect', onConnect);
+      client.removeListener('error', onError);
+      resolve(result);
+    }
+
+    function onConnect() {
+      finish({ connected: true, error: null });
+    }
+
+    function onError(error) {
+      finish({ connected: false, error: error.message });
+    }
+
+    client.once('connect', onConnect);
+    client.once('error', onError);
+  });
+}
+
+// Persist new broker settings and reconnect the bridge to them
+async function applyBrokerSettings(settings) {
+  if (BRIDGE_MODE !== 'live') {
+    return { success: false, connected: false, error: `Backend is running in ${BRIDGE_MODE} mode`, broker: describeBroker() };
+  }
+
+  const validationError = validateBrokerSettings(settings);
+  if (validationError) {
+    return { success: false, connected: false, error: validationError, broker: describeBroker() };
+  }
+
+  const nextConfig = {
+    host: settings.host.trim(),
+    port: Number(settings.port),
+    clientId: settings.clientId !== undefined ? settings.clientId.trim() : brokerConfig.clientId,
+    username: settings.username !== undefined ? settings.username : brokerConfig.username,
+    // An omitted password keeps the stored one, so the form does not have to hold it
+    password: settings.password !== undefined ? settings.password : brokerConfig.password,
+    tls: Boolean(settings.tls),
+    rejectUnauthorized: settings.rejectUnauthorized !== false,
+    transport: settings.transport || 'tcp',
+    path: settings.path !== undefined ? settings.path.trim() : brokerConfig.path,
+    caFile: settings.caFile !== undefined ? settings.caFile.trim() : brokerConfig.caFile,
+    certFile: settings.certFile !== undefined ? settings.certFile.trim() : brokerConfig.certFile,
+    keyFile: settings.keyFile !== undefined ? settings.keyFile.trim() : brokerConfig.keyFile,
+    // Same as the password: omitted keeps the stored passphrase
+    keyPassphrase: settings.keyPassphrase !== undefined ? settings.keyPassphrase : brokerConfig.keyPassphrase
+  };
+
+  // Certificate paths are checked before anything is saved
+  const fileError = checkTlsFiles(nextConfig);
+  if (fileError) {
+    return { success: false, connected: false, error: fileError, broker: describeBroker() };
+  }
+
+  try {
+    brokerConfig = updateConfig('broker', nextConfig);
+  } catch (error) {
+    return { success: false, connected: false, error: `Could not save config: ${error.message}`, broker: describeBroker() };
+  }
+
+  setupMQTTClient();
+  const result = mqttClient
+    ? await waitForBrokerConnection(mqttClient, BROKER_CONNECT_TIMEOUT)
+    : { connected: false, error: lastMQTTError };
+
+  broadcastToWebSocketClients(JSON.stringify({
+    topic: 'system/status',
+    payload: getSystemStatus()
+  }));
+
+  return { success: true, ...result, broker: describeBroker() };
+}
 
 function setupMQTTClient() {
   if (mqttClient) {
+    metrics.recordReconnect();
     try {
       mqttClient.end(true);
     } catch (e) {
@@ -27,39 +332,123 @@ function setupMQTTClient() {
     }
   }
 
-  console.log('Connecting to MQTT broker:', MQTT_BROKER);
-  mqttClient = mqtt.connect(MQTT_BROKER, {
-    reconnectPeriod: 5000,
-    connectTimeout: 30000,
-    clean: true,
-    clientId: `fluidicgui_${Math.random().toString(16).slice(2, 8)}`,
-  });
+  const brokerUrl = getBrokerUrl(brokerConfig);
+  console.log('Connecting to MQTT broker:', brokerUrl);
+  try {
+    mqttClient = mqtt.connect(brokerUrl, getConnectOptions(brokerConfig));
+  } catch (error) {
+    // e.g. a certificate file that went missing since it was configured
+    console.error('Could not set up the MQTT connection:', error.message);
+    lastMQTTError = error.message;
+    metrics.recordError(error);
+    mqttClient = null;
+    return;
+  }
 
   mqttClient.on('connect', () => {
     console.log('Connected to MQTT broker');
+    lastMQTTError = null;
+    metrics.recordConnected();
     subscribeToTopics();
+    probeDevices({ source: 'bridge startup' });
   });
 
   mqttClient.on('message', handleMQTTMessage);
-  mqttClient.on('error', error => console.error('MQTT client error:', error));
-  mqttClient.on('close', () => console.log('MQTT client disconnected'));
-  mqttClient.on('reconnect', () => console.log('MQTT client attempting to reconnect...'));
+  mqttClient.on('error', error => {
+    console.error('MQTT client error:', error);
+    lastMQTTError = error.message;
+    metrics.recordError(error);
+  });
+  mqttClient.on('close', () => {
+    console.log('MQTT client disconnected');
+    metrics.recordDisconnected();
+  });
+  mqttClient.on('reconnect', () => {
+    console.log('MQTT client attempting to reconnect...');
+    metrics.recordReconnect();
+  });
+}
+
+function subscribeToTopic(topic) {
+  mqttClient.subscribe(topic, { qos: 1 }, (err) => {
+    if (err) {
+      console.error(`Failed to subscribe to ${topic}:`, err);
+    } else {
+      console.log(`Successfully subscribed to ${topic}`);
+    }
+  });
 }
 
+// (Re)subscribe everything clients currently hold, e.g. after a reconnect with a clean session
 function subscribeToTopics() {
-  MQTT_TOPICS.forEach(topic => {
-    mqttClient.subscribe(topic, { qos: 1 }, (err) => {
-      if (err) {
-        console.error(`Failed to subscribe to ${topic}:`, err);
-      } else {
-        console.log(`Successfully subscribed to ${topic}`);
-      }
-    });
+  subscriptions.getBrokerTopics().forEach(subscribeToTopic);
+}
+
+// Whether outbound messages currently have somewhere to go
+function canPublish() {
+  if (SIMULATION_MODE) return Boolean(virtualFleet);
+  return Boolean(mqttClient && mqttClient.connected);
+}
+
+// Publish to the broker (or the virtual fleet) and keep a copy in the recording.
+// origin ({ user, source, experimentId, flowchartId, action }) goes to the audit log, null keeps it out.
+function publishToMQTT(topic, payload, origin = {}) {
+  if (auditLog && origin) {
+    auditLog.record(topic, payload, origin);
+  }
+
+  if (virtualFleet) {
+    recorder.record('out', topic, payload);
+    metrics.recordPublished();
+    setImmediate(() => virtualFleet.handleMessage(topic, payload));
+    return;
+  }
+
+  // No client when the connection could not even be set up (see setupMQTTClient)
+  if (!mqttClient) {
+    console.error(`Cannot publish to ${topic}: no MQTT connection${lastMQTTError ? ` (${lastMQTTError})` : ''}`);
+    metrics.recordPublished(true);
+    return;
+  }
+
+  mqttClient.publish(topic, payload, { qos: 1 }, (err) => {
+    if (err) {
+      console.error('Error publishing MQTT message:', err);
+    }
+    metrics.recordPublished(Boolean(err));
   });
+  recorder.record('out', topic, payload);
+}
+
+// Halt everything the bridge knows about - runs entirely on the server so a busy
+// browser tab cannot delay it. Resolves with the per-device confirmations.
+function triggerEmergencyStop(source, user = null) {
+  if (REPLAY_MODE) {
+    return Promise.reject(new Error('Backend is running in replay mode'));
+  }
+  if (!canPublish()) {
+    return Promise.reject(new Error('MQTT broker not connected'));
+  }
+  programUploader.cancel('Emergency stop');
+  experimentRunner.abortAll('Emergency stop', user);
+  return emergencyStop.trigger(source, user);
+}
+
+// Ask every device to announce itself - the replies feed the device registry
+function probeDevices(origin) {
+  if (canPublish()) {
+    publishToMQTT('common/device_scan', JSON.stringify({}), origin);
+  }
 }
 
 function handleMQTTMessage(topic, message) {
   console.log(`MQTT message received on ${topic}`);
+  recorder.record('in', topic, message);
+  metrics.recordReceived(topic, message);
+  programUploader.handleMessage(topic, message);
+  if (auditLog) auditLog.handleMessage(topic, message);
+  deviceRegistry.handleMessage(topic, message);
+  emergencyStop.handleMessage(topic, message);
   
   // Add extra logging for spectrometer topics
   if (topic.includes('spectrometer') || topic.includes('response/full_frame')) {
@@ -67,43 +456,278 @@ function handleMQTTMessage(topic, message) {
     console.log(`⭐ Message payload preview:`, message.toString().substring(0, 200));
   }
   
-  // Forward the message to all connected WebSocket clients
-  const messageToSend = JSON.stringify({
-    topic: topic,
-    payload: message.toString()
+  forwardToWebSocketClients(topic, message.toString());
+}
+
+// Forward a broker (or replayed) message to the WebSocket clients subscribed to its topic.
+// Frames and spectra go out binary to the clients that asked for it, when the payload fits;
+// subscriptions with stream options go through the throttle.
+function forwardToWebSocketClients(topic, payload) {
+  let frame;
+  let json;
+  const getMessage = (client) => {
+    if (binaryClients.has(client)) {
+      if (frame === undefined) frame = encodeFrame(topic, payload);
+      if (frame) return frame;
+    }
+    if (json === undefined) {
+      json = JSON.stringify({
+        topic: topic,
+        payload: payload
+      });
+    }
+    return json;
+  };
+
+  const direct = new Map(); // message -> clients that get it right away
+  subscriptions.getSubscriptions(topic).forEach(({ client, options }) => {
+    const message = getMessage(client);
+    if (options) {
+      streamThrottle.offer(client, topic, options, message);
+    } else {
+      if (!direct.has(message)) direct.set(message, []);
+      direct.get(message).push(client);
+    }
   });
-  
-  broadcastToWebSocketClients(messageToSend);
+  direct.forEach((clients, message) => sendToWebSocketClients(clients, message, topic));
 }
 
 function broadcastToWebSocketClients(message) {
+  sendToWebSocketClients(wss.clients, message);
+}
+
+// topic is the MQTT topic for the metrics, null for the bridge's own messages
+function sendToWebSocketClients(clients, message, topic = null) {
   let forwardedCount = 0;
-  wss.clients.forEach(client => {
+  let dropped = 0;
+  let failed = 0;
+  clients.forEach(client => {
     if (client.readyState === WebSocket.OPEN) {
       try {
-        client.send(message);
+        client.send(message, (error) => {
+          if (error) metrics.recordSendFailure();
+        });
         forwardedCount++;
       } catch (e) {
         console.error('Error sending message to WebSocket client:', e);
+        failed++;
       }
+    } else {
+      dropped++;
     }
   });
+  metrics.recordForwarded(topic, Buffer.isBuffer(message) ? message.length : Buffer.byteLength(message), { delivered: forwardedCount, dropped, failed });
   if (forwardedCount > 0) {
     console.log(`Message forwarded to ${forwardedCount} WebSocket clients`);
   }
 }
 
-// WebSocket connection handler
-wss.on('connection', (ws) => {
-  console.log('New WebSocket client connected');
+// Subscription protocol topics - the common/* names are what the spectrometer components send
+const SUBSCRIPTION_ACTIONS = {
+  'server/subscribe': 'subscribe',
+  'common/subscribe': 'subscribe',
+  'server/unsubscribe': 'unsubscribe',
+  'common/unsubscribe': 'unsubscribe',
+  'server/subscription_status': 'status',
+  'common/subscription_status': 'status'
+};
+
+// Payload is a topic filter, an array of filters or { topic } / { topics }
+function getRequestedTopics(payload) {
+  if (typeof payload === 'string') return [payload];
+  if (Array.isArray(payload)) return payload;
+  if (payload && typeof payload === 'object') {
+    if (Array.isArray(payload.topics)) return payload.topics;
+    if (typeof payload.topic === 'string') return [payload.topic];
+  }
+  return [];
+}
+
+function handleSubscriptionRequest(ws, action, payload) {
+  const errors = [];
+  let options = null;
+
+  if (action === 'subscribe') {
+    try {
+      options = normalizeStreamOptions(payload);
+    } catch (error) {
+      console.error('Client subscribe failed:', error.message);
+      errors.push(error.message);
+    }
+  }
+
+  if (action !== 'status' && errors.length === 0) {
+    getRequestedTopics(payload).forEach(topic => {
+      try {
+        if (action === 'subscribe') {
+          subscriptions.subscribe(ws, topic, options);
+          // New options start the stream over
+          streamThrottle.release(ws, topic);
+          console.log(`Client subscribed to: ${topic}${options ? ` (${JSON.stringify(options)})` : ''}`);
+        } else {
+          subscriptions.unsubscribe(ws, topic);
+          streamThrottle.release(ws, topic);
+          console.log(`Client unsubscribed from: ${topic}`);
+        }
+      } catch (error) {
+        console.error(`Client ${action} failed:`, error.message);
+        errors.push(error.message);
+      }
+    });
+  }
+
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({
+      topic: 'server/subscription_status',
+      payload: {
+        action,
+        success: errors.length === 0,
+        errors,
+        topics: subscriptions.getClientTopics(ws),
+        streamOptions: subscriptions.getClientStreamOptions(ws),
+        brokerTopics: subscriptions.getBrokerTopics(),
+        mqttConnected: mqttClient ? mqttClient.connected : false
+      }
+    }));
+  }
+}
+
+// Experiment job requests - the outcome goes back on server/experiment_response,
+// the job itself is broadcast on server/experiment_status
+const EXPERIMENT_ACTIONS = {
+  'server/experiment_submit': 'submit',
+  'server/experiment_pause': 'pause',
+  'server/experiment_resume': 'resume',
+  'server/experiment_abort': 'abort',
+  'server/experiments': 'list'
+};
+
+function runExperimentAction(action, payload, source, user = null) {
+  if (action === 'list') {
+    return { jobs: experimentRunner.getJobs() };
+  }
+  if (REPLAY_MODE) {
+    throw new Error('Backend is running in replay mode');
+  }
+  const id = payload && payload.id;
+  switch (action) {
+    case 'submit':
+      return { job: experimentRunner.submit(payload, source, user) };
+    case 'pause':
+      return { job: experimentRunner.pause(id, user) };
+    case 'resume':
+      return { job: experimentRunner.resume(id, user) };
+    case 'abort':
+      return { job: experimentRunner.abort(id, 'Aborted by user', user) };
+    default:
+      throw new Error(`Unknown experiment action ${action}`);
+  }
+}
+
+function handleExperimentRequest(ws, action, payload) {
+  let reply;
+  try {
+    if (action !== 'list' && !isOperator(ws)) {
+      throw new Error(OPERATOR_REQUIRED);
+    }
+    reply = { action, success: true, error: null, ...runExperimentAction(action, payload, 'WebSocket client', getClientUser(ws)) };
+  } catch (error) {
+    console.error(`Experiment ${action} failed:`, error.message);
+    reply = { action, success: false, error: error.message };
+  }
+
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({
+      topic: action === 'list' ? 'server/experiments' : 'server/experiment_response',
+      payload: reply
+    }));
+  }
+}
+
+function sendDeviceRegistry(ws) {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({
+      topic: 'server/device_registry',
+      payload: { enabled: !REPLAY_MODE, devices: deviceRegistry.getDevices() }
+    }));
+  }
+}
+
+// Upload programs chunk by chunk (with device acknowledgements if configured), then start the run.
+// Progress is sent on server/upload_progress; the final message has done: true.
+function handleProgramUpload(ws, request) {
+  const uploadId = ++uploadCounter;
+  const sendProgress = (payload) => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ topic: 'server/upload_progress', payload: { uploadId, ...payload } }));
+    }
+  };
+
+  if (!isOperator(ws)) {
+    sendProgress({ done: true, success: false, started: false, devices: [], error: OPERATOR_REQUIRED });
+    return;
+  }
+  if (REPLAY_MODE || !canPublish()) {
+    sendProgress({ done: true, success: false, started: false, devices: [], error: REPLAY_MODE ? 'Backend is running in replay mode' : 'MQTT broker not connected' });
+    return;
+  }
+
+  console.log(`Program upload ${uploadId} to ${(request && request.programs || []).map(program => program.device).join(', ')}`);
+  const origin = { user: getClientUser(ws), source: 'WebSocket client', flowchartId: request && request.flowchartId };
+  programUploader.uploadPrograms(request, (progress) => sendProgress({ done: false, ...progress }), origin)
+    .then(result => {
+      console.log(`Program upload ${uploadId} ${result.success ? 'complete' : `failed: ${result.error}`}`);
+      sendProgress({ done: true, ...result });
+    })
+    .catch(error => {
+      console.error(`Program upload ${uploadId} failed:`, error);
+      sendProgress({ done: true, success: false, started: false, devices: [], error: error.message });
+    });
+}
+
+// Who sent a command, for the logs
+function getClientUser(ws) {
+  const session = clientSessions.get(ws);
+  return session ? session.username : null;
+}
+
+function rejectPublish(ws, topic, error) {
+  console.warn(`Rejected WebSocket publish: ${error}`);
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({
+      topic: 'server/publish_error',
+      payload: { topic, error }
+    }));
+  }
+}
+
+// WebSocket connection handler - credentials come as ?token= on the connection URL
+wss.on('connection', (ws, req) => {
+  const session = auth.authenticate(getRequestToken(req));
+  if (!session) {
+    console.warn('Refused WebSocket client without credentials');
+    ws.close(4401, 'Login required');
+    return;
+  }
+  console.log(`New WebSocket client connected (${session.username || 'anonymous'}, ${session.role})`);
+  clientSessions.set(ws, session);
+  subscriptions.addClient(ws, DEFAULT_CLIENT_TOPICS);
+
+  // Send the role first so the client knows which controls to offer
+  ws.send(JSON.stringify({
+    topic: 'server/auth_status',
+    payload: auth.describeSession(session)
+  }));
 
   // Send initial MQTT status
   ws.send(JSON.stringify({
     topic: 'system/status',
-    payload: {
-      mqttConnected: mqttClient ? mqttClient.connected : false,
-      subscribedTopics: MQTT_TOPICS
-    }
+    payload: getSystemStatus()
+  }));
+  sendDeviceRegistry(ws);
+  ws.send(JSON.stringify({
+    topic: 'server/experiments',
+    payload: { jobs: experimentRunner.getJobs() }
   }));
 
   ws.on('message', (message) => {
@@ -111,49 +735,82 @@ wss.on('connection', (ws) => {
       const data = JSON.parse(message);
       console.log('Received WebSocket message:', data.topic);
       
-      // Handle special server/subscribe requests
-      if (data.topic === 'server/subscribe' && typeof data.payload === 'string') {
-        const topicToSubscribe = data.payload;
-        console.log(`Client requesting subscription to: ${topicToSubscribe}`);
-        
-        // Check if we're already subscribed
-        if (!MQTT_TOPICS.includes(topicToSubscribe)) {
-          // Add to our list
-          MQTT_TOPICS.push(topicToSubscribe);
-          console.log(`Added ${topicToSubscribe} to subscription list`);
-          
-          // Actually subscribe via MQTT client
-          if (mqttClient && mqttClient.connected) {
-            mqttClient.subscribe(topicToSubscribe, { qos: 1 }, (err) => {
-              if (err) {
-                console.error(`Failed to subscribe to ${topicToSubscribe}:`, err);
-              } else {
-                console.log(`Successfully subscribed to ${topicToSubscribe}`);
-                
-                // Send updated status to all clients
-                broadcastToWebSocketClients(JSON.stringify({
-                  topic: 'system/status',
-                  payload: {
-                    mqttConnected: mqttClient.connected,
-                    subscribedTopics: MQTT_TOPICS
-                  }
-                }));
-              }
-            });
+      // Handle subscribe / unsubscribe / status requests for this connection
+      if (SUBSCRIPTION_ACTIONS[data.topic]) {
+        handleSubscriptionRequest(ws, SUBSCRIPTION_ACTIONS[data.topic], data.payload);
+        return; // Skip regular message handling
+      }
+
+      // Broker settings from the Settings modal - an empty payload only asks for the current status
+      if (data.topic === 'server/broker_config') {
+        const hasSettings = data.payload && typeof data.payload === 'object' && Object.keys(data.payload).length > 0;
+        const reply = hasSettings
+          ? (isOperator(ws) ? applyBrokerSettings(data.payload) : Promise.resolve({ success: false, error: OPERATOR_REQUIRED }))
+          : Promise.resolve({ success: true, connected: getSystemStatus().mqttConnected, error: lastMQTTError, broker: describeBroker() });
+
+        reply.then(result => {
+          if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ topic: 'server/broker_status', payload: result }));
+          }
+        });
+        return;
+      }
+      
+      // Any role may stop the bench
+      if (data.topic === 'server/emergency_stop') {
+        triggerEmergencyStop('WebSocket client', getClientUser(ws)).catch(error => {
+          console.error('Emergency stop failed:', error.message);
+          if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({
+              topic: 'server/emergency_stop_status',
+              payload: { done: true, success: false, error: error.message, devices: [] }
+            }));
           }
+        });
+        return;
+      }
+
+      if (EXPERIMENT_ACTIONS[data.topic]) {
+        handleExperimentRequest(ws, EXPERIMENT_ACTIONS[data.topic], data.payload);
+        return;
+      }
+
+      // Opt in or out of binary frames - payload { enabled }
+      if (data.topic === 'server/binary_frames') {
+        const enabled = Boolean(data.payload && data.payload.enabled);
+        if (enabled) {
+          binaryClients.add(ws);
         } else {
-          console.log(`Already subscribed to ${topicToSubscribe}`);
+          binaryClients.delete(ws);
         }
-        
-        return; // Skip regular message handling
+        ws.send(JSON.stringify({ topic: 'server/binary_frames', payload: { enabled, version: FRAME_VERSION } }));
+        return;
+      }
+
+      // Full device list, e.g. after the client lost track of it
+      if (data.topic === 'server/device_registry') {
+        sendDeviceRegistry(ws);
+        return;
+      }
+
+      // Acknowledged program upload - progress goes back to the requesting client only
+      if (data.topic === 'server/upload_program') {
+        handleProgramUpload(ws, data.payload);
+        return;
       }
       
       if (data.topic && data.payload !== undefined) {
-        if (mqttClient && mqttClient.connected) {
-          mqttClient.publish(data.topic, JSON.stringify(data.payload), { qos: 1 }, (err) => {
-            if (err) {
-              console.error('Error publishing MQTT message:', err);
-            }
+        const rejection = isOperator(ws) ? publishPolicy.check(data.topic, data.payload) : OPERATOR_REQUIRED;
+        if (rejection) {
+          rejectPublish(ws, data.topic, rejection);
+        } else if (REPLAY_MODE) {
+          console.log(`Replay mode - not publishing ${data.topic}`);
+        } else if (canPublish()) {
+          // Clients may tag commands with the flowchart they came from
+          publishToMQTT(data.topic, JSON.stringify(data.payload), {
+            user: getClientUser(ws),
+            source: 'WebSocket client',
+            flowchartId: typeof data.flowchartId === 'string' ? data.flowchartId : null
           });
         } else {
           console.error('MQTT client not connected - attempting reconnection');
@@ -165,20 +822,380 @@ wss.on('connection', (ws) => {
     }
   });
 
-  ws.on('close', () => console.log('WebSocket client disconnected'));
+  ws.on('close', () => {
+    console.log('WebSocket client disconnected');
+    subscriptions.removeClient(ws);
+    clientSessions.delete(ws);
+    binaryClients.delete(ws);
+    streamThrottle.removeClient(ws);
+  });
   ws.on('error', (error) => console.error('WebSocket client error:', error));
 });
 
+// Login - answers with a session token for the Authorization header and the WebSocket URL
+app.post('/auth/login', (req, res) => {
+  if (!auth.isEnabled()) {
+    return res.status(409).json({ success: false, error: 'Authentication is disabled' });
+  }
+  const { username, password } = req.body || {};
+  const result = auth.login(username, password);
+  if (!result) {
+    return res.status(401).json({ success: false, error: 'Wrong username or password' });
+  }
+  res.json({ success: true, token: result.token, ...result.session });
+});
+
+app.post('/auth/logout', (req, res) => {
+  auth.logout(getRequestToken(req));
+  res.json({ success: true });
+});
+
+app.get('/auth/status', (req, res) => {
+  res.json(auth.describeSession(auth.authenticate(getRequestToken(req))));
+});
+
+// Every route below needs a session; the anonymous role counts as one
+app.use((req, res, next) => {
+  req.session = auth.authenticate(getRequestToken(req));
+  if (!req.session) {
+    return res.status(401).json({ success: false, error: 'Login required' });
+  }
+  next();
+});
+
+function requireOperator(req, res, next) {
+  if (!hasRole(req.session, 'operator')) {
+    return res.status(403).json({ success: false, error: OPERATOR_REQUIRED });
+  }
+  next();
+}
+
 // Health check endpoint
 app.get('/mqtt-status', (req, res) => {
   res.json({
     connected: mqttClient ? mqttClient.connected : false,
-    topics: MQTT_TOPICS
+    topics: subscriptions.getBrokerTopics(),
+    clients: wss.clients.size
+  });
+});
+
+// Bridge health: clients, per-topic rates, bytes forwarded, failed sends, broker reconnects
+app.get('/metrics', (req, res) => {
+  res.json(metrics.getSnapshot());
+});
+
+app.get('/metrics/prometheus', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.toPrometheus());
+});
+
+// Broker configuration used by the Settings modal
+app.get('/broker-config', (req, res) => {
+  res.json({
+    broker: describeBroker(),
+    connected: mqttClient ? mqttClient.connected : false,
+    lastError: lastMQTTError
+  });
+});
+
+app.post('/broker-config', requireOperator, async (req, res) => {
+  const result = await applyBrokerSettings(req.body);
+  res.status(result.success ? 200 : 400).json(result);
+});
+
+// Recorded MQTT sessions
+app.get('/sessions', (req, res) => {
+  res.json({
+    ...recorder.getStatus(),
+    sessions: recorder.listSessions()
+  });
+});
+
+// Close the current recording and start a new session file
+app.post('/sessions', requireOperator, (req, res) => {
+  const sessionId = recorder.start();
+  res.json({ success: true, session: sessionId });
+});
+
+app.post('/sessions/stop', requireOperator, (req, res) => {
+  const sessionId = recorder.stop();
+  res.json({ success: true, session: sessionId });
+});
+
+app.get('/sessions/:id', (req, res) => {
+  const sessionPath = recorder.getSessionFile(req.params.id);
+  if (!sessionPath) {
+    return res.status(404).json({ success: false, error: 'Session not found' });
+  }
+  res.download(sessionPath);
+});
+
+app.delete('/sessions/:id', requireOperator, (req, res) => {
+  try {
+    if (!recorder.deleteSession(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(409).json({ success: false, error: error.message });
+  }
+});
+
+// Replay controls - only available when the server was started with --replay
+function requireReplayMode(req, res, next) {
+  if (!REPLAY_MODE) {
+    return res.status(409).json({ success: false, error: 'Server is not running in replay mode' });
+  }
+  next();
+}
+
+// Run a replay action and answer with the resulting status
+function handleReplayAction(res, action) {
+  try {
+    res.json({ success: true, status: action() });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+}
+
+// Only a recorded session id - a file path is accepted from the --replay argument alone,
+// so a REST client cannot have the server stream arbitrary files to every WebSocket client
+function loadReplaySession(session, { allowPath = false } = {}) {
+  const sessionPath = recorder.getSessionFile(session) || (allowPath && session && fs.existsSync(session) ? session : null);
+  if (!sessionPath) {
+    throw new Error(`Session not found: ${session}`);
+  }
+  return replayer.load(sessionPath, path.basename(sessionPath, '.jsonl'));
+}
+
+app.get('/replay', requireReplayMode, (req, res) => {
+  res.json(replayer.getStatus());
+});
+
+app.post('/replay/load', requireOperator, requireReplayMode, (req, res) => {
+  handleReplayAction(res, () => loadReplaySession(req.body.session));
+});
+
+app.post('/replay/play', requireOperator, requireReplayMode, (req, res) => {
+  handleReplayAction(res, () => replayer.play());
+});
+
+app.post('/replay/pause', requireOperator, requireReplayMode, (req, res) => {
+  handleReplayAction(res, () => replayer.pause());
+});
+
+app.post('/replay/seek', requireOperator, requireReplayMode, (req, res) => {
+  handleReplayAction(res, () => replayer.seek(req.body.position));
+});
+
+app.post('/replay/speed', requireOperator, requireReplayMode, (req, res) => {
+  handleReplayAction(res, () => replayer.setSpeed(req.body.speed));
+});
+
+app.post('/replay/loop', requireOperator, requireReplayMode, (req, res) => {
+  handleReplayAction(res, () => replayer.setLoop(req.body.loop));
+});
+
+// Virtual devices - only populated when the server was started with --simulate
+app.get('/virtual-devices', (req, res) => {
+  res.json({
+    enabled: Boolean(virtualFleet),
+    devices: virtualFleet ? virtualFleet.getDevices() : []
   });
 });
 
+// Device registry
+app.get('/devices', (req, res) => {
+  res.json({ enabled: !REPLAY_MODE, devices: deviceRegistry.getDevices() });
+});
+
+app.get('/devices/:name', (req, res) => {
+  const device = deviceRegistry.getDevice(req.params.name);
+  if (!device) {
+    return res.status(404).json({ error: `Unknown device ${req.params.name}` });
+  }
+  res.json(device);
+});
+
+// Forget a device, e.g. one that was removed from the bench
+app.delete('/devices/:name', requireOperator, (req, res) => {
+  if (!deviceRegistry.remove(req.params.name)) {
+    return res.status(404).json({ error: `Unknown device ${req.params.name}` });
+  }
+  res.json({ success: true });
+});
+
+app.post('/devices/scan', requireOperator, (req, res) => {
+  if (REPLAY_MODE || !canPublish()) {
+    return res.status(409).json({ error: 'No device connection' });
+  }
+  probeDevices({ user: req.session.username, source: 'REST' });
+  res.json({ success: true });
+});
+
+// Experiment jobs
+app.get('/experiments', (req, res) => {
+  res.json({ jobs: experimentRunner.getJobs() });
+});
+
+app.get('/experiments/:id', (req, res) => {
+  const job = experimentRunner.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Unknown experiment ${req.params.id}` });
+  }
+  res.json(job);
+});
+
+app.post('/experiments', requireOperator, (req, res) => {
+  try {
+    res.status(201).json(runExperimentAction('submit', req.body, 'REST', req.session.username).job);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.post('/experiments/:id/:action(pause|resume|abort)', requireOperator, (req, res) => {
+  if (!experimentRunner.getJob(req.params.id)) {
+    return res.status(404).json({ error: `Unknown experiment ${req.params.id}` });
+  }
+  try {
+    res.json(runExperimentAction(req.params.action, { id: req.params.id }, 'REST', req.session.username).job);
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
+// Emergency stop - answers once every device confirmed or the ack timeout ran out.
+// 504 only if a device that has to confirm did not (see emergencyStop.requireConfirmation).
+app.post('/emergency-stop', (req, res) => {
+  triggerEmergencyStop('REST', req.session.username)
+    .then(status => res.status(status.success ? 200 : 504).json(status))
+    .catch(error => res.status(409).json({ error: error.message }));
+});
+
+app.get('/emergency-stop', (req, res) => {
+  res.json(emergencyStop.getStatus() || { done: true, devices: [] });
+});
+
+// Audit log of every command sent to the devices, newest first.
+// Filters: device, user, command (also an action like pause, or stop for every stop), experimentId, flowchartId,
+// status (replied | timeout | pending), from, to, q (free text), limit, offset
+app.get('/audit', (req, res) => {
+  if (!auditLog) {
+    return res.status(409).json({ error: 'Audit log is disabled' });
+  }
+  auditLog.query(req.query)
+    .then(result => res.json(result))
+    .catch(error => res.status(400).json({ error: error.message }));
+});
+
+// Project storage - viewers may read, operators save and delete
+app.get('/projects/config', (req, res) => {
+  res.json({ directory: projectStore.getDirectory() });
+});
+
+// Point the store at another directory and remember it in config.json
+app.post('/projects/config', requireOperator, (req, res) => {
+  const directory = req.body && req.body.directory;
+  if (directory !== undefined && typeof directory !== 'string') {
+    return res.status(400).json({ success: false, error: 'directory must be a string' });
+  }
+  try {
+    projectStore.setDirectory((directory || '').trim());
+    updateConfig('projects', { directory: (directory || '').trim() });
+    res.json({ success: true, directory: projectStore.getDirectory() });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Answer with the store's result, 404 when it returned null, 400 when it threw
+function handleProjectRequest(res, action, notFound) {
+  try {
+    const result = action();
+    if (result === null || result === false) {
+      return res.status(404).json({ success: false, error: notFound });
+    }
+    res.json(result === true ? { success: true } : result);
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+}
+
+app.get('/projects', (req, res) => {
+  handleProjectRequest(res, () => ({ directory: projectStore.getDirectory(), projects: projectStore.listProjects() }));
+});
+
+app.post('/projects', requireOperator, (req, res) => {
+  const { name, description } = req.body || {};
+  handleProjectRequest(res, () => projectStore.createProject(name, description));
+});
+
+app.get('/projects/:project', (req, res) => {
+  handleProjectRequest(res, () => projectStore.getProject(req.params.project), `Unknown project ${req.params.project}`);
+});
+
+app.put('/projects/:project', requireOperator, (req, res) => {
+  handleProjectRequest(res, () => projectStore.updateProject(req.params.project, req.body || {}), `Unknown project ${req.params.project}`);
+});
+
+app.delete('/projects/:project', requireOperator, (req, res) => {
+  handleProjectRequest(res, () => projectStore.deleteProject(req.params.project), `Unknown project ${req.params.project}`);
+});
+
+app.get('/projects/:project/:kind', (req, res) => {
+  const { project, kind } = req.params;
+  handleProjectRequest(res, () => projectStore.getProject(project) && { documents: projectStore.listDocuments(project, kind) }, `Unknown project ${project}`);
+});
+
+app.get('/projects/:project/:kind/:name', (req, res) => {
+  const { project, kind, name } = req.params;
+  handleProjectRequest(res, () => projectStore.readDocument(project, kind, name), `No ${kind} document ${name} in ${project}`);
+});
+
+// The body is the document; an existing one is only replaced with ?overwrite=true
+app.put('/projects/:project/:kind/:name', requireOperator, (req, res) => {
+  const { project, kind, name } = req.params;
+  try {
+    if (req.query.overwrite !== 'true' && projectStore.documentExists(project, kind, name)) {
+      return res.status(409).json({ success: false, error: `${kind} document ${name} already exists in ${project}` });
+    }
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  handleProjectRequest(res, () => ({ success: true, document: projectStore.saveDocument(project, kind, name, req.body) }));
+});
+
+app.delete('/projects/:project/:kind/:name', requireOperator, (req, res) => {
+  const { project, kind, name } = req.params;
+  handleProjectRequest(res, () => projectStore.deleteDocument(project, kind, name), `No ${kind} document ${name} in ${project}`);
+});
+
+// User-defined node types - viewers may read, operators save and delete
+app.get('/node-types', (req, res) => {
+  handleProjectRequest(res, () => ({ nodeTypes: nodeTypeStore.listNodeTypes() }));
+});
+
+app.get('/node-types/:type', (req, res) => {
+  handleProjectRequest(res, () => nodeTypeStore.getNodeType(req.params.type), `Unknown node type ${req.params.type}`);
+});
+
+app.get('/node-types/:type/versions/:version', (req, res) => {
+  const { type, version } = req.params;
+  handleProjectRequest(res, () => nodeTypeStore.getNodeTypeVersion(type, version), `No version ${version} of node type ${type}`);
+});
+
+// The body is the schema; every save adds a version
+app.put('/node-types/:type', requireOperator, (req, res) => {
+  handleProjectRequest(res, () => ({ success: true, nodeType: nodeTypeStore.saveNodeType(req.params.type, req.body, req.session.username) }));
+});
+
+app.delete('/node-types/:type', requireOperator, (req, res) => {
+  handleProjectRequest(res, () => nodeTypeStore.deleteNodeType(req.params.type), `Unknown node type ${req.params.type}`);
+});
+
 // Periodic MQTT connection check
 setInterval(() => {
+  if (BRIDGE_MODE !== 'live') return;
   if (!mqttClient || !mqttClient.connected) {
     console.log('MQTT client not connected, attempting to reconnect...');
     setupMQTTClient();
@@ -188,5 +1205,68 @@ setInterval(() => {
 // Start server
 server.listen(WS_PORT, '0.0.0.0', () => {
   console.log(`WebSocket server running on port ${WS_PORT}`);
-  setupMQTTClient();
+  metrics.start();
+
+  if (REPLAY_MODE) {
+    console.log('Running in replay mode - no MQTT broker connection');
+    startReplayFromArgs();
+    return;
+  }
+
+  if (recorderConfig.enabled) {
+    recorder.start();
+  }
+
+  if (SIMULATION_MODE) {
+    console.log('Running in simulation mode - virtual devices instead of an MQTT broker');
+    startVirtualFleet();
+  } else {
+    setupMQTTClient();
+  }
+  deviceRegistry.start();
+});
+
+function startVirtualFleet() {
+  const devicesFile = getArgValue('--simulate') || DEFAULT_DEVICES_FILE;
+  try {
+    virtualFleet = createVirtualFleet({
+      devices: loadDeviceSpecs(devicesFile),
+      // Device messages enter the bridge exactly like broker messages
+      publish: (topic, payload) => handleMQTTMessage(topic, payload)
+    });
+    console.log(`Loaded virtual devices from ${devicesFile}`);
+  } catch (error) {
+    console.error(`Could not load virtual devices from ${devicesFile}:`, error.message);
+  }
+}
+
+function startReplayFromArgs() {
+  const speed = getArgValue('--speed');
+  if (speed) {
+    replayer.setSpeed(speed);
+  }
+  replayer.setLoop(process.argv.includes('--loop'));
+
+  const session = getArgValue('--replay');
+  if (!session) {
+    console.log('No session given - load one with POST /replay/load');
+    return;
+  }
+  try {
+    loadReplaySession(session, { allowPath: true });
+    replayer.play();
+  } catch (error) {
+    console.error('Could not start replay:', error.message);
+  }
+}
+
+// Flush the recording before exiting
+process.on('SIGINT', () => {
+  if (virtualFleet) {
+    virtualFleet.stop();
+  }
+  deviceRegistry.stop();
+  if (auditLog) auditLog.flush();
+  recorder.stop();
+  process.exit(0);
 });
@@ -0,0 +1,159 @@
+// streamThrottle.js
+// Per-subscription thinning of fast streams for slow WebSocket clients.
+// A subscription may carry options:
+//   maxRate  - at most this many messages per second per topic
+//   coalesce - keep only the latest message while the client cannot take one
+//              (rate window closed or the socket still busy), send it when it can
+//   decimate - forward only every Nth message
+// Without coalescing, messages over the rate are dropped. Only forwarding is thinned;
+// the recorder and the rest of the bridge still see every message.
+const { topicMatches } = require('./subscriptions');
+
+// A socket with more than this still queued counts as busy for coalescing
+const BUSY_BUFFER_BYTES = 64 * 1024;
+// How soon to look again at a busy socket
+const BUSY_RETRY_INTERVAL = 25;
+
+/**
+ * Check subscription options from a client
+ * @param {Object} request - Subscribe payload, may hold maxRate / coalesce / decimate
+ * @returns {Object|null} Normalized options, null when none were given
+ * @throws {Error} If an option is invalid
+ */
+function normalizeStreamOptions(request) {
+  if (!request || typeof request !== 'object' || Array.isArray(request)) return null;
+  const { maxRate, coalesce, decimate } = request;
+  if (maxRate === undefined && coalesce === undefined && decimate === undefined) return null;
+
+  if (maxRate !== undefined && maxRate !== null && !(typeof maxRate === 'number' && maxRate > 0)) {
+    throw new Error('maxRate must be a positive number of messages per second');
+  }
+  if (coalesce !== undefined && typeof coalesce !== 'boolean') {
+    throw new Error('coalesce must be true or false');
+  }
+  if (decimate !== undefined && decimate !== null && !(Number.isInteger(decimate) && decimate >= 1)) {
+    throw new Error('decimate must be a whole number of at least 1');
+  }
+
+  const options = {
+    maxRate: maxRate || null,
+    coalesce: coalesce === true,
+    decimate: decimate || 1
+  };
+  // Options that change nothing are the same as none
+  return options.maxRate || options.coalesce || options.decimate > 1 ? options : null;
+}
+
+/**
+ * Create the throttle
+ * @param {Object} options
+ * @param {Function} options.send - Called as send(client, message, topic) when a message may go out
+ * @param {Function} [options.onThrottled] - Called with (topic) for every message that was dropped or replaced
+ */
+function createStreamThrottle({ send, onThrottled = () => {} }) {
+  // client -> Map of topic -> { options, count, lastSentAt, pending, timer }
+  const clientStreams = new Map();
+
+  const getStream = (client, topic, options) => {
+    if (!clientStreams.has(client)) {
+      clientStreams.set(client, new Map());
+    }
+    const streams = clientStreams.get(client);
+    let stream = streams.get(topic);
+    if (!stream || stream.options !== options) {
+      if (stream) clearTimeout(stream.timer);
+      stream = { options, count: 0, lastSentAt: 0, pending: null, timer: null };
+      streams.set(topic, stream);
+    }
+    return stream;
+  };
+
+  const isBusy = (client) => client.bufferedAmount > BUSY_BUFFER_BYTES;
+
+  // Milliseconds until the rate allows the next message
+  const getWait = (stream) => {
+    if (!stream.options.maxRate) return 0;
+    return Math.max(0, stream.lastSentAt + 1000 / stream.options.maxRate - Date.now());
+  };
+
+  const deliver = (client, topic, stream, message) => {
+    stream.lastSentAt = Date.now();
+    send(client, message, topic);
+  };
+
+  const schedule = (client, topic, stream) => {
+    if (stream.timer) return;
+    const wait = getWait(stream);
+    stream.timer = setTimeout(() => {
+      stream.timer = null;
+      if (!stream.pending) return;
+      if (getWait(stream) > 0 || isBusy(client)) {
+        schedule(client, topic, stream);
+        return;
+      }
+      const message = stream.pending;
+      stream.pending = null;
+      deliver(client, topic, stream, message);
+    }, wait > 0 ? wait : BUSY_RETRY_INTERVAL);
+  };
+
+  /**
+   * Hand a message for one client to the throttle
+   * @param {Object} client - WebSocket connection
+   * @param {string} topic - MQTT topic of the message
+   * @param {Object} options - The client's normalized subscription options
+   * @param {string|Buffer} message - Serialized message for this client
+   */
+  const offer = (client, topic, options, message) => {
+    const stream = getStream(client, topic, options);
+    stream.count++;
+    if (options.decimate > 1 && (stream.count - 1) % options.decimate !== 0) {
+      onThrottled(topic);
+      return;
+    }
+
+    const blocked = getWait(stream) > 0 || (options.coalesce && isBusy(client));
+    if (!blocked && !stream.pending) {
+      deliver(client, topic, stream, message);
+      return;
+    }
+
+    if (options.coalesce) {
+      if (stream.pending) onThrottled(topic);
+      stream.pending = message;
+      schedule(client, topic, stream);
+    } else {
+      onThrottled(topic);
+    }
+  };
+
+  // Forget the streams of a filter the client dropped, including anything still held back
+  const release = (client, filter) => {
+    const streams = clientStreams.get(client);
+    if (!streams) return;
+    streams.forEach((stream, topic) => {
+      if (topicMatches(filter, topic)) {
+        clearTimeout(stream.timer);
+        streams.delete(topic);
+      }
+    });
+  };
+
+  const removeClient = (client) => {
+    const streams = clientStreams.get(client);
+    if (!streams) return;
+    streams.forEach(stream => clearTimeout(stream.timer));
+    clientStreams.delete(client);
+  };
+
+  return {
+    offer,
+    release,
+    removeClient
+  };
+}
+
+module.exports = {
+  normalizeStreamOptions,
+  createStreamThrottle
+};
@@ -0,0 +1,124 @@
+// streamThrottle.test.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeStreamOptions, createStreamThrottle } = require('./streamThrottle');
+
+const TOPIC = 'spectro1/response/data';
+
+const createThrottle = () => {
+  const sent = [];
+  const throttled = [];
+  const throttle = createStreamThrottle({
+    send: (client, message, topic) => sent.push({ client, message, topic }),
+    onThrottled: topic => throttled.push(topic)
+  });
+  return { throttle, sent, throttled };
+};
+
+test('normalizes subscription options', () => {
+  assert.strictEqual(normalizeStreamOptions(undefined), null);
+  assert.strictEqual(normalizeStreamOptions({ topic: TOPIC }), null);
+  assert.strictEqual(normalizeStreamOptions({ maxRate: null, coalesce: false, decimate: 1 }), null);
+  assert.deepStrictEqual(normalizeStreamOptions({ maxRate: 10 }), { maxRate: 10, coalesce: false, decimate: 1 });
+  assert.deepStrictEqual(normalizeStreamOptions({ coalesce: true, decimate: 3 }), { maxRate: null, coalesce: true, decimate: 3 });
+  assert.throws(() => normalizeStreamOptions({ maxRate: 0 }), /maxRate/);
+  assert.throws(() => normalizeStreamOptions({ coalesce: 'yes' }), /coalesce/);
+  assert.throws(() => normalizeStreamOptions({ decimate: 1.5 }), /decimate/);
+});
+
+test('maxRate drops messages over the rate without coalescing', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 10000 });
+  const { throttle, sent, throttled } = createThrottle();
+  const client = { bufferedAmount: 0 };
+  const options = normalizeStreamOptions({ maxRate: 4 });
+
+  throttle.offer(client, TOPIC, options, 'a');
+  throttle.offer(client, TOPIC, options, 'b');
+  t.mock.timers.tick(100);
+  throttle.offer(client, TOPIC, options, 'c');
+  t.mock.timers.tick(150);
+  throttle.offer(client, TOPIC, options, 'd');
+
+  assert.deepStrictEqual(sent.map(entry => entry.message), ['a', 'd']);
+  assert.deepStrictEqual(throttled, [TOPIC, TOPIC]);
+});
+
+test('coalesce sends the latest held-back message once the rate allows it', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 10000 });
+  const { throttle, sent, throttled } = createThrottle();
+  const client = { bufferedAmount: 0 };
+  const options = normalizeStreamOptions({ maxRate: 2, coalesce: true });
+
+  throttle.offer(client, TOPIC, options, 'a');
+  throttle.offer(client, TOPIC, options, 'b');
+  throttle.offer(client, TOPIC, options, 'c');
+  assert.deepStrictEqual(sent.map(entry => entry.message), ['a']);
+
+  t.mock.timers.tick(500);
+  assert.deepStrictEqual(sent.map(entry => entry.message), ['a', 'c']);
+  // 'b' was replaced by 'c'
+  assert.deepStrictEqual(throttled, [TOPIC]);
+});
+
+test('coalesce holds messages while the socket is busy', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 10000 });
+  const { throttle, sent } = createThrottle();
+  const client = { bufferedAmount: 1024 * 1024 };
+  const options = normalizeStreamOptions({ coalesce: true });
+
+  throttle.offer(client, TOPIC, options, 'a');
+  throttle.offer(client, TOPIC, options, 'b');
+  t.mock.timers.tick(100);
+  assert.deepStrictEqual(sent, []);
+
+  client.bufferedAmount = 0;
+  t.mock.timers.tick(25);
+  assert.deepStrictEqual(sent.map(entry => entry.message), ['b']);
+});
+
+test('decimate forwards every Nth message per topic', () => {
+  const { throttle, sent, throttled } = createThrottle();
+  const client = { bufferedAmount: 0 };
+  const options = normalizeStreamOptions({ decimate: 3 });
+
+  ['1', '2', '3', '4', '5', '6', '7'].forEach(message => throttle.offer(client, TOPIC, options, message));
+  throttle.offer(client, 'spectro2/response/data', options, 'other');
+
+  assert.deepStrictEqual(sent.map(entry => entry.message), ['1', '4', '7', 'other']);
+  assert.strictEqual(throttled.length, 4);
+});
+
+test('streams are kept per client', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 10000 });
+  const { throttle, sent } = createThrottle();
+  const a = { bufferedAmount: 0 };
+  const b = { bufferedAmount: 0 };
+  const options = normalizeStreamOptions({ maxRate: 1 });
+
+  throttle.offer(a, TOPIC, options, 'a1');
+  throttle.offer(b, TOPIC, options, 'b1');
+  throttle.offer(a, TOPIC, options, 'a2');
+
+  assert.deepStrictEqual(sent.map(entry => [entry.client, entry.message]), [[a, 'a1'], [b, 'b1']]);
+});
+
+test('releasing a filter or removing the client discards held-back messages', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 10000 });
+  const { throttle, sent } = createThrottle();
+  const client = { bufferedAmount: 0 };
+  const options = normalizeStreamOptions({ maxRate: 1, coalesce: true });
+
+  throttle.offer(client, TOPIC, options, 'a');
+  throttle.offer(client, TOPIC, options, 'b');
+  throttle.offer(client, 'pump1/status', options, 'p1');
+  throttle.offer(client, 'pump1/status', options, 'p2');
+  throttle.release(client, '+/response/#');
+  t.mock.timers.tick(1000);
+  assert.deepStrictEqual(sent.map(entry => entry.message), ['a', 'p1', 'p2']);
+
+  throttle.offer(client, 'pump1/status', options, 'p3');
+  throttle.removeClient(client);
+  t.mock.timers.tick(1000);
+  assert.deepStrictEqual(sent.map(entry => entry.message), ['a', 'p1', 'p2']);
+});
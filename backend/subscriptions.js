@@ -0,0 +1,180 @@
+// subscriptions.js
+// Per-client MQTT topic subscriptions for the WebSocket bridge.
+// Broker subscriptions are reference-counted: a filter is subscribed on the
+// broker when the first holder asks for it and dropped when the last one leaves.
+// A client's filter may carry stream options for thinning (see streamThrottle.js).
+
+// Check a topic filter against MQTT rules: '+' fills a whole level, '#' only as the last level
+function isValidTopicFilter(filter) {
+  if (typeof filter !== 'string' || filter.length === 0) {
+    return false;
+  }
+  const levels = filter.split('/');
+  return levels.every((level, index) => {
+    if (level.includes('#')) {
+      return level === '#' && index === levels.length - 1;
+    }
+    if (level.includes('+')) {
+      return level === '+';
+    }
+    return true;
+  });
+}
+
+// MQTT wildcard matching of a concrete topic against a filter
+function topicMatches(filter, topic) {
+  const filterLevels = filter.split('/');
+  const topicLevels = topic.split('/');
+
+  for (let i = 0; i < filterLevels.length; i++) {
+    const level = filterLevels[i];
+    if (level === '#') {
+      return true;
+    }
+    if (i >= topicLevels.length) {
+      return false;
+    }
+    if (level !== '+' && level !== topicLevels[i]) {
+      return false;
+    }
+  }
+  return filterLevels.length === topicLevels.length;
+}
+
+/**
+ * Create a subscription manager
+ * @param {Object} hooks
+ * @param {Function} hooks.onBrokerSubscribe - Called when a filter gets its first holder
+ * @param {Function} hooks.onBrokerUnsubscribe - Called when a filter loses its last holder
+ */
+function createSubscriptionManager({ onBrokerSubscribe, onBrokerUnsubscribe }) {
+  const clientTopics = new Map(); // client -> Map of filter -> stream options (null for none)
+  const refCounts = new Map(); // filter -> number of holders
+  const pinnedTopics = new Set(); // filters the server itself always holds
+
+  const retain = (filter) => {
+    const count = refCounts.get(filter) || 0;
+    refCounts.set(filter, count + 1);
+    if (count === 0) {
+      onBrokerSubscribe(filter);
+    }
+  };
+
+  const release = (filter) => {
+    const count = refCounts.get(filter) || 0;
+    if (count <= 1) {
+      refCounts.delete(filter);
+      if (count === 1) {
+        onBrokerUnsubscribe(filter);
+      }
+    } else {
+      refCounts.set(filter, count - 1);
+    }
+  };
+
+  // Keep a filter subscribed on the broker regardless of connected clients
+  const pin = (filter) => {
+    if (pinnedTopics.has(filter)) return;
+    pinnedTopics.add(filter);
+    retain(filter);
+  };
+
+  const addClient = (client, initialTopics = []) => {
+    if (!clientTopics.has(client)) {
+      clientTopics.set(client, new Map());
+    }
+    initialTopics.forEach(filter => subscribe(client, filter));
+  };
+
+  // Subscribing again to a filter the client holds replaces its options
+  const subscribe = (client, filter, options = null) => {
+    if (!isValidTopicFilter(filter)) {
+      throw new Error(`Invalid topic filter: ${filter}`);
+    }
+    if (!clientTopics.has(client)) {
+      clientTopics.set(client, new Map());
+    }
+    const topics = clientTopics.get(client);
+    const isNew = !topics.has(filter);
+    topics.set(filter, options);
+    if (isNew) {
+      retain(filter);
+    }
+    return isNew;
+  };
+
+  const unsubscribe = (client, filter) => {
+    const topics = clientTopics.get(client);
+    if (!topics || !topics.has(filter)) {
+      return false;
+    }
+    topics.delete(filter);
+    release(filter);
+    return true;
+  };
+
+  const removeClient = (client) => {
+    const topics = clientTopics.get(client);
+    if (!topics) return;
+    topics.forEach((options, filter) => release(filter));
+    clientTopics.delete(client);
+  };
+
+  const getClientTopics = (client) => {
+    const topics = clientTopics.get(client);
+    return topics ? Array.from(topics.keys()) : [];
+  };
+
+  // The client's filters that carry stream options, as [{ topic, ...options }]
+  const getClientStreamOptions = (client) => {
+    const topics = clientTopics.get(client);
+    if (!topics) return [];
+    return Array.from(topics.entries())
+      .filter(([, options]) => options)
+      .map(([topic, options]) => ({ topic, ...options }));
+  };
+
+  const getBrokerTopics = () => Array.from(refCounts.keys());
+
+  // Clients holding at least one filter that matches the topic
+  const getSubscribers = (topic) => getSubscriptions(topic).map(({ client }) => client);
+
+  // Like getSubscribers, with the stream options each client gets the topic with.
+  // A matching filter without options wins, so a thinned wildcard never thins a topic
+  // the client also asked for in full.
+  const getSubscriptions = (topic) => {
+    const subscriptions = [];
+    clientTopics.forEach((topics, client) => {
+      let match;
+      for (const [filter, options] of topics) {
+        if (topicMatches(filter, topic)) {
+          match = options;
+          if (!options) break;
+        }
+      }
+      if (match !== undefined) {
+        subscriptions.push({ client, options: match });
+      }
+    });
+    return subscriptions;
+  };
+
+  return {
+    pin,
+    addClient,
+    subscribe,
+    unsubscribe,
+    removeClient,
+    getClientTopics,
+    getClientStreamOptions,
+    getBrokerTopics,
+    getSubscribers,
+    getSubscriptions
+  };
+}
+
+module.exports = {
+  isValidTopicFilter,
+  topicMatches,
+  createSubscriptionManager
+};
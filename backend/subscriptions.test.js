@@ -0,0 +1,114 @@
+// subscriptions.test.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { isValidTopicFilter, topicMatches, createSubscriptionManager } = require('./subscriptions');
+
+const createManager = () => {
+  const broker = [];
+  const manager = createSubscriptionManager({
+    onBrokerSubscribe: filter => broker.push(`+${filter}`),
+    onBrokerUnsubscribe: filter => broker.push(`-${filter}`)
+  });
+  return { manager, broker };
+};
+
+test('topicMatches handles + and # wildcards', () => {
+  assert.strictEqual(topicMatches('pump1/status', 'pump1/status'), true);
+  assert.strictEqual(topicMatches('pump1/status', 'pump2/status'), false);
+
+  assert.strictEqual(topicMatches('+/status', 'pump1/status'), true);
+  assert.strictEqual(topicMatches('+/status', 'pump1/response/status'), false);
+  assert.strictEqual(topicMatches('+/+/data', 'spectro1/response/data'), true);
+  assert.strictEqual(topicMatches('spectro1/+', 'spectro1'), false);
+
+  assert.strictEqual(topicMatches('#', 'common/device_scan'), true);
+  assert.strictEqual(topicMatches('common/#', 'common/device_response'), true);
+  assert.strictEqual(topicMatches('common/#', 'common/a/b/c'), true);
+  // '#' also matches the parent level itself
+  assert.strictEqual(topicMatches('common/#', 'common'), true);
+  assert.strictEqual(topicMatches('common/#', 'pump1/common'), false);
+  assert.strictEqual(topicMatches('+/response/#', 'spectro1/response/crop_frame'), true);
+});
+
+test('isValidTopicFilter follows the MQTT wildcard rules', () => {
+  ['#', 'common/#', '+/status', '+/+/data', 'pump1/new_program'].forEach(filter => {
+    assert.strictEqual(isValidTopicFilter(filter), true, filter);
+  });
+  ['', 'common/#/more', 'pump+/status', 'pump1/sta#', null, 42].forEach(filter => {
+    assert.strictEqual(isValidTopicFilter(filter), false, String(filter));
+  });
+});
+
+test('subscribes on the broker for the first holder and drops it after the last', () => {
+  const { manager, broker } = createManager();
+  const a = {};
+  const b = {};
+
+  assert.strictEqual(manager.subscribe(a, 'spectro1/response/data'), true);
+  assert.strictEqual(manager.subscribe(b, 'spectro1/response/data'), true);
+  assert.deepStrictEqual(broker, ['+spectro1/response/data']);
+
+  manager.unsubscribe(a, 'spectro1/response/data');
+  assert.deepStrictEqual(broker, ['+spectro1/response/data']);
+  manager.unsubscribe(b, 'spectro1/response/data');
+  assert.deepStrictEqual(broker, ['+spectro1/response/data', '-spectro1/response/data']);
+  assert.deepStrictEqual(manager.getBrokerTopics(), []);
+});
+
+test('counts a repeated subscribe from the same client once', () => {
+  const { manager, broker } = createManager();
+  const a = {};
+
+  assert.strictEqual(manager.subscribe(a, 'pump1/status'), true);
+  assert.strictEqual(manager.subscribe(a, 'pump1/status', { maxRate: 5 }), false);
+  assert.deepStrictEqual(manager.getClientStreamOptions(a), [{ topic: 'pump1/status', maxRate: 5 }]);
+
+  assert.strictEqual(manager.unsubscribe(a, 'pump1/status'), true);
+  assert.strictEqual(manager.unsubscribe(a, 'pump1/status'), false);
+  assert.deepStrictEqual(broker, ['+pump1/status', '-pump1/status']);
+});
+
+test('removing a client releases all its filters, pinned filters stay', () => {
+  const { manager, broker } = createManager();
+  const a = {};
+  const b = {};
+  manager.pin('common/#');
+  manager.addClient(a, ['common/#']);
+  manager.addClient(b, ['common/#']);
+  manager.subscribe(a, 'spectro1/response/data');
+
+  manager.removeClient(a);
+  manager.removeClient(b);
+
+  assert.deepStrictEqual(broker, ['+common/#', '+spectro1/response/data', '-spectro1/response/data']);
+  assert.deepStrictEqual(manager.getBrokerTopics(), ['common/#']);
+  assert.deepStrictEqual(manager.getClientTopics(a), []);
+});
+
+test('rejects invalid filters without touching the broker', () => {
+  const { manager, broker } = createManager();
+  assert.throws(() => manager.subscribe({}, 'common/#/x'), /Invalid topic filter/);
+  assert.deepStrictEqual(broker, []);
+});
+
+test('delivers a topic to every client with a matching filter, unthinned filters win', () => {
+  const { manager } = createManager();
+  const full = {};
+  const thinned = {};
+  const both = {};
+  const other = {};
+  manager.subscribe(full, 'spectro1/response/data');
+  manager.subscribe(thinned, '+/response/#', { maxRate: 2 });
+  manager.subscribe(both, '+/response/#', { maxRate: 2 });
+  manager.subscribe(both, 'spectro1/response/data');
+  manager.subscribe(other, 'pump1/status');
+
+  assert.deepStrictEqual(manager.getSubscriptions('spectro1/response/data'), [
+    { client: full, options: null },
+    { client: thinned, options: { maxRate: 2 } },
+    { client: both, options: null }
+  ]);
+  assert.deepStrictEqual(manager.getSubscribers('pump1/status'), [other]);
+  assert.deepStrictEqual(manager.getSubscribers('pump2/status'), []);
+});
@@ -0,0 +1,603 @@
+// virtualDevices.js
+// Virtual device fleet for rehearsing experiments without a bench attached.
+// Pumps and spectrometers speak the same MQTT topics as the hardware:
+//   common/device_scan                 -> common/device_response "name:type:firmware"
+//   <pump>/new_program, continue_program, run_master, run_slave, homing
+//     (program chunks are acknowledged on <pump>/response/program { command, received, total } -
+//     a PLACEHOLDER the pump firmware does not send yet, see programUpload.js)
+//   <spectrometer>/request/full_frame, crop_frame, config, set_config
+// Thermostats and LEDs have no firmware protocol yet (the GUI only plans their events), so
+// these two topics are PLACEHOLDERS shared with emergencyStop.js and publishPolicy.js - change
+// all three once the real firmware defines its commands:
+//   <thermostat>/set_temperature       { temperature }
+//   <led>/set_power                    { power } (0 - 1)
+// Every device reports its state on <name>/status - also a PLACEHOLDER the firmware does not
+// send, the emergency stop uses it as confirmation.
+//
+// Run standalone against the configured broker with `node virtualDevices.js [devices.json]`,
+// or inside the bridge without any broker with `node server.js --simulate [devices.json]`.
+const fs = require('fs');
+const path = require('path');
+const { encodePNG } = require('./pngEncoder');
+
+const DEFAULT_DEVICES_FILE = path.join(__dirname, 'virtual-devices.json');
+const PUMP_STATUS_INTERVAL = 500;
+const THERMOSTAT_UPDATE_INTERVAL = 1000;
+const HOMING_TIME = 1000;
+const VIRTUAL_FIRMWARE = 'virtual-1.0';
+
+// Type reported in device scan replies, matching the flowchart node types
+const SCAN_TYPES = {
+  pump: 'pump',
+  thermostat: 'thermostat',
+  led: 'led',
+  spectrometer: 'MQTTSpectrometer'
+};
+
+function parsePayload(payload) {
+  const text = Buffer.isBuffer(payload) ? payload.toString() : payload;
+  if (typeof text !== 'string') return text;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+// A pump program is a list of [delayMicroseconds, waitMicroseconds] entries:
+// wait, then drive the motor with the given half step period (negative = reverse, 0 = stop)
+function isValidProgram(entries) {
+  return Array.isArray(entries) && entries.every(entry =>
+    Array.isArray(entry) && entry.length === 2 && entry.every(value => Number.isFinite(Number(value)))
+  );
+}
+
+function createVirtualPump(spec, publish) {
+  const stepsPerRevolution = spec.stepsPerRevolution || 1600;
+  const lead = spec.lead || 1;
+  let program = [];
+  let programIndex = 0;
+  let stepDelay = 0;
+  let positionSteps = 0;
+  let lastUpdate = process.hrtime.bigint();
+  let state = 'idle';
+  let entryTimer = null;
+  let statusTimer = null;
+
+  // Integrate the motor position up to now
+  const updatePosition = () => {
+    const now = process.hrtime.bigint();
+    const elapsedMicroseconds = Number(now - lastUpdate) / 1000;
+    if (stepDelay !== 0) {
+      positionSteps += elapsedMicroseconds / (2 * stepDelay);
+    }
+    lastUpdate = now;
+  };
+
+  const setStepDelay = (delay) => {
+    updatePosition();
+    stepDelay = delay;
+  };
+
+  const getStatus = () => {
+    updatePosition();
+    return {
+      type: 'pump',
+      state,
+      positionSteps: Math.round(positionSteps),
+      positionMm: (positionSteps / stepsPerRevolution) * lead,
+      stepDelay,
+      programLength: program.length,
+      programIndex,
+      timestamp: Date.now()
+    };
+  };
+
+  const publishStatus = () => publish(`${spec.name}/status`, getStatus());
+
+  const halt = (nextState) => {
+    clearTimeout(entryTimer);
+    clearInterval(statusTimer);
+    entryTimer = null;
+    statusTimer = null;
+    setStepDelay(0);
+    state = nextState;
+    publishStatus();
+  };
+
+  const runNextEntry = () => {
+    const [delay, wait] = program[programIndex];
+    entryTimer = setTimeout(() => {
+      setStepDelay(Number(delay));
+      programIndex++;
+      if (programIndex >= program.length) {
+        console.log(`[virtual ${spec.name}] Program finished`);
+        halt('idle');
+        return;
+      }
+      runNextEntry();
+    }, Math.max(0, Number(wait)) / 1000);
+  };
+
+  const start = () => {
+    if (program.length === 0) {
+      console.error(`[virtual ${spec.name}] Run requested without a program`);
+      publish(`${spec.name}/status`, { ...getStatus(), error: 'No program loaded' });
+      return;
+    }
+    clearTimeout(entryTimer);
+    clearInterval(statusTimer);
+    programIndex = 0;
+    state = 'running';
+    statusTimer = setInterval(publishStatus, PUMP_STATUS_INTERVAL);
+    publishStatus();
+    runNextEntry();
+  };
+
+  // Every chunk is acknowledged so the bridge can upload with flow control
+  const loadProgram = (entries, append) => {
+    const command = append ? 'continue_program' : 'new_program';
+    if (!isValidProgram(entries)) {
+      console.error(`[virtual ${spec.name}] Invalid program:`, entries);
+      publish(`${spec.name}/status`, { ...getStatus(), error: 'Invalid program' });
+      publish(`${spec.name}/response/program`, { command, error: 'Invalid program', total: program.length });
+      return;
+    }
+    if (!append) {
+      // A new program replaces whatever is running, this is how the GUI stops pumps
+      if (state === 'running' || state === 'armed') {
+        halt('idle');
+      }
+      program = [];
+    }
+    program = program.concat(entries.map(([delay, wait]) => [Number(delay), Number(wait)]));
+    programIndex = 0;
+    state = 'loaded';
+    publish(`${spec.name}/response/program`, { command, received: entries.length, total: program.length });
+    publishStatus();
+  };
+
+  const home = () => {
+    halt('homing');
+    entryTimer = setTimeout(() => {
+      positionSteps = 0;
+      state = 'idle';
+      publishStatus();
+    }, HOMING_TIME);
+  };
+
+  const handle = (command, payload) => {
+    switch (command) {
+      case 'new_program':
+        loadProgram(parsePayload(payload), false);
+        return true;
+      case 'continue_program':
+        loadProgram(parsePayload(payload), true);
+        return true;
+      case 'homing':
+        home();
+        return true;
+      default:
+        return false;
+    }
+  };
+
+  return {
+    name: spec.name,
+    type: 'pump',
+    handle,
+    start,
+    arm: () => {
+      state = 'armed';
+      publishStatus();
+    },
+    isArmed: () => state === 'armed',
+    isRunning: () => state === 'running',
+    getStatus,
+    stop: () => {
+      clearTimeout(entryTimer);
+      clearInterval(statusTimer);
+    }
+  };
+}
+
+function createVirtualThermostat(spec, publish) {
+  const ambient = spec.ambient !== undefined ? spec.ambient : 22;
+  const timeConstant = spec.timeConstant || 20; // seconds
+  const minTemperature = spec.mintemp !== undefined ? spec.mintemp : 0;
+  const maxTemperature = spec.maxtemp !== undefined ? spec.maxtemp : 200;
+  let temperature = ambient;
+  let setpoint = null; // null = heater off, drifts to ambient
+
+  const getStatus = () => ({
+    type: 'thermostat',
+    temperature: Math.round(temperature * 100) / 100,
+    setpoint,
+    timestamp: Date.now()
+  });
+
+  const publishStatus = () => publish(`${spec.name}/status`, getStatus());
+
+  // First order approach to the setpoint, only reported while still moving
+  const timer = setInterval(() => {
+    const target = setpoint === null ? ambient : setpoint;
+    if (Math.abs(target - temperature) < 0.05) return;
+    temperature += (target - temperature) * (1 - Math.exp(-(THERMOSTAT_UPDATE_INTERVAL / 1000) / timeConstant));
+    publishStatus();
+  }, THERMOSTAT_UPDATE_INTERVAL);
+
+  const handle = (command, payload) => {
+    if (command !== 'set_temperature') return false;
+    const data = parsePayload(payload);
+    const value = typeof data === 'object' && data !== null ? data.temperature : data;
+    if (value === null || value === 'off') {
+      setpoint = null;
+    } else if (Number.isFinite(Number(value))) {
+      setpoint = Math.min(maxTemperature, Math.max(minTemperature, Number(value)));
+    } else {
+      console.error(`[virtual ${spec.name}] Invalid temperature:`, payload);
+      return true;
+    }
+    publishStatus();
+    return true;
+  };
+
+  return {
+    name: spec.name,
+    type: 'thermostat',
+    handle,
+    getStatus,
+    stop: () => clearInterval(timer)
+  };
+}
+
+function createVirtualLED(spec, publish) {
+  let power = 0;
+
+  const getStatus = () => ({
+    type: 'led',
+    power,
+    on: power > 0,
+    wavelength: spec.wavelength || 405,
+    timestamp: Date.now()
+  });
+
+  const handle = (command, payload) => {
+    if (command !== 'set_power') return false;
+    const data = parsePayload(payload);
+    const value = Number(typeof data === 'object' && data !== null ? data.power : data);
+    if (!Number.isFinite(value)) {
+      console.error(`[virtual ${spec.name}] Invalid power:`, payload);
+      return true;
+    }
+    power = Math.min(1, Math.max(0, value));
+    publish(`${spec.name}/status`, getStatus());
+    return true;
+  };
+
+  return {
+    name: spec.name,
+    type: 'led',
+    handle,
+    getStatus,
+    stop: () => {}
+  };
+}
+
+// Approximate RGB colour of a visible wavelength (nm), components 0-1
+function wavelengthToRGB(wavelength) {
+  let r = 0;
+  let g = 0;
+  let b = 0;
+  if (wavelength < 440) {
+    r = (440 - wavelength) / 60;
+    b = 1;
+  } else if (wavelength < 490) {
+    g = (wavelength - 440) / 50;
+    b = 1;
+  } else if (wavelength < 510) {
+    g = 1;
+    b = (510 - wavelength) / 20;
+  } else if (wavelength < 580) {
+    r = (wavelength - 510) / 70;
+    g = 1;
+  } else if (wavelength < 645) {
+    r = 1;
+    g = (645 - wavelength) / 65;
+  } else {
+    r = 1;
+  }
+  return [Math.max(0, r), Math.max(0, g), Math.max(0, b)];
+}
+
+function createVirtualSpectrometer(spec, publish) {
+  const [width, height] = spec.resolution || [320, 240];
+  const [minWavelength, maxWavelength] = spec.wavelengthRange || [400, 700];
+  const dataInterval = spec.dataInterval || 0;
+  const startTime = Date.now();
+  let config = {
+    camera: { resolution: [width, height], exposure_time: null, exposure_mode: 'auto', iso: null },
+    processing: { roi: [0, 0, width, height] }
+  };
+  let cropTimer = null;
+  let dataTimer = null;
+
+  const columnWavelength = (x) => minWavelength + ((maxWavelength - minWavelength) * x) / (width - 1);
+
+  // A horizontal spectrum band with a slowly drifting absorption dip and some noise
+  const renderFrame = () => {
+    const rgb = Buffer.alloc(width * height * 3);
+    const elapsed = (Date.now() - startTime) / 1000;
+    const dipCenter = (minWavelength + maxWavelength) / 2 + 80 * Math.sin(elapsed / 5);
+    const bandCenter = height / 2;
+    const bandWidth = height / 6;
+
+    for (let x = 0; x < width; x++) {
+      const wavelength = columnWavelength(x);
+      const [r, g, b] = wavelengthToRGB(wavelength);
+      const absorption = 1 - 0.6 * Math.exp(-Math.pow((wavelength - dipCenter) / 15, 2));
+      for (let y = 0; y < height; y++) {
+        const profile = Math.exp(-Math.pow((y - bandCenter) / bandWidth, 2));
+        const level = 255 * profile * absorption;
+        const offset = (y * width + x) * 3;
+        rgb[offset] = Math.min(255, Math.max(0, r * level + (Math.random() - 0.5) * 8));
+        rgb[offset + 1] = Math.min(255, Math.max(0, g * level + (Math.random() - 0.5) * 8));
+        rgb[offset + 2] = Math.min(255, Math.max(0, b * level + (Math.random() - 0.5) * 8));
+      }
+    }
+    return rgb;
+  };
+
+  // Clamp [x_min, y_min, x_max, y_max] to the frame, falling back to the whole frame
+  const normalizeRange = (range) => {
+    if (!Array.isArray(range) || range.length !== 4 || range.every(value => !value)) {
+      return [0, 0, width, height];
+    }
+    const [x0, y0, x1, y1] = range.map(Number);
+    const xMin = Math.max(0, Math.min(width - 1, Math.min(x0, x1)));
+    const yMin = Math.max(0, Math.min(height - 1, Math.min(y0, y1)));
+    const xMax = Math.max(xMin + 1, Math.min(width, Math.max(x0, x1)));
+    const yMax = Math.max(yMin + 1, Math.min(height, Math.max(y0, y1)));
+    return [Math.round(xMin), Math.round(yMin), Math.round(xMax), Math.round(yMax)];
+  };
+
+  const cropPixels = (rgb, [xMin, yMin, xMax, yMax]) => {
+    const cropWidth = xMax - xMin;
+    const cropped = Buffer.alloc(cropWidth * (yMax - yMin) * 3);
+    for (let y = yMin; y < yMax; y++) {
+      rgb.copy(cropped, (y - yMin) * cropWidth * 3, (y * width + xMin) * 3, (y * width + xMax) * 3);
+    }
+    return cropped;
+  };
+
+  // Column averages of a region, in the format the graph components expect
+  const spectrumFromRegion = (rgb, [xMin, yMin, xMax, yMax]) => {
+    const wavelengths = [];
+    const red = [];
+    const green = [];
+    const blue = [];
+    const intensities = [];
+    const rows = yMax - yMin;
+
+    for (let x = xMin; x < xMax; x++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      for (let y = yMin; y < yMax; y++) {
+        const offset = (y * width + x) * 3;
+        r += rgb[offset];
+        g += rgb[offset + 1];
+        b += rgb[offset + 2];
+      }
+      wavelengths.push(Math.round(columnWavelength(x) * 10) / 10);
+      red.push(r / rows);
+      green.push(g / rows);
+      blue.push(b / rows);
+      intensities.push((r + g + b) / (3 * rows));
+    }
+    return { timestamp: Date.now(), wavelengths, red, green, blue, intensities };
+  };
+
+  const sendFullFrame = () => {
+    const image = encodePNG(width, height, renderFrame()).toString('base64');
+    publish(`${spec.name}/response/full_frame`, { image, resolution: [width, height], timestamp: Date.now() });
+  };
+
+  const sendCrop = ({ crop_range: cropRange, to_graph: toGraph, stream_image: streamImage }) => {
+    const range = normalizeRange(cropRange);
+    const rgb = renderFrame();
+    if (streamImage !== false) {
+      const image = encodePNG(range[2] - range[0], range[3] - range[1], cropPixels(rgb, range)).toString('base64');
+      publish(`${spec.name}/response/crop_frame`, { image, crop_range: range, timestamp: Date.now() });
+    }
+    if (toGraph) {
+      publish(`${spec.name}/response/data`, spectrumFromRegion(rgb, range));
+    }
+  };
+
+  const handleCropRequest = (request) => {
+    clearInterval(cropTimer);
+    cropTimer = null;
+    const interval = Number(request.interval) || 0;
+
+    // interval 0 without output flags is the GUI's "stop streaming" message
+    if (interval === 0 && request.to_graph === undefined && request.stream_image === undefined) {
+      return;
+    }
+    sendCrop(request);
+    if (interval > 0) {
+      cropTimer = setInterval(() => sendCrop(request), interval);
+    }
+  };
+
+  if (dataInterval > 0) {
+    dataTimer = setInterval(() => {
+      const { timestamp, wavelengths, intensities } = spectrumFromRegion(renderFrame(), config.processing.roi);
+      publish(`${spec.name}/response/data`, { timestamp, wavelengths, intensities });
+    }, dataInterval);
+  }
+
+  const handle = (command, payload) => {
+    const request = parsePayload(payload) || {};
+    switch (command) {
+      case 'request/full_frame':
+        sendFullFrame();
+        return true;
+      case 'request/crop_frame':
+        handleCropRequest(typeof request === 'object' ? request : {});
+        return true;
+      case 'request/config':
+        publish(`${spec.name}/response/config`, config);
+        return true;
+      case 'request/set_config':
+        if (typeof request === 'object') {
+          config = {
+            camera: { ...config.camera, ...(request.camera || {}), resolution: [width, height] },
+            processing: { ...config.processing, ...(request.processing || {}) }
+          };
+          config.processing.roi = normalizeRange(config.processing.roi);
+        }
+        publish(`${spec.name}/response/config`, config);
+        return true;
+      case 'request/set_line':
+        return true;
+      default:
+        return false;
+    }
+  };
+
+  return {
+    name: spec.name,
+    type: 'spectrometer',
+    handle,
+    getStatus: () => ({ type: 'spectrometer', streaming: Boolean(cropTimer), config }),
+    stop: () => {
+      clearInterval(cropTimer);
+      clearInterval(dataTimer);
+    }
+  };
+}
+
+const DEVICE_FACTORIES = {
+  pump: createVirtualPump,
+  thermostat: createVirtualThermostat,
+  led: createVirtualLED,
+  spectrometer: createVirtualSpectrometer
+};
+
+function loadDeviceSpecs(file = DEFAULT_DEVICES_FILE) {
+  const contents = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const devices = Array.isArray(contents) ? contents : contents.devices;
+  if (!Array.isArray(devices)) {
+    throw new Error(`${file} must contain a "devices" array`);
+  }
+  return devices;
+}
+
+/**
+ * Create a virtual device fleet
+ * @param {Object} options
+ * @param {Array} options.devices - Device specs: { name, type, ...type specific settings }
+ * @param {Function} options.publish - Called with (topic, payload string) for every device message
+ */
+function createVirtualFleet({ devices, publish }) {
+  const fleet = new Map();
+
+  const publishMessage = (topic, payload) => {
+    publish(topic, typeof payload === 'string' ? payload : JSON.stringify(payload));
+  };
+
+  devices.forEach(spec => {
+    const factory = DEVICE_FACTORIES[spec.type];
+    if (!spec.name || !factory) {
+      console.error('Skipping virtual device with missing name or unknown type:', spec);
+      return;
+    }
+    fleet.set(spec.name, { spec, device: factory(spec, publishMessage) });
+  });
+
+  const pumps = () => Array.from(fleet.values())
+    .map(({ device }) => device)
+    .filter(device => device.type === 'pump');
+
+  // Slaves wait for a master to start, like the hardware sync line
+  const handleRun = (device, command) => {
+    if (command === 'run_master') {
+      device.start();
+      pumps().filter(pump => pump.isArmed()).forEach(pump => pump.start());
+    } else if (pumps().some(pump => pump !== device && pump.isRunning())) {
+      device.start();
+    } else {
+      device.arm();
+    }
+  };
+
+  const handleMessage = (topic, payload) => {
+    if (topic === 'common/device_scan') {
+      fleet.forEach(({ spec }) => {
+        publish('common/device_response', `${spec.name}:${spec.scanType || SCAN_TYPES[spec.type]}:${VIRTUAL_FIRMWARE}`);
+      });
+      return true;
+    }
+
+    const separator = topic.indexOf('/');
+    if (separator === -1) return false;
+    const entry = fleet.get(topic.slice(0, separator));
+    if (!entry) return false;
+
+    const command = topic.slice(separator + 1);
+    if (entry.device.type === 'pump' && (command === 'run_master' || command === 'run_slave')) {
+      handleRun(entry.device, command);
+      return true;
+    }
+    return entry.device.handle(command, payload);
+  };
+
+  return {
+    handleMessage,
+    getDevices: () => Array.from(fleet.values()).map(({ spec, device }) => ({
+      name: spec.name,
+      type: spec.type,
+      status: device.getStatus()
+    })),
+    stop: () => fleet.forEach(({ device }) => device.stop())
+  };
+}
+
+module.exports = {
+  DEFAULT_DEVICES_FILE,
+  loadDeviceSpecs,
+  createVirtualFleet
+};
+
+// Standalone: attach the fleet to the configured broker as its own MQTT client
+if (require.main === module) {
+  const mqtt = require('mqtt');
+  const { getConfig } = require('./config');
+  const { getBrokerUrl, getConnectOptions } = require('./brokerConnection');
+
+  const devicesFile = process.argv[2] || DEFAULT_DEVICES_FILE;
+  const specs = loadDeviceSpecs(devicesFile);
+  const broker = getConfig('broker');
+  const client = mqtt.connect(getBrokerUrl(broker), {
+    ...getConnectOptions(broker),
+    clientId: `fluidicgui_devices_${Math.random().toString(16).slice(2, 8)}`
+  });
+
+  const fleet = createVirtualFleet({
+    devices: specs,
+    publish: (topic, payload) => client.publish(topic, payload, { qos: 1 })
+  });
+
+  client.on('connect', () => {
+    console.log(`Virtual devices connected to ${getBrokerUrl(broker)}: ${specs.map(spec => spec.name).join(', ')}`);
+    client.subscribe(['common/device_scan', ...specs.map(spec => `${spec.name}/#`)], { qos: 1 });
+  });
+  client.on('message', (topic, message) => fleet.handleMessage(topic, message.toString()));
+  client.on('error', error => console.error('Virtual devices MQTT error:', error));
+
+  process.on('SIGINT', () => {
+    fleet.stop();
+    client.end(true, () => process.exit(0));
+  });
+}
@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useEffect, lazy, Suspense } from 'react';
+import React, { useState, useCallback, useEffect, useRef, useMemo, lazy, Suspense } from 'react';
 import { ReactFlowProvider, useNodesState, useEdgesState } from 'react-flow-renderer';
 import FlowchartEditor from './components/Flowchart/FlowchartEditor';
 import SidePanel from './components/Flowchart/SidePanel';
@@ -7,11 +7,31 @@ import ScriptBasedGeneration from './components/DropletGenerator/ScriptBasedGene
 import NavigationBar from './components/Navigation/NavigationBar';
 import { ButtonColorSchemeProvider } from './context/ColorSchemeContext';
 import { ButtonStyleProvider } from './styles/ButtonStyleProvider';
-import { WS_URL } from './config';
+import { useAuth } from './context/AuthContext';
+import { useNodeTypes } from './context/NodeTypesContext';
+import LoginPrompt from './components/Auth/LoginPrompt';
+import SessionRecoveryPrompt from './components/Session/SessionRecoveryPrompt';
+import { SETTINGS_STORAGE_KEY } from './components/Settings/Settings';
+import { WS_URL, API_URL } from './config';
 import { createWebSocket, parseDeviceInfo, setupMQTTDebugger } from './utils/mqttDebugger';
+import { withAuthToken, authHeaders } from './utils/auth';
+import {
+  createProjectArchive,
+  normalizeProjectArchive,
+  readProjectArchive,
+  downloadProjectArchive,
+  restoreDetectorSettings,
+  fetchRecordedSessions,
+  fetchRecordedSession
+} from './utils/projectArchive';
+import { listAutosaves, loadAutosave, saveAutosave, DEFAULT_AUTOSAVE_HISTORY } from './utils/autosaveStore';
+import { loadFromLocalStorage } from './utils/localStorageUtils';
+import { useFlowHistory } from './utils/flowHistory';
+import { validateFlowchart } from './utils/flowchartValidation';
 import USBSpectrometer from './components/Simulation/USBSpectrometer';
 import SpectrometerMQTT from './components/Simulation/SpectrometerMQTT';
 import PumpPanel from './components/Simulation/PumpPanel';
+import AuditLog from './components/Audit/AuditLog';
 
 // Lazy load heavy components
 const Simulation = lazy(() => import('./components/Simulation/Simulation'));
@@ -22,6 +42,15 @@ const InterpolationGenerator = lazy(() => import('./components/DropletGenerator/
 // For WebSocket connection
 const WebSocket = window.WebSocket || window.MozWebSocket;
 
+// Wait this long after the last change before autosaving, so dragging a node saves once
+const AUTOSAVE_DELAY = 2000;
+
+// Pages that run the flowchart - they stay closed while it has errors
+const STEPS_NEEDING_VALID_FLOWCHART = [3, 4, 7, 8];
+
+// Registry entries from the backend use `name`, the flowchart matches on MQTTname
+const toDetectedDevice = (device) => ({ ...device, MQTTname: device.name });
+
 const App = () => {
   const [step, setStep] = useState(1);
   const [nodes, setNodes, onNodesChange] = useNodesState([]);
@@ -36,6 +65,20 @@ const App = () => {
   const [hasDropletNode, setHasDropletNode] = useState(false);
   const [ws, setWs] = useState(null);
   const [detectedDevices, setDetectedDevices] = useState([]);
+  const [emergencyStopStatus, setEmergencyStopStatus] = useState(null);
+  const [simulationEvents, setSimulationEvents] = useState([]);
+  const [recordings, setRecordings] = useState([]); // Recorded sessions carried over from an opened project
+  // Autosaves found on startup - null while checking, autosaving starts once the user has chosen
+  const [recoveryAutosaves, setRecoveryAutosaves] = useState(null);
+  const [autosaveEnabled, setAutosaveEnabled] = useState(false);
+  const lastAutosaveRef = useRef(null);
+  // Undo/redo for the flowchart, kept here so it survives switching pages
+  const flowHistory = useFlowHistory({ nodes, edges, setNodes, setEdges });
+  const { nodeTypes } = useNodeTypes();
+  // Checked on every change; errors keep the droplet, simulation and analysis pages closed
+  const flowchartValidation = useMemo(() => validateFlowchart(nodes, edges, nodeTypes), [nodes, edges, nodeTypes]);
+  const { record: recordFlowHistory } = flowHistory;
+  const { token, applyAuthStatus } = useAuth();
   
   // State for dynamic overlay components
   const [overlayComponent, setOverlayComponent] = useState(null);
@@ -143,27 +186,64 @@ const App = () => {
   }, [nodes, edges]);
 
   useEffect(() => {
-    // Create WebSocket connection with auto-reconnect
-    const cleanup = createWebSocket(WS_URL, {
+    // Create WebSocket connection with auto-reconnect - reconnects with the new role after a login
+    const cleanup = createWebSocket(withAuthToken(WS_URL, token), {
       onOpen: (websocket) => {
         console.log('Connected to WebSocket server');
         setWs(websocket);
         window.appWebSocket = websocket; // Make available for debugging
-        
-        // Send device scan message when the app starts
-        const scanMessage = {
-          topic: "common/device_scan",
-          payload: {}
-        };
-        
-        websocket.send(JSON.stringify(scanMessage));
-        console.log('Sent device scan message on startup');
-        
-        // Reset the detected devices list
-        setDetectedDevices([]);
       },
-      onMessage: (data) => {
-        // Check if this is a device response message
+      onMessage: (data, websocket) => {
+        // The backend sends the role of this connection first
+        if (data.topic === 'server/auth_status') {
+          applyAuthStatus(data.payload);
+
+          // Send device scan message when the app starts - viewers may not publish
+          if (data.payload?.role === 'operator' && websocket) {
+            websocket.send(JSON.stringify({ topic: "common/device_scan", payload: {} }));
+            console.log('Sent device scan message on startup');
+          }
+          return;
+        }
+
+        // The backend registry sends the full device list on connect
+        if (data.topic === 'server/device_registry') {
+          if (data.payload?.enabled) {
+            setDetectedDevices((data.payload.devices || []).map(toDetectedDevice));
+          }
+          return;
+        }
+
+        // Registry changes: discovered / online / offline / updated / removed
+        if (data.topic === 'server/device_status' && data.payload?.device) {
+          const { event, device } = data.payload;
+          console.log(`Device ${device.name} ${event}`);
+          setDetectedDevices(prev => {
+            if (event === 'removed') {
+              return prev.filter(existing => existing.MQTTname !== device.name);
+            }
+            const exists = prev.some(existing => existing.MQTTname === device.name);
+            return exists
+              ? prev.map(existing => (existing.MQTTname === device.name ? toDetectedDevice(device) : existing))
+              : [...prev, toDetectedDevice(device)];
+          });
+          return;
+        }
+
+        // The bridge refused to publish something this connection sent
+        if (data.topic === 'server/publish_error') {
+          console.error('Command rejected by the backend:', data.payload);
+          alert(`Command rejected by the backend:\n${data.payload?.error}`);
+          return;
+        }
+
+        // Per-device confirmations of an emergency stop, whoever triggered it
+        if (data.topic === 'server/emergency_stop_status') {
+          setEmergencyStopStatus(data.payload);
+          return;
+        }
+
+        // Scan replies still count when there is no registry (replay mode)
         if (data.topic === 'common/device_response') {
           const deviceInfo = parseDeviceInfo(data.payload);
           
@@ -173,7 +253,7 @@ const App = () => {
               const exists = prev.some(device => device.MQTTname === deviceInfo.MQTTname);
               if (!exists) {
                 console.log(`New device detected: ${deviceInfo.MQTTname} (${deviceInfo.type})`);
-                return [...prev, deviceInfo];
+                return [...prev, { ...deviceInfo, online: true }];
               }
               return prev;
             });
@@ -189,17 +269,34 @@ const App = () => {
     return () => {
       cleanup();
     };
-  }, []);
+  }, [token, applyAuthStatus]);
+
+  // The stop itself runs on the backend - the REST route is the fallback when the socket is down
+  const handleEmergencyStop = () => {
+    console.error('EMERGENCY STOP requested');
+    setEmergencyStopStatus({ done: false, devices: [] });
+
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ topic: 'server/emergency_stop', payload: {} }));
+      return;
+    }
+
+    fetch(`${API_URL}/emergency-stop`, { method: 'POST', headers: authHeaders() })
+      .then(response => response.json())
+      .then(status => setEmergencyStopStatus(status.error ? { done: true, success: false, error: status.error, devices: [] } : status))
+      .catch(error => {
+        console.error('Emergency stop request failed:', error);
+        setEmergencyStopStatus({ done: true, success: false, error: error.message, devices: [] });
+        alert(`EMERGENCY STOP could not reach the backend: ${error.message}`);
+      });
+  };
 
   const handleScanDevices = () => {
     console.log('Scan Devices button clicked');
     console.log('WebSocket state:', ws ? ws.readyState : 'No WebSocket');
     
     if (ws && ws.readyState === WebSocket.OPEN) {
-      // Reset the detected devices list
-      setDetectedDevices([]);
-      console.log('Detected devices list reset');
-      
+      // The registry keeps known devices and updates their status from the replies
       // Send device scan message
       const scanMessage = {
         topic: "common/device_scan",
@@ -228,6 +325,7 @@ const App = () => {
     console.log('Detected devices:', detectedDevices);
     // Make detected devices available globally for the CustomNode component
     window.detectedDevices = detectedDevices;
+    window.dispatchEvent(new CustomEvent('detectedDevicesChanged'));
   }, [detectedDevices]);
 
   // Check if there's at least one droplet node in the flowchart
@@ -238,7 +336,10 @@ const App = () => {
   }, [nodes]);
 
   const handleNavigate = (newStep) => {
-    if (newStep === 7 && !simulationAvailable) {
+    if (STEPS_NEEDING_VALID_FLOWCHART.includes(newStep) && flowchartValidation.errors.length > 0) {
+      alert(`Fix the flowchart first:\n${flowchartValidation.errors.map(error => `- ${error.message}`).join('\n')}`);
+      setStep(1); // Back to the flowchart editor, which marks the problems
+    } else if (newStep === 7 && !simulationAvailable) {
       console.log('Simulation not available yet. Please create droplets first.');
       setStep(3); // Redirect to droplet creation if available
     } else if ((newStep === 3 || newStep === 4 || newStep === 8) && !hasDropletNode) {
@@ -250,6 +351,7 @@ const App = () => {
   };
 
   const handlePropertyChange = useCallback((nodeId, propertyName, propertyValue) => {
+    recordFlowHistory(`Edit ${propertyName}`, { mergeKey: `node:${nodeId}:${propertyName}` });
     setNodes((nds) =>
       nds.map((node) =>
         node.id === nodeId
@@ -257,7 +359,7 @@ const App = () => {
           : node
       )
     );
-  }, [setNodes]);
+  }, [setNodes, recordFlowHistory]);
 
   const handleAddNode = useCallback(({ id, label, type }) => {
     setNodes((nds) => [
@@ -276,6 +378,183 @@ const App = () => {
     ]);
   }, [setNodes,handlePropertyChange]);
 
+  const handleEdgePropertyChange = useCallback((id, propertyName, propertyValue) => {
+    recordFlowHistory(`Edit connection ${propertyName}`, { mergeKey: `edge:${id}:${propertyName}` });
+    setEdges((eds) =>
+      eds.map((edge) =>
+        edge.id === id
+          ? { ...edge, data: { ...edge.data, properties: { ...edge.data.properties, [propertyName]: propertyValue } } }
+          : edge
+      )
+    );
+  }, [setEdges, recordFlowHistory]);
+
+  const handleDeleteEdge = useCallback((id) => {
+    recordFlowHistory('Delete connection');
+    setEdges((eds) => eds.filter((edge) => edge.id !== id));
+  }, [setEdges, recordFlowHistory]);
+
+  const handleSaveProject = async () => {
+    const name = window.prompt('Save project as:', 'project');
+    if (!name) return;
+
+    // Recorded sessions can be large, so they only go in when asked for
+    let projectRecordings = recordings;
+    try {
+      const sessions = await fetchRecordedSessions();
+      const totalSize = sessions.reduce((sum, session) => sum + session.size, 0);
+      if (sessions.length > 0 && window.confirm(
+        `Include ${sessions.length} recorded MQTT session(s) (${(totalSize / 1024 / 1024).toFixed(1)} MB) in the project?`
+      )) {
+        projectRecordings = await Promise.all(sessions.map(fetchRecordedSession));
+      }
+    } catch (error) {
+      console.warn('Recorded sessions not included:', error);
+    }
+
+    const archive = createProjectArchive({
+      step,
+      nodes,
+      edges,
+      droplets,
+      manualDroplets,
+      parameterRanges,
+      parameterVisibility,
+      simulationEvents,
+      recordings: projectRecordings
+    });
+    downloadProjectArchive(archive, name.trim());
+    console.log('Project saved:', archive);
+  };
+
+  // Replace the working session with a saved one (project file or autosave)
+  const applyProjectArchive = (archive) => {
+    // Handlers are not saved, attach them again like an imported flow
+    setNodes(archive.flowchart.nodes.map(node => ({
+      ...node,
+      data: {
+        ...node.data,
+        onPropertyChange: (propertyName, propertyValue) => handlePropertyChange(node.id, propertyName, propertyValue),
+      }
+    })));
+    setEdges(archive.flowchart.edges.map(edge => ({
+      ...edge,
+      data: {
+        ...edge.data,
+        onPropertyChange: (propertyName, propertyValue) => handleEdgePropertyChange(edge.id, propertyName, propertyValue),
+        onDelete: () => handleDeleteEdge(edge.id),
+      }
+    })));
+    setDroplets(archive.droplets);
+    setManualDroplets(archive.manualDroplets);
+    setParameterRanges(archive.parameterRanges);
+    setParameterVisibility(archive.parameterVisibility);
+    setSimulationEvents(archive.simulationEvents);
+    setRecordings(archive.recordings);
+    restoreDetectorSettings(archive.detectorSettings);
+
+    // Go back to the saved page unless it needs something the project does not have
+    const projectHasDropletNode = archive.flowchart.nodes.some(node => node.data?.type === 'droplet');
+    const projectSimulationAvailable = archive.droplets.length > 0;
+    setSimulationAvailable(projectSimulationAvailable);
+    if (STEPS_NEEDING_VALID_FLOWCHART.includes(archive.step) &&
+        validateFlowchart(archive.flowchart.nodes, archive.flowchart.edges, nodeTypes).errors.length > 0) {
+      setStep(1);
+    } else if (archive.step === 7 && !projectSimulationAvailable) {
+      setStep(projectHasDropletNode ? 3 : 1);
+    } else if ([3, 4, 8].includes(archive.step) && !projectHasDropletNode) {
+      setStep(1);
+    } else {
+      setStep(archive.step);
+    }
+  };
+
+  const handleOpenProject = (file) => {
+    if (nodes.length > 0 && !window.confirm('Opening a project replaces the current flowchart and droplets. Continue?')) {
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        const archive = readProjectArchive(event.target.result);
+        // Undo brings back the flowchart from before opening
+        recordFlowHistory(`Open ${file.name}`);
+        applyProjectArchive(archive);
+        console.log(`Project ${file.name} opened`);
+      } catch (error) {
+        console.error('Error opening project:', error);
+        alert(`Could not open ${file.name}:\n${error.message}`);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  // Offer the autosaves of an earlier session once on startup
+  useEffect(() => {
+    listAutosaves()
+      .then(autosaves => {
+        if (autosaves.length > 0) {
+          setRecoveryAutosaves(autosaves);
+        } else {
+          setAutosaveEnabled(true);
+        }
+      })
+      .catch(error => {
+        console.warn('Autosave not available:', error);
+      });
+  }, []);
+
+  const handleRestoreAutosave = async (entry) => {
+    try {
+      const archive = await loadAutosave(entry.id);
+      if (archive) {
+        applyProjectArchive(normalizeProjectArchive(archive));
+        console.log(`Restored autosave from ${entry.savedAt}`);
+      }
+    } catch (error) {
+      console.error('Error restoring autosave:', error);
+      alert(`Could not restore the autosave:\n${error.message}`);
+    }
+    setRecoveryAutosaves(null);
+    setAutosaveEnabled(true);
+  };
+
+  const handleDiscardAutosave = () => {
+    setRecoveryAutosaves(null);
+    setAutosaveEnabled(true);
+  };
+
+  // Autosave the working session a moment after it stops changing
+  useEffect(() => {
+    if (!autosaveEnabled) return;
+    // Nothing worth keeping yet - also keeps a fresh start from pushing real work out of the history
+    if (nodes.length === 0 && droplets.length === 0 && manualDroplets.length === 0) return;
+
+    const timer = setTimeout(() => {
+      const archive = createProjectArchive({
+        step,
+        nodes,
+        edges,
+        droplets,
+        manualDroplets,
+        parameterRanges,
+        parameterVisibility,
+        simulationEvents
+      });
+      const { savedAt, ...content } = archive;
+      const contentKey = JSON.stringify(content);
+      if (contentKey === lastAutosaveRef.current) return;
+      lastAutosaveRef.current = contentKey;
+
+      const settings = loadFromLocalStorage(SETTINGS_STORAGE_KEY, {});
+      saveAutosave(archive, settings.autosaveHistory || DEFAULT_AUTOSAVE_HISTORY)
+        .catch(error => console.error('Autosave failed:', error));
+    }, AUTOSAVE_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [autosaveEnabled, step, nodes, edges, droplets, manualDroplets, parameterRanges, parameterVisibility, simulationEvents]);
+
   const handleSimulationStart = (createdDroplets) => {
     setDroplets(createdDroplets);
     setSimulationAvailable(true);
@@ -337,6 +616,10 @@ const App = () => {
               simulationAvailable={simulationAvailable}
               hasDropletNode={hasDropletNode}
               deviceCount={detectedDevices.length}
+              onEmergencyStop={handleEmergencyStop}
+              emergencyStopStatus={emergencyStopStatus}
+              onSaveProject={handleSaveProject}
+              onOpenProject={handleOpenProject}
             />
             <div style={{ flex: 1, display: 'flex' }}>
               {step === 1 && (
@@ -350,8 +633,10 @@ const App = () => {
                     onNodesChange={onNodesChange}
                     onEdgesChange={onEdgesChange}
                     onProceed={() => handleNavigate(3)}
+                    validation={flowchartValidation}
                     onScanDevices={handleScanDevices}
                     detectedDevices={detectedDevices}
+                    history={flowHistory}
                   />
                 </div>
               )}
@@ -385,6 +670,7 @@ const App = () => {
                 </Suspense>
               )}
               {step === 5 && <ScriptBasedGeneration />}
+              {step === 9 && <AuditLog />}
               {step === 6 && <PlaceholderComponent />}
               {step === 8 && (
                 <Suspense fallback={<LoadingInterpolation />}>
@@ -402,6 +688,7 @@ const App = () => {
                     edges={edges}
                     droplets={droplets}
                     selectedCarrierPumps={getCarrierPumps()}
+                    onEventsGenerated={setSimulationEvents}
                   />
                 </Suspense>
               )}
@@ -452,6 +739,12 @@ const App = () => {
               </div>
             )}
           </div>
+          <LoginPrompt />
+          <SessionRecoveryPrompt
+            autosaves={recoveryAutosaves}
+            onRestore={handleRestoreAutosave}
+            onDiscard={handleDiscardAutosave}
+          />
         </ReactFlowProvider>
       </ButtonStyleProvider>
     </ButtonColorSchemeProvider>
@@ -1,8 +1,15 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
+import { AuthProvider } from './context/AuthContext';
+import { NodeTypesProvider } from './context/NodeTypesContext';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+test('renders the navigation', () => {
+  render(
+    <AuthProvider>
+      <NodeTypesProvider>
+        <App />
+      </NodeTypesProvider>
+    </AuthProvider>
+  );
+  expect(screen.getByRole('button', { name: /flowchart editor/i })).toBeInTheDocument();
 });
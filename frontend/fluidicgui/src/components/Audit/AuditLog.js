@@ -0,0 +1,305 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useButtonStyles } from '../../styles/ButtonStyleProvider';
+import { API_URL } from '../../config';
+import { authHeaders } from '../../utils/auth';
+
+const PAGE_SIZE = 100;
+
+const EMPTY_FILTERS = {
+  q: '',
+  device: '',
+  user: '',
+  command: '',
+  experimentId: '',
+  flowchartId: '',
+  status: '',
+  from: '',
+  to: ''
+};
+
+const COMMAND_OPTIONS = ['homing', 'new_program', 'continue_program', 'run_master', 'run_slave', 'stop', 'device_scan', 'set_temperature', 'set_power'];
+
+const STATUS_COLORS = {
+  replied: '#4CAF50',
+  timeout: '#ff5252',
+  pending: '#FFC107'
+};
+
+// Searchable view of the backend's command audit log (GET /audit)
+const AuditLog = () => {
+  const buttonVariants = useButtonStyles();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(0);
+  const [result, setResult] = useState({ total: 0, entries: [] });
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+
+  const styles = {
+    container: {
+      flex: 1,
+      padding: '20px',
+      color: '#fff',
+      backgroundColor: '#222',
+      overflowY: 'auto'
+    },
+    filters: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: '10px',
+      alignItems: 'flex-end',
+      marginBottom: '15px'
+    },
+    filterGroup: {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '4px',
+      fontSize: '12px',
+      color: '#ccc'
+    },
+    input: {
+      padding: '6px',
+      backgroundColor: '#444',
+      border: '1px solid #555',
+      borderRadius: '4px',
+      color: '#fff',
+      fontSize: '13px'
+    },
+    table: {
+      width: '100%',
+      borderCollapse: 'collapse',
+      fontSize: '13px'
+    },
+    headerCell: {
+      textAlign: 'left',
+      padding: '6px 8px',
+      borderBottom: '2px solid #555',
+      color: '#ccc'
+    },
+    cell: {
+      padding: '6px 8px',
+      borderBottom: '1px solid #444',
+      verticalAlign: 'top'
+    },
+    details: {
+      padding: '8px',
+      backgroundColor: '#2c2c2c',
+      borderBottom: '1px solid #444'
+    },
+    pre: {
+      margin: '4px 0 10px 0',
+      maxHeight: '200px',
+      overflow: 'auto',
+      fontSize: '12px',
+      whiteSpace: 'pre-wrap',
+      wordBreak: 'break-all'
+    },
+    footer: {
+      display: 'flex',
+      gap: '10px',
+      alignItems: 'center',
+      marginTop: '10px'
+    },
+    error: {
+      color: '#ff5252',
+      marginBottom: '10px'
+    }
+  };
+
+  const loadEntries = useCallback(() => {
+    const params = new URLSearchParams({ limit: PAGE_SIZE, offset: page * PAGE_SIZE });
+    Object.entries(appliedFilters).forEach(([key, value]) => {
+      if (!value) return;
+      // datetime-local inputs are local time, the backend compares ISO timestamps
+      params.set(key, key === 'from' || key === 'to' ? new Date(value).toISOString() : value);
+    });
+
+    setLoading(true);
+    fetch(`${API_URL}/audit?${params.toString()}`, { headers: authHeaders() })
+      .then(response => response.json().then(data => {
+        if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+        return data;
+      }))
+      .then(data => {
+        setResult(data);
+        setError(null);
+      })
+      .catch(fetchError => {
+        console.error('Error loading audit log:', fetchError);
+        setError(fetchError.message);
+      })
+      .finally(() => setLoading(false));
+  }, [appliedFilters, page]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const handleFilterChange = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSearch = (event) => {
+    event.preventDefault();
+    setPage(0);
+    setAppliedFilters(filters);
+  };
+
+  const handleClear = () => {
+    setFilters(EMPTY_FILTERS);
+    setAppliedFilters(EMPTY_FILTERS);
+    setPage(0);
+  };
+
+  const getStatus = (entry) => (entry.reply ? entry.reply.status : 'pending');
+
+  const describeReply = (entry) => {
+    if (!entry.reply) return 'waiting';
+    if (entry.reply.status === 'timeout') return 'no reply';
+    const count = entry.reply.replies.length;
+    return `${count > 1 ? `${count} replies, ` : ''}${entry.reply.latency} ms`;
+  };
+
+  const renderFilter = (field, label, props = {}) => (
+    <label style={styles.filterGroup}>
+      {label}
+      <input
+        style={styles.input}
+        value={filters[field]}
+        onChange={(e) => handleFilterChange(field, e.target.value)}
+        {...props}
+      />
+    </label>
+  );
+
+  const pageCount = Math.max(1, Math.ceil(result.total / PAGE_SIZE));
+
+  return (
+    <div style={styles.container}>
+      <h2 style={{ marginTop: 0 }}>Command Audit Log</h2>
+
+      <form style={styles.filters} onSubmit={handleSearch}>
+        {renderFilter('q', 'Search', { placeholder: 'Any text', style: { ...styles.input, width: '180px' } })}
+        {renderFilter('device', 'Device', { placeholder: 'e.g. pump1' })}
+        {renderFilter('user', 'User')}
+        <label style={styles.filterGroup}>
+          Command
+          <select
+            style={styles.input}
+            value={filters.command}
+            onChange={(e) => handleFilterChange('command', e.target.value)}
+          >
+            <option value="">Any</option>
+            {COMMAND_OPTIONS.map(command => (
+              <option key={command} value={command}>{command}</option>
+            ))}
+          </select>
+        </label>
+        <label style={styles.filterGroup}>
+          Reply
+          <select
+            style={styles.input}
+            value={filters.status}
+            onChange={(e) => handleFilterChange('status', e.target.value)}
+          >
+            <option value="">Any</option>
+            <option value="replied">Replied</option>
+            <option value="timeout">No reply</option>
+            <option value="pending">Waiting</option>
+          </select>
+        </label>
+        {renderFilter('experimentId', 'Experiment', { style: { ...styles.input, width: '80px' } })}
+        {renderFilter('flowchartId', 'Flowchart', { placeholder: 'fc-...', style: { ...styles.input, width: '110px' } })}
+        {renderFilter('from', 'From', { type: 'datetime-local' })}
+        {renderFilter('to', 'To', { type: 'datetime-local' })}
+        <button type="submit" style={buttonVariants.primaryButton}>Search</button>
+        <button type="button" style={buttonVariants.secondaryButton} onClick={handleClear}>Clear</button>
+        <button type="button" style={buttonVariants.secondaryButton} onClick={loadEntries} disabled={loading}>
+          {loading ? 'Loading...' : 'Refresh'}
+        </button>
+      </form>
+
+      {error && <div style={styles.error}>Could not load the audit log: {error}</div>}
+
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={styles.headerCell}>Time</th>
+            <th style={styles.headerCell}>User</th>
+            <th style={styles.headerCell}>Source</th>
+            <th style={styles.headerCell}>Device</th>
+            <th style={styles.headerCell}>Command</th>
+            <th style={styles.headerCell}>Experiment</th>
+            <th style={styles.headerCell}>Flowchart</th>
+            <th style={styles.headerCell}>Reply</th>
+          </tr>
+        </thead>
+        <tbody>
+          {result.entries.map(entry => (
+            <React.Fragment key={entry.id}>
+              <tr
+                style={{ cursor: 'pointer', backgroundColor: expandedId === entry.id ? '#333' : 'transparent' }}
+                onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+              >
+                <td style={styles.cell}>{new Date(entry.time).toLocaleString()}</td>
+                <td style={styles.cell}>{entry.user || 'anonymous'}</td>
+                <td style={styles.cell}>{entry.source || '-'}</td>
+                <td style={styles.cell}>{entry.device || 'all'}</td>
+                <td style={styles.cell}>
+                  {entry.command}
+                  {entry.action ? ` (${entry.action})` : ''}
+                  {entry.stop && !entry.action ? ' (stop)' : ''}
+                </td>
+                <td style={styles.cell}>{entry.experimentId || '-'}</td>
+                <td style={styles.cell}>{entry.flowchartId || '-'}</td>
+                <td style={{ ...styles.cell, color: STATUS_COLORS[getStatus(entry)] }}>{describeReply(entry)}</td>
+              </tr>
+              {expandedId === entry.id && (
+                <tr>
+                  <td colSpan={8} style={styles.details}>
+                    <div>Sent to {entry.topic}:</div>
+                    <pre style={styles.pre}>{JSON.stringify(entry.payload, null, 2)}</pre>
+                    {(entry.reply?.replies || []).map((reply, index) => (
+                      <div key={index}>
+                        <div>Reply on {reply.topic} at {new Date(reply.time).toLocaleTimeString()}:</div>
+                        <pre style={styles.pre}>{JSON.stringify(reply.payload, null, 2)}</pre>
+                      </div>
+                    ))}
+                  </td>
+                </tr>
+              )}
+            </React.Fragment>
+          ))}
+          {result.entries.length === 0 && !loading && (
+            <tr>
+              <td colSpan={8} style={{ ...styles.cell, color: '#888', fontStyle: 'italic', textAlign: 'center' }}>
+                No commands match
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+
+      <div style={styles.footer}>
+        <button
+          style={buttonVariants.secondaryButton}
+          onClick={() => setPage(page - 1)}
+          disabled={page === 0}
+        >
+          Newer
+        </button>
+        <span>Page {page + 1} of {pageCount} ({result.total} commands)</span>
+        <button
+          style={buttonVariants.secondaryButton}
+          onClick={() => setPage(page + 1)}
+          disabled={page + 1 >= pageCount}
+        >
+          Older
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AuditLog;
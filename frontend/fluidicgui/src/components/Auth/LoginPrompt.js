@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { useButtonStyles } from '../../styles/ButtonStyleProvider';
+import { useAuth } from '../../context/AuthContext';
+
+// Shown when the backend requires a login - operators log in, viewers may continue without one
+const LoginPrompt = () => {
+  const buttonVariants = useButtonStyles();
+  const { loginOpen, closeLogin, login, role, authenticated } = useAuth();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [loggingIn, setLoggingIn] = useState(false);
+
+  if (!loginOpen) return null;
+
+  // Without credentials the backend either hands out a role or refuses the connection
+  const canContinue = authenticated || Boolean(role);
+
+  const styles = {
+    overlay: {
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.7)',
+      zIndex: 2000,
+    },
+    modal: {
+      position: 'fixed',
+      top: '50%',
+      left: '50%',
+      transform: 'translate(-50%, -50%)',
+      backgroundColor: '#333',
+      padding: '20px',
+      borderRadius: '8px',
+      width: '340px',
+      maxWidth: '90%',
+      color: '#fff',
+    },
+    title: {
+      fontSize: '1.5rem',
+      margin: '0 0 15px 0',
+    },
+    label: {
+      display: 'block',
+      marginBottom: '5px',
+      color: '#ccc',
+    },
+    input: {
+      width: '100%',
+      padding: '8px',
+      marginBottom: '15px',
+      backgroundColor: '#444',
+      border: '1px solid #555',
+      borderRadius: '4px',
+      color: '#fff',
+      fontSize: '14px',
+      boxSizing: 'border-box',
+    },
+    error: {
+      color: '#ff5252',
+      fontSize: '14px',
+      marginBottom: '15px',
+    },
+    buttonContainer: {
+      display: 'flex',
+      justifyContent: 'flex-end',
+      gap: '10px',
+    }
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setLoggingIn(true);
+    setError(null);
+    try {
+      await login(username, password);
+      setPassword('');
+    } catch (loginError) {
+      console.error('Login failed:', loginError);
+      setError(loginError.message);
+    } finally {
+      setLoggingIn(false);
+    }
+  };
+
+  return (
+    <div style={styles.overlay}>
+      <form style={styles.modal} onSubmit={handleSubmit}>
+        <h2 style={styles.title}>Log in</h2>
+        <label style={styles.label}>Username</label>
+        <input
+          type="text"
+          style={styles.input}
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          autoFocus
+        />
+        <label style={styles.label}>Password</label>
+        <input
+          type="password"
+          style={styles.input}
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+        />
+        {error && <div style={styles.error}>{error}</div>}
+        <div style={styles.buttonContainer}>
+          {canContinue && (
+            <button type="button" style={buttonVariants.secondaryButton} onClick={closeLogin}>
+              {authenticated ? 'Cancel' : `Continue as ${role}`}
+            </button>
+          )}
+          <button
+            type="submit"
+            style={buttonVariants.primaryButton}
+            disabled={loggingIn || !username || !password}
+          >
+            {loggingIn ? 'Logging in...' : 'Log in'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default LoginPrompt;
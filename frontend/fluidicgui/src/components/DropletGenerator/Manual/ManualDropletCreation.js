@@ -1,10 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import DropletList from './DropletList';  
 import ParameterAdjustment from './ParameterAdjustment';  
-import defaultProperties from '../../../data/defaultProperties.json';
+import { useNodeTypes, getParameterRange } from '../../../context/NodeTypesContext';
 import { backgroundVariants } from '../../../styles/backgroundStyles';
 import { ColorSchemePreview } from '../../../context/ColorSchemeContext';
 import { useButtonStyles } from '../../../styles/ButtonStyleProvider';
+import ProjectDocuments from '../../Projects/ProjectDocuments';
 
 // Available droplet color schemes
 const dropletColorSchemeOptions = {
@@ -18,21 +19,6 @@ const dropletColorSchemeOptions = {
 // Utility function to deep clone an object
 const deepClone = (obj) => JSON.parse(JSON.stringify(obj));
 
-// Helper function to get parameter range and description from defaultProperties
-const getParameterRange = (nodeType, paramName) => {
-  const nodeConfig = defaultProperties[nodeType];
-  if (!nodeConfig?.parameters) return { min: 0, max: 100, description: '' };
-  
-  const parameter = nodeConfig.parameters.find(p => p.name === paramName);
-  if (!parameter) return { min: 0, max: 100, description: '' };
-  
-  return {
-    min: parameter.min ?? 0,
-    max: parameter.max ?? 100,
-    description: parameter.description || ''
-  };
-};
-
 const ManualDropletCreation = ({ 
   nodes, 
   onNext, 
@@ -50,13 +36,14 @@ const ManualDropletCreation = ({
   
   // Get dynamic button styles
   const buttonVariants = useButtonStyles();
+  const { nodeTypes } = useNodeTypes();
   
   const nodesWithParameters = nodes
     .filter(node => !selectedCarrierPumps.includes(node.id))
     .filter(node => !(node.data.type === 'thermostat' && node.data.end === 'true'))
     .filter(node => node.data.parameters && node.data.parameters.length > 0);
     
-  // Initialize parameter ranges and visibility from defaultProperties
+  // Initialize parameter ranges and visibility from the node types
   useEffect(() => {
     // Initialize ranges and visibility for all parameters from all nodes
     const initialRanges = {};
@@ -66,7 +53,7 @@ const ManualDropletCreation = ({
       if (node.data.parameters) {
         node.data.parameters.forEach(param => {
           const key = `${node.id}-${param.name}`;
-          const range = getParameterRange(node.data.type, param.name);
+          const range = getParameterRange(nodeTypes, node.data.type, param.name);
           initialRanges[param.name] = range;
           initialVisibility[key] = true;
         });
@@ -80,7 +67,7 @@ const ManualDropletCreation = ({
     if (Object.keys(parameterVisibility).length === 0) {
       setParameterVisibility(initialVisibility);
     }
-  }, [nodesWithParameters, setParameterRanges, setParameterVisibility, parameterRanges, parameterVisibility]);
+  }, [nodesWithParameters, setParameterRanges, setParameterVisibility, parameterRanges, parameterVisibility, nodeTypes]);
     
   useEffect(() => {
     if (droplets.length === 0) {
@@ -366,6 +353,20 @@ const ManualDropletCreation = ({
         </button>
       </div>
 
+      <ProjectDocuments
+        kind="droplets"
+        title="Droplet Sequences in Project"
+        getData={() => droplets}
+        onLoad={(data) => {
+          if (Array.isArray(data)) {
+            setDroplets(data);
+          } else {
+            console.error('Project document is not a droplet sequence:', data);
+          }
+        }}
+        defaultName="droplets"
+      />
+
       <h3 style={{ marginTop: '20px', marginBottom: '10px' }}>Droplets List:</h3>
       <DropletList
         droplets={droplets}
@@ -1,26 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { useButtonStyles } from '../../styles/ButtonStyleProvider';
 import { backgroundVariants } from '../../styles/backgroundStyles';
-import defaultProperties from '../../data/defaultProperties.json';
+import { useNodeTypes, getParameterRange } from '../../context/NodeTypesContext';
 
 // Utility function to deep clone an object
 const deepClone = (obj) => JSON.parse(JSON.stringify(obj));
 
-// Helper function to get parameter range and description from defaultProperties
-const getParameterRange = (nodeType, paramName) => {
-  const nodeConfig = defaultProperties[nodeType];
-  if (!nodeConfig?.parameters) return { min: 0, max: 100, description: '' };
-  
-  const parameter = nodeConfig.parameters.find(p => p.name === paramName);
-  if (!parameter) return { min: 0, max: 100, description: '' };
-  
-  return {
-    min: parameter.min ?? 0,
-    max: parameter.max ?? 100,
-    description: parameter.description || ''
-  };
-};
-
 // Generate a Box-Behnken design for response surface methodology
 const generateBoxBehnkenDesign = (factors, levels) => {
   // For simplicity, using a straightforward approach with -1, 0, 1 levels
@@ -145,6 +130,7 @@ const normalizePumpRatios = (design, parameterConfigs, strategy = 'distribute',
 
 const ResponseSurfaceGenerator = ({ nodes, selectedCarrierPumps, onNext }) => {
   const buttonVariants = useButtonStyles();
+  const { nodeTypes } = useNodeTypes();
   const [availableParameters, setAvailableParameters] = useState([]);
   const [selectedParameters, setSelectedParameters] = useState([]);
   const [numLevels, setNumLevels] = useState(3);
@@ -166,22 +152,26 @@ const ResponseSurfaceGenerator = ({ nodes, selectedCarrierPumps, onNext }) => {
       .filter(node => node.data.parameters && node.data.parameters.length > 0);
 
     const params = nodesWithParameters.flatMap(node => 
-      (node.data.parameters || []).map(param => ({
-        nodeId: node.id,
-        nodeName: node.data.label,
-        nodeType: node.data.type,
-        name: param.name,
-        label: param.label || param.name,
-        default: param.default || 0,
-        min: param.min || 0,
-        max: param.max || 100,
-        id: `${node.id}-${param.name}`,
-        selected: false
-      }))
+      (node.data.parameters || []).map(param => {
+        // Nodes keep the parameters of the type they were made from, missing limits come from the current type
+        const range = getParameterRange(nodeTypes, node.data.type, param.name);
+        return {
+          nodeId: node.id,
+          nodeName: node.data.label,
+          nodeType: node.data.type,
+          name: param.name,
+          label: param.label || param.name,
+          default: param.default || 0,
+          min: param.min ?? range.min,
+          max: param.max ?? range.max,
+          id: `${node.id}-${param.name}`,
+          selected: false
+        };
+      })
     );
 
     setAvailableParameters(params);
-  }, [nodes, selectedCarrierPumps]);
+  }, [nodes, selectedCarrierPumps, nodeTypes]);
 
   // Calculate sum of pump ratios whenever selected parameters change
   useEffect(() => {
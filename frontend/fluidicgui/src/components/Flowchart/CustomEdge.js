@@ -127,7 +127,10 @@ const CustomEdge = ({
 
   return (
     <>
-      <path id={id} style={style} className="react-flow__edge-path" d={edgePath} markerEnd={markerEnd} />
+      <path id={id} style={style} className="react-flow__edge-path" d={edgePath} markerEnd={markerEnd}>
+        {/* Validator messages as a tooltip */}
+        {data?.validationIssues && <title>{data.validationIssues.map(entry => entry.message).join('\n')}</title>}
+      </path>
       <foreignObject
         width={80}
         height={40}
@@ -3,8 +3,8 @@ import { Handle, Position } from 'react-flow-renderer';
 import { backgroundVariants } from '../../styles/backgroundStyles';
 import { useButtonStyles } from '../../styles/ButtonStyleProvider';
 
-// Import the JSON data for node properties
-import defaultProperties from '../../data/defaultProperties.json';
+// Built-in node types from defaultProperties.json plus the user-defined ones
+import { useNodeTypes } from '../../context/NodeTypesContext';
 
 // Create a global event emitter for communication between components
 if (!window.customEvents) {
@@ -30,7 +30,38 @@ const CustomNode = ({ data, id, selected, onClick }) => {
   const [expanded, setExpanded] = useState(false); // State to manage expansion
   const [nodeProperties, setNodeProperties] = useState([]); // Store the properties from JSON
   const [isCustomMqttInput, setIsCustomMqttInput] = useState(false); // State for MQTT input mode
+  const [, setDevicesVersion] = useState(0); // Re-render when the device registry changes
   const buttonVariants = useButtonStyles();
+  const { nodeTypes } = useNodeTypes();
+
+  useEffect(() => {
+    const handleDevicesChanged = () => setDevicesVersion(version => version + 1);
+    window.addEventListener('detectedDevicesChanged', handleDevicesChanged);
+    return () => window.removeEventListener('detectedDevicesChanged', handleDevicesChanged);
+  }, []);
+
+  // Badge for nodes bound to a device that is unknown or has gone silent
+  const getDeviceBadge = () => {
+    const mqttProperty = Array.isArray(data.properties) ? data.properties.find(property => property.name === 'MQTTname') : null;
+    if (!mqttProperty) return null;
+
+    const MQTTname = data.MQTTname !== undefined ? data.MQTTname : mqttProperty.default;
+    if (!MQTTname) {
+      return { label: 'No device', color: '#f44336', title: 'No MQTT name set for this node' };
+    }
+    const device = window.detectedDevices ? window.detectedDevices.find(d => d.MQTTname === MQTTname) : null;
+    if (!device) {
+      return { label: 'Not found', color: '#f44336', title: `${MQTTname} has not answered a device scan` };
+    }
+    if (device.online === false) {
+      return {
+        label: 'Offline',
+        color: '#FF9800',
+        title: `${MQTTname} last seen ${device.lastSeen ? new Date(device.lastSeen).toLocaleString() : 'never'}`
+      };
+    }
+    return null;
+  };
   
   const handleContextMenu = (event) => {
     event.preventDefault();
@@ -40,18 +71,18 @@ const CustomNode = ({ data, id, selected, onClick }) => {
     }
   };
 
-  // Debugging: Check if defaultProperties and data.type are loaded correctly
+  // Debugging: Check if the node types and data.type are loaded correctly
   useEffect(() => {
-    console.log('Default Properties:', defaultProperties); // Check if the JSON is loaded correctly
+    console.log('Node Types:', nodeTypes); // Check if the JSON is loaded correctly
   
-    if (defaultProperties[data.type]) {
+    if (nodeTypes[data.type]) {
       console.log('Node Type Found:', data.type);
-      setNodeProperties(defaultProperties[data.type].properties);
+      setNodeProperties(nodeTypes[data.type].properties);
     } else {
       console.log('Node Type Not Found:', data.type);
       setNodeProperties([]);
     }
-  }, [data.type, data.properties]);
+  }, [data.type, data.properties, nodeTypes]);
 
   // Toggle expand/collapse
   const toggleExpand = () => setExpanded(!expanded);
@@ -245,6 +276,11 @@ const CustomNode = ({ data, id, selected, onClick }) => {
     });
   };
 
+  const deviceBadge = getDeviceBadge();
+  // Problems found by the flowchart validator
+  const issues = data.validationIssues || [];
+  const issueColor = issues.some(entry => entry.severity === 'error') ? '#ff5252' : '#FF9800';
+
 //style={styles.node}
   return (
     <div
@@ -253,7 +289,7 @@ const CustomNode = ({ data, id, selected, onClick }) => {
       style={{
         padding: 10,
         //backgroundColor: data.color || '#777',
-        border: selected ? '3px solid blue' : '1px solid #777',  // Highlight selected node
+        border: selected ? '3px solid blue' : issues.length > 0 ? `3px solid ${issueColor}` : '1px solid #777',  // Highlight selected node
         ...backgroundVariants.nodeBackground
       }}
     >
@@ -264,7 +300,22 @@ const CustomNode = ({ data, id, selected, onClick }) => {
         style={styles.handle}
       />
       <div style={styles.node}>
-        <div>Name: {data.label}</div>  {/* Display node label */}
+        <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+          <span>Name: {data.label}</span>  {/* Display node label */}
+          {deviceBadge && (
+            <span style={{ ...styles.deviceBadge, backgroundColor: deviceBadge.color }} title={deviceBadge.title}>
+              {deviceBadge.label}
+            </span>
+          )}
+          {issues.length > 0 && (
+            <span
+              style={{ ...styles.deviceBadge, backgroundColor: issueColor }}
+              title={issues.map(entry => entry.message).join('\n')}
+            >
+              ⚠ {issues.length}
+            </span>
+          )}
+        </div>
         <div>Type: {data.type}</div>    {/* Display node type */}
         <div style={{ display: 'flex', gap: '8px' }}>
           <button style={buttonVariants.secondaryButton} onClick={toggleExpand}>
@@ -383,6 +434,13 @@ const styles = {
     fontSize: '0.8em',
     marginLeft: '5px'
   },
+  deviceBadge: {
+    padding: '2px 8px',
+    borderRadius: '10px',
+    color: '#fff',
+    fontSize: '14px',
+    fontWeight: 'bold'
+  },
   matchedInput: {
     backgroundColor: '#0a3a0a',
     borderColor: '#3c3',
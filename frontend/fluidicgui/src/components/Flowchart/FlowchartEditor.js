@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useRef, useMemo  } from 'react';
+import React, { useState, useCallback, useRef, useMemo, useEffect } from 'react';
 import CustomNode from './CustomNode';
 import CustomEdge from './CustomEdge';
 import ReactFlow, {
@@ -9,6 +9,12 @@ import ReactFlow, {
 import defaultProperties from '../../data/defaultProperties.json';
 import SidePanel from './SidePanel';
 import { backgroundVariants } from '../../styles/backgroundStyles';
+import { layoutFlowchart, LAYOUT_SPACING } from '../../utils/flowchartLayout';
+import { useLocalStorage } from '../../utils/localStorageUtils';
+import { TEMPLATES_STORAGE_KEY, createTemplate, instantiateTemplate } from '../../utils/flowTemplates';
+
+// Edge colors for elements the validator flagged
+const ISSUE_COLORS = { error: '#ff5252', warning: '#FF9800' };
 
 const FlowchartEditor = ({ 
   nodes, 
@@ -19,8 +25,10 @@ const FlowchartEditor = ({
   edges, 
   setEdges, 
   onProceed,
+  validation,
   onScanDevices,
-  detectedDevices = []
+  detectedDevices = [],
+  history
 }) => {
   const nodeTypes = useMemo(() => ({ customNode: CustomNode }), []);
   const edgeTypes = useMemo(() => ({ customEdge: CustomEdge }), []);
@@ -30,6 +38,12 @@ const FlowchartEditor = ({
   const [showColorMenu, setShowColorMenu] = useState(false); // To toggle the color menu
   const [isInMenu, setIsInMenu] = useState(false); // Track if the mouse is inside a menu
   const contextMenuRef = useRef(null);
+  const dragStartRef = useRef(null); // Flowchart when a drag began, recorded if anything moved
+  const { record: recordHistory, undo, redo } = history;
+  const [savedTemplates, setSavedTemplates] = useLocalStorage(TEMPLATES_STORAGE_KEY, []);
+
+  // "Pump 1" or "3 nodes" for history labels
+  const describeNodes = (list) => (list.length === 1 ? list[0].data.label : `${list.length} nodes`);
 
   // Colors to choose from
   const colorOptions = ['#7e91fc', '#fc7e91', '#91fc7e', '#00106b', '#6b0010', '#106b00', '#ffffff','#000000','#f80'];
@@ -74,8 +88,9 @@ const FlowchartEditor = ({
 
   // Handle edge deletion
   const handleDeleteEdge = useCallback((id) => {
+    recordHistory('Delete connection');
     setEdges((eds) => eds.filter((edge) => edge.id !== id));  // Remove the edge by its ID
-  }, [setEdges]);
+  }, [setEdges, recordHistory]);
 
   // Hide both context and color menus when the mouse leaves both
   const hideMenus = () => {
@@ -95,6 +110,7 @@ const FlowchartEditor = ({
       const selectedNode = selectedNodes[0];
       const newName = prompt('Enter new name for the node:', selectedNode.data.label);
       if (newName) {
+        recordHistory(`Rename ${selectedNode.data.label} to ${newName}`);
         setNodes((nds) =>
           nds.map((node) =>
             node.id === selectedNode.id ? { ...node, data: { ...node.data, label: newName } } : node
@@ -136,6 +152,7 @@ const FlowchartEditor = ({
     }));
   
     // Add the copied nodes and edges to the state
+    recordHistory(`Copy ${describeNodes(selectedNodes)}`);
     setNodes((nds) => [...nds, ...newNodes]);
     setEdges((eds) => [...eds, ...newEdges]);
     setShowContextMenu(false); // Close the context menu
@@ -143,12 +160,14 @@ const FlowchartEditor = ({
 
   // Handle deleting selected nodes
   const deleteSelectedNodes = () => {
+    recordHistory(`Delete ${describeNodes(selectedNodes)}`);
     setNodes((nds) => nds.filter((node) => !selectedNodes.some((selectedNode) => selectedNode.id === node.id)));
     setEdges((eds) => eds.filter((edge) => !selectedNodes.some((selectedNode) => edge.source === selectedNode.id || edge.target === selectedNode.id)));
     setShowContextMenu(false); // Close the menu
   };
 
   const changeNodeColor = (color) => {
+    recordHistory(`Recolor ${describeNodes(selectedNodes)}`);
     setNodes((nds) =>
       nds.map((node) =>
         selectedNodes.some(selectedNode => selectedNode.id === node.id)
@@ -162,6 +181,7 @@ const FlowchartEditor = ({
 
   const handleEdgePropertyChange = useCallback((id, propertyName, propertyValue) => {
     console.log('change edge:', id);
+    recordHistory(`Edit connection ${propertyName}`, { mergeKey: `edge:${id}:${propertyName}` });
     setEdges((eds) =>
       eds.map((edge) =>
         edge.id === id
@@ -169,11 +189,12 @@ const FlowchartEditor = ({
           : edge
       )
     );
-  }, [setEdges]);
+  }, [setEdges, recordHistory]);
 
   const handleConnect = useCallback((params) => {
     const defaultEdgeProperties = defaultProperties.edges.default;  // Load default edge properties from JSON
     const newEdgeId = `edge-${Date.now()}`;  // Generate a unique ID for the edge
+    recordHistory('Connect nodes');
     setEdges((eds) => [
       ...eds,
       {
@@ -189,10 +210,11 @@ const FlowchartEditor = ({
       },
     ]);
     
-  }, [setEdges, handleEdgePropertyChange,handleDeleteEdge]);
+  }, [setEdges, handleEdgePropertyChange, handleDeleteEdge, recordHistory]);
   
   // Handle node property changes
   const handlePropertyChange = useCallback((id, propertyName, propertyValue) => {
+    recordHistory(`Edit ${propertyName}`, { mergeKey: `node:${id}:${propertyName}` });
     setNodes((nds) =>
       nds.map((node) =>
         node.id === id
@@ -201,9 +223,10 @@ const FlowchartEditor = ({
       )
     );
     
-  }, [setNodes]);
+  }, [setNodes, recordHistory]);
 
   const handleAddNode = useCallback((newNode) => {
+    recordHistory(`Add ${newNode.data.label}`);
     setNodes((nds) => [
       ...nds,
       {
@@ -217,7 +240,7 @@ const FlowchartEditor = ({
         },
       },
     ]);
-  }, [setNodes, handlePropertyChange]);
+  }, [setNodes, handlePropertyChange, recordHistory]);
 
   const onImportFlow = (importedFlow) => {
     let parsedFlow;
@@ -230,6 +253,7 @@ const FlowchartEditor = ({
     }
   
     const { nodes, edges } = parsedFlow;
+    recordHistory('Import flowchart');
   
     // Update nodes to include onPropertyChange handler
     const updatedNodes = nodes.map(node => ({
@@ -256,6 +280,133 @@ const FlowchartEditor = ({
     console.log('Flow imported:', updatedNodes, updatedEdges);
   };
 
+  // Store a template, asking before replacing one with the same name
+  const storeTemplate = (template) => {
+    const existing = savedTemplates.some(saved => saved.name === template.name);
+    if (existing && !window.confirm(`Replace the template "${template.name}"?`)) return false;
+    setSavedTemplates([...savedTemplates.filter(saved => saved.name !== template.name), template]);
+    return true;
+  };
+
+  // Save the selected nodes and the connections between them as a template
+  const saveSelectionAsTemplate = () => {
+    const selectedIds = selectedNodes.map(node => node.id);
+    const currentNodes = nodes.filter(node => selectedIds.includes(node.id));  // Positions as they are now
+    const name = prompt('Template name:', describeNodes(currentNodes));
+    if (name && name.trim()) {
+      storeTemplate(createTemplate(name.trim(), currentNodes, edges));
+    }
+    setShowContextMenu(false);
+  };
+
+  const handleDeleteTemplate = (name) => {
+    setSavedTemplates(savedTemplates.filter(template => template.name !== name));
+  };
+
+  // Insert a template to the right of the current flowchart with fresh ids
+  const handleInsertTemplate = (template) => {
+    const origin = nodes.length > 0
+      ? {
+          x: Math.max(...nodes.map(node => node.position.x)) + LAYOUT_SPACING.x,
+          y: Math.min(...nodes.map(node => node.position.y))
+        }
+      : { x: 0, y: 0 };
+    const inserted = instantiateTemplate(template, origin);
+    recordHistory(`Insert ${template.name}`);
+    setNodes((nds) => [
+      ...nds,
+      ...inserted.nodes.map(node => ({
+        ...node,
+        data: {
+          ...node.data,
+          onPropertyChange: (propertyName, propertyValue) => handlePropertyChange(node.id, propertyName, propertyValue),
+        }
+      }))
+    ]);
+    setEdges((eds) => [
+      ...eds,
+      ...inserted.edges.map(edge => ({
+        ...edge,
+        data: {
+          ...edge.data,
+          onPropertyChange: (propertyName, propertyValue) => handleEdgePropertyChange(edge.id, propertyName, propertyValue),
+          onDelete: () => handleDeleteEdge(edge.id),
+        }
+      }))
+    ]);
+    setSelectedNodes(inserted.nodes);
+  };
+
+  // Deleting with the keyboard removes nodes and their edges in separate changes, record them as one
+  const handleNodesChange = (changes) => {
+    const removed = changes.filter(change => change.type === 'remove');
+    if (removed.length > 0) {
+      recordHistory(`Delete ${removed.length === 1 ? 'node' : `${removed.length} nodes`}`, { mergeKey: 'keyboard-delete' });
+    }
+    onNodesChange(changes);
+  };
+
+  const handleEdgesChange = (changes) => {
+    if (changes.some(change => change.type === 'remove')) {
+      recordHistory('Delete connection', { mergeKey: 'keyboard-delete' });
+    }
+    onEdgesChange(changes);
+  };
+
+  const handleNodeDragStart = () => {
+    dragStartRef.current = { nodes, edges };
+  };
+
+  const handleNodeDragStop = () => {
+    const before = dragStartRef.current;
+    dragStartRef.current = null;
+    if (!before) return;
+    const moved = nodes.filter(node => {
+      const previous = before.nodes.find(candidate => candidate.id === node.id);
+      return previous && (previous.position.x !== node.position.x || previous.position.y !== node.position.y);
+    });
+    if (moved.length > 0) {
+      recordHistory(`Move ${describeNodes(moved)}`, { before });
+    }
+  };
+
+  // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) - text fields keep their own undo
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey)) return;
+      const target = event.target;
+      if (target && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable)) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  // Returns false when there is no outlet to lay the network out from
+  const handleAutoLayout = () => {
+    const laidOut = layoutFlowchart(nodes, edges);
+    if (!laidOut) return false;
+    recordHistory('Auto layout');
+    setNodes(laidOut);
+    return true;
+  };
+
+  // Select the nodes a problem is about so they stand out
+  const handleSelectIssue = (entry) => {
+    setSelectedNodes(nodes.filter(node => entry.nodeIds.includes(node.id)));
+  };
+
+  const getIssueColor = (issues) => (issues.some(entry => entry.severity === 'error') ? ISSUE_COLORS.error : ISSUE_COLORS.warning);
+
   //console.log('Rendering Nodes in React Flow:', nodes);
 
   const styles = {
@@ -285,11 +436,22 @@ const FlowchartEditor = ({
                 ...node.data,
                 onContextMenu: (event) => handleContextMenu(event, node.id),
                 onClick: (event) => handleNodeClick(event, node.id),
+                validationIssues: validation.nodeIssues.get(node.id) || null,
               },
             }))}
-            edges={edges}
-            onNodesChange={onNodesChange}
-            onEdgesChange={onEdgesChange}
+            edges={edges.map(edge => {
+              const issues = validation.edgeIssues.get(edge.id);
+              if (!issues) return edge;
+              return {
+                ...edge,
+                style: { ...edge.style, stroke: getIssueColor(issues) },
+                data: { ...edge.data, validationIssues: issues },
+              };
+            })}
+            onNodesChange={handleNodesChange}
+            onEdgesChange={handleEdgesChange}
+            onNodeDragStart={handleNodeDragStart}
+            onNodeDragStop={handleNodeDragStop}
             onConnect={handleConnect}
             nodeTypes={nodeTypes}
             edgeTypes={edgeTypes}
@@ -301,11 +463,19 @@ const FlowchartEditor = ({
             <SidePanel 
               onAddNode={handleAddNode} 
               onProceed={onProceed} 
+              validation={validation}
+              onSelectIssue={handleSelectIssue}
+              onAutoLayout={handleAutoLayout}
               onImportFlow={onImportFlow}
+              savedTemplates={savedTemplates}
+              onInsertTemplate={handleInsertTemplate}
+              onImportTemplate={storeTemplate}
+              onDeleteTemplate={handleDeleteTemplate}
               onScanDevices={onScanDevices}
               detectedDevices={detectedDevices}
               nodes={nodes}
               edges={edges}
+              history={history}
             />
           </ReactFlow>
 
@@ -338,6 +508,9 @@ const FlowchartEditor = ({
               <button onClick={copySelectedNodes} style={styles.menuButton}>
                 Copy
               </button>
+              <button onClick={saveSelectionAsTemplate} style={styles.menuButton}>
+                Save as Template
+              </button>
               <button onClick={deleteSelectedNodes} style={styles.menuButton}>
                 Delete
               </button>
@@ -1,11 +1,12 @@
 import React, { useState, useRef } from 'react';
 import { useButtonStyles } from '../../styles/ButtonStyleProvider';
 import { saveToLocalStorage, loadFromLocalStorage } from '../../utils/localStorageUtils';
+import ProjectDocuments from '../Projects/ProjectDocuments';
 
 // Key for storing flowcharts in localStorage
 export const FLOWCHARTS_STORAGE_KEY = 'fluidicgui_flowcharts';
 
-const FlowchartUploader = ({ onFlowchartSelect }) => {
+const FlowchartUploader = ({ onFlowchartSelect, getCurrentFlowchart }) => {
   const buttonVariants = useButtonStyles();
   const fileInputRef = useRef(null);
   const [savedFlowcharts, setSavedFlowcharts] = useState(() => {
@@ -174,6 +175,15 @@ const FlowchartUploader = ({ onFlowchartSelect }) => {
           ))
         )}
       </div>
+
+      {/* Shared with the other lab PCs through the backend */}
+      <ProjectDocuments
+        kind="flowcharts"
+        title="Project Flowcharts"
+        getData={getCurrentFlowchart}
+        onLoad={(data) => onFlowchartSelect && onFlowchartSelect(data)}
+        defaultName="flow"
+      />
     </div>
   );
 };
@@ -1,137 +1,57 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useReactFlow } from 'react-flow-renderer';
-import defaultProperties from '../../data/defaultProperties.json';
 import { backgroundVariants } from '../../styles/backgroundStyles';
 import { useButtonStyles } from '../../styles/ButtonStyleProvider';
-import { WS_URL } from '../../config';
 import FlowchartUploader from './FlowchartUploader';
+import { useAuth } from '../../context/AuthContext';
+import { useNodeTypes } from '../../context/NodeTypesContext';
+import NodeTypeEditor from '../NodeTypes/NodeTypeEditor';
+import { BUILTIN_TEMPLATES, TEMPLATE_EXTENSION, readTemplateFile, downloadTemplate } from '../../utils/flowTemplates';
 
-// For WebSocket connection
-const WebSocket = window.WebSocket || window.MozWebSocket;
-
-const SidePanel = ({ onAddNode, onImportFlow, nodes, edges, onProceed, onScanDevices, detectedDevices = [] }) => {
+const SidePanel = ({ onAddNode, onImportFlow, nodes, edges, onProceed, onScanDevices, detectedDevices = [], history, validation, onSelectIssue, onAutoLayout, savedTemplates = [], onInsertTemplate, onImportTemplate, onDeleteTemplate }) => {
+  const { canOperate } = useAuth();
+  const { nodeTypes: nodeTypeSchemas } = useNodeTypes();  // Built-in and user-defined types
   const [nodeName, setNodeName] = useState('');
   const [nodeType, setNodeType] = useState('pump');  // Default to first type
   const [nodeTypes, setNodeTypes] = useState([]);    // State to store node types
-  const [localWs, setLocalWs] = useState(null);
-  const [localDevices, setLocalDevices] = useState([]);
   const [exportFilename, setExportFilename] = useState('flow');  // Default filename
   const [isDevicesExpanded, setIsDevicesExpanded] = useState(true);
   const [isDataControlExpanded, setIsDataControlExpanded] = useState(true);
   const [isAddNodeExpanded, setIsAddNodeExpanded] = useState(true);
-  const { toObject } = useReactFlow();  // Access React Flow instance
+  const [isHistoryExpanded, setIsHistoryExpanded] = useState(false);
+  const [isProblemsExpanded, setIsProblemsExpanded] = useState(true);
+  const [isTemplatesExpanded, setIsTemplatesExpanded] = useState(true);
+  const [showNodeTypeEditor, setShowNodeTypeEditor] = useState(false);
+  const templateFileRef = useRef(null);
+  const { toObject, fitView } = useReactFlow();  // Access React Flow instance
   
   // Get dynamic button styles
   const buttonVariants = useButtonStyles();
 
-  // Use either parent-provided devices or local devices
-  const effectiveDevices = detectedDevices.length > 0 ? detectedDevices : localDevices;
-
-  // Set up a local WebSocket connection
-  useEffect(() => {
-    const websocket = new WebSocket(WS_URL);
-    
-    websocket.onopen = () => {
-      console.log('SidePanel connected to WebSocket server');
-    };
-
-    websocket.onmessage = (event) => {
-      try {
-        const data = JSON.parse(event.data);
-        
-        // Check if payload is a string that looks like JSON and parse it
-        if (data.payload && typeof data.payload === 'string') {
-          // Check if the string starts and ends with quotes (already serialized string)
-          if (data.payload.startsWith('"') && data.payload.endsWith('"')) {
-            // Remove the extra quotes
-            data.payload = data.payload.substring(1, data.payload.length - 1);
-          }
-        }
-        
-        // Check if this is a device response message
-        if (data.topic === 'common/device_response') {
-          console.log('Device response received in SidePanel:', data);
-          
-          // Parse the payload - format is "MQTTname:type"
-          const responseData = data.payload.toString();
-          const [MQTTname, type] = responseData.split(':');
-          
-          if (MQTTname && type) {
-            setLocalDevices(prev => {
-              // Check if device is already in the list
-              const exists = prev.some(device => device.MQTTname === MQTTname);
-              if (!exists) {
-                console.log(`New device detected locally: ${MQTTname} (${type})`);
-                
-                // Update the global list for CustomNode to use
-                window.detectedDevices = [...prev, { MQTTname, type }];
-                
-                return [...prev, { MQTTname, type }];
-              }
-              return prev;
-            });
-          }
-        }
-      } catch (error) {
-        console.error('Error processing WebSocket message in SidePanel:', error);
-      }
-    };
-
-    websocket.onerror = (error) => {
-      console.error('SidePanel WebSocket error:', error);
-    };
-
-    setLocalWs(websocket);
-
-    return () => {
-      if (websocket) {
-        websocket.close();
-      }
-    };
-  }, []);
-
-  // Load node types from the defaultProperties.json on mount
+  // Load node types, again whenever a type is added or removed in the node type editor
   useEffect(() => {
-    const types = Object.keys(defaultProperties).filter(key => key !== 'edges'); // Load node types, ignoring "edges"
+    const types = Object.keys(nodeTypeSchemas).filter(key => key !== 'edges'); // Load node types, ignoring "edges"
     setNodeTypes(types);
-    setNodeType(types[0]);  // Set the default node type to the first in the list
-  }, []);
+    setNodeType(current => (types.includes(current) ? current : types[0]));  // Keep the selection while it exists
+  }, [nodeTypeSchemas]);
 
-  // Direct scan function
+  // Scans go through App's connection, the backend registry answers with the device list
   const handleLocalScan = () => {
     console.log('Performing direct scan from SidePanel');
-    
-    // Reset local device list
-    setLocalDevices([]);
-    
-    // First try the parent's scan function
     if (onScanDevices) {
-      console.log('Calling parent scan function');
       onScanDevices();
-    }
-    
-    // As a backup, use our local WebSocket connection
-    if (localWs && localWs.readyState === WebSocket.OPEN) {
-      console.log('Sending scan request via local WebSocket');
-      const scanMessage = {
-        topic: "common/device_scan",
-        payload: {}
-      };
-      
-      localWs.send(JSON.stringify(scanMessage));
-      console.log('Sent device scan message from SidePanel');
     } else {
-      console.error('Local WebSocket is not connected');
+      console.error('No scan function available');
     }
   };
 
   // Make the scan function available globally for debugging
   useEffect(() => {
     window.scanForDevices = handleLocalScan;
-  }, [localWs]);
+  });
 
   const handleAddNode = () => {
-    //const nodeProperties = defaultProperties[nodeType].properties || [];  // Load properties based on nodeType
+    //const nodeProperties = nodeTypeSchemas[nodeType].properties || [];  // Load properties based on nodeType
     const nodeLabel = nodeName || 'Unnamed Node';
     const newNode = {
       id: `node-${Date.now()}`,
@@ -140,8 +60,8 @@ const SidePanel = ({ onAddNode, onImportFlow, nodes, edges, onProceed, onScanDev
       data: {
         label: nodeLabel, // Set node label
         type: nodeType,  // Set node type, e.g., 'pump'
-        properties: defaultProperties[nodeType]?.properties || {},  // Include node properties
-        parameters: defaultProperties[nodeType]?.parameters || {},
+        properties: nodeTypeSchemas[nodeType]?.properties || {},  // Include node properties
+        parameters: nodeTypeSchemas[nodeType]?.parameters || {},
       },
     };
   
@@ -171,6 +91,36 @@ const SidePanel = ({ onAddNode, onImportFlow, nodes, edges, onProceed, onScanDev
     document.body.removeChild(link);
   };
 
+  const handleAutoLayout = () => {
+    if (!onAutoLayout()) {
+      alert('Add an outlet node first - the layout starts from the outlet');
+      return;
+    }
+    // Wait for the new positions to render before framing them
+    setTimeout(() => fitView({ padding: 0.1 }), 50);
+  };
+
+  const handleInsertTemplate = (template) => {
+    onInsertTemplate(template);
+    setTimeout(() => fitView({ padding: 0.1 }), 50);
+  };
+
+  const handleTemplateFileChange = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';  // Allow importing the same file again
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        onImportTemplate(readTemplateFile(e.target.result));
+      } catch (error) {
+        console.error('Error importing template:', error);
+        alert(`Could not import ${file.name}: ${error.message}`);
+      }
+    };
+    reader.readAsText(file);
+  };
+
   // Handle flowchart selection from the uploader
   const handleFlowchartSelect = (flowchartData) => {
     if (onImportFlow) {
@@ -179,8 +129,8 @@ const SidePanel = ({ onAddNode, onImportFlow, nodes, edges, onProceed, onScanDev
   };
 
   const handleAddDeviceNode = (device) => {
-    // Get available node types from defaultProperties
-    const availableNodeTypes = Object.keys(defaultProperties).filter(key => key !== 'edges');
+    // Get available node types, user-defined ones included
+    const availableNodeTypes = Object.keys(nodeTypeSchemas).filter(key => key !== 'edges');
     
     // First try to match the exact device type with available node types
     let matchedNodeType = availableNodeTypes.find(type => type.toLowerCase() === device.type.toLowerCase());
@@ -204,8 +154,8 @@ const SidePanel = ({ onAddNode, onImportFlow, nodes, edges, onProceed, onScanDev
 
     // Create a copy of the properties with the MQTTname value set
     let properties = [];
-    if (defaultProperties[matchedNodeType]?.properties) {
-      properties = JSON.parse(JSON.stringify(defaultProperties[matchedNodeType].properties));
+    if (nodeTypeSchemas[matchedNodeType]?.properties) {
+      properties = JSON.parse(JSON.stringify(nodeTypeSchemas[matchedNodeType].properties));
       // Set MQTTname property if it exists
       for (let prop of properties) {
         if (prop.name === 'MQTTname') {
@@ -224,7 +174,7 @@ const SidePanel = ({ onAddNode, onImportFlow, nodes, edges, onProceed, onScanDev
         type: matchedNodeType, // Set node type
         MQTTname: device.MQTTname, // Explicitly set MQTT name in data
         properties: properties,
-        parameters: defaultProperties[matchedNodeType]?.parameters || {},
+        parameters: nodeTypeSchemas[matchedNodeType]?.parameters || {},
       },
     };
 
@@ -312,6 +262,13 @@ const SidePanel = ({ onAddNode, onImportFlow, nodes, edges, onProceed, onScanDev
       padding: '10px',
       borderRadius: '4px'
     },
+    onlineDot: (online) => ({
+      display: 'inline-block',
+      width: '8px',
+      height: '8px',
+      borderRadius: '50%',
+      backgroundColor: online ? '#4CAF50' : '#f44336'
+    }),
     deviceItem: {
       padding: '8px',
       marginBottom: '8px',
@@ -349,7 +306,30 @@ const SidePanel = ({ onAddNode, onImportFlow, nodes, edges, onProceed, onScanDev
     buttonGroup: {
       display: 'flex',
       gap: '5px'
-    }
+    },
+    historyList: {
+      maxHeight: '200px',
+      overflowY: 'auto',
+      marginTop: '10px'
+    },
+    problemItem: (severity) => ({
+      padding: '6px',
+      marginBottom: '5px',
+      fontSize: '12px',
+      cursor: 'pointer',
+      borderRadius: '3px',
+      borderLeft: `3px solid ${severity === 'error' ? '#ff5252' : '#FF9800'}`,
+      backgroundColor: '#2a2a2a'
+    }),
+    historyItem: (state) => ({
+      padding: '4px 6px',
+      fontSize: '12px',
+      cursor: 'pointer',
+      borderRadius: '3px',
+      color: state === 'undone' ? '#777' : '#eee',
+      fontStyle: state === 'undone' ? 'italic' : 'normal',
+      backgroundColor: state === 'current' ? '#2e4a2e' : 'transparent'
+    })
   };
 
   return (
@@ -376,17 +356,103 @@ const SidePanel = ({ onAddNode, onImportFlow, nodes, edges, onProceed, onScanDev
             <select value={nodeType} onChange={(e) => setNodeType(e.target.value)} style={styles.input}>
               {nodeTypes.map((type) => (
                 <option key={type} value={type}>
-                  {defaultProperties[type].label}
+                  {nodeTypeSchemas[type].label}{nodeTypeSchemas[type].custom ? ' (custom)' : ''}
                 </option>
               ))}
             </select>
             <button onClick={handleAddNode} style={{...buttonVariants.primaryButton, width: '100%', marginTop: '10px'}}>
               Add Node
             </button>
+            <button
+              onClick={() => setShowNodeTypeEditor(true)}
+              title="Create and edit node types such as valves or sensors"
+              style={{...buttonVariants.secondaryButton, width: '100%', marginTop: '10px'}}
+            >
+              Edit Node Types
+            </button>
+            {onAutoLayout && (
+              <button
+                onClick={handleAutoLayout}
+                title="Main line left to right towards the outlet, pumps above their connectors"
+                style={{...buttonVariants.secondaryButton, width: '100%', marginTop: '10px'}}
+              >
+                Auto Layout
+              </button>
+            )}
           </div>
         </div>
       </div>
 
+      {onInsertTemplate && (
+        <div style={styles.collapsibleSection}>
+          <div 
+            style={styles.sectionHeader}
+            onClick={() => setIsTemplatesExpanded(!isTemplatesExpanded)}
+          >
+            <h4 style={{ margin: 0 }}>Templates</h4>
+            <span style={styles.chevron(isTemplatesExpanded)}>▼</span>
+          </div>
+          <div style={styles.sectionContent(isTemplatesExpanded)}>
+            <div style={styles.contentPadding}>
+              {/* Built-in motifs first, then the ones saved from a selection (right-click a node) */}
+              {[...BUILTIN_TEMPLATES, ...savedTemplates].map((template) => (
+                <div key={`${template.builtin ? 'builtin' : 'saved'}-${template.name}`} style={styles.flowchartItem}>
+                  <span
+                    style={{ fontSize: '12px', fontStyle: template.builtin ? 'italic' : 'normal' }}
+                    title={`${template.nodes.length} nodes, ${template.edges.length} connections`}
+                  >
+                    {template.name}
+                  </span>
+                  <div style={styles.buttonGroup}>
+                    <button
+                      onClick={() => handleInsertTemplate(template)}
+                      title="Insert with new node ids"
+                      style={{ ...buttonVariants.smallPrimary, margin: 0 }}
+                    >
+                      +
+                    </button>
+                    <button
+                      onClick={() => downloadTemplate(template)}
+                      title="Save as a file to share"
+                      style={{ ...buttonVariants.smallSecondary, margin: 0 }}
+                    >
+                      ⬇
+                    </button>
+                    {!template.builtin && (
+                      <button
+                        onClick={() => window.confirm(`Delete the template "${template.name}"?`) && onDeleteTemplate(template.name)}
+                        title="Delete template"
+                        style={{ ...buttonVariants.dangerButton, padding: '4px 8px', fontSize: '12px', margin: 0 }}
+                      >
+                        ✕
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+              {savedTemplates.length === 0 && (
+                <p style={{ fontStyle: 'italic', color: '#888', fontSize: '12px' }}>
+                  Right-click selected nodes and choose "Save as Template" to add your own
+                </p>
+              )}
+              <input
+                ref={templateFileRef}
+                type="file"
+                accept={`${TEMPLATE_EXTENSION},.json,application/json`}
+                style={{ display: 'none' }}
+                onChange={handleTemplateFileChange}
+              />
+              <button
+                onClick={() => templateFileRef.current && templateFileRef.current.click()}
+                style={{...buttonVariants.secondaryButton, width: '100%', marginTop: '10px'}}
+              >
+                Import Template
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       <div style={styles.collapsibleSection}>
         <div 
           style={styles.sectionHeader}
@@ -397,9 +463,9 @@ const SidePanel = ({ onAddNode, onImportFlow, nodes, edges, onProceed, onScanDev
         </div>
         <div style={styles.sectionContent(isDevicesExpanded)}>
           <div style={styles.contentPadding}>
-            {effectiveDevices.length > 0 ? (
+            {detectedDevices.length > 0 ? (
               <div style={styles.deviceList}>
-                {effectiveDevices.map((device, index) => (
+                {detectedDevices.map((device, index) => (
                   <div key={index} style={{
                     ...styles.deviceItem,
                     ':hover': { backgroundColor: '#333' }
@@ -428,8 +494,16 @@ const SidePanel = ({ onAddNode, onImportFlow, nodes, edges, onProceed, onScanDev
                           </svg>
                         )}
                         <div>
-                          <div style={{ fontWeight: 'bold', color: '#fff' }}>{device.MQTTname}</div>
-                          <div style={{ fontSize: '11px', color: '#aaa' }}>{device.type}</div>
+                          <div style={{ fontWeight: 'bold', color: '#fff', display: 'flex', alignItems: 'center', gap: '5px' }}>
+                            <span
+                              style={styles.onlineDot(device.online !== false)}
+                              title={device.online !== false ? 'Online' : `Offline${device.lastSeen ? ` since ${new Date(device.lastSeen).toLocaleString()}` : ''}`}
+                            />
+                            {device.MQTTname}
+                          </div>
+                          <div style={{ fontSize: '11px', color: '#aaa' }}>
+                            {device.type}{device.firmware ? ` · ${device.firmware}` : ''}
+                          </div>
                         </div>
                       </div>
                       <button 
@@ -449,14 +523,17 @@ const SidePanel = ({ onAddNode, onImportFlow, nodes, edges, onProceed, onScanDev
                 No devices detected
               </div>
             )}
-            <button 
-              onClick={handleLocalScan} 
-              style={{...buttonVariants.secondaryButton, width: '100%', marginTop: '10px', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '8px'}}>
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <path d="M12 2C17.5 2 22 6.5 22 12C22 12.38 21.97 12.75 21.92 13.13C21.97 13.42 22 13.71 22 14C22 17.31 19.31 20 16 20V18.92C16.61 18.55 17.16 18.05 17.6 17.5C19.17 16.33 20 14.21 20 12C20 7.58 16.42 4 12 4C7.58 4 4 7.58 4 12C4 14.21 4.83 16.33 6.4 17.5C6.84 18.05 7.39 18.55 8 18.92V20C4.69 20 2 17.31 2 14C2 13.71 2.03 13.42 2.08 13.13C2.03 12.75 2 12.38 2 12C2 6.5 6.5 2 12 2M7 10C7 8.9 7.9 8 9 8C10.1 8 11 8.9 11 10C11 11.1 10.11 12 9 12C7.89 12 7 11.1 7 10M16 8C17.1 8 18 8.9 18 10C18 11.1 17.11 12 16 12C14.89 12 14 11.1 14 10C14 8.9 14.9 8 16 8M12 14C13.75 14 15.29 14.72 16.19 15.81L14.77 17.23C14.32 16.5 13.25 16 12 16C10.75 16 9.68 16.5 9.23 17.23L7.81 15.81C8.71 14.72 10.25 14 12 14Z" fill="currentColor"/>
-              </svg>
-              Scan Devices
-            </button>
+            {/* Viewers may not publish, the registry still keeps the list current */}
+            {canOperate && (
+              <button 
+                onClick={handleLocalScan} 
+                style={{...buttonVariants.secondaryButton, width: '100%', marginTop: '10px', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '8px'}}>
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                  <path d="M12 2C17.5 2 22 6.5 22 12C22 12.38 21.97 12.75 21.92 13.13C21.97 13.42 22 13.71 22 14C22 17.31 19.31 20 16 20V18.92C16.61 18.55 17.16 18.05 17.6 17.5C19.17 16.33 20 14.21 20 12C20 7.58 16.42 4 12 4C7.58 4 4 7.58 4 12C4 14.21 4.83 16.33 6.4 17.5C6.84 18.05 7.39 18.55 8 18.92V20C4.69 20 2 17.31 2 14C2 13.71 2.03 13.42 2.08 13.13C2.03 12.75 2 12.38 2 12C2 6.5 6.5 2 12 2M7 10C7 8.9 7.9 8 9 8C10.1 8 11 8.9 11 10C11 11.1 10.11 12 9 12C7.89 12 7 11.1 7 10M16 8C17.1 8 18 8.9 18 10C18 11.1 17.11 12 16 12C14.89 12 14 11.1 14 10C14 8.9 14.9 8 16 8M12 14C13.75 14 15.29 14.72 16.19 15.81L14.77 17.23C14.32 16.5 13.25 16 12 16C10.75 16 9.68 16.5 9.23 17.23L7.81 15.81C8.71 14.72 10.25 14 12 14Z" fill="currentColor"/>
+                </svg>
+                Scan Devices
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -471,7 +548,7 @@ const SidePanel = ({ onAddNode, onImportFlow, nodes, edges, onProceed, onScanDev
         </div>
         <div style={styles.sectionContent(isDataControlExpanded)}>
           <div style={styles.contentPadding}>
-            <FlowchartUploader onFlowchartSelect={handleFlowchartSelect} />
+            <FlowchartUploader onFlowchartSelect={handleFlowchartSelect} getCurrentFlowchart={toObject} />
             
             <h4 style={{ marginTop: '15px' }}>Export Flow</h4>
             <div style={styles.exportSection}>
@@ -492,11 +569,112 @@ const SidePanel = ({ onAddNode, onImportFlow, nodes, edges, onProceed, onScanDev
         </div>
       </div>
       
+      {history && (
+        <div style={styles.collapsibleSection}>
+          <div 
+            style={styles.sectionHeader}
+            onClick={() => setIsHistoryExpanded(!isHistoryExpanded)}
+          >
+            <h4 style={{ margin: 0 }}>History ({history.past.length})</h4>
+            <span style={styles.chevron(isHistoryExpanded)}>▼</span>
+          </div>
+          <div style={styles.sectionContent(isHistoryExpanded)}>
+            <div style={styles.contentPadding}>
+              <div style={styles.buttonGroup}>
+                <button
+                  onClick={history.undo}
+                  disabled={!history.canUndo}
+                  title="Ctrl+Z"
+                  style={{ ...buttonVariants.secondaryButton, flex: 1 }}
+                >
+                  Undo
+                </button>
+                <button
+                  onClick={history.redo}
+                  disabled={!history.canRedo}
+                  title="Ctrl+Shift+Z"
+                  style={{ ...buttonVariants.secondaryButton, flex: 1 }}
+                >
+                  Redo
+                </button>
+              </div>
+              {/* Oldest first; click an entry to go back or forward to just after it */}
+              <div style={styles.historyList}>
+                {history.past.length === 0 && history.future.length === 0 ? (
+                  <p style={{ fontStyle: 'italic', color: '#888', fontSize: '12px' }}>No changes yet</p>
+                ) : (
+                  <>
+                    <div
+                      style={styles.historyItem(history.past.length === 0 ? 'current' : 'done')}
+                      onClick={() => history.goTo(0)}
+                    >
+                      Start
+                    </div>
+                    {history.past.map((entry, index) => (
+                      <div
+                        key={`done-${index}-${entry.at}`}
+                        style={styles.historyItem(index === history.past.length - 1 ? 'current' : 'done')}
+                        onClick={() => history.goTo(index + 1)}
+                        title={new Date(entry.at).toLocaleTimeString()}
+                      >
+                        {entry.label}
+                      </div>
+                    ))}
+                    {[...history.future].reverse().map((entry, index) => (
+                      <div
+                        key={`undone-${index}-${entry.at}`}
+                        style={styles.historyItem('undone')}
+                        onClick={() => history.goTo(history.past.length + index + 1)}
+                        title={new Date(entry.at).toLocaleTimeString()}
+                      >
+                        {entry.label}
+                      </div>
+                    ))}
+                  </>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {validation && validation.issues.length > 0 && (
+        <div style={styles.collapsibleSection}>
+          <div 
+            style={styles.sectionHeader}
+            onClick={() => setIsProblemsExpanded(!isProblemsExpanded)}
+          >
+            <h4 style={{ margin: 0, color: validation.errors.length > 0 ? '#ff5252' : '#FF9800' }}>
+              Problems ({validation.issues.length})
+            </h4>
+            <span style={styles.chevron(isProblemsExpanded)}>▼</span>
+          </div>
+          <div style={styles.sectionContent(isProblemsExpanded)}>
+            <div style={styles.contentPadding}>
+              {validation.issues.map((entry, index) => (
+                <div
+                  key={`${entry.rule}-${index}`}
+                  style={styles.problemItem(entry.severity)}
+                  onClick={() => onSelectIssue && onSelectIssue(entry)}
+                  title={entry.nodeIds.length > 0 ? 'Select the nodes involved' : undefined}
+                >
+                  {entry.message}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
       <button 
         onClick={onProceed} 
+        disabled={Boolean(validation && validation.errors.length > 0)}
+        title={validation && validation.errors.length > 0 ? 'Fix the problems in the flowchart first' : undefined}
         style={{...buttonVariants.primaryButton, width: '100%', marginTop: '15px'}}>
         Next
       </button>
+
+      {showNodeTypeEditor && <NodeTypeEditor onClose={() => setShowNodeTypeEditor(false)} />}
     </div>
   );
 };
@@ -2,14 +2,17 @@ import React, { useState, useRef, useEffect } from 'react';
 import { useButtonColorScheme, buttonColorSchemeOptions, ColorSchemePreview } from '../../context/ColorSchemeContext';
 import { useButtonStyles } from '../../styles/ButtonStyleProvider';
 import Settings from '../Settings/Settings';
+import { useAuth } from '../../context/AuthContext';
 
-const NavigationBar = ({ currentStep, onNavigate, simulationAvailable = false, hasDropletNode = false }) => {
+const NavigationBar = ({ currentStep, onNavigate, simulationAvailable = false, hasDropletNode = false, onEmergencyStop, emergencyStopStatus, onSaveProject, onOpenProject }) => {
   const [menuOpen, setMenuOpen] = useState(false);
   const [colorMenuOpen, setColorMenuOpen] = useState(false);
   const [settingsOpen, setSettingsOpen] = useState(false);
   const menuRef = useRef(null);
   const colorMenuRef = useRef(null);
+  const projectFileRef = useRef(null);
   const { buttonColorScheme, updateButtonColorScheme } = useButtonColorScheme();
+  const { enabled: authEnabled, authenticated, username, role, openLogin, logout } = useAuth();
   
   // Get dynamic button styles
   const buttonVariants = useButtonStyles();
@@ -89,6 +92,24 @@ const NavigationBar = ({ currentStep, onNavigate, simulationAvailable = false, h
     previewContainer: {
       flex: 1
     },
+    emergencyStopButton: {
+      ...buttonVariants.secondaryButton,
+      backgroundColor: '#c62828',
+      border: '2px solid #ff5252',
+      color: '#fff',
+      fontWeight: 'bold'
+    },
+    emergencyStopStatus: {
+      alignSelf: 'center',
+      fontSize: '13px',
+      fontWeight: 'bold'
+    },
+    authStatus: {
+      alignSelf: 'center',
+      fontSize: '13px',
+      color: '#ccc',
+      marginLeft: '10px'
+    },
     colorIcon: {
       width: '20px',
       height: '20px',
@@ -117,7 +138,8 @@ const NavigationBar = ({ currentStep, onNavigate, simulationAvailable = false, h
   const buttons = [
     { step: 1, label: 'Flowchart Editor' },
     { step: 3, label: 'Droplet Creator', requiresDropletNode: true },
-    { step: 7, label: 'Simulation', requiresAvailability: true }
+    { step: 7, label: 'Simulation', requiresAvailability: true },
+    { step: 9, label: 'Audit Log' }
   ];
 
   const handleMenuItemClick = (menuStep) => {
@@ -125,11 +147,47 @@ const NavigationBar = ({ currentStep, onNavigate, simulationAvailable = false, h
     setMenuOpen(false);
   };
 
+  const handleProjectFileChange = (event) => {
+    const file = event.target.files[0];
+    // Reset so the same file can be opened again
+    event.target.value = '';
+    if (file && onOpenProject) {
+      onOpenProject(file);
+    }
+  };
+
   const handleColorSchemeChange = (scheme) => {
     updateButtonColorScheme(scheme);
     setColorMenuOpen(false);
   };
 
+  // Short summary of the last emergency stop, the tooltip lists every device
+  const getEmergencyStopSummary = () => {
+    if (!emergencyStopStatus) return null;
+    const devices = emergencyStopStatus.devices || [];
+    const confirmed = devices.filter(device => device.state === 'confirmed').length;
+    const unconfirmed = devices.filter(device => device.state === 'unconfirmed').length;
+    const required = devices.filter(device => device.state !== 'skipped').length;
+    const details = devices.map(device => `${device.name}: ${device.state}`).join('\n');
+
+    if (emergencyStopStatus.error) {
+      return { text: `E-STOP FAILED: ${emergencyStopStatus.error}`, color: '#ff5252', details };
+    }
+    if (!emergencyStopStatus.done) {
+      return { text: `Stopping... ${confirmed}/${required}`, color: '#FFC107', details };
+    }
+    if (emergencyStopStatus.success && unconfirmed > 0) {
+      // Sent to devices whose firmware cannot confirm it - check them by eye
+      return { text: `Stop sent, ${confirmed}/${required} confirmed`, color: '#FFC107', details };
+    }
+    if (emergencyStopStatus.success) {
+      return { text: `Stopped ${confirmed}/${required}`, color: '#4CAF50', details };
+    }
+    return { text: `${required - confirmed} device(s) did not confirm stop`, color: '#ff5252', details };
+  };
+
+  const emergencyStopSummary = getEmergencyStopSummary();
+
   // Helper to get background color for color icon based on scheme
   const getColorIconStyle = (scheme) => {
     switch(scheme) {
@@ -214,6 +272,46 @@ const NavigationBar = ({ currentStep, onNavigate, simulationAvailable = false, h
           );
         })}
 
+        {/* Whole project as one file: flowchart, droplets, detector settings, events, recordings */}
+        {onSaveProject && (
+          <button style={buttonVariants.secondaryButton} onClick={onSaveProject}>
+            Save Project
+          </button>
+        )}
+        {onOpenProject && (
+          <>
+            <button style={buttonVariants.secondaryButton} onClick={() => projectFileRef.current?.click()}>
+              Open Project
+            </button>
+            <input
+              ref={projectFileRef}
+              type="file"
+              accept=".json,application/json"
+              style={{ display: 'none' }}
+              onChange={handleProjectFileChange}
+            />
+          </>
+        )}
+
+        {/* Emergency stop - reaches every registered device through the backend */}
+        {onEmergencyStop && (
+          <button
+            style={styles.emergencyStopButton}
+            onClick={onEmergencyStop}
+            title="Halt all pumps, switch off LEDs and set thermostats to a safe temperature"
+          >
+            EMERGENCY STOP
+          </button>
+        )}
+        {emergencyStopSummary && (
+          <span
+            style={{ ...styles.emergencyStopStatus, color: emergencyStopSummary.color }}
+            title={emergencyStopSummary.details}
+          >
+            {emergencyStopSummary.text}
+          </span>
+        )}
+
         {/* Color scheme button with dropdown */}
         <div ref={colorMenuRef} style={{ position: 'relative', marginLeft: 'auto' }}>
           <button 
@@ -249,6 +347,21 @@ const NavigationBar = ({ currentStep, onNavigate, simulationAvailable = false, h
           </div>
         </div>
 
+        {/* Current user - only shown when the backend requires logins */}
+        {authEnabled && (
+          <>
+            <span style={styles.authStatus}>
+              {authenticated ? `${username} (${role})` : `Not logged in${role ? ` (${role})` : ''}`}
+            </span>
+            <button
+              style={{ ...buttonVariants.secondaryButton, marginLeft: '10px' }}
+              onClick={authenticated ? logout : openLogin}
+            >
+              {authenticated ? 'Log out' : 'Log in'}
+            </button>
+          </>
+        )}
+
         {/* Settings button */}
         <button
           style={{
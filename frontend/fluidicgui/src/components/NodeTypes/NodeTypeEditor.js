@@ -0,0 +1,503 @@
+import React, { useState } from 'react';
+import defaultProperties from '../../data/defaultProperties.json';
+import { useButtonStyles } from '../../styles/ButtonStyleProvider';
+import { useAuth } from '../../context/AuthContext';
+import { useNodeTypes, NODE_TYPE_NAME_PATTERN } from '../../context/NodeTypesContext';
+
+// Property types CustomNode knows how to edit
+const PROPERTY_TYPES = ['number', 'string', 'text', 'boolean'];
+
+// Columns of the three lists of a node type schema
+const LISTS = {
+  properties: {
+    title: 'Properties',
+    hint: 'Set on the node in the flowchart, e.g. MQTTname',
+    columns: [
+      { key: 'name', label: 'Name' },
+      { key: 'label', label: 'Label' },
+      { key: 'type', label: 'Type', options: PROPERTY_TYPES },
+      { key: 'default', label: 'Default' }
+    ],
+    empty: { name: '', label: '', type: 'number', default: 0 }
+  },
+  parameters: {
+    title: 'Parameters',
+    hint: 'Varied per droplet by the droplet generators',
+    columns: [
+      { key: 'name', label: 'Name' },
+      { key: 'description', label: 'Description' },
+      { key: 'min', label: 'Min', number: true },
+      { key: 'max', label: 'Max', number: true },
+      { key: 'default', label: 'Default', number: true }
+    ],
+    empty: { name: '', description: '', min: 0, max: 100, default: 0 }
+  },
+  controlables: {
+    title: 'Controlables',
+    hint: 'Values sent to the device by a script during the run',
+    columns: [
+      { key: 'name', label: 'Name' },
+      { key: 'description', label: 'Description' },
+      { key: 'min', label: 'Min', number: true },
+      { key: 'max', label: 'Max', number: true },
+      { key: 'default', label: 'Default', number: true },
+      { key: 'script', label: 'Script' }
+    ],
+    empty: { name: '', description: '', min: 0, max: 100, default: 0, script: '' }
+  }
+};
+
+const EMPTY_DRAFT = { name: '', label: '', description: '', ender: '', properties: [], parameters: [], controlables: [] };
+
+const toDraft = (name, schema) => ({
+  ...EMPTY_DRAFT,
+  ...JSON.parse(JSON.stringify(schema)),
+  name,
+  ender: schema.ender || ''
+});
+
+// Property defaults follow the property type, range values are numbers
+const toSchema = (draft) => {
+  const toNumber = (value) => (value === '' || value === undefined ? undefined : Number(value));
+  const toRange = (item) => {
+    const range = { ...item, name: item.name.trim() };
+    ['min', 'max', 'default'].forEach(key => {
+      range[key] = toNumber(item[key]);
+      if (range[key] === undefined) delete range[key];
+    });
+    return range;
+  };
+
+  const schema = {
+    label: draft.label.trim(),
+    description: draft.description.trim(),
+    properties: draft.properties.map(property => ({
+      ...property,
+      name: property.name.trim(),
+      default: property.type === 'boolean'
+        ? Boolean(property.default)
+        : property.type === 'number' ? Number(property.default) || 0 : String(property.default ?? '')
+    })),
+    parameters: draft.parameters.map(toRange),
+    controlables: draft.controlables.map(toRange)
+  };
+  if (draft.ender) schema.ender = draft.ender;
+  return schema;
+};
+
+// First problem that would make the backend refuse the schema, or null
+const checkDraft = (draft, isNew) => {
+  if (!NODE_TYPE_NAME_PATTERN.test(draft.name)) {
+    return 'The type name must start with a letter and use only letters, digits and underscores';
+  }
+  if (isNew && defaultProperties[draft.name]) {
+    return `"${draft.name}" is a built-in node type`;
+  }
+  if (!draft.label.trim()) {
+    return 'The type needs a label';
+  }
+  for (const list of Object.keys(LISTS)) {
+    const names = draft[list].map(item => item.name.trim());
+    if (names.some(name => !name)) {
+      return `Every entry in ${LISTS[list].title} needs a name`;
+    }
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+      return `${LISTS[list].title} has "${duplicate}" twice`;
+    }
+    const inverted = draft[list].find(item => item.min !== undefined && item.max !== undefined && Number(item.min) > Number(item.max));
+    if (inverted) {
+      return `"${inverted.name}" has min above max`;
+    }
+  }
+  return null;
+};
+
+// Create, edit and version node types without rebuilding the app
+const NodeTypeEditor = ({ onClose }) => {
+  const buttonVariants = useButtonStyles();
+  const { canOperate } = useAuth();
+  const { nodeTypes, customTypes, storage, saveNodeType, deleteNodeType, listVersions, loadVersion } = useNodeTypes();
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [editing, setEditing] = useState(null);  // Name of the custom type in the form, null for a new one
+  const [versions, setVersions] = useState([]);
+  const [message, setMessage] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  // Viewers may not change the backend's types
+  const canSave = storage === 'local' || canOperate;
+
+  const refreshVersions = async (name) => {
+    try {
+      setVersions(await listVersions(name));
+    } catch (error) {
+      console.error('Could not load node type versions:', error);
+      setVersions([]);
+    }
+  };
+
+  const startNew = (fromType = null) => {
+    setEditing(null);
+    setVersions([]);
+    setMessage(null);
+    setDraft(fromType ? { ...toDraft('', nodeTypes[fromType]), label: `${nodeTypes[fromType].label} copy` } : EMPTY_DRAFT);
+  };
+
+  const openType = (type) => {
+    setEditing(type.name);
+    setMessage(null);
+    setDraft(toDraft(type.name, type.schema));
+    refreshVersions(type.name);
+  };
+
+  const handleLoadVersion = async (version) => {
+    try {
+      const entry = await loadVersion(editing, version);
+      if (!entry) return;
+      setDraft(toDraft(editing, entry.schema));
+      setMessage({ type: 'info', text: `Loaded version ${version} - save to make it the current version` });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const handleSave = async () => {
+    const problem = checkDraft(draft, editing === null);
+    if (problem) {
+      setMessage({ type: 'error', text: problem });
+      return;
+    }
+    if (editing === null && nodeTypes[draft.name] && !window.confirm(`A node type "${draft.name}" exists already. Save a new version of it?`)) {
+      return;
+    }
+    setBusy(true);
+    try {
+      const saved = await saveNodeType(draft.name, toSchema(draft));
+      setEditing(saved.name);
+      setMessage({ type: 'success', text: `Saved ${saved.name} version ${saved.version}` });
+      refreshVersions(saved.name);
+    } catch (error) {
+      console.error('Error saving node type:', error);
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the node type "${editing}"? Nodes of this type in flowcharts keep their data.`)) return;
+    setBusy(true);
+    try {
+      await deleteNodeType(editing);
+      startNew();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const updateField = (field, value) => setDraft(current => ({ ...current, [field]: value }));
+
+  const updateItem = (list, index, key, value) => setDraft(current => ({
+    ...current,
+    [list]: current[list].map((item, itemIndex) => (itemIndex === index ? { ...item, [key]: value } : item))
+  }));
+
+  const addItem = (list) => setDraft(current => ({ ...current, [list]: [...current[list], { ...LISTS[list].empty }] }));
+
+  const removeItem = (list, index) => setDraft(current => ({
+    ...current,
+    [list]: current[list].filter((item, itemIndex) => itemIndex !== index)
+  }));
+
+  const styles = {
+    overlay: {
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.7)',
+      zIndex: 2000,
+    },
+    modal: {
+      position: 'fixed',
+      top: '50%',
+      left: '50%',
+      transform: 'translate(-50%, -50%)',
+      backgroundColor: '#333',
+      padding: '20px',
+      borderRadius: '8px',
+      width: '900px',
+      maxWidth: '95%',
+      height: '85vh',
+      display: 'flex',
+      flexDirection: 'column',
+      color: '#fff',
+    },
+    body: {
+      display: 'flex',
+      gap: '20px',
+      flex: 1,
+      minHeight: 0,
+    },
+    typeList: {
+      width: '200px',
+      overflowY: 'auto',
+      borderRight: '1px solid #555',
+      paddingRight: '10px',
+    },
+    typeItem: (active) => ({
+      padding: '6px',
+      fontSize: '13px',
+      cursor: 'pointer',
+      borderRadius: '3px',
+      backgroundColor: active ? '#2e4a2e' : 'transparent',
+    }),
+    builtinItem: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      padding: '4px 6px',
+      fontSize: '12px',
+      color: '#aaa',
+    },
+    form: {
+      flex: 1,
+      overflowY: 'auto',
+    },
+    row: {
+      display: 'flex',
+      gap: '10px',
+      marginBottom: '10px',
+    },
+    field: {
+      display: 'flex',
+      flexDirection: 'column',
+      flex: 1,
+      fontSize: '12px',
+      color: '#ccc',
+    },
+    input: {
+      padding: '5px',
+      backgroundColor: '#444',
+      color: '#fff',
+      border: '1px solid #555',
+      borderRadius: '3px',
+      marginTop: '3px',
+    },
+    cellInput: {
+      width: '100%',
+      padding: '3px',
+      backgroundColor: '#444',
+      color: '#fff',
+      border: '1px solid #555',
+      boxSizing: 'border-box',
+    },
+    table: {
+      width: '100%',
+      borderCollapse: 'collapse',
+      fontSize: '12px',
+      marginBottom: '5px',
+    },
+    sectionTitle: {
+      margin: '15px 0 2px 0',
+    },
+    hint: {
+      color: '#888',
+      fontSize: '11px',
+      margin: '0 0 6px 0',
+    },
+    smallButton: {
+      ...buttonVariants.secondaryButton,
+      padding: '4px 8px',
+      fontSize: '12px',
+    },
+    message: (type) => ({
+      padding: '8px',
+      borderRadius: '4px',
+      fontSize: '13px',
+      marginTop: '10px',
+      backgroundColor: type === 'error' ? '#5a2a2a' : type === 'success' ? '#2e4a2e' : '#444',
+    }),
+    footer: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginTop: '15px',
+    },
+    storageNote: {
+      color: '#aaa',
+      fontSize: '12px',
+    }
+  };
+
+  const renderCell = (list, index, item, column) => {
+    if (column.options) {
+      return (
+        <select value={item[column.key]} onChange={(e) => updateItem(list, index, column.key, e.target.value)} style={styles.cellInput}>
+          {column.options.map(option => <option key={option} value={option}>{option}</option>)}
+        </select>
+      );
+    }
+    // Property defaults are edited in the property's own type
+    if (list === 'properties' && column.key === 'default' && item.type === 'boolean') {
+      return (
+        <input
+          type="checkbox"
+          checked={Boolean(item.default) && item.default !== 'false'}
+          onChange={(e) => updateItem(list, index, column.key, e.target.checked)}
+        />
+      );
+    }
+    const isNumber = column.number || (list === 'properties' && column.key === 'default' && item.type === 'number');
+    return (
+      <input
+        type={isNumber ? 'number' : 'text'}
+        value={item[column.key] ?? ''}
+        onChange={(e) => updateItem(list, index, column.key, e.target.value)}
+        style={styles.cellInput}
+      />
+    );
+  };
+
+  const renderList = (list) => (
+    <div key={list}>
+      <h4 style={styles.sectionTitle}>{LISTS[list].title} ({draft[list].length})</h4>
+      <p style={styles.hint}>{LISTS[list].hint}</p>
+      {draft[list].length > 0 && (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              {LISTS[list].columns.map(column => <th key={column.key} style={{ textAlign: 'left', fontWeight: 'normal', color: '#aaa' }}>{column.label}</th>)}
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {draft[list].map((item, index) => (
+              <tr key={index}>
+                {LISTS[list].columns.map(column => <td key={column.key}>{renderCell(list, index, item, column)}</td>)}
+                <td>
+                  <button onClick={() => removeItem(list, index)} title="Remove" style={{ ...styles.smallButton, margin: 0 }}>✕</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <button onClick={() => addItem(list)} style={styles.smallButton}>+ Add</button>
+    </div>
+  );
+
+  const enderOptions = Object.keys(nodeTypes).filter(type => type !== 'edges' && type !== draft.name);
+
+  return (
+    <div style={styles.overlay}>
+      <div style={styles.modal}>
+        <h2 style={{ margin: '0 0 15px 0' }}>Node Types</h2>
+        <div style={styles.body}>
+          <div style={styles.typeList}>
+            <button onClick={() => startNew()} style={{ ...buttonVariants.primaryButton, width: '100%', marginBottom: '10px' }}>
+              New Type
+            </button>
+            <h4 style={{ margin: '5px 0' }}>Custom</h4>
+            {customTypes.length === 0 && <p style={styles.hint}>None yet</p>}
+            {customTypes.map(type => (
+              <div
+                key={type.name}
+                style={styles.typeItem(editing === type.name)}
+                onClick={() => openType(type)}
+                title={`Version ${type.version}${type.savedBy ? ` by ${type.savedBy}` : ''}, ${new Date(type.savedAt).toLocaleString()}`}
+              >
+                {type.schema.label} <span style={{ color: '#888' }}>({type.name} v{type.version})</span>
+              </div>
+            ))}
+            <h4 style={{ margin: '15px 0 5px 0' }}>Built-in</h4>
+            {Object.keys(defaultProperties).filter(type => type !== 'edges').map(type => (
+              <div key={type} style={styles.builtinItem}>
+                <span>{defaultProperties[type].label}</span>
+                <button onClick={() => startNew(type)} title="Start a new type from this one" style={{ ...styles.smallButton, margin: 0 }}>
+                  Copy
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div style={styles.form}>
+            <div style={styles.row}>
+              <label style={styles.field}>
+                Type name (used in flowcharts)
+                <input
+                  type="text"
+                  value={draft.name}
+                  disabled={editing !== null}
+                  placeholder="e.g. valve"
+                  onChange={(e) => updateField('name', e.target.value.trim())}
+                  style={styles.input}
+                />
+              </label>
+              <label style={styles.field}>
+                Label
+                <input type="text" value={draft.label} onChange={(e) => updateField('label', e.target.value)} style={styles.input} />
+              </label>
+              <label style={styles.field}>
+                Ender (node that closes its section)
+                <select value={draft.ender} onChange={(e) => updateField('ender', e.target.value)} style={styles.input}>
+                  <option value="">None</option>
+                  {enderOptions.map(type => <option key={type} value={type}>{nodeTypes[type].label}</option>)}
+                </select>
+              </label>
+            </div>
+            <label style={styles.field}>
+              Description
+              <input type="text" value={draft.description} onChange={(e) => updateField('description', e.target.value)} style={styles.input} />
+            </label>
+
+            {Object.keys(LISTS).map(renderList)}
+
+            {editing && versions.length > 0 && (
+              <div>
+                <h4 style={styles.sectionTitle}>Versions</h4>
+                {[...versions].reverse().map(entry => (
+                  <div key={entry.version} style={styles.builtinItem}>
+                    <span>
+                      v{entry.version} - {new Date(entry.savedAt).toLocaleString()}{entry.savedBy ? ` by ${entry.savedBy}` : ''}
+                    </span>
+                    <button onClick={() => handleLoadVersion(entry.version)} style={{ ...styles.smallButton, margin: 0 }}>
+                      Load
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {message && <div style={styles.message(message.type)}>{message.text}</div>}
+          </div>
+        </div>
+
+        <div style={styles.footer}>
+          <span style={styles.storageNote}>
+            {storage === 'backend' ? 'Stored on the backend, shared by every PC' : 'Backend not reachable - stored in this browser'}
+            {!canSave && ' (read only, log in as an operator to change)'}
+          </span>
+          <div style={{ display: 'flex', gap: '10px' }}>
+            {editing && (
+              <button onClick={handleDelete} disabled={!canSave || busy} style={buttonVariants.dangerButton}>
+                Delete
+              </button>
+            )}
+            <button onClick={handleSave} disabled={!canSave || busy} style={buttonVariants.primaryButton}>
+              {editing ? 'Save New Version' : 'Create Type'}
+            </button>
+            <button onClick={onClose} style={buttonVariants.secondaryButton}>
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NodeTypeEditor;
@@ -0,0 +1,267 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useButtonStyles } from '../../styles/ButtonStyleProvider';
+import { useLocalStorage } from '../../utils/localStorageUtils';
+import { useAuth } from '../../context/AuthContext';
+import {
+  listProjects,
+  createProject,
+  listDocuments,
+  loadDocument,
+  saveDocument,
+  deleteDocument
+} from '../../utils/projectApi';
+
+// The project last worked in, shared by every project panel
+const CURRENT_PROJECT_KEY = 'fluidicgui_current_project';
+
+// Save / load one kind of document (flowcharts, droplets, ...) in the backend's project storage
+const ProjectDocuments = ({ kind, title = 'Project Storage', getData, onLoad, defaultName = '' }) => {
+  const buttonVariants = useButtonStyles();
+  const { canOperate } = useAuth();
+  const [projects, setProjects] = useState([]);
+  const [currentProject, setCurrentProject] = useLocalStorage(CURRENT_PROJECT_KEY, '');
+  const [documents, setDocuments] = useState([]);
+  const [documentName, setDocumentName] = useState(defaultName);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const styles = {
+    container: {
+      marginTop: '15px',
+      padding: '10px',
+      backgroundColor: 'rgba(0, 0, 0, 0.2)',
+      borderRadius: '4px'
+    },
+    header: {
+      fontSize: '14px',
+      margin: '0 0 8px 0'
+    },
+    row: {
+      display: 'flex',
+      gap: '5px',
+      marginBottom: '8px'
+    },
+    input: {
+      flex: 1,
+      minWidth: 0,
+      padding: '5px',
+      backgroundColor: '#444',
+      border: '1px solid #555',
+      borderRadius: '4px',
+      color: '#fff',
+      fontSize: '13px'
+    },
+    smallButton: {
+      ...buttonVariants.secondaryButton,
+      padding: '4px 8px',
+      fontSize: '12px'
+    },
+    deleteButton: {
+      ...buttonVariants.secondaryButton,
+      padding: '4px 8px',
+      fontSize: '12px',
+      backgroundColor: '#553333',
+      marginLeft: '5px'
+    },
+    item: {
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      padding: '6px 8px',
+      backgroundColor: '#333',
+      borderRadius: '4px',
+      marginBottom: '4px',
+      fontSize: '13px'
+    },
+    itemName: {
+      flex: 1,
+      overflow: 'hidden',
+      textOverflow: 'ellipsis',
+      whiteSpace: 'nowrap'
+    },
+    itemDate: {
+      color: '#888',
+      fontSize: '11px',
+      marginLeft: '8px',
+      whiteSpace: 'nowrap'
+    },
+    empty: {
+      fontStyle: 'italic',
+      color: '#888',
+      fontSize: '13px'
+    },
+    message: {
+      fontSize: '12px',
+      color: '#8f8',
+      marginBottom: '6px'
+    },
+    error: {
+      fontSize: '12px',
+      color: '#ff5252',
+      marginBottom: '6px'
+    }
+  };
+
+  const loadProjects = useCallback(() => {
+    listProjects()
+      .then(data => {
+        setProjects(data.projects);
+        setError(null);
+      })
+      .catch(fetchError => {
+        console.error('Error loading projects:', fetchError);
+        setError(`Project storage not available: ${fetchError.message}`);
+      });
+  }, []);
+
+  const loadDocuments = useCallback(() => {
+    if (!currentProject) {
+      setDocuments([]);
+      return;
+    }
+    listDocuments(currentProject, kind)
+      .then(setDocuments)
+      .catch(fetchError => {
+        console.error(`Error loading ${kind} of ${currentProject}:`, fetchError);
+        setDocuments([]);
+        setError(fetchError.message);
+      });
+  }, [currentProject, kind]);
+
+  useEffect(() => {
+    loadProjects();
+  }, [loadProjects]);
+
+  useEffect(() => {
+    loadDocuments();
+  }, [loadDocuments]);
+
+  const handleNewProject = async () => {
+    const name = window.prompt('Name of the new project:');
+    if (!name) return;
+    try {
+      await createProject(name.trim());
+      setCurrentProject(name.trim());
+      loadProjects();
+      setMessage(`Project "${name.trim()}" created`);
+      setError(null);
+    } catch (createError) {
+      setError(createError.message);
+    }
+  };
+
+  const handleSave = async () => {
+    const name = documentName.trim();
+    const data = getData ? getData() : null;
+    if (!name || !currentProject || data === null || data === undefined) return;
+
+    setBusy(true);
+    try {
+      try {
+        await saveDocument(currentProject, kind, name, data);
+      } catch (saveError) {
+        if (saveError.status !== 409) throw saveError;
+        if (!window.confirm(`"${name}" already exists in ${currentProject}. Replace it?`)) return;
+        await saveDocument(currentProject, kind, name, data, { overwrite: true });
+      }
+      setMessage(`Saved "${name}" to ${currentProject}`);
+      setError(null);
+      loadDocuments();
+    } catch (saveError) {
+      console.error('Error saving to project:', saveError);
+      setError(saveError.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleLoad = async (name) => {
+    try {
+      const data = await loadDocument(currentProject, kind, name);
+      setDocumentName(name);
+      setMessage(`Loaded "${name}"`);
+      setError(null);
+      if (onLoad) onLoad(data, name);
+    } catch (loadError) {
+      console.error('Error loading from project:', loadError);
+      setError(loadError.message);
+    }
+  };
+
+  const handleDelete = async (name) => {
+    if (!window.confirm(`Delete "${name}" from ${currentProject}?`)) return;
+    try {
+      await deleteDocument(currentProject, kind, name);
+      setMessage(`Deleted "${name}"`);
+      setError(null);
+      loadDocuments();
+    } catch (deleteError) {
+      setError(deleteError.message);
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <h4 style={styles.header}>{title}</h4>
+
+      <div style={styles.row}>
+        <select
+          style={styles.input}
+          value={currentProject}
+          onChange={(e) => setCurrentProject(e.target.value)}
+        >
+          <option value="">Select a project...</option>
+          {projects.map(project => (
+            <option key={project.name} value={project.name}>{project.name}</option>
+          ))}
+        </select>
+        {canOperate && (
+          <button style={styles.smallButton} onClick={handleNewProject}>New</button>
+        )}
+        <button style={styles.smallButton} onClick={() => { loadProjects(); loadDocuments(); }}>↻</button>
+      </div>
+
+      {message && <div style={styles.message}>{message}</div>}
+      {error && <div style={styles.error}>{error}</div>}
+
+      {currentProject && canOperate && (
+        <div style={styles.row}>
+          <input
+            type="text"
+            style={styles.input}
+            value={documentName}
+            onChange={(e) => setDocumentName(e.target.value)}
+            placeholder="Name"
+          />
+          <button
+            style={styles.smallButton}
+            onClick={handleSave}
+            disabled={busy || !documentName.trim()}
+          >
+            {busy ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      )}
+
+      {currentProject && (documents.length === 0 ? (
+        <p style={styles.empty}>Nothing saved in this project yet</p>
+      ) : (
+        documents.map(entry => (
+          <div key={entry.name} style={styles.item}>
+            <span style={styles.itemName} title={entry.name}>{entry.name}</span>
+            <span style={styles.itemDate}>{new Date(entry.updatedAt).toLocaleString()}</span>
+            <div style={{ marginLeft: '8px', whiteSpace: 'nowrap' }}>
+              <button style={styles.smallButton} onClick={() => handleLoad(entry.name)}>Load</button>
+              {canOperate && (
+                <button style={styles.deleteButton} onClick={() => handleDelete(entry.name)}>Delete</button>
+              )}
+            </div>
+          </div>
+        ))
+      ))}
+    </div>
+  );
+};
+
+export default ProjectDocuments;
@@ -0,0 +1,121 @@
+import React from 'react';
+import { useButtonStyles } from '../../styles/ButtonStyleProvider';
+
+// Offered on startup when autosaves from an earlier session exist
+const SessionRecoveryPrompt = ({ autosaves, onRestore, onDiscard }) => {
+  const buttonVariants = useButtonStyles();
+
+  if (!autosaves || autosaves.length === 0) return null;
+
+  const [latest, ...older] = autosaves;
+
+  const styles = {
+    overlay: {
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.7)',
+      zIndex: 2000,
+    },
+    modal: {
+      position: 'fixed',
+      top: '50%',
+      left: '50%',
+      transform: 'translate(-50%, -50%)',
+      backgroundColor: '#333',
+      padding: '20px',
+      borderRadius: '8px',
+      width: '420px',
+      maxWidth: '90%',
+      maxHeight: '80vh',
+      overflowY: 'auto',
+      color: '#fff',
+    },
+    title: {
+      fontSize: '1.5rem',
+      margin: '0 0 10px 0',
+    },
+    text: {
+      color: '#ccc',
+      fontSize: '14px',
+      marginBottom: '15px',
+    },
+    item: {
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      padding: '8px',
+      backgroundColor: '#444',
+      borderRadius: '4px',
+      marginBottom: '6px',
+      fontSize: '13px',
+    },
+    details: {
+      color: '#aaa',
+      fontSize: '12px',
+    },
+    smallButton: {
+      ...buttonVariants.secondaryButton,
+      padding: '4px 8px',
+      fontSize: '12px',
+      marginLeft: '8px',
+    },
+    olderHeader: {
+      fontSize: '14px',
+      color: '#ccc',
+      margin: '15px 0 8px 0',
+    },
+    buttonContainer: {
+      display: 'flex',
+      justifyContent: 'flex-end',
+      gap: '10px',
+      marginTop: '15px',
+    }
+  };
+
+  const describe = ({ summary }) => {
+    const droplets = summary.manualDroplets || summary.droplets;
+    return `${summary.nodes} nodes, ${summary.edges} connections, ${droplets} droplets`;
+  };
+
+  return (
+    <div style={styles.overlay}>
+      <div style={styles.modal}>
+        <h2 style={styles.title}>Restore previous session?</h2>
+        <div style={styles.text}>
+          Your last session was autosaved {new Date(latest.savedAt).toLocaleString()} ({describe(latest)}).
+        </div>
+
+        {older.length > 0 && (
+          <>
+            <h4 style={styles.olderHeader}>Earlier autosaves</h4>
+            {older.map(entry => (
+              <div key={entry.id} style={styles.item}>
+                <div>
+                  <div>{new Date(entry.savedAt).toLocaleString()}</div>
+                  <div style={styles.details}>{describe(entry)}</div>
+                </div>
+                <button style={styles.smallButton} onClick={() => onRestore(entry)}>
+                  Restore
+                </button>
+              </div>
+            ))}
+          </>
+        )}
+
+        <div style={styles.buttonContainer}>
+          <button style={buttonVariants.secondaryButton} onClick={onDiscard}>
+            Start Fresh
+          </button>
+          <button style={buttonVariants.primaryButton} onClick={() => onRestore(latest)}>
+            Restore Latest
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionRecoveryPrompt;
@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from 'react';
+import { API_URL } from '../../config';
+import { authHeaders } from '../../utils/auth';
+
+const POLL_INTERVAL = 2000;
+const HISTORY_LENGTH = 60;
+const TOP_TOPICS = 8;
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${Math.round(bytes)} B`;
+};
+
+// Small line chart of one series from the polled history
+const MetricChart = ({ label, history, field, color, format = (value) => value.toFixed(1) }) => {
+  const width = 200;
+  const height = 50;
+  const values = history.map(sample => sample[field]);
+  const max = Math.max(1, ...values);
+  const points = values.map((value, index) => {
+    const x = values.length > 1 ? (index / (HISTORY_LENGTH - 1)) * width : 0;
+    const y = height - (value / max) * (height - 4) - 2;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+  const current = values.length > 0 ? values[values.length - 1] : 0;
+
+  return (
+    <div style={{ marginBottom: '10px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px', color: '#ccc' }}>
+        <span>{label}</span>
+        <span style={{ color }}>{format(current)} (max {format(max)})</span>
+      </div>
+      <svg width={width} height={height} style={{ backgroundColor: '#2a2a2a', borderRadius: '4px' }}>
+        <polyline points={points} fill="none" stroke={color} strokeWidth="1.5" />
+      </svg>
+    </div>
+  );
+};
+
+// Live view of the backend's /metrics - polls only while it is shown
+const DiagnosticsPanel = () => {
+  const [snapshot, setSnapshot] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const poll = () => {
+      fetch(`${API_URL}/metrics`, { headers: authHeaders() })
+        .then(response => response.json())
+        .then(data => {
+          if (cancelled) return;
+          setSnapshot(data);
+          setError(null);
+          setHistory(prev => [...prev, {
+            receiveRate: data.mqtt.receiveRate,
+            forwardRate: data.websocket.forwardRate,
+            forwardByteRate: data.websocket.forwardByteRate,
+            eventLoopLag: data.process.eventLoopLag
+          }].slice(-HISTORY_LENGTH));
+        })
+        .catch(fetchError => {
+          if (cancelled) return;
+          console.error('Error fetching metrics:', fetchError);
+          setError('Backend not reachable');
+        });
+    };
+
+    poll();
+    const timer = setInterval(poll, POLL_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, []);
+
+  const styles = {
+    grid: {
+      display: 'grid',
+      gridTemplateColumns: '1fr 1fr',
+      gap: '4px 15px',
+      fontSize: '13px',
+      marginBottom: '15px'
+    },
+    label: {
+      color: '#aaa'
+    },
+    charts: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: '0 15px'
+    },
+    table: {
+      width: '100%',
+      borderCollapse: 'collapse',
+      fontSize: '12px'
+    },
+    cell: {
+      padding: '3px 4px',
+      borderBottom: '1px solid #444',
+      textAlign: 'right'
+    },
+    topicCell: {
+      padding: '3px 4px',
+      borderBottom: '1px solid #444',
+      textAlign: 'left',
+      wordBreak: 'break-all'
+    }
+  };
+
+  if (error) {
+    return <div style={{ color: '#f88' }}>{error}</div>;
+  }
+  if (!snapshot) {
+    return <div style={{ color: '#aaa' }}>Loading metrics...</div>;
+  }
+
+  const { websocket, mqtt, process: bridgeProcess } = snapshot;
+
+  return (
+    <div>
+      <div style={styles.grid}>
+        <span style={styles.label}>WebSocket clients</span>
+        <span>{websocket.clients}</span>
+        <span style={styles.label}>Broker</span>
+        <span style={{ color: mqtt.connected ? '#8f8' : '#f88' }}>
+          {mqtt.connected ? 'connected' : 'disconnected'} ({mqtt.reconnects} reconnects)
+        </span>
+        <span style={styles.label}>Last broker error</span>
+        <span title={mqtt.lastErrorAt || ''}>{mqtt.lastError || 'none'}</span>
+        <span style={styles.label}>Forwarded</span>
+        <span>{websocket.messagesForwarded} messages, {formatBytes(websocket.bytesForwarded)}</span>
+        <span style={styles.label}>Dropped / failed sends</span>
+        <span style={{ color: websocket.sendsDropped + websocket.sendsFailed > 0 ? '#FFC107' : undefined }}>
+          {websocket.sendsDropped} / {websocket.sendsFailed}
+        </span>
+        <span style={styles.label}>Thinned by throttled subscriptions</span>
+        <span>{websocket.messagesThrottled}</span>
+        <span style={styles.label}>Queued on sockets</span>
+        <span>{formatBytes(websocket.bufferedBytes)} (largest {formatBytes(websocket.maxBufferedBytes)})</span>
+        <span style={styles.label}>Event loop lag</span>
+        <span>{bridgeProcess.eventLoopLag} ms (max {bridgeProcess.maxEventLoopLag} ms)</span>
+      </div>
+
+      <div style={styles.charts}>
+        <MetricChart label="Received msg/s" history={history} field="receiveRate" color="#4fc3f7" />
+        <MetricChart label="Forwarded msg/s" history={history} field="forwardRate" color="#81c784" />
+        <MetricChart label="Forwarded per second" history={history} field="forwardByteRate" color="#ffb74d" format={formatBytes} />
+        <MetricChart label="Event loop lag" history={history} field="eventLoopLag" color="#e57373" format={(value) => `${Math.round(value)} ms`} />
+      </div>
+
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={styles.topicCell}>Topic</th>
+            <th style={styles.cell}>msg/s</th>
+            <th style={styles.cell}>per s</th>
+            <th style={styles.cell}>received</th>
+            <th style={styles.cell}>forwarded</th>
+          </tr>
+        </thead>
+        <tbody>
+          {snapshot.topics.slice(0, TOP_TOPICS).map(topic => (
+            <tr key={topic.topic}>
+              <td style={styles.topicCell}>{topic.topic}</td>
+              <td style={styles.cell}>{topic.messageRate.toFixed(1)}</td>
+              <td style={styles.cell}>{formatBytes(topic.byteRate)}</td>
+              <td style={styles.cell}>{topic.messages}</td>
+              <td style={styles.cell}>{topic.forwarded}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default DiagnosticsPanel;
@@ -1,15 +1,39 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useButtonStyles } from '../../styles/ButtonStyleProvider';
 import { useLocalStorage } from '../../utils/localStorageUtils';
+import { API_URL } from '../../config';
+import { authHeaders } from '../../utils/auth';
+import { useAuth } from '../../context/AuthContext';
+import { getProjectsDirectory, setProjectsDirectory } from '../../utils/projectApi';
+import DiagnosticsPanel from './DiagnosticsPanel';
+import { DEFAULT_AUTOSAVE_HISTORY, clearAutosaves } from '../../utils/autosaveStore';
+import { DEFAULT_PRESSURE_LIMIT } from '../../utils/hydraulics';
 
 // Settings key in localStorage
-const SETTINGS_STORAGE_KEY = 'fluidicgui_settings';
+export const SETTINGS_STORAGE_KEY = 'fluidicgui_settings';
+
+// Broker form fields from the broker the backend is using (GET /broker-config)
+const getBrokerFormFields = (broker) => ({
+  mqttBroker: broker.host,
+  port: String(broker.port),
+  mqttClientId: broker.clientId || '',
+  mqttUsername: broker.username || '',
+  mqttTls: Boolean(broker.tls),
+  mqttTransport: broker.transport || 'tcp',
+  mqttPath: broker.path || '',
+  mqttCaFile: broker.caFile || '',
+  mqttCertFile: broker.certFile || '',
+  mqttKeyFile: broker.keyFile || '',
+  mqttVerifyCertificate: broker.rejectUnauthorized !== false
+});
 
 const Settings = ({ isOpen, onClose }) => {
   const buttonVariants = useButtonStyles();
+  const { canOperate } = useAuth();
   const [openSections, setOpenSections] = useState({
     paths: true,
     connectivity: true,
+    diagnostics: false,
     other: true
   });
 
@@ -18,9 +42,52 @@ const Settings = ({ isOpen, onClose }) => {
     projects: '',
     modules: '',
     mqttBroker: 'localhost',
-    port: '1883'
+    port: '1883',
+    mqttClientId: '',
+    mqttUsername: '',
+    mqttTls: false,
+    mqttTransport: 'tcp',
+    mqttPath: '',
+    mqttCaFile: '',
+    mqttCertFile: '',
+    mqttKeyFile: '',
+    mqttVerifyCertificate: true,
+    autosaveHistory: DEFAULT_AUTOSAVE_HISTORY,
+    fittingPressureLimit: DEFAULT_PRESSURE_LIMIT
   });
 
+  // The broker password and key passphrase are sent to the backend only and never stored in localStorage
+  const [mqttPassword, setMqttPassword] = useState('');
+  const [mqttKeyPassphrase, setMqttKeyPassphrase] = useState('');
+  const [brokerStatus, setBrokerStatus] = useState(null);
+  const [applyingBroker, setApplyingBroker] = useState(false);
+  // Where the backend keeps the shared projects (see the project storage API)
+  const [projectsStatus, setProjectsStatus] = useState(null);
+
+  // Fetch the broker the backend is currently using whenever the modal opens and show it in the form,
+  // the bridge is shared by every lab PC. The values stored in this browser are only a fallback
+  // for when the backend cannot be reached.
+  useEffect(() => {
+    if (!isOpen) return;
+
+    fetch(`${API_URL}/broker-config`, { headers: authHeaders() })
+      .then(response => response.json())
+      .then(status => {
+        setBrokerStatus(status);
+        if (status.broker) {
+          setSettings(prev => ({ ...prev, ...getBrokerFormFields(status.broker) }));
+        }
+      })
+      .catch(error => {
+        console.error('Error fetching broker config:', error);
+        setBrokerStatus({ connected: false, lastError: 'Backend not reachable' });
+      });
+
+    getProjectsDirectory()
+      .then(directory => setProjectsStatus({ directory, error: null }))
+      .catch(error => setProjectsStatus({ directory: null, error: error.message }));
+  }, [isOpen, setSettings]);
+
   if (!isOpen) return null;
 
   const styles = {
@@ -127,6 +194,16 @@ const Settings = ({ isOpen, onClose }) => {
       fontSize: '14px',
       marginRight: 'auto',
       alignSelf: 'center',
+    },
+    checkboxLabel: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      color: '#ccc',
+    },
+    brokerStatus: {
+      fontSize: '14px',
+      marginBottom: '15px',
     }
   };
 
@@ -137,6 +214,13 @@ const Settings = ({ isOpen, onClose }) => {
     }));
   };
 
+  const handleClearAutosaves = () => {
+    if (!window.confirm('Delete all autosaved sessions in this browser?')) return;
+    clearAutosaves()
+      .then(() => console.log('Autosaves cleared'))
+      .catch(error => console.error('Error clearing autosaves:', error));
+  };
+
   const toggleSection = (section) => {
     setOpenSections(prev => ({
       ...prev,
@@ -153,6 +237,68 @@ const Settings = ({ isOpen, onClose }) => {
     handleInputChange(field, demoPath);
   };
 
+  const handleApplyProjectsPath = async () => {
+    try {
+      const result = await setProjectsDirectory(settings.projects || '');
+      setProjectsStatus({ directory: result.directory, error: null });
+    } catch (error) {
+      console.error('Error applying projects path:', error);
+      setProjectsStatus(prev => ({ directory: prev ? prev.directory : null, error: error.message }));
+    }
+  };
+
+  const handleApplyBroker = async () => {
+    setApplyingBroker(true);
+
+    const brokerSettings = {
+      host: settings.mqttBroker,
+      port: settings.port,
+      clientId: settings.mqttClientId || '',
+      username: settings.mqttUsername || '',
+      tls: Boolean(settings.mqttTls),
+      rejectUnauthorized: settings.mqttVerifyCertificate !== false,
+      transport: settings.mqttTransport || 'tcp',
+      path: settings.mqttPath || '',
+      caFile: settings.mqttCaFile || '',
+      certFile: settings.mqttCertFile || '',
+      keyFile: settings.mqttKeyFile || ''
+    };
+    // Leave the stored password and passphrase untouched unless a new one was typed
+    if (mqttPassword) {
+      brokerSettings.password = mqttPassword;
+    }
+    if (mqttKeyPassphrase) {
+      brokerSettings.keyPassphrase = mqttKeyPassphrase;
+    }
+
+    try {
+      const response = await fetch(`${API_URL}/broker-config`, {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify(brokerSettings)
+      });
+      const result = await response.json();
+      setBrokerStatus({ broker: result.broker, connected: result.connected, lastError: result.error });
+      if (result.broker) {
+        setSettings(prev => ({ ...prev, ...getBrokerFormFields(result.broker) }));
+      }
+      setMqttPassword('');
+      setMqttKeyPassphrase('');
+    } catch (error) {
+      console.error('Error applying broker config:', error);
+      setBrokerStatus({ connected: false, lastError: 'Backend not reachable' });
+    } finally {
+      setApplyingBroker(false);
+    }
+  };
+
+  const getBrokerStatusText = () => {
+    if (!brokerStatus) return 'Checking backend...';
+    const brokerUrl = brokerStatus.broker ? brokerStatus.broker.url : 'unknown broker';
+    if (brokerStatus.connected) return `Backend connected to ${brokerUrl}`;
+    return `Backend not connected to ${brokerUrl}${brokerStatus.lastError ? `: ${brokerStatus.lastError}` : ''}`;
+  };
+
   const handleSave = () => {
     // Settings already saved via the useLocalStorage hook
     alert('Settings saved successfully!');
@@ -165,10 +311,25 @@ const Settings = ({ isOpen, onClose }) => {
       projects: '',
       modules: '',
       mqttBroker: 'localhost',
-      port: '1883'
+      port: '1883',
+      mqttClientId: '',
+      mqttUsername: '',
+      mqttTls: false,
+      mqttTransport: 'tcp',
+      mqttPath: '',
+      mqttCaFile: '',
+      mqttCertFile: '',
+      mqttKeyFile: '',
+      mqttVerifyCertificate: true,
+      autosaveHistory: DEFAULT_AUTOSAVE_HISTORY,
+      fittingPressureLimit: DEFAULT_PRESSURE_LIMIT,
+      // Keep showing the backend's broker, the defaults are not what the bridge uses
+      ...(brokerStatus && brokerStatus.broker ? getBrokerFormFields(brokerStatus.broker) : {})
     };
     
     setSettings(defaultSettings);
+    setMqttPassword('');
+    setMqttKeyPassphrase('');
   };
 
   return (
@@ -205,15 +366,22 @@ const Settings = ({ isOpen, onClose }) => {
                       style={styles.pathInput}
                       value={settings.projects}
                       onChange={(e) => handleInputChange('projects', e.target.value)}
-                      placeholder="Enter projects path"
+                      placeholder="Folder on the backend, empty for the default"
                     />
                     <button 
                       style={styles.browseButton}
-                      onClick={() => handleBrowseClick('projects')}
+                      onClick={handleApplyProjectsPath}
+                      disabled={!canOperate}
+                      title={canOperate ? undefined : 'Only operators can change the projects folder'}
                     >
-                      Browse...
+                      Apply to Backend
                     </button>
                   </div>
+                  {projectsStatus && (
+                    <div style={{ fontSize: '13px', marginTop: '5px', color: projectsStatus.error ? '#f88' : '#aaa' }}>
+                      {projectsStatus.error || `Backend stores projects in ${projectsStatus.directory}`}
+                    </div>
+                  )}
                 </div>
                 <div style={styles.inputGroup}>
                   <label style={styles.label}>Modules Path</label>
@@ -270,6 +438,156 @@ const Settings = ({ isOpen, onClose }) => {
                     placeholder="Enter port number"
                   />
                 </div>
+                <div style={styles.inputGroup}>
+                  <label style={styles.label}>Transport</label>
+                  <select
+                    style={styles.input}
+                    value={settings.mqttTransport || 'tcp'}
+                    onChange={(e) => handleInputChange('mqttTransport', e.target.value)}
+                  >
+                    <option value="tcp">MQTT over TCP</option>
+                    <option value="websocket">MQTT over WebSocket</option>
+                  </select>
+                </div>
+                {settings.mqttTransport === 'websocket' && (
+                  <div style={styles.inputGroup}>
+                    <label style={styles.label}>WebSocket Path</label>
+                    <input
+                      type="text"
+                      style={styles.input}
+                      value={settings.mqttPath || ''}
+                      onChange={(e) => handleInputChange('mqttPath', e.target.value)}
+                      placeholder="/mqtt"
+                    />
+                  </div>
+                )}
+                <div style={styles.inputGroup}>
+                  <label style={styles.label}>Client ID</label>
+                  <input
+                    type="text"
+                    style={styles.input}
+                    value={settings.mqttClientId || ''}
+                    onChange={(e) => handleInputChange('mqttClientId', e.target.value)}
+                    placeholder="Leave empty for a random client ID"
+                  />
+                </div>
+                <div style={styles.inputGroup}>
+                  <label style={styles.label}>Username</label>
+                  <input
+                    type="text"
+                    style={styles.input}
+                    value={settings.mqttUsername || ''}
+                    onChange={(e) => handleInputChange('mqttUsername', e.target.value)}
+                    placeholder="Leave empty for anonymous access"
+                  />
+                </div>
+                <div style={styles.inputGroup}>
+                  <label style={styles.label}>Password</label>
+                  <input
+                    type="password"
+                    style={styles.input}
+                    value={mqttPassword}
+                    onChange={(e) => setMqttPassword(e.target.value)}
+                    placeholder={brokerStatus && brokerStatus.broker && brokerStatus.broker.hasPassword ? 'Unchanged' : 'Enter password'}
+                  />
+                </div>
+                <div style={styles.inputGroup}>
+                  <label style={styles.checkboxLabel}>
+                    <input
+                      type="checkbox"
+                      checked={Boolean(settings.mqttTls)}
+                      onChange={(e) => handleInputChange('mqttTls', e.target.checked)}
+                    />
+                    Use TLS ({settings.mqttTransport === 'websocket' ? 'wss://' : 'mqtts://'})
+                  </label>
+                </div>
+                {settings.mqttTls && (
+                  <>
+                    <div style={styles.inputGroup}>
+                      <label style={styles.checkboxLabel}>
+                        <input
+                          type="checkbox"
+                          checked={settings.mqttVerifyCertificate !== false}
+                          onChange={(e) => handleInputChange('mqttVerifyCertificate', e.target.checked)}
+                        />
+                        Verify the broker certificate
+                      </label>
+                    </div>
+                    {/* Certificate files are read by the backend, so these are paths on the backend machine */}
+                    <div style={styles.inputGroup}>
+                      <label style={styles.label}>CA Bundle (path on the backend)</label>
+                      <input
+                        type="text"
+                        style={styles.input}
+                        value={settings.mqttCaFile || ''}
+                        onChange={(e) => handleInputChange('mqttCaFile', e.target.value)}
+                        placeholder="Leave empty for the system CAs"
+                      />
+                    </div>
+                    <div style={styles.inputGroup}>
+                      <label style={styles.label}>Client Certificate (path on the backend)</label>
+                      <input
+                        type="text"
+                        style={styles.input}
+                        value={settings.mqttCertFile || ''}
+                        onChange={(e) => handleInputChange('mqttCertFile', e.target.value)}
+                        placeholder="Leave empty for no client certificate"
+                      />
+                    </div>
+                    <div style={styles.inputGroup}>
+                      <label style={styles.label}>Client Key (path on the backend)</label>
+                      <input
+                        type="text"
+                        style={styles.input}
+                        value={settings.mqttKeyFile || ''}
+                        onChange={(e) => handleInputChange('mqttKeyFile', e.target.value)}
+                        placeholder="Leave empty for no client certificate"
+                      />
+                    </div>
+                    <div style={styles.inputGroup}>
+                      <label style={styles.label}>Key Passphrase</label>
+                      <input
+                        type="password"
+                        style={styles.input}
+                        value={mqttKeyPassphrase}
+                        onChange={(e) => setMqttKeyPassphrase(e.target.value)}
+                        placeholder={brokerStatus && brokerStatus.broker && brokerStatus.broker.hasKeyPassphrase ? 'Unchanged' : 'Only for an encrypted key'}
+                      />
+                    </div>
+                  </>
+                )}
+                <div style={{
+                  ...styles.brokerStatus,
+                  color: brokerStatus && brokerStatus.connected ? '#8f8' : '#f88'
+                }}>
+                  {getBrokerStatusText()}
+                </div>
+                <button
+                  style={buttonVariants.primaryButton}
+                  onClick={handleApplyBroker}
+                  disabled={applyingBroker || !canOperate}
+                  title={canOperate ? undefined : 'Only operators can change the broker'}
+                >
+                  {applyingBroker ? 'Connecting...' : 'Apply to Backend'}
+                </button>
+              </div>
+            )}
+          </div>
+
+          {/* Diagnostics Section - bridge metrics, polled only while open */}
+          <div style={styles.section}>
+            <div 
+              style={styles.sectionHeader}
+              onClick={() => toggleSection('diagnostics')}
+            >
+              <span>Diagnostics</span>
+              <span style={styles.toggleIcon}>
+                {openSections.diagnostics ? '▼' : '▶'}
+              </span>
+            </div>
+            {openSections.diagnostics && (
+              <div style={styles.sectionContent}>
+                <DiagnosticsPanel />
               </div>
             )}
           </div>
@@ -287,7 +605,42 @@ const Settings = ({ isOpen, onClose }) => {
             </div>
             {openSections.other && (
               <div style={styles.sectionContent}>
-                <p>Additional settings will be added here</p>
+                <div style={styles.inputGroup}>
+                  <label style={styles.label}>Autosaves to Keep</label>
+                  <div style={styles.pathContainer}>
+                    <input
+                      type="number"
+                      min="1"
+                      max="200"
+                      style={styles.pathInput}
+                      value={settings.autosaveHistory ?? DEFAULT_AUTOSAVE_HISTORY}
+                      onChange={(e) => handleInputChange('autosaveHistory', Math.max(1, parseInt(e.target.value, 10) || 1))}
+                    />
+                    <button
+                      style={styles.browseButton}
+                      onClick={handleClearAutosaves}
+                    >
+                      Clear Autosaves
+                    </button>
+                  </div>
+                  <div style={{ fontSize: '13px', marginTop: '5px', color: '#aaa' }}>
+                    The working session is autosaved in this browser and offered again after a reload or crash
+                  </div>
+                </div>
+                <div style={styles.inputGroup}>
+                  <label style={styles.label}>Fittings Pressure Limit [bar]</label>
+                  <input
+                    type="number"
+                    min="0.1"
+                    step="0.5"
+                    style={styles.input}
+                    value={settings.fittingPressureLimit ?? DEFAULT_PRESSURE_LIMIT}
+                    onChange={(e) => handleInputChange('fittingPressureLimit', Math.max(0.1, parseFloat(e.target.value) || DEFAULT_PRESSURE_LIMIT))}
+                  />
+                  <div style={{ fontSize: '13px', marginTop: '5px', color: '#aaa' }}>
+                    The simulation warns when a pump would need more pressure than this or its syringe limit
+                  </div>
+                </div>
               </div>
             )}
           </div>
@@ -0,0 +1,70 @@
+import { render, screen } from '@testing-library/react';
+import Settings, { SETTINGS_STORAGE_KEY } from './Settings';
+import { AuthProvider } from '../../context/AuthContext';
+import { ButtonColorSchemeProvider } from '../../context/ColorSchemeContext';
+import { ButtonStyleProvider } from '../../styles/ButtonStyleProvider';
+
+const BACKEND_BROKER = {
+  host: '10.0.0.4',
+  port: 8883,
+  clientId: 'bench2',
+  username: 'lab',
+  tls: true,
+  transport: 'tcp',
+  path: '',
+  caFile: 'certs/ca.pem',
+  certFile: '',
+  keyFile: '',
+  rejectUnauthorized: true,
+  hasPassword: true,
+  url: 'mqtts://10.0.0.4:8883'
+};
+
+const respond = (data) => Promise.resolve({ ok: true, json: () => Promise.resolve(data) });
+
+const renderSettings = () => render(
+  <AuthProvider>
+    <ButtonColorSchemeProvider>
+      <ButtonStyleProvider>
+        <Settings isOpen onClose={() => {}} />
+      </ButtonStyleProvider>
+    </ButtonColorSchemeProvider>
+  </AuthProvider>
+);
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+});
+
+test('fills the broker form from the broker the backend uses', async () => {
+  global.fetch = jest.fn(url => {
+    if (url.endsWith('/broker-config')) return respond({ broker: BACKEND_BROKER, connected: true, lastError: null });
+    if (url.endsWith('/projects/config')) return respond({ directory: '/data/projects' });
+    return respond({ enabled: false });
+  });
+
+  renderSettings();
+
+  expect(await screen.findByDisplayValue('10.0.0.4')).toBeInTheDocument();
+  expect(screen.getByDisplayValue('8883')).toBeInTheDocument();
+  expect(screen.getByDisplayValue('lab')).toBeInTheDocument();
+  expect(screen.getByText('Backend connected to mqtts://10.0.0.4:8883')).toBeInTheDocument();
+  expect(JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)).mqttBroker).toBe('10.0.0.4');
+});
+
+test('keeps the broker stored in this browser when the backend is not reachable', async () => {
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ mqttBroker: '192.168.1.20', port: '1883' }));
+  global.fetch = jest.fn(() => Promise.reject(new Error('Failed to fetch')));
+
+  renderSettings();
+
+  expect(await screen.findByText(/Backend not reachable/)).toBeInTheDocument();
+  expect(screen.getByDisplayValue('192.168.1.20')).toBeInTheDocument();
+});
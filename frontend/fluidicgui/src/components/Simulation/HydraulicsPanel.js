@@ -0,0 +1,158 @@
+import React from 'react';
+import DraggablePanel from './DraggablePanel';
+
+const INITIAL_POSITION = { x: 150, y: 120 };
+
+const formatPressure = (bar) => (bar < 0.01 ? `${(bar * 1000).toFixed(2)} mbar` : `${bar.toFixed(2)} bar`);
+
+const formatSeconds = (seconds) => (seconds === null ? '-' : `${seconds.toFixed(1)} s`);
+
+// Residence time at the highest and the lowest flow through the segment
+const formatResidence = (segment) => {
+  if (segment.shortestResidence === null) return 'no flow';
+  if (Math.abs(segment.longestResidence - segment.shortestResidence) < 0.05) {
+    return formatSeconds(segment.shortestResidence);
+  }
+  return `${segment.shortestResidence.toFixed(1)} - ${formatSeconds(segment.longestResidence)}`;
+};
+
+const HydraulicsPanel = ({ hydraulics, onClose }) => (
+  <DraggablePanel
+    title="Hydraulics"
+    initialPosition={INITIAL_POSITION}
+    width={640}
+    onClose={onClose}
+  >
+    {!hydraulics ? (
+      <div style={styles.note}>Add an outlet to the flowchart to calculate pressures.</div>
+    ) : (
+      <div style={styles.container}>
+        {hydraulics.warnings.length > 0 && (
+          <div style={styles.warnings}>
+            {hydraulics.warnings.map((warning, index) => (
+              <div key={index} style={warning.severity === 'error' ? styles.error : styles.warning}>
+                {warning.severity === 'error' ? '✖' : '⚠'} {warning.message}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <h4 style={styles.heading}>Pumps</h4>
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>Pump</th>
+              <th style={styles.th}>Content</th>
+              <th style={styles.th}>Viscosity</th>
+              <th style={styles.th}>Peak pressure</th>
+              <th style={styles.th}>Limit</th>
+            </tr>
+          </thead>
+          <tbody>
+            {hydraulics.pumps.map(pump => {
+              const overLimit = pump.limit !== null && pump.peakPressure > pump.limit;
+              return (
+                <tr key={pump.id}>
+                  <td style={styles.td}>{pump.label}</td>
+                  <td style={styles.td}>{pump.content || '-'}</td>
+                  <td style={styles.td} title={`From the pump's ${pump.viscositySource === 'property' ? 'viscosity property' : pump.viscositySource === 'content' ? 'content' : 'default'}`}>
+                    {pump.viscosity} mPa·s{pump.viscositySource === 'default' ? ' ?' : ''}
+                  </td>
+                  <td style={{ ...styles.td, color: overLimit ? '#ff6b6b' : '#fff' }}>
+                    {!pump.connected
+                      ? 'not connected'
+                      : pump.peakTime === null
+                        ? 'not running'
+                        : `${formatPressure(pump.peakPressure)} at ${pump.peakTime.toFixed(1)} s`}
+                  </td>
+                  <td style={styles.td}>{pump.limit === null ? '-' : `${pump.limit} bar`}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+
+        <h4 style={styles.heading}>Tube segments</h4>
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>Segment</th>
+              <th style={styles.th}>Length / Ø</th>
+              <th style={styles.th}>Volume</th>
+              <th style={styles.th}>Peak flow</th>
+              <th style={styles.th}>ΔP</th>
+              <th style={styles.th}>Residence time</th>
+            </tr>
+          </thead>
+          <tbody>
+            {hydraulics.segments.map(segment => (
+              <tr key={segment.id}>
+                <td style={styles.td}>{segment.from} → {segment.to}</td>
+                <td style={styles.td}>{segment.length} mm / {segment.diameter} mm</td>
+                <td style={styles.td}>{segment.volume.toFixed(2)} µL</td>
+                <td style={styles.td}>{segment.peakFlow.toFixed(2)} µL/s</td>
+                <td style={styles.td}>{formatPressure(segment.peakPressureDrop)}</td>
+                <td style={styles.td}>{formatResidence(segment)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div style={styles.note}>
+          Laminar flow (Hagen-Poiseuille) at the simulated pump speeds, mixed liquids use the flow-weighted viscosity.
+        </div>
+      </div>
+    )}
+  </DraggablePanel>
+);
+
+const styles = {
+  container: {
+    maxHeight: '60vh',
+    overflowY: 'auto',
+    color: '#fff',
+    fontSize: '12px'
+  },
+  heading: {
+    margin: '10px 0 6px',
+    fontSize: '13px'
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse'
+  },
+  th: {
+    textAlign: 'left',
+    padding: '4px 6px',
+    borderBottom: '1px solid rgba(255, 255, 255, 0.2)',
+    color: '#aaa',
+    fontWeight: 'normal'
+  },
+  td: {
+    padding: '4px 6px',
+    borderBottom: '1px solid rgba(255, 255, 255, 0.05)'
+  },
+  warnings: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px'
+  },
+  error: {
+    padding: '6px 8px',
+    borderRadius: '4px',
+    background: 'rgba(255, 80, 80, 0.2)',
+    color: '#ff9b9b'
+  },
+  warning: {
+    padding: '6px 8px',
+    borderRadius: '4px',
+    background: 'rgba(255, 200, 0, 0.15)',
+    color: '#ffd966'
+  },
+  note: {
+    marginTop: '8px',
+    color: '#aaa',
+    fontSize: '12px'
+  }
+};
+
+export default HydraulicsPanel;
@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { convertToHardwareValuesPump, createPumpCommand } from '../../../utils/pumpCalculations';
 import { useButtonStyles } from '../../../styles/ButtonStyleProvider';
 import { WS_URL } from '../../../config';
+import { withAuthToken } from '../../../utils/auth';
+import { getFlowchartId } from '../../../utils/flowchartUtils';
 
 const PumpActions = ({ node, nodes = [], edges = [], onAction }) => {
   const [volume, setVolume] = useState('');
@@ -11,6 +13,8 @@ const PumpActions = ({ node, nodes = [], edges = [], onAction }) => {
   const [selectedPumps, setSelectedPumps] = useState([node.id]);
   const [pumpMultipliers, setPumpMultipliers] = useState({});
   const buttonVariants = useButtonStyles();
+  // Tags every command for the backend audit log
+  const flowchartId = getFlowchartId(nodes, edges);
 
   // Add debug logging
   useEffect(() => {
@@ -27,7 +31,7 @@ const PumpActions = ({ node, nodes = [], edges = [], onAction }) => {
 
   useEffect(() => {
     // Create WebSocket connection
-    const websocket = new WebSocket(WS_URL);
+    const websocket = new WebSocket(withAuthToken(WS_URL));
     
     websocket.onopen = () => {
       console.log('Connected to WebSocket server');
@@ -96,7 +100,7 @@ const PumpActions = ({ node, nodes = [], edges = [], onAction }) => {
       };
 
       if (ws && ws.readyState === WebSocket.OPEN) {
-        ws.send(JSON.stringify(mqttMessage));
+        ws.send(JSON.stringify({ ...mqttMessage, flowchartId }));
       } else {
         console.error('WebSocket is not connected');
       }
@@ -132,8 +136,8 @@ const PumpActions = ({ node, nodes = [], edges = [], onAction }) => {
       };
 
       if (ws && ws.readyState === WebSocket.OPEN) {
-        ws.send(JSON.stringify(programMessage));
-        ws.send(JSON.stringify(runMessage));
+        ws.send(JSON.stringify({ ...programMessage, flowchartId }));
+        ws.send(JSON.stringify({ ...runMessage, flowchartId }));
       }
 
       onAction({
@@ -173,8 +177,8 @@ const PumpActions = ({ node, nodes = [], edges = [], onAction }) => {
       };
 
       if (ws && ws.readyState === WebSocket.OPEN) {
-        ws.send(JSON.stringify(programMessage));
-        ws.send(JSON.stringify(runMessage));
+        ws.send(JSON.stringify({ ...programMessage, flowchartId }));
+        ws.send(JSON.stringify({ ...runMessage, flowchartId }));
       }
 
       onAction({
@@ -223,8 +227,8 @@ const PumpActions = ({ node, nodes = [], edges = [], onAction }) => {
       };
 
       if (ws && ws.readyState === WebSocket.OPEN) {
-        ws.send(JSON.stringify(mqttMessage));
-        ws.send(JSON.stringify(mqttMessage2));
+        ws.send(JSON.stringify({ ...mqttMessage, flowchartId }));
+        ws.send(JSON.stringify({ ...mqttMessage2, flowchartId }));
       }
 
       onAction({
@@ -291,8 +295,8 @@ const PumpActions = ({ node, nodes = [], edges = [], onAction }) => {
       };
 
       if (ws && ws.readyState === WebSocket.OPEN) {
-        ws.send(JSON.stringify(mqttMessage));
-        ws.send(JSON.stringify(mqttMessage2));
+        ws.send(JSON.stringify({ ...mqttMessage, flowchartId }));
+        ws.send(JSON.stringify({ ...mqttMessage2, flowchartId }));
       }
 
       onAction({
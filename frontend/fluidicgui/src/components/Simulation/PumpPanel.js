@@ -1,8 +1,10 @@
 import React from 'react';
 import DraggablePanel from './DraggablePanel';
 import PumpActions from './NodeActions/PumpActions';
+import { useAuth } from '../../context/AuthContext';
 
 const PumpPanel = ({ pump, nodes, edges, onClose, initialPosition = { x: 150, y: 100 }, onAction }) => {
+  const { canOperate } = useAuth();
   if (!pump) return null;
   
   return (
@@ -14,15 +16,19 @@ const PumpPanel = ({ pump, nodes, edges, onClose, initialPosition = { x: 150, y:
       onClose={onClose}
     >
       <div style={styles.container}>
-        <PumpActions 
-          node={pump} 
-          nodes={nodes} 
-          edges={edges} 
-          onAction={(action) => {
-            console.log('Pump action:', action);
-            if (onAction) onAction(action);
-          }} 
-        />
+        {canOperate ? (
+          <PumpActions 
+            node={pump} 
+            nodes={nodes} 
+            edges={edges} 
+            onAction={(action) => {
+              console.log('Pump action:', action);
+              if (onAction) onAction(action);
+            }} 
+          />
+        ) : (
+          <div style={styles.viewerNote}>Log in as an operator to control pumps.</div>
+        )}
       </div>
     </DraggablePanel>
   );
@@ -34,6 +40,10 @@ const styles = {
     width: '100%',
     height: '100%',
     overflowY: 'auto'
+  },
+  viewerNote: {
+    color: '#aaa',
+    fontStyle: 'italic'
   }
 };
 
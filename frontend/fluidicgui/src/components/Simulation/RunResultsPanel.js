@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import DraggablePanel from './DraggablePanel';
+import ProjectDocuments from '../Projects/ProjectDocuments';
+import { useButtonStyles } from '../../styles/ButtonStyleProvider';
+
+const INITIAL_POSITION = { x: 200, y: 140 };
+
+// Save the simulated run (droplets, pump events, experiment job, hydraulics) to the project
+// storage, and look at runs saved from this or another lab PC
+const RunResultsPanel = ({ getResults, defaultName = '', onClose }) => {
+  const buttonVariants = useButtonStyles();
+  const [loaded, setLoaded] = useState(null); // { name, results }
+
+  const downloadResults = () => {
+    const blob = new Blob([JSON.stringify(loaded.results, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${loaded.name}.results.json`;
+    document.body.appendChild(link);
+    link.click();
+    setTimeout(() => {
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    }, 100);
+  };
+
+  const experiment = loaded?.results.experiment;
+
+  return (
+    <DraggablePanel
+      title="Run Results"
+      initialPosition={INITIAL_POSITION}
+      width={380}
+      onClose={onClose}
+    >
+      <ProjectDocuments
+        kind="results"
+        title="Run Results in Project"
+        defaultName={defaultName}
+        getData={getResults}
+        onLoad={(results, name) => setLoaded({ name, results })}
+      />
+
+      {loaded && (
+        <div style={styles.summary}>
+          <div style={styles.title}>{loaded.name}</div>
+          <div>Saved: {loaded.results.savedAt ? new Date(loaded.results.savedAt).toLocaleString() : '-'}</div>
+          <div>Droplets: {(loaded.results.droplets || []).length}</div>
+          <div>Pump events: {(loaded.results.pumpEvents || []).length}</div>
+          <div>
+            Experiment: {experiment ? `${experiment.name} - ${experiment.state}${experiment.error ? ` (${experiment.error})` : ''}` : 'not sent to the devices'}
+          </div>
+          {(loaded.results.hydraulics?.warnings || []).map((warning, index) => (
+            <div key={index} style={{ color: warning.severity === 'error' ? '#ff9b9b' : '#ffd966' }}>
+              {warning.message}
+            </div>
+          ))}
+          <button
+            style={{ ...buttonVariants.secondaryButton, padding: '4px 8px', fontSize: '12px', marginTop: '8px' }}
+            onClick={downloadResults}
+          >
+            Download
+          </button>
+        </div>
+      )}
+    </DraggablePanel>
+  );
+};
+
+const styles = {
+  summary: {
+    marginTop: '10px',
+    padding: '10px',
+    backgroundColor: 'rgba(0, 0, 0, 0.2)',
+    borderRadius: '4px',
+    color: '#fff',
+    fontSize: '13px',
+    lineHeight: 1.5
+  },
+  title: {
+    fontWeight: 'bold',
+    marginBottom: '4px'
+  }
+};
+
+export default RunResultsPanel;
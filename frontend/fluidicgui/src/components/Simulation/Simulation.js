@@ -1,9 +1,12 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import PumpActions from './NodeActions/PumpActions';
 import DraggablePanel from './DraggablePanel';
 import { convertToHardwareValuesPump } from '../../utils/pumpCalculations';
 import { useButtonStyles } from '../../styles/ButtonStyleProvider';
 import { backgroundVariants } from '../../styles/backgroundStyles';
+import { WS_URL } from '../../config';
+import { withAuthToken } from '../../utils/auth';
+import { useAuth } from '../../context/AuthContext';
 import {
   findOutletNode,
   findFurthestNode,
@@ -21,12 +24,21 @@ import {
 } from '../../utils/simulationUtils';
 import './simulation.css'; // We'll create this CSS file
 import SvgDefs from './SvgDefs';
-import { calculateEdgePoints, createLabels } from '../../utils/flowchartUtils';
+import { calculateEdgePoints, createLabels, getFlowchartId } from '../../utils/flowchartUtils';
 import USBSpectrometer from './USBSpectrometer';
 import SpectrometerMQTT from './SpectrometerMQTT';
+import HydraulicsPanel from './HydraulicsPanel';
+import RunResultsPanel from './RunResultsPanel';
+import { analyzeHydraulics, DEFAULT_PRESSURE_LIMIT } from '../../utils/hydraulics';
+import { useLocalStorage } from '../../utils/localStorageUtils';
+import { SETTINGS_STORAGE_KEY } from '../Settings/Settings';
 
-const Simulation = ({ nodes = [], edges = [], droplets = [], selectedCarrierPumps = [], onBack, onNext }) => {
+const FINISHED_JOB_STATES = ['finished', 'aborted'];
+
+const Simulation = ({ nodes = [], edges = [], droplets = [], selectedCarrierPumps = [], onBack, onNext, onEventsGenerated }) => {
   const buttonVariants = useButtonStyles();
+  // Viewers watch the simulation and the running experiment but cannot send commands
+  const { canOperate } = useAuth();
   const [graphData, setGraphData] = useState({ nodes: [], links: [] });
   const [simulationDroplets, setSimulationDroplets] = useState([]);
   const [isSimulationRunning, setIsSimulationRunning] = useState(false);
@@ -46,9 +58,15 @@ const Simulation = ({ nodes = [], edges = [], droplets = [], selectedCarrierPump
   const [displayEdgeLabels, setDisplayEdgeLabels] = useState(false);
   const [isDisplayMenuOpen, setDisplayMenuOpen] = useState(false);
   const [displayTimelineDropletInfo, setDisplayTimelineDropletInfo] = useState(false);
+  const [displayHydraulics, setDisplayHydraulics] = useState(false);
+  const [showRunResults, setShowRunResults] = useState(false);
   const displayMenuRef = useRef(null);
   const [selectedNode, setSelectedNode] = useState(null);
   const [ws, setWs] = useState(null);
+  const [experimentJob, setExperimentJob] = useState(null); // Backend job shown in the experiment panel
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const ownJobsRef = useRef({}); // Jobs submitted from this page: id -> { visualStarted, alerted }
+  const experimentStatusHandlerRef = useRef(null);
   const [pumpPanelPosition, setPumpPanelPosition] = useState({ x: window.innerWidth - 300, y: 100 });
   const [visiblePumpPanel, setVisiblePumpPanel] = useState(null);
 
@@ -67,12 +85,35 @@ const Simulation = ({ nodes = [], edges = [], droplets = [], selectedCarrierPump
 
   useEffect(() => {
     // Create WebSocket connection
-    const websocket = new WebSocket('ws://localhost:4000');
+    const websocket = new WebSocket(withAuthToken(WS_URL));
     
     websocket.onopen = () => {
       console.log('Connected to WebSocket server');
     };
 
+    websocket.onmessage = (event) => {
+      try {
+        const data = JSON.parse(event.data);
+
+        // Sent on connect - reattach to an experiment that is still in progress
+        if (data.topic === 'server/experiments') {
+          const activeJobs = (data.payload?.jobs || []).filter(job => !FINISHED_JOB_STATES.includes(job.state));
+          if (activeJobs.length > 0) {
+            setExperimentJob(activeJobs[activeJobs.length - 1]);
+          }
+        } else if (data.topic === 'server/experiment_status' && experimentStatusHandlerRef.current) {
+          experimentStatusHandlerRef.current(data.payload);
+        } else if (data.topic === 'server/publish_error') {
+          console.error('Command rejected by the backend:', data.payload);
+          alert(`Command rejected by the backend:\n${data.payload?.error}`);
+        } else if (data.topic === 'server/experiment_response' && data.payload?.action !== 'submit' && !data.payload?.success) {
+          alert(`Experiment ${data.payload.action} failed: ${data.payload.error}`);
+        }
+      } catch (error) {
+        console.error('Error processing WebSocket message in Simulation:', error);
+      }
+    };
+
     websocket.onerror = (error) => {
       console.error('WebSocket error:', error);
     };
@@ -87,15 +128,95 @@ const Simulation = ({ nodes = [], edges = [], droplets = [], selectedCarrierPump
     };
   }, []);
 
+  // Reassigned every render so the WebSocket handler sees current state
+  experimentStatusHandlerRef.current = (job) => {
+    setExperimentJob(prev => (!prev || prev.id === job.id || FINISHED_JOB_STATES.includes(prev.state) ? job : prev));
+
+    const ownJob = ownJobsRef.current[job.id];
+    if (!ownJob) return;
+
+    if (job.state === 'running' && !ownJob.visualStarted) {
+      // Devices are running - start the simulation alongside them
+      ownJob.visualStarted = true;
+      setCurrentTime(0);
+      setCurrentTimepoint(0);
+      setIsSimulationRunning(true);
+      setDropletHistory([]);
+      // Generate new event list
+      generateEventList([{ droplets: droplets }]);
+    } else if (job.state === 'running' || job.state === 'paused') {
+      setIsSimulationRunning(job.state === 'running');
+    } else if (job.state === 'aborted') {
+      setIsSimulationRunning(false);
+      if (!ownJob.alerted) {
+        ownJob.alerted = true;
+        alert(`Experiment "${job.name}" was aborted:\n${job.error}`);
+      }
+    }
+  };
+
+  // Pressures and residence times of the simulated run, limited by the syringes and the fittings from the settings
+  const [settings] = useLocalStorage(SETTINGS_STORAGE_KEY, {});
+  const fittingPressureLimit = settings.fittingPressureLimit || DEFAULT_PRESSURE_LIMIT;
+  const hydraulics = useMemo(() => analyzeHydraulics({
+    nodes,
+    edges,
+    pumpEvents,
+    fittingPressureLimit
+  }), [nodes, edges, pumpEvents, fittingPressureLimit]);
+
+  // What a run leaves behind, stored as a "results" document in the project
+  const collectRunResults = () => ({
+    flowchartId: getFlowchartId(nodes, edges),
+    savedAt: new Date().toISOString(),
+    droplets,
+    pumpEvents,
+    experiment: experimentJob,
+    hydraulics
+  });
+
   const sendingEventsToDevices = () => {
-    sendEventsToDevices(pumpEvents, ws, nodes);
-    // Reset simulation state
-    setCurrentTime(0);
-    setCurrentTimepoint(0);
-    setIsSimulationRunning(true);
-    setDropletHistory([]);
-    // Generate new event list
-    generateEventList([{ droplets: droplets }]);
+    const pressureErrors = hydraulics ? hydraulics.warnings.filter(warning => warning.severity === 'error') : [];
+    if (pressureErrors.length > 0 &&
+        !window.confirm(`This run exceeds a pressure limit:\n${pressureErrors.map(warning => warning.message).join('\n')}\n\nSend the events anyway?`)) {
+      setDisplayHydraulics(true);
+      return;
+    }
+    setIsSubmitting(true);
+
+    sendEventsToDevices(pumpEvents, ws, nodes, `Simulation ${new Date().toLocaleTimeString()}`, getFlowchartId(nodes, edges))
+      .then(job => {
+        ownJobsRef.current[job.id] = { visualStarted: false, alerted: false };
+        setExperimentJob(job);
+      })
+      .catch(error => {
+        console.error('Experiment submission failed:', error);
+        alert(`Experiment was not started:\n${error.message}`);
+      })
+      .finally(() => setIsSubmitting(false));
+  };
+
+  const sendExperimentAction = (action) => {
+    if (!experimentJob || !ws || ws.readyState !== WebSocket.OPEN) {
+      alert('Not connected to the backend');
+      return;
+    }
+    ws.send(JSON.stringify({ topic: `server/experiment_${action}`, payload: { id: experimentJob.id } }));
+  };
+
+  const getExperimentStateColor = (state) => {
+    switch (state) {
+      case 'failed':
+      case 'aborted':
+        return '#f44336';
+      case 'confirmed':
+      case 'started':
+      case 'running':
+      case 'finished':
+        return '#4CAF50';
+      default:
+        return '#FFC107';
+    }
   };
 
   const eventType = ['setPumpSpeed', 'setThermostatTemperature', 'setLedIntensity', 'wait', 'blockEnd'];
@@ -1110,6 +1231,8 @@ const Simulation = ({ nodes = [], edges = [], droplets = [], selectedCarrierPump
     console.log('dropletHistory in event generator: ', dropletHistory);
     console.log('eventList: ', eventList.sort((a, b) => a.time - b.time));
     setPumpEvents(extractPumpEvents(eventList));
+    // App keeps the last event list so it can be saved with the project
+    if (onEventsGenerated) onEventsGenerated(eventList);
     return eventList;
   }
   // First useEffect to set initial graphData
@@ -1502,6 +1625,10 @@ const Simulation = ({ nodes = [], edges = [], droplets = [], selectedCarrierPump
   const toggleTimelineDropletInfo = () => {
     setDisplayTimelineDropletInfo(!displayTimelineDropletInfo);
   };
+
+  const toggleHydraulics = () => {
+    setDisplayHydraulics(!displayHydraulics);
+  };
   
   // Close menu when clicking outside
   useEffect(() => {
@@ -1556,6 +1683,26 @@ const Simulation = ({ nodes = [], edges = [], droplets = [], selectedCarrierPump
       marginTop: '20px',
       marginBottom: '20px'
     },
+    experimentPanel: {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '5px',
+      marginBottom: '20px',
+      ...backgroundVariants.panelBackground,
+      padding: '10px',
+      borderRadius: '4px',
+      color: '#fff',
+      fontSize: '14px'
+    },
+    experimentRow: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      maxWidth: '400px'
+    },
+    experimentError: {
+      color: '#f44336',
+      fontWeight: 'bold'
+    },
     timelineControls: {
       display: 'flex',
       flexDirection: 'column',
@@ -1782,11 +1929,20 @@ const Simulation = ({ nodes = [], edges = [], droplets = [], selectedCarrierPump
         >
           Restart simulation
         </button>
+        {canOperate && (
+          <button 
+            onClick={sendingEventsToDevices} 
+            disabled={isSubmitting}
+            style={{ ...buttonVariants.primaryButton, opacity: isSubmitting ? 0.6 : 1 }}
+          >
+            {isSubmitting ? 'Submitting...' : 'Send Events to Devices'}
+          </button>
+        )}
         <button 
-          onClick={sendingEventsToDevices} 
-          style={{ ...buttonVariants.primaryButton }}
+          onClick={() => setShowRunResults(!showRunResults)} 
+          style={{ ...buttonVariants.secondaryButton }}
         >
-          Send Events to Devices
+          Project Results
         </button>
         <div ref={displayMenuRef} style={{ position: 'relative', display: 'inline-block' }}>
           <button 
@@ -1839,11 +1995,61 @@ const Simulation = ({ nodes = [], edges = [], droplets = [], selectedCarrierPump
                 <span>Show Timeline Droplet Info</span>
                 <span style={styles.checkmark}>{displayTimelineDropletInfo ? '✓' : ''}</span>
               </div>
+              <div 
+                style={styles.menuItem}
+                onClick={toggleHydraulics}
+              >
+                <span>Show Hydraulics</span>
+                <span style={styles.checkmark}>{displayHydraulics ? '✓' : ''}</span>
+              </div>
             </div>
           )}
         </div>
       </div>
 
+      {experimentJob && (
+        <div style={styles.experimentPanel}>
+          <div style={styles.experimentRow}>
+            <strong>{experimentJob.name}</strong>
+            <span style={{ color: getExperimentStateColor(experimentJob.state) }}>
+              {experimentJob.state}
+              {experimentJob.queuePosition ? ` (#${experimentJob.queuePosition} in queue)` : ''}
+              {` - ${(experimentJob.duration / 1000).toFixed(1)}s`}
+            </span>
+          </div>
+          {experimentJob.devices.map(device => (
+            <div key={device.device} style={styles.experimentRow}>
+              <span>{device.device} ({device.role})</span>
+              <span style={{ color: device.upload ? getExperimentStateColor(device.upload.state) : '#aaa' }}>
+                {device.upload
+                  ? `${device.upload.state} (${device.upload.chunk}/${device.upload.chunks} chunks${device.upload.attempts > 0 ? `, ${device.upload.attempts} retries` : ''})`
+                  : 'waiting'}
+              </span>
+            </div>
+          ))}
+          {experimentJob.error && (
+            <div style={styles.experimentError}>{experimentJob.error}</div>
+          )}
+          {canOperate && !FINISHED_JOB_STATES.includes(experimentJob.state) && (
+            <div style={{ display: 'flex', gap: '10px' }}>
+              {experimentJob.state === 'running' && (
+                <button onClick={() => sendExperimentAction('pause')} style={buttonVariants.secondaryButton}>
+                  Pause
+                </button>
+              )}
+              {experimentJob.state === 'paused' && (
+                <button onClick={() => sendExperimentAction('resume')} style={buttonVariants.secondaryButton}>
+                  Resume
+                </button>
+              )}
+              <button onClick={() => sendExperimentAction('abort')} style={buttonVariants.secondaryButton}>
+                Abort
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Rest of the SVG rendering code */}
       {graphData.nodes.length > 0 && (
         <div style={styles.svgContainer}>
@@ -2132,7 +2338,20 @@ const Simulation = ({ nodes = [], edges = [], droplets = [], selectedCarrierPump
         </div>
       )}
       
-      {selectedNode && (selectedNode.type === 'pump' || selectedNode.data?.type === 'pump') && (
+      {showRunResults && (
+        <RunResultsPanel
+          getResults={collectRunResults}
+          defaultName={experimentJob ? experimentJob.name : ''}
+          onClose={() => setShowRunResults(false)}
+        />
+      )}
+      {displayHydraulics && (
+        <HydraulicsPanel
+          hydraulics={hydraulics}
+          onClose={() => setDisplayHydraulics(false)}
+        />
+      )}
+      {canOperate && selectedNode && (selectedNode.type === 'pump' || selectedNode.data?.type === 'pump') && (
         <DraggablePanel 
           initialPosition={pumpPanelPosition}
           title={`Pump Controls - ${selectedNode.label || selectedNode.id}`}
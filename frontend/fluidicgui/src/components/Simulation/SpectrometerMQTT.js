@@ -2,8 +2,11 @@ import React, { useState, useRef, useEffect } from 'react';
 import DraggablePanel from './DraggablePanel';
 import { useButtonStyles } from '../../styles/ButtonStyleProvider';
 import { backgroundVariants } from '../../styles/backgroundStyles';
+import ProjectDocuments from '../Projects/ProjectDocuments';
 import styles from './styles/USBSpectrometerStyles';
 import { WS_URL } from '../../config'; // Import WS_URL
+import { withAuthToken } from '../../utils/auth';
+import { requestBinaryFrames, parseWebSocketMessage } from '../../utils/binaryFrames';
 
 // Import subcomponents
 import MQTTCameraComponent from './SpectrometerMQTT/MQTTCameraComponent';
@@ -50,6 +53,14 @@ const waterfallColorSchemeOptions = {
   turbo: 'Turbo'
 };
 
+// Subscription for the data stream - the bridge keeps only the newest spectrum while this
+// browser is still busy with the last one, and thins the stream to maxRate if set
+const getDataSubscription = (topic, streamRate) => ({
+  topic,
+  coalesce: true,
+  ...(streamRate > 0 ? { maxRate: streamRate } : {})
+});
+
 const SpectrometerMQTT = ({ detector, readings = [], onClose, initialPosition = { x: 150, y: 100 }, detectorId, detectorName, isVisible, position, onMove, onResize, detectorStatus }) => {
   const buttonVariants = useButtonStyles();
   const [detectorReadings, setDetectorReadings] = useState([]);
@@ -67,6 +78,7 @@ const SpectrometerMQTT = ({ detector, readings = [], onClose, initialPosition =
   const [showGraph, setShowGraph] = useState(true);
   const [showWaterfall, setShowWaterfall] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
+  const [showProjectSettings, setShowProjectSettings] = useState(false);
   
   // Data state - replace lineData with spectrumData
   const [spectrumData, setSpectrumData] = useState(null); // Data from spectrometer
@@ -87,6 +99,10 @@ const SpectrometerMQTT = ({ detector, readings = [], onClose, initialPosition =
   // Waterfall color scheme state
   const [waterfallColorScheme, setWaterfallColorScheme] = useState('cividis');
   const [showWaterfallColorMenu, setShowWaterfallColorMenu] = useState(false);
+
+  // Max spectra per second from the bridge, 0 for as fast as they come
+  const [streamRate, setStreamRate] = useState(0);
+  const streamRateRef = useRef(streamRate);
   
   // References to component methods
   const wsRef = useRef(null); // Ref to hold the WebSocket instance
@@ -129,7 +145,7 @@ const SpectrometerMQTT = ({ detector, readings = [], onClose, initialPosition =
     let isMounted = true;
 
     console.log('[SpectrometerMQTT] Connecting WebSocket...', WS_URL);
-    const newWs = new WebSocket(WS_URL);
+    const newWs = new WebSocket(withAuthToken(WS_URL));
     wsRef.current = newWs;
 
     newWs.onopen = () => {
@@ -145,13 +161,15 @@ const SpectrometerMQTT = ({ detector, readings = [], onClose, initialPosition =
         // Subscribe to the data topic
         const subscribeData = {
           topic: "common/subscribe",
-          payload: mainDataTopic
+          payload: getDataSubscription(mainDataTopic, streamRateRef.current)
         };
         
         // Make sure WebSocket is still valid before sending
         if (newWs && newWs.readyState === WebSocket.OPEN) {
           newWs.send(JSON.stringify(subscribeData));
           console.log(`[SpectrometerMQTT] Subscribed to: ${mainDataTopic}`);
+          // Spectra arrive as Float32 arrays instead of JSON number lists
+          requestBinaryFrames(newWs);
         } else {
           console.warn('[SpectrometerMQTT] Cannot subscribe: WebSocket not available or not open');
         }
@@ -164,7 +182,7 @@ const SpectrometerMQTT = ({ detector, readings = [], onClose, initialPosition =
       if (!isMounted) return;
       
       try {
-        const data = JSON.parse(event.data);
+        const data = parseWebSocketMessage(event.data);
 
         // Check if the message is on the subscribed data topic
         if (data.topic === mqttTopicRef.current) {
@@ -290,39 +308,84 @@ const SpectrometerMQTT = ({ detector, readings = [], onClose, initialPosition =
 
   }, [detectorId]); // Reconnect if detectorId changes
 
+  // Re-subscribe with the new rate - the bridge replaces the subscription's options
+  useEffect(() => {
+    streamRateRef.current = streamRate;
+    const ws = wsRef.current;
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({
+        topic: "common/subscribe",
+        payload: getDataSubscription(mqttTopicRef.current, streamRate)
+      }));
+    }
+  }, [streamRate]);
+
   // Handle crop data toggle
   const handleCropDataToggle = (isEnabled) => {
     setUsingCropData(isEnabled);
   };
   
+  // Camera, calibration and waterfall settings as saved, exported and stored in a project - null if nothing is mounted
+  const collectSettings = () => {
+    const camSettings = cameraRef.current?.getSettings();
+    const calSettings = graphRef.current?.getCalibrationSettings();
+    if (!camSettings && !calSettings) return null;
+    return {
+      camera: camSettings || null,
+      calibration: calSettings || null,
+      timestamp: new Date().toISOString(),
+      detectorId: detectorId || 'default',
+      waterfall: {
+        colorScheme: waterfallColorScheme
+      }
+    };
+  };
+
+  // Apply saved settings to the mounted components and start the camera with them
+  const applySettings = (savedSettings) => {
+    if (savedSettings.camera && cameraRef.current) {
+      try {
+        cameraRef.current.applySettings(savedSettings.camera);
+      } catch (err) {
+        console.error('Error applying camera settings:', err);
+      }
+    }
+
+    if (savedSettings.calibration && graphRef.current) {
+      try {
+        graphRef.current.applyCalibrationSettings(savedSettings.calibration);
+      } catch (err) {
+        console.error('Error applying calibration settings:', err);
+      }
+    }
+
+    if (savedSettings.waterfall?.colorScheme) {
+      setWaterfallColorScheme(savedSettings.waterfall.colorScheme);
+    }
+
+    setTimeout(async () => {
+      if (cameraRef.current && typeof cameraRef.current.startCamera === 'function') {
+        try {
+          await cameraRef.current.startCamera();
+          console.log('Camera started automatically after loading settings');
+        } catch (err) {
+          console.error('Failed to auto-start camera:', err);
+        }
+      }
+    }, 500); // Short delay to allow settings to be applied
+  };
+
   // Save camera and calibration settings
   const saveSettings = () => {
     try {
-      // Get camera settings
-      const camSettings = cameraRef.current?.getSettings();
-      
-      // Get calibration settings from graph component
-      const calSettings = graphRef.current?.getCalibrationSettings();
-      
-      if (!camSettings && !calSettings) {
+      const settings = collectSettings();
+      if (!settings) {
         console.warn('No settings to save - components may not be mounted');
         setSaveMessage('No settings to save');
         setTimeout(() => setSaveMessage(''), 3000);
         return;
       }
       
-      // Create a settings object to save
-      const settings = {
-        camera: camSettings || null,
-        calibration: calSettings || null,
-        timestamp: new Date().toISOString(),
-        detectorId: detectorId || 'default',
-        // Save waterfall settings
-        waterfall: {
-          colorScheme: waterfallColorScheme
-        }
-      };
-      
       // Save to localStorage
       localStorage.setItem(`detector_settings_${detectorId || 'default'}`, JSON.stringify(settings));
       
@@ -339,31 +402,14 @@ const SpectrometerMQTT = ({ detector, readings = [], onClose, initialPosition =
   // Export settings to JSON file
   const exportSettings = () => {
     try {
-      // Get camera settings
-      const camSettings = cameraRef.current?.getSettings();
-      
-      // Get calibration settings from graph component
-      const calSettings = graphRef.current?.getCalibrationSettings();
-      
-      if (!camSettings && !calSettings) {
+      const settings = collectSettings();
+      if (!settings) {
         console.warn('No settings to export - components may not be mounted');
         setSaveMessage('No settings to export');
         setTimeout(() => setSaveMessage(''), 3000);
         return;
       }
       
-      // Create a settings object to export
-      const settings = {
-        camera: camSettings || null,
-        calibration: calSettings || null,
-        timestamp: new Date().toISOString(),
-        detectorId: detectorId || 'default',
-        // Export waterfall settings
-        waterfall: {
-          colorScheme: waterfallColorScheme
-        }
-      };
-      
       // Create a file name with timestamp
       const timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\./g, '_');
       const fileName = `detector_settings_${detectorId || 'default'}_${timestamp}.json`;
@@ -413,40 +459,7 @@ const SpectrometerMQTT = ({ detector, readings = [], onClose, initialPosition =
       // Parse the settings
       const savedSettings = JSON.parse(savedSettingsStr);
       
-      // Apply camera settings if available
-      if (savedSettings.camera && cameraRef.current) {
-        try {
-          cameraRef.current.applySettings(savedSettings.camera);
-        } catch (err) {
-          console.error('Error applying camera settings:', err);
-        }
-      }
-      
-      // Apply calibration settings if available
-      if (savedSettings.calibration && graphRef.current) {
-        try {
-          graphRef.current.applyCalibrationSettings(savedSettings.calibration);
-        } catch (err) {
-          console.error('Error applying calibration settings:', err);
-        }
-      }
-      
-      // Apply waterfall settings if available
-      if (savedSettings.waterfall?.colorScheme) {
-        setWaterfallColorScheme(savedSettings.waterfall.colorScheme);
-      }
-      
-      // Make sure camera is started automatically
-      setTimeout(async () => {
-        if (cameraRef.current && typeof cameraRef.current.startCamera === 'function') {
-          try {
-            await cameraRef.current.startCamera();
-            console.log('Camera started automatically after loading settings');
-          } catch (err) {
-            console.error('Failed to auto-start camera:', err);
-          }
-        }
-      }, 500); // Short delay to allow settings to be applied
+      applySettings(savedSettings);
       
       // Set save message for user feedback
       setSaveMessage('Settings loaded successfully');
@@ -478,40 +491,7 @@ const SpectrometerMQTT = ({ detector, readings = [], onClose, initialPosition =
             // Parse the file contents
             const importedSettings = JSON.parse(e.target.result);
             
-            // Apply camera settings if available
-            if (importedSettings.camera && cameraRef.current) {
-              try {
-                cameraRef.current.applySettings(importedSettings.camera);
-              } catch (err) {
-                console.error('Error applying imported camera settings:', err);
-              }
-            }
-            
-            // Apply calibration settings if available
-            if (importedSettings.calibration && graphRef.current) {
-              try {
-                graphRef.current.applyCalibrationSettings(importedSettings.calibration);
-              } catch (err) {
-                console.error('Error applying imported calibration settings:', err);
-              }
-            }
-            
-            // Apply waterfall settings if available
-            if (importedSettings.waterfall?.colorScheme) {
-              setWaterfallColorScheme(importedSettings.waterfall.colorScheme);
-            }
-            
-            // Make sure camera is started automatically
-            setTimeout(async () => {
-              if (cameraRef.current && typeof cameraRef.current.startCamera === 'function') {
-                try {
-                  await cameraRef.current.startCamera();
-                  console.log('Camera started automatically after loading settings');
-                } catch (err) {
-                  console.error('Failed to auto-start camera:', err);
-                }
-              }
-            }, 500); // Short delay to allow settings to be applied
+            applySettings(importedSettings);
             
             // Set save message for user feedback
             setSaveMessage('Settings imported successfully');
@@ -623,6 +603,9 @@ const SpectrometerMQTT = ({ detector, readings = [], onClose, initialPosition =
   const handleSettingsChange = (settings) => {
     console.log('Settings changed:', settings);
     // Update relevant state/behavior based on settings
+    if (settings.type === 'streamRate') {
+      setStreamRate(settings.value);
+    }
   };
   
   // Render panel content
@@ -734,6 +717,19 @@ const SpectrometerMQTT = ({ detector, readings = [], onClose, initialPosition =
                 📁 Import File
               </button>
               
+              <button 
+                onClick={() => setShowProjectSettings(!showProjectSettings)} 
+                style={{
+                  ...buttonVariants.smallPrimary,
+                  marginRight: '4px',
+                  marginBottom: '4px',
+                  backgroundColor: showProjectSettings ? 'rgba(30, 130, 130, 0.9)' : 'rgba(30, 130, 130, 0.6)'
+                }}
+                title="Save or load detector settings in the shared project storage"
+              >
+                🗂 Project
+              </button>
+              
               {saveMessage && (
                 <span style={{
                   fontSize: '12px',
@@ -749,6 +745,20 @@ const SpectrometerMQTT = ({ detector, readings = [], onClose, initialPosition =
           </div>
         </div>
         
+        {showProjectSettings && (
+          <ProjectDocuments
+            kind="detector-settings"
+            title="Detector Settings in Project"
+            defaultName={detector.label || detectorId || ''}
+            getData={collectSettings}
+            onLoad={(settings, name) => {
+              applySettings(settings);
+              setSaveMessage(`Settings "${name}" loaded from project`);
+              setTimeout(() => setSaveMessage(''), 3000);
+            }}
+          />
+        )}
+        
         {/* Two-column layout container */}
         <div style={styles.columnsContainer}>
           {/* Left column - Camera component */}
@@ -798,7 +808,8 @@ const SpectrometerMQTT = ({ detector, readings = [], onClose, initialPosition =
             {/* Settings component */}
             {showSettings && (
               <MQTTSettingsComponent 
-                onSettingChange={(setting, value) => console.log('Setting changed:', setting, value)}
+                onSettingsChange={handleSettingsChange}
+                streamRate={streamRate}
               />
             )}
           </div>
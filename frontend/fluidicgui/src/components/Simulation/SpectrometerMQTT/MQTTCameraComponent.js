@@ -1,6 +1,8 @@
 import React, { useState, useRef, useEffect, useImperativeHandle } from 'react';
 import { useButtonStyles } from '../../../styles/ButtonStyleProvider';
 import { WS_URL } from '../../../config';
+import { withAuthToken } from '../../../utils/auth';
+import { requestBinaryFrames, parseWebSocketMessage } from '../../../utils/binaryFrames';
 import { floatingComponentStyles } from '../../../styles/FloatingComponentStyles';
 
 // Constants for settings
@@ -87,6 +89,7 @@ const MQTTCameraComponent = React.forwardRef((props, ref) => {
   const cameraContainerRef = useRef(null);
   const canvasRef = useRef(null);
   const imageRef = useRef(null);
+  const cropPreviewUrlRef = useRef(null); // Object URL of the binary crop preview, revoked on replace
   const animationRequestRef = useRef(null);
   const lastLineUpdateTimeRef = useRef(0);
 
@@ -249,7 +252,7 @@ const MQTTCameraComponent = React.forwardRef((props, ref) => {
       console.log('Connecting to WebSocket server at:', WS_URL);
       
       // Create WebSocket connection using WS_URL
-      const websocket = new WebSocket(WS_URL);
+      const websocket = new WebSocket(withAuthToken(WS_URL));
       
       websocket.onopen = () => {
         console.log('Connected to WebSocket server successfully');
@@ -270,14 +273,18 @@ const MQTTCameraComponent = React.forwardRef((props, ref) => {
         };
         websocket.send(JSON.stringify(subscribeConfig));
 
-        // Subscribe to cropped frame response topic
+        // Subscribe to cropped frame response topic - streamed crops are coalesced
+        // by the bridge so a slow browser only ever gets the newest one
         const subscribeCroppedFrame = {
           topic: "common/subscribe",
-          payload: `${mqttTopic}/response/crop_frame`
+          payload: { topic: `${mqttTopic}/response/crop_frame`, coalesce: true }
         };
-        console.log(`[MQTTCamera] Subscribing to cropped frame topic: ${subscribeCroppedFrame.payload}`);
+        console.log(`[MQTTCamera] Subscribing to cropped frame topic: ${subscribeCroppedFrame.payload.topic}`);
         websocket.send(JSON.stringify(subscribeCroppedFrame));
 
+        // Frames come as image bytes instead of base64 in JSON
+        requestBinaryFrames(websocket);
+
         // Request current config
         const requestConfigMessage = {
           topic: `${mqttTopic}/request/config`,
@@ -292,12 +299,8 @@ const MQTTCameraComponent = React.forwardRef((props, ref) => {
             console.log("[MQTTCamera] Running subscription diagnostic check");
             
             // Re-subscribe to crop_frame topic to ensure it's active
-            const resubCroppedFrame = {
-              topic: "common/subscribe",
-              payload: `${mqttTopic}/response/crop_frame`
-            };
-            websocket.send(JSON.stringify(resubCroppedFrame));
-            console.log(`[MQTTCamera] Re-subscribed to cropped frame topic: ${resubCroppedFrame.payload}`);
+            websocket.send(JSON.stringify(subscribeCroppedFrame));
+            console.log(`[MQTTCamera] Re-subscribed to cropped frame topic: ${subscribeCroppedFrame.payload.topic}`);
             
             // Request subscription status if supported by server
             const statusRequest = {
@@ -319,7 +322,7 @@ const MQTTCameraComponent = React.forwardRef((props, ref) => {
         try {
           const rawData = event.data;
           console.debug('[MQTTCamera] Raw WS Message:', rawData);
-          const data = JSON.parse(rawData);
+          const data = parseWebSocketMessage(rawData);
           
           // Handle cropped frame response
           if (data.topic === `${mqttTopic}/response/crop_frame`) {
@@ -328,6 +331,11 @@ const MQTTCameraComponent = React.forwardRef((props, ref) => {
               let imageData = null;
               
               // Handle payload based on its type
+              if (data.payload && data.payload.imageBlob) {
+                updateCropPreviewWithImageBlob(data.payload.imageBlob);
+                setIsWaitingForCropResponse(false);
+                return;
+              }
               if (data.payload) {
                 if (typeof data.payload === 'string') {
                   try {
@@ -416,8 +424,14 @@ const MQTTCameraComponent = React.forwardRef((props, ref) => {
               
               // Handle payload based on its type
               let resolution = null;
+              let imageBlob = null;
               if (data.payload) {
-                if (typeof data.payload === 'string') {
+                if (data.payload.imageBlob) {
+                  // Binary frame - already decoded
+                  imageBlob = data.payload.imageBlob;
+                  resolution = data.payload.resolution || null;
+                }
+                else if (typeof data.payload === 'string') {
                   try {
                     const parsedPayload = JSON.parse(data.payload);
                     if (parsedPayload.image) {
@@ -438,7 +452,7 @@ const MQTTCameraComponent = React.forwardRef((props, ref) => {
                 }
               }
               
-              if (imageData) {
+              if (imageData || imageBlob) {
                 // If resolution was sent with the image, update aspect ratio based on it
                 if (resolution && Array.isArray(resolution) && resolution.length === 2) {
                   const [imgW, imgH] = resolution;
@@ -447,7 +461,11 @@ const MQTTCameraComponent = React.forwardRef((props, ref) => {
                   }
                 }
                 setLastMqttResponse(data.payload);
-                updateVideoWithBase64Image(imageData);
+                if (imageBlob) {
+                  updateVideoWithImageBlob(imageBlob);
+                } else {
+                  updateVideoWithBase64Image(imageData);
+                }
               } else {
                 console.warn('⚠️ Response has correct topic but no image data found');
               }
@@ -530,12 +548,16 @@ const MQTTCameraComponent = React.forwardRef((props, ref) => {
     // Stop streaming first
     stopStreaming();
     
-    // Unsubscribe from the response topic before closing the connection
+    // Unsubscribe from the response topics before closing the connection
     if (mqttClient && mqttClient.readyState === WebSocket.OPEN) {
       // Send unsubscribe message
       const unsubscribeMessage = {
         topic: "common/unsubscribe", 
-        payload: `${mqttTopic}/response/full_frame`
+        payload: [
+          `${mqttTopic}/response/full_frame`,
+          `${mqttTopic}/response/config`,
+          `${mqttTopic}/response/crop_frame`
+        ]
       };
       
       mqttClient.send(JSON.stringify(unsubscribeMessage));
@@ -667,6 +689,36 @@ const MQTTCameraComponent = React.forwardRef((props, ref) => {
     }
   };
   
+  // Update video with an image decoded from a binary frame
+  const updateVideoWithImageBlob = (imageBlob) => {
+    if (!canvasRef.current) {
+      console.error('Cannot update image: canvas reference is null');
+      return;
+    }
+
+    const url = URL.createObjectURL(imageBlob);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      imageRef.current = img;
+      updateAspectRatioAndResolutions(img.width, img.height);
+      redrawCanvas();
+    };
+    img.onerror = (error) => {
+      URL.revokeObjectURL(url);
+      console.error('Failed to load binary frame image:', error);
+    };
+    img.src = url;
+  };
+
+  // Drop the previous binary crop preview so its memory is released
+  const releaseCropPreviewUrl = () => {
+    if (cropPreviewUrlRef.current) {
+      URL.revokeObjectURL(cropPreviewUrlRef.current);
+      cropPreviewUrlRef.current = null;
+    }
+  };
+
   // Update preview with base64 encoded cropped image data
   const updateCropPreviewWithBase64Image = (base64Data) => {
     if (!base64Data) {
@@ -675,8 +727,16 @@ const MQTTCameraComponent = React.forwardRef((props, ref) => {
     }
 
     // Set the preview image data
+    releaseCropPreviewUrl();
     setCropPreviewImage(`data:image/jpeg;base64,${base64Data}`);
   };
+
+  // Update preview with a cropped image decoded from a binary frame
+  const updateCropPreviewWithImageBlob = (imageBlob) => {
+    releaseCropPreviewUrl();
+    cropPreviewUrlRef.current = URL.createObjectURL(imageBlob);
+    setCropPreviewImage(cropPreviewUrlRef.current);
+  };
   
   // Clean up on component unmount
   useEffect(() => {
@@ -684,6 +744,7 @@ const MQTTCameraComponent = React.forwardRef((props, ref) => {
       stopStreaming();
       stopCropStreaming();
       disconnectFromMqtt();
+      releaseCropPreviewUrl();
     };
   }, []);
   
@@ -1338,6 +1399,7 @@ const MQTTCameraComponent = React.forwardRef((props, ref) => {
     setCropStart(null);
     setCropEnd(null);
     setCropRange([0, 0, 0, 0]);
+    releaseCropPreviewUrl();
     setCropPreviewImage(null);
     stopCropStreaming();
     redrawCanvas();
@@ -1,6 +1,9 @@
 import React, { useState } from 'react';
 
-const SettingsComponent = ({ onSettingsChange }) => {
+// Max spectra per second the bridge sends to this panel, 0 = unlimited
+const STREAM_RATE_OPTIONS = [0, 30, 10, 5, 2, 1];
+
+const SettingsComponent = ({ onSettingsChange, streamRate = 0 }) => {
   const [integrationValue, setIntegrationValue] = useState(1);
   const [displaySettings, setDisplaySettings] = useState({
     red: true,
@@ -39,6 +42,16 @@ const SettingsComponent = ({ onSettingsChange }) => {
     }
   };
   
+  // Handle stream rate change
+  const handleStreamRateChange = (e) => {
+    if (onSettingsChange) {
+      onSettingsChange({
+        type: 'streamRate',
+        value: Number(e.target.value)
+      });
+    }
+  };
+
   const styles = {
     container: {
       backgroundColor: 'rgba(0, 0, 0, 0.2)',
@@ -81,6 +94,14 @@ const SettingsComponent = ({ onSettingsChange }) => {
       minWidth: '25px',
       textAlign: 'right'
     },
+    select: {
+      backgroundColor: 'rgba(60, 60, 60, 0.7)',
+      border: '1px solid rgba(100, 100, 100, 0.5)',
+      borderRadius: '4px',
+      padding: '4px 8px',
+      color: 'white',
+      fontSize: '13px'
+    },
     advancedSettingRow: {
       marginTop: '15px',
       paddingTop: '10px',
@@ -152,6 +173,17 @@ const SettingsComponent = ({ onSettingsChange }) => {
         </div>
       </div>
       
+      <div style={styles.settingRow}>
+        <label style={styles.settingLabel}>Max Update Rate:</label>
+        <select value={streamRate} onChange={handleStreamRateChange} style={styles.select}>
+          {STREAM_RATE_OPTIONS.map(rate => (
+            <option key={rate} value={rate}>
+              {rate === 0 ? 'Unlimited' : `${rate} per second`}
+            </option>
+          ))}
+        </select>
+      </div>
+      
       <div style={styles.advancedSettingRow}>
         {/* Removed unused stabilize Y-axis checkbox */}
       </div>
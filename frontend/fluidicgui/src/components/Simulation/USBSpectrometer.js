@@ -2,6 +2,7 @@ import React, { useState, useRef, useEffect } from 'react';
 import DraggablePanel from './DraggablePanel';
 import { useButtonStyles } from '../../styles/ButtonStyleProvider';
 import { backgroundVariants } from '../../styles/backgroundStyles';
+import ProjectDocuments from '../Projects/ProjectDocuments';
 import styles from './styles/USBSpectrometerStyles';
 
 // Import subcomponents
@@ -37,6 +38,7 @@ const USBSpectrometer = ({ detector, readings = [], onClose, initialPosition = {
   const [showGraph, setShowGraph] = useState(true);
   const [showWaterfall, setShowWaterfall] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
+  const [showProjectSettings, setShowProjectSettings] = useState(false);
   
   // Data state
   const [lineData, setLineData] = useState(null);
@@ -82,34 +84,67 @@ const USBSpectrometer = ({ detector, readings = [], onClose, initialPosition = {
     }
   }, [readings, detector]);
   
+  // Camera, calibration and waterfall settings as saved, exported and stored in a project - null if nothing is mounted
+  const collectSettings = () => {
+    const camSettings = cameraRef.current?.getSettings();
+    const calSettings = graphRef.current?.getCalibrationSettings();
+    if (!camSettings && !calSettings) return null;
+    return {
+      camera: camSettings || null,
+      calibration: calSettings || null,
+      timestamp: new Date().toISOString(),
+      detectorId: detectorId || 'default',
+      waterfall: {
+        colorScheme: waterfallColorScheme
+      }
+    };
+  };
+
+  // Apply saved settings to the mounted components and start the camera with them
+  const applySettings = (savedSettings) => {
+    if (savedSettings.camera && cameraRef.current) {
+      try {
+        cameraRef.current.applySettings(savedSettings.camera);
+      } catch (err) {
+        console.error('Error applying camera settings:', err);
+      }
+    }
+
+    if (savedSettings.calibration && graphRef.current) {
+      try {
+        graphRef.current.applyCalibrationSettings(savedSettings.calibration);
+      } catch (err) {
+        console.error('Error applying calibration settings:', err);
+      }
+    }
+
+    if (savedSettings.waterfall?.colorScheme) {
+      setWaterfallColorScheme(savedSettings.waterfall.colorScheme);
+    }
+
+    setTimeout(async () => {
+      if (cameraRef.current && typeof cameraRef.current.startCamera === 'function') {
+        try {
+          await cameraRef.current.startCamera();
+          console.log('Camera started automatically after loading settings');
+        } catch (err) {
+          console.error('Failed to auto-start camera:', err);
+        }
+      }
+    }, 500); // Short delay to allow settings to be applied
+  };
+
   // Save camera and calibration settings
   const saveSettings = () => {
     try {
-      // Get camera settings
-      const camSettings = cameraRef.current?.getSettings();
-      
-      // Get calibration settings from graph component
-      const calSettings = graphRef.current?.getCalibrationSettings();
-      
-      if (!camSettings && !calSettings) {
+      const settings = collectSettings();
+      if (!settings) {
         console.warn('No settings to save - components may not be mounted');
         setSaveMessage('No settings to save');
         setTimeout(() => setSaveMessage(''), 3000);
         return;
       }
       
-      // Create a settings object to save
-      const settings = {
-        camera: camSettings || null,
-        calibration: calSettings || null,
-        timestamp: new Date().toISOString(),
-        detectorId: detectorId || 'default',
-        // Save waterfall settings
-        waterfall: {
-          colorScheme: waterfallColorScheme
-        }
-      };
-      
       // Save to localStorage
       localStorage.setItem(`detector_settings_${detectorId || 'default'}`, JSON.stringify(settings));
       
@@ -126,31 +161,14 @@ const USBSpectrometer = ({ detector, readings = [], onClose, initialPosition = {
   // Export settings to JSON file
   const exportSettings = () => {
     try {
-      // Get camera settings
-      const camSettings = cameraRef.current?.getSettings();
-      
-      // Get calibration settings from graph component
-      const calSettings = graphRef.current?.getCalibrationSettings();
-      
-      if (!camSettings && !calSettings) {
+      const settings = collectSettings();
+      if (!settings) {
         console.warn('No settings to export - components may not be mounted');
         setSaveMessage('No settings to export');
         setTimeout(() => setSaveMessage(''), 3000);
         return;
       }
       
-      // Create a settings object to export
-      const settings = {
-        camera: camSettings || null,
-        calibration: calSettings || null,
-        timestamp: new Date().toISOString(),
-        detectorId: detectorId || 'default',
-        // Export waterfall settings
-        waterfall: {
-          colorScheme: waterfallColorScheme
-        }
-      };
-      
       // Create a file name with timestamp
       const timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\./g, '_');
       const fileName = `detector_settings_${detectorId || 'default'}_${timestamp}.json`;
@@ -200,40 +218,7 @@ const USBSpectrometer = ({ detector, readings = [], onClose, initialPosition = {
       // Parse the settings
       const savedSettings = JSON.parse(savedSettingsStr);
       
-      // Apply camera settings if available
-      if (savedSettings.camera && cameraRef.current) {
-        try {
-          cameraRef.current.applySettings(savedSettings.camera);
-        } catch (err) {
-          console.error('Error applying camera settings:', err);
-        }
-      }
-      
-      // Apply calibration settings if available
-      if (savedSettings.calibration && graphRef.current) {
-        try {
-          graphRef.current.applyCalibrationSettings(savedSettings.calibration);
-        } catch (err) {
-          console.error('Error applying calibration settings:', err);
-        }
-      }
-      
-      // Apply waterfall settings if available
-      if (savedSettings.waterfall?.colorScheme) {
-        setWaterfallColorScheme(savedSettings.waterfall.colorScheme);
-      }
-      
-      // Make sure camera is started automatically
-      setTimeout(async () => {
-        if (cameraRef.current && typeof cameraRef.current.startCamera === 'function') {
-          try {
-            await cameraRef.current.startCamera();
-            console.log('Camera started automatically after loading settings');
-          } catch (err) {
-            console.error('Failed to auto-start camera:', err);
-          }
-        }
-      }, 500); // Short delay to allow settings to be applied
+      applySettings(savedSettings);
       
       // Set save message for user feedback
       setSaveMessage('Settings loaded successfully');
@@ -265,40 +250,7 @@ const USBSpectrometer = ({ detector, readings = [], onClose, initialPosition = {
             // Parse the file contents
             const importedSettings = JSON.parse(e.target.result);
             
-            // Apply camera settings if available
-            if (importedSettings.camera && cameraRef.current) {
-              try {
-                cameraRef.current.applySettings(importedSettings.camera);
-              } catch (err) {
-                console.error('Error applying imported camera settings:', err);
-              }
-            }
-            
-            // Apply calibration settings if available
-            if (importedSettings.calibration && graphRef.current) {
-              try {
-                graphRef.current.applyCalibrationSettings(importedSettings.calibration);
-              } catch (err) {
-                console.error('Error applying imported calibration settings:', err);
-              }
-            }
-            
-            // Apply waterfall settings if available
-            if (importedSettings.waterfall?.colorScheme) {
-              setWaterfallColorScheme(importedSettings.waterfall.colorScheme);
-            }
-            
-            // Make sure camera is started automatically
-            setTimeout(async () => {
-              if (cameraRef.current && typeof cameraRef.current.startCamera === 'function') {
-                try {
-                  await cameraRef.current.startCamera();
-                  console.log('Camera started automatically after loading settings');
-                } catch (err) {
-                  console.error('Failed to auto-start camera:', err);
-                }
-              }
-            }, 500); // Short delay to allow settings to be applied
+            applySettings(importedSettings);
             
             // Set save message for user feedback
             setSaveMessage('Settings imported successfully');
@@ -529,6 +481,19 @@ const USBSpectrometer = ({ detector, readings = [], onClose, initialPosition = {
                 📁 Import File
               </button>
               
+              <button 
+                onClick={() => setShowProjectSettings(!showProjectSettings)} 
+                style={{
+                  ...buttonVariants.smallPrimary,
+                  marginRight: '4px',
+                  marginBottom: '4px',
+                  backgroundColor: showProjectSettings ? 'rgba(30, 130, 130, 0.9)' : 'rgba(30, 130, 130, 0.6)'
+                }}
+                title="Save or load detector settings in the shared project storage"
+              >
+                🗂 Project
+              </button>
+              
               {saveMessage && (
                 <span style={{
                   fontSize: '12px',
@@ -544,6 +509,20 @@ const USBSpectrometer = ({ detector, readings = [], onClose, initialPosition = {
           </div>
         </div>
         
+        {showProjectSettings && (
+          <ProjectDocuments
+            kind="detector-settings"
+            title="Detector Settings in Project"
+            defaultName={detector.label || detectorId || ''}
+            getData={collectSettings}
+            onLoad={(settings, name) => {
+              applySettings(settings);
+              setSaveMessage(`Settings "${name}" loaded from project`);
+              setTimeout(() => setSaveMessage(''), 3000);
+            }}
+          />
+        )}
+        
         {/* Two-column layout container */}
         <div style={styles.columnsContainer}>
           {/* Left column - Camera component */}
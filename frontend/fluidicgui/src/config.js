@@ -1,2 +1,5 @@
 // WebSocket configuration
-export const WS_URL = process.env.REACT_APP_WS_URL || `ws://${window.location.hostname}:4000`; 
\ No newline at end of file
+export const WS_URL = process.env.REACT_APP_WS_URL || `ws://${window.location.hostname}:4000`; 
+
+// REST API of the backend bridge (same server as the WebSocket)
+export const API_URL = process.env.REACT_APP_API_URL || `http://${window.location.hostname}:4000`;
@@ -0,0 +1,83 @@
+import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
+import { API_URL } from '../config';
+import { getAuthToken, setAuthToken, authHeaders } from '../utils/auth';
+
+// Role of this browser on the backend: operators send commands, viewers only watch
+const AuthContext = createContext();
+
+// Until the backend answers, behave like a backend without authentication
+const DEFAULT_STATUS = { enabled: false, authenticated: false, username: null, role: 'operator' };
+
+export const AuthProvider = ({ children }) => {
+  const [token, setToken] = useState(getAuthToken());
+  const [status, setStatus] = useState(DEFAULT_STATUS);
+  const [loginOpen, setLoginOpen] = useState(false);
+
+  // Ask for a login when the backend requires one and this browser has none
+  const applyAuthStatus = useCallback((newStatus) => {
+    if (!newStatus) return;
+    setStatus({ ...DEFAULT_STATUS, ...newStatus });
+    if (newStatus.enabled && !newStatus.authenticated && !newStatus.role) {
+      setLoginOpen(true);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetch(`${API_URL}/auth/status`, { headers: authHeaders({}, token) })
+      .then(response => response.json())
+      .then(data => {
+        console.log('Auth status:', data);
+        applyAuthStatus(data);
+      })
+      .catch(error => console.error('Could not fetch auth status:', error));
+  }, [token, applyAuthStatus]);
+
+  const login = async (username, password) => {
+    const response = await fetch(`${API_URL}/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || `Login failed (${response.status})`);
+    }
+    setAuthToken(data.token);
+    setToken(data.token);
+    setLoginOpen(false);
+    return data;
+  };
+
+  const logout = () => {
+    fetch(`${API_URL}/auth/logout`, { method: 'POST', headers: authHeaders({}, token) })
+      .catch(error => console.error('Logout request failed:', error));
+    setAuthToken(null);
+    setToken(null);
+  };
+
+  const value = {
+    ...status,
+    token,
+    canOperate: !status.enabled || status.role === 'operator',
+    loginOpen,
+    openLogin: () => setLoginOpen(true),
+    closeLogin: () => setLoginOpen(false),
+    login,
+    logout,
+    applyAuthStatus
+  };
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
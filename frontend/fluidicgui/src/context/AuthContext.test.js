@@ -0,0 +1,30 @@
+import { render, screen } from '@testing-library/react';
+import { AuthProvider, useAuth } from './AuthContext';
+
+const Probe = () => {
+  const { role, loginOpen } = useAuth();
+  return <div>{`${role} ${loginOpen ? 'login' : 'no login'}`}</div>;
+};
+
+const renderWithStatus = (status) => {
+  global.fetch = jest.fn(() => Promise.resolve({ json: () => Promise.resolve(status) }));
+  render(<AuthProvider><Probe /></AuthProvider>);
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+afterEach(() => {
+  console.log.mockRestore();
+  delete global.fetch;
+});
+
+test('asks for a login when the backend refuses anonymous connections', async () => {
+  renderWithStatus({ enabled: true, authenticated: false, username: null, role: null });
+  expect(await screen.findByText('null login')).toBeInTheDocument();
+});
+
+test('lets anonymous viewers watch without a login prompt', async () => {
+  renderWithStatus({ enabled: true, authenticated: false, username: null, role: 'viewer' });
+  expect(await screen.findByText('viewer no login')).toBeInTheDocument();
+});
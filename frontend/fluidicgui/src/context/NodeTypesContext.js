@@ -0,0 +1,169 @@
+import React, { createContext, useState, useContext, useEffect, useCallback, useMemo } from 'react';
+import defaultProperties from '../data/defaultProperties.json';
+import { useAuth } from './AuthContext';
+import { loadFromLocalStorage, saveToLocalStorage } from '../utils/localStorageUtils';
+import * as nodeTypeApi from '../utils/nodeTypeApi';
+
+// Node types made in the node type editor, merged over the built-ins of defaultProperties.json.
+// They live on the backend when it answers, otherwise in this browser in the same format:
+//   { <name>: { createdAt, deleted, versions: [{ version, savedAt, savedBy, schema }] } }
+const NodeTypesContext = createContext();
+
+const LOCAL_STORAGE_KEY = 'fluidicgui_node_types';
+// Same rule as the backend - the name is the key nodes refer to
+export const NODE_TYPE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,49}$/;
+
+const localNodeTypes = {
+  // No prototype, so names like "constructor" are ordinary type names
+  read: () => Object.assign(Object.create(null), loadFromLocalStorage(LOCAL_STORAGE_KEY, {})),
+
+  list() {
+    const types = this.read();
+    return Object.keys(types)
+      .filter(name => !types[name].deleted)
+      .sort()
+      .map(name => ({ name, ...types[name].versions[types[name].versions.length - 1] }));
+  },
+
+  versions(name) {
+    const entry = this.read()[name];
+    return entry ? entry.versions.map(({ version, savedAt, savedBy }) => ({ version, savedAt, savedBy })) : [];
+  },
+
+  version(name, version) {
+    const entry = this.read()[name];
+    const found = entry ? entry.versions.find(candidate => candidate.version === Number(version)) : null;
+    return found ? { name, ...found } : null;
+  },
+
+  save(name, schema) {
+    const types = this.read();
+    const now = new Date().toISOString();
+    const entry = types[name] || { createdAt: now, deleted: false, versions: [] };
+    const previous = entry.versions[entry.versions.length - 1];
+    const saved = { version: previous ? previous.version + 1 : 1, savedAt: now, savedBy: null, schema };
+    types[name] = { ...entry, deleted: false, versions: [...entry.versions, saved] };
+    saveToLocalStorage(LOCAL_STORAGE_KEY, types);
+    return { name, ...saved };
+  },
+
+  remove(name) {
+    const types = this.read();
+    if (!types[name] || types[name].deleted) return false;
+    types[name] = { ...types[name], deleted: true };
+    saveToLocalStorage(LOCAL_STORAGE_KEY, types);
+    return true;
+  }
+};
+
+export const NodeTypesProvider = ({ children }) => {
+  const { token } = useAuth();
+  // Latest version of every user-defined type: [{ name, version, savedAt, savedBy, schema }]
+  const [customTypes, setCustomTypes] = useState([]);
+  const [storage, setStorage] = useState('local');
+
+  // Only an unreachable backend falls back to this browser, a refused request keeps the backend
+  const refresh = useCallback(() => nodeTypeApi.listNodeTypes()
+    .then(types => {
+      setStorage('backend');
+      setCustomTypes(types);
+    })
+    .catch(error => {
+      if (error.status) {
+        console.error('Could not load node types from the backend:', error);
+        setStorage('backend');
+        setCustomTypes([]);
+        return;
+      }
+      console.warn('Backend not reachable, using node types stored in this browser');
+      setStorage('local');
+      setCustomTypes(localNodeTypes.list());
+    }), []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, token]);
+
+  // defaultProperties.json with the user-defined types added
+  const nodeTypes = useMemo(() => {
+    const merged = { ...defaultProperties };
+    customTypes.forEach(type => {
+      // A stored type never replaces a built-in one
+      if (Object.prototype.hasOwnProperty.call(defaultProperties, type.name)) return;
+      merged[type.name] = { ...type.schema, custom: true, version: type.version };
+    });
+    return merged;
+  }, [customTypes]);
+
+  const saveNodeType = async (name, schema) => {
+    if (Object.prototype.hasOwnProperty.call(defaultProperties, name)) {
+      throw new Error(`"${name}" is a built-in node type`);
+    }
+    if (!NODE_TYPE_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid node type name "${name}" - start with a letter, then letters, digits and underscores`);
+    }
+    const saved = storage === 'backend'
+      ? await nodeTypeApi.saveNodeType(name, schema)
+      : localNodeTypes.save(name, schema);
+    await refresh();
+    return saved;
+  };
+
+  const deleteNodeType = async (name) => {
+    if (storage === 'backend') {
+      await nodeTypeApi.deleteNodeType(name);
+    } else {
+      localNodeTypes.remove(name);
+    }
+    await refresh();
+  };
+
+  // [{ version, savedAt, savedBy }], oldest first
+  const listVersions = async (name) => (storage === 'backend'
+    ? (await nodeTypeApi.getNodeType(name)).versions
+    : localNodeTypes.versions(name));
+
+  const loadVersion = async (name, version) => (storage === 'backend'
+    ? nodeTypeApi.getNodeTypeVersion(name, version)
+    : localNodeTypes.version(name, version));
+
+  const value = {
+    nodeTypes,
+    customTypes,
+    storage,
+    refresh,
+    saveNodeType,
+    deleteNodeType,
+    listVersions,
+    loadVersion
+  };
+
+  return (
+    <NodeTypesContext.Provider value={value}>
+      {children}
+    </NodeTypesContext.Provider>
+  );
+};
+
+export const useNodeTypes = () => {
+  const context = useContext(NodeTypesContext);
+  if (!context) {
+    throw new Error('useNodeTypes must be used within a NodeTypesProvider');
+  }
+  return context;
+};
+
+// Parameter range and description from the node type, for the droplet generators
+export const getParameterRange = (nodeTypes, nodeType, paramName) => {
+  const nodeConfig = nodeTypes[nodeType];
+  if (!nodeConfig?.parameters) return { min: 0, max: 100, description: '' };
+
+  const parameter = nodeConfig.parameters.find(p => p.name === paramName);
+  if (!parameter) return { min: 0, max: 100, description: '' };
+
+  return {
+    min: parameter.min ?? 0,
+    max: parameter.max ?? 100,
+    description: parameter.description || ''
+  };
+};
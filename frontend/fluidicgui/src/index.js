@@ -3,12 +3,18 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import './global.css';
 import App from './App';
+import { AuthProvider } from './context/AuthContext';
+import { NodeTypesProvider } from './context/NodeTypesContext';
 import reportWebVitals from './reportWebVitals';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    <AuthProvider>
+      <NodeTypesProvider>
+        <App />
+      </NodeTypesProvider>
+    </AuthProvider>
   </React.StrictMode>
 );
 
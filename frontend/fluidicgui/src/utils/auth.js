@@ -0,0 +1,33 @@
+// Session token handed out by the backend's /auth/login, kept across reloads
+const TOKEN_KEY = 'fluidicgui_auth_token';
+
+export const getAuthToken = () => {
+  try {
+    return localStorage.getItem(TOKEN_KEY);
+  } catch (e) {
+    return null;
+  }
+};
+
+export const setAuthToken = (token) => {
+  try {
+    if (token) {
+      localStorage.setItem(TOKEN_KEY, token);
+    } else {
+      localStorage.removeItem(TOKEN_KEY);
+    }
+  } catch (e) {
+    console.warn('Could not store the login token:', e);
+  }
+};
+
+// WebSocket URLs carry the token as ?token= (browsers cannot set headers on a WebSocket)
+export const withAuthToken = (url, token = getAuthToken()) => {
+  if (!token) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+};
+
+// Headers for REST requests to the backend
+export const authHeaders = (headers = {}, token = getAuthToken()) => (
+  token ? { ...headers, Authorization: `Bearer ${token}` } : headers
+);
@@ -0,0 +1,93 @@
+// Rolling history of autosaved working sessions in IndexedDB, so a reload or a
+// browser crash does not lose the flowchart and droplets. Each entry holds a
+// project archive (see projectArchive.js) without recorded sessions.
+const DB_NAME = 'fluidicgui';
+const DB_VERSION = 1;
+const STORE_NAME = 'autosaves';
+
+export const DEFAULT_AUTOSAVE_HISTORY = 20;
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again instead of keeping the failure
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+// Run one request in its own transaction and resolve with its result once committed
+const runRequest = async (mode, makeRequest) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = makeRequest(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const summarize = (archive) => ({
+  step: archive.step,
+  nodes: archive.flowchart.nodes.length,
+  edges: archive.flowchart.edges.length,
+  droplets: archive.droplets.length,
+  manualDroplets: archive.manualDroplets.length
+});
+
+/**
+ * Newest autosaves first, without their archives
+ * @returns {Promise<Array>} [{ id, savedAt, summary }]
+ */
+export const listAutosaves = async () => {
+  const entries = await runRequest('readonly', store => store.getAll());
+  return entries
+    .map(({ id, savedAt, summary }) => ({ id, savedAt, summary }))
+    .sort((a, b) => b.id - a.id);
+};
+
+export const loadAutosave = async (id) => {
+  const entry = await runRequest('readonly', store => store.get(id));
+  return entry ? entry.archive : null;
+};
+
+/**
+ * Store an autosave and drop the oldest ones beyond the history size
+ * @param {Object} archive - Project archive of the current state
+ * @param {number} [historySize] - How many autosaves to keep
+ */
+export const saveAutosave = async (archive, historySize = DEFAULT_AUTOSAVE_HISTORY) => {
+  const id = await runRequest('readwrite', store => store.add({
+    savedAt: archive.savedAt,
+    summary: summarize(archive),
+    archive
+  }));
+
+  const keys = await runRequest('readonly', store => store.getAllKeys());
+  const expired = keys.sort((a, b) => a - b).slice(0, Math.max(0, keys.length - Math.max(1, historySize)));
+  if (expired.length > 0) {
+    await runRequest('readwrite', store => store.delete(IDBKeyRange.upperBound(expired[expired.length - 1])));
+  }
+  return id;
+};
+
+export const clearAutosaves = () => runRequest('readwrite', store => store.clear());
@@ -0,0 +1,57 @@
+// Decoder for the backend's binary WebSocket frames (see backend/binaryFrames.js for the layout).
+// Camera frames and spectra come as one binary message instead of base64 / number arrays in JSON.
+const FRAME_VERSION = 1;
+const HEADER_SIZE = 8;
+const FRAME_KINDS = {
+  1: 'image',
+  2: 'spectrum'
+};
+
+// Created on first use - test environments without TextDecoder can still import this module
+let textDecoder = null;
+
+// Ask the backend for binary frames on this connection - call once it is open
+export const requestBinaryFrames = (ws, enabled = true) => {
+  ws.binaryType = 'arraybuffer';
+  ws.send(JSON.stringify({ topic: 'server/binary_frames', payload: { enabled } }));
+};
+
+// Turn a binary frame into { topic, payload } - images become payload.imageBlob,
+// spectra get their number arrays back under the original field names
+export const decodeBinaryFrame = (buffer) => {
+  const view = new DataView(buffer);
+  const version = view.getUint8(0);
+  if (version !== FRAME_VERSION) {
+    throw new Error(`Unsupported binary frame version ${version}`);
+  }
+  const kind = FRAME_KINDS[view.getUint8(1)];
+  const topicLength = view.getUint16(2);
+  const metadataLength = view.getUint32(4);
+  if (!textDecoder) textDecoder = new TextDecoder();
+  const topic = textDecoder.decode(new Uint8Array(buffer, HEADER_SIZE, topicLength));
+  const metadata = JSON.parse(textDecoder.decode(new Uint8Array(buffer, HEADER_SIZE + topicLength, metadataLength)));
+  const bodyOffset = HEADER_SIZE + topicLength + metadataLength;
+
+  if (kind === 'image') {
+    const { mimeType, ...payload } = metadata;
+    payload.imageBlob = new Blob([new Uint8Array(buffer, bodyOffset)], { type: mimeType || 'image/jpeg' });
+    return { topic, payload };
+  }
+
+  if (kind === 'spectrum') {
+    const { arrays = [], ...payload } = metadata;
+    let offset = bodyOffset;
+    arrays.forEach(([name, length]) => {
+      payload[name] = Array.from(new Float32Array(buffer, offset, length));
+      offset += length * 4;
+    });
+    return { topic, payload };
+  }
+
+  throw new Error(`Unknown binary frame kind ${view.getUint8(1)}`);
+};
+
+// Parse any message from the backend: JSON text or a binary frame
+export const parseWebSocketMessage = (data) => (
+  data instanceof ArrayBuffer ? decodeBinaryFrame(data) : JSON.parse(data)
+);
@@ -0,0 +1,58 @@
+import { decodeBinaryFrame, parseWebSocketMessage } from './binaryFrames';
+
+// The encoder the bridge uses, so both ends of the layout are checked together
+const { encodeFrame } = require('../../../../backend/binaryFrames');
+
+const toArrayBuffer = (buffer) => buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length);
+
+const readBlob = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(new Uint8Array(reader.result));
+  reader.onerror = () => reject(reader.error);
+  reader.readAsArrayBuffer(blob);
+});
+
+test('decodes a camera frame encoded by the backend', async () => {
+  const pngBytes = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 1, 2, 3];
+  const payload = {
+    image: Buffer.from(pngBytes).toString('base64'),
+    width: 640,
+    height: 480,
+    timestamp: 1700000000000
+  };
+  const frame = encodeFrame('spectro1/response/full_frame', JSON.stringify(payload));
+
+  const { topic, payload: decoded } = decodeBinaryFrame(toArrayBuffer(frame));
+  expect(topic).toBe('spectro1/response/full_frame');
+  expect(decoded.width).toBe(640);
+  expect(decoded.height).toBe(480);
+  expect(decoded.timestamp).toBe(1700000000000);
+  expect(decoded.image).toBeUndefined();
+  expect(decoded.imageBlob.type).toBe('image/png');
+  expect(Array.from(await readBlob(decoded.imageBlob))).toEqual(pngBytes);
+});
+
+test('decodes a spectrum encoded by the backend', () => {
+  const payload = {
+    wavelengths: [400.5, 401, 401.5],
+    intensities: [0.25, 1.5, -2],
+    exposure: 100,
+    label: 'spectrometer ü'
+  };
+  // Topic lengths that need padding before the Float32 body
+  ['s/response/data', 'spectro12/response/data'].forEach(name => {
+    const frame = encodeFrame(name, JSON.stringify(payload));
+    expect(decodeBinaryFrame(toArrayBuffer(frame))).toEqual({ topic: name, payload });
+  });
+});
+
+test('passes JSON messages through and refuses unknown versions', () => {
+  expect(parseWebSocketMessage('{"topic":"common/device_response","payload":"pump1:pump"}')).toEqual({
+    topic: 'common/device_response',
+    payload: 'pump1:pump'
+  });
+
+  const frame = toArrayBuffer(encodeFrame('s/response/data', JSON.stringify({ values: [1, 2] })));
+  new DataView(frame).setUint8(0, 99);
+  expect(() => decodeBinaryFrame(frame)).toThrow('Unsupported binary frame version 99');
+});
@@ -0,0 +1,116 @@
+import { useState, useRef, useCallback } from 'react';
+
+/**
+ * Undo/redo history for the flowchart. Every entry keeps the nodes and edges as they
+ * were before one editing command, so undo swaps them back in and redo swaps the later
+ * state back again. Node and edge objects are never mutated, so keeping references is enough.
+ */
+
+// Most commands kept for undo
+export const MAX_HISTORY = 100;
+// Repeated edits of the same field within this time are one command (typing a value)
+const MERGE_WINDOW_MS = 1000;
+
+/**
+ * @param {Object} options
+ * @param {Array} options.nodes - Current nodes
+ * @param {Array} options.edges - Current edges
+ * @param {Function} options.setNodes
+ * @param {Function} options.setEdges
+ * @returns {Object} { record, undo, redo, goTo, clear, past, future, canUndo, canRedo }
+ */
+export const useFlowHistory = ({ nodes, edges, setNodes, setEdges }) => {
+  // Handlers stored in nodes are created once, so everything they call must read refs
+  const nodesRef = useRef(nodes);
+  const edgesRef = useRef(edges);
+  nodesRef.current = nodes;
+  edgesRef.current = edges;
+
+  const historyRef = useRef({ past: [], future: [] });
+  const [view, setView] = useState({ past: [], future: [] });
+
+  const publish = useCallback(() => {
+    const { past, future } = historyRef.current;
+    const toLabel = ({ label, at }) => ({ label, at });
+    setView({ past: past.map(toLabel), future: future.map(toLabel) });
+  }, []);
+
+  /**
+   * Remember the flowchart before a command changes it
+   * @param {string} label - Shown in the history list, e.g. "Delete 2 nodes"
+   * @param {Object} [options]
+   * @param {string} [options.mergeKey] - Commands with the same key in quick succession become one
+   * @param {Object} [options.before] - { nodes, edges } to store instead of the current flowchart
+   */
+  const record = useCallback((label, { mergeKey = null, before = null } = {}) => {
+    const history = historyRef.current;
+    const now = Date.now();
+    const last = history.past[history.past.length - 1];
+    if (mergeKey && last && last.mergeKey === mergeKey && now - last.at < MERGE_WINDOW_MS && history.future.length === 0) {
+      last.at = now;
+      return;
+    }
+
+    history.past = [...history.past, {
+      label,
+      mergeKey,
+      at: now,
+      nodes: before ? before.nodes : nodesRef.current,
+      edges: before ? before.edges : edgesRef.current
+    }].slice(-MAX_HISTORY);
+    history.future = [];
+    publish();
+  }, [publish]);
+
+  const restore = useCallback((entry) => {
+    setNodes(entry.nodes);
+    setEdges(entry.edges);
+  }, [setNodes, setEdges]);
+
+  const undo = useCallback(() => {
+    const history = historyRef.current;
+    const entry = history.past[history.past.length - 1];
+    if (!entry) return;
+    history.past = history.past.slice(0, -1);
+    history.future = [...history.future, { ...entry, nodes: nodesRef.current, edges: edgesRef.current }];
+    nodesRef.current = entry.nodes;
+    edgesRef.current = entry.edges;
+    restore(entry);
+    publish();
+  }, [restore, publish]);
+
+  const redo = useCallback(() => {
+    const history = historyRef.current;
+    const entry = history.future[history.future.length - 1];
+    if (!entry) return;
+    history.future = history.future.slice(0, -1);
+    history.past = [...history.past, { ...entry, nodes: nodesRef.current, edges: edgesRef.current }];
+    nodesRef.current = entry.nodes;
+    edgesRef.current = entry.edges;
+    restore(entry);
+    publish();
+  }, [restore, publish]);
+
+  // Jump to the state after the given number of commands (0 = before the oldest one kept)
+  const goTo = useCallback((doneCount) => {
+    while (historyRef.current.past.length > doneCount) undo();
+    while (historyRef.current.past.length < doneCount && historyRef.current.future.length > 0) redo();
+  }, [undo, redo]);
+
+  const clear = useCallback(() => {
+    historyRef.current = { past: [], future: [] };
+    publish();
+  }, [publish]);
+
+  return {
+    record,
+    undo,
+    redo,
+    goTo,
+    clear,
+    past: view.past,
+    future: view.future,
+    canUndo: view.past.length > 0,
+    canRedo: view.future.length > 0
+  };
+};
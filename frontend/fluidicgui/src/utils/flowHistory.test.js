@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import { renderHook, act } from '@testing-library/react';
+import { useFlowHistory, MAX_HISTORY } from './flowHistory';
+
+// The editor's state together with its history, the way FlowchartEditor wires them up
+const useEditor = () => {
+  const [nodes, setNodes] = useState([]);
+  const [edges, setEdges] = useState([]);
+  const history = useFlowHistory({ nodes, edges, setNodes, setEdges });
+  return { nodes, edges, setNodes, setEdges, history };
+};
+
+const node = (id) => ({ id, data: { label: id } });
+
+let now;
+beforeEach(() => {
+  now = 10000;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+});
+afterEach(() => {
+  Date.now.mockRestore();
+});
+
+// Record a command, then apply it
+const addNode = (result, id, options) => act(() => {
+  result.current.history.record(`Add ${id}`, options);
+  result.current.setNodes(nodes => [...nodes, node(id)]);
+});
+
+const nodeIds = (result) => result.current.nodes.map(entry => entry.id);
+
+test('undo and redo swap the recorded states back in', () => {
+  const { result } = renderHook(() => useEditor());
+  addNode(result, 'a');
+  addNode(result, 'b');
+  expect(result.current.history.past.map(entry => entry.label)).toEqual(['Add a', 'Add b']);
+  expect(result.current.history.canRedo).toBe(false);
+
+  act(() => result.current.history.undo());
+  expect(nodeIds(result)).toEqual(['a']);
+  act(() => result.current.history.undo());
+  expect(nodeIds(result)).toEqual([]);
+  expect(result.current.history.canUndo).toBe(false);
+  expect(result.current.history.future.map(entry => entry.label)).toEqual(['Add b', 'Add a']);
+
+  act(() => result.current.history.redo());
+  act(() => result.current.history.redo());
+  expect(nodeIds(result)).toEqual(['a', 'b']);
+  expect(result.current.history.canRedo).toBe(false);
+});
+
+test('a new command drops the redo stack', () => {
+  const { result } = renderHook(() => useEditor());
+  addNode(result, 'a');
+  addNode(result, 'b');
+  act(() => result.current.history.undo());
+
+  addNode(result, 'c');
+  expect(nodeIds(result)).toEqual(['a', 'c']);
+  expect(result.current.history.future).toEqual([]);
+
+  act(() => result.current.history.undo());
+  expect(nodeIds(result)).toEqual(['a']);
+});
+
+test('commands with the same merge key in quick succession are undone together', () => {
+  const { result } = renderHook(() => useEditor());
+  addNode(result, 'a', { mergeKey: 'typing' });
+  now += 500;
+  addNode(result, 'b', { mergeKey: 'typing' });
+  // The window restarts with every merged command
+  now += 900;
+  addNode(result, 'c', { mergeKey: 'typing' });
+  expect(result.current.history.past).toHaveLength(1);
+
+  // Past the window, or with another key, it is a new command
+  now += 1000;
+  addNode(result, 'd', { mergeKey: 'typing' });
+  addNode(result, 'e', { mergeKey: 'other' });
+  expect(result.current.history.past).toHaveLength(3);
+
+  act(() => result.current.history.undo());
+  act(() => result.current.history.undo());
+  expect(nodeIds(result)).toEqual(['a', 'b', 'c']);
+  act(() => result.current.history.undo());
+  expect(nodeIds(result)).toEqual([]);
+});
+
+test('does not merge into a command after an undo', () => {
+  const { result } = renderHook(() => useEditor());
+  addNode(result, 'a', { mergeKey: 'typing' });
+  addNode(result, 'b');
+  act(() => result.current.history.undo());
+
+  addNode(result, 'c', { mergeKey: 'typing' });
+  expect(result.current.history.past).toHaveLength(2);
+});
+
+test('record can store an explicit earlier state', () => {
+  const { result } = renderHook(() => useEditor());
+  act(() => result.current.setNodes([node('dragged')]));
+  act(() => result.current.history.record('Move dragged', { before: { nodes: [node('start')], edges: [] } }));
+
+  act(() => result.current.history.undo());
+  expect(nodeIds(result)).toEqual(['start']);
+  act(() => result.current.history.redo());
+  expect(nodeIds(result)).toEqual(['dragged']);
+});
+
+test('goTo jumps several commands back and forth', () => {
+  const { result } = renderHook(() => useEditor());
+  ['a', 'b', 'c'].forEach(id => addNode(result, id));
+
+  act(() => result.current.history.goTo(1));
+  expect(nodeIds(result)).toEqual(['a']);
+  expect(result.current.history.future).toHaveLength(2);
+
+  act(() => result.current.history.goTo(3));
+  expect(nodeIds(result)).toEqual(['a', 'b', 'c']);
+});
+
+test(`keeps the last ${MAX_HISTORY} commands and clear empties the history`, () => {
+  const { result } = renderHook(() => useEditor());
+  for (let index = 0; index <= MAX_HISTORY; index++) {
+    act(() => result.current.history.record(`Command ${index}`));
+  }
+  expect(result.current.history.past).toHaveLength(MAX_HISTORY);
+  expect(result.current.history.past[0].label).toBe('Command 1');
+
+  act(() => result.current.history.clear());
+  expect(result.current.history.canUndo).toBe(false);
+  expect(result.current.history.canRedo).toBe(false);
+});
@@ -0,0 +1,163 @@
+/**
+ * Sub-circuit templates: a group of nodes with the edges between them, saved once and
+ * inserted into any flowchart with fresh ids. Saved templates live in localStorage and
+ * can be shared as files; a few common motifs are built in.
+ */
+import defaultProperties from '../data/defaultProperties.json';
+
+export const TEMPLATES_STORAGE_KEY = 'fluidicgui_flow_templates';
+export const TEMPLATE_FORMAT = 'fluidicgui-template';
+export const TEMPLATE_VERSION = 1;
+export const TEMPLATE_EXTENSION = '.template.json';
+
+const EDGE_STYLE = { strokeWidth: 5, stroke: '#bfb' };
+
+// Only the saved state of nodes and edges - handlers and selection flags are dropped
+const cleanElement = (element) => {
+  const { selected, dragging, positionAbsolute, width, height, ...rest } = JSON.parse(JSON.stringify(element));
+  return rest;
+};
+
+const templateNode = (id, type, label, x, y, extra = {}) => ({
+  id,
+  type: 'customNode',
+  position: { x, y },
+  data: {
+    label,
+    type,
+    properties: defaultProperties[type]?.properties || [],
+    parameters: defaultProperties[type]?.parameters || {},
+    ...extra
+  }
+});
+
+const templateEdge = (id, source, target, properties = defaultProperties.edges.default) => ({
+  id,
+  source,
+  target,
+  type: 'customEdge',
+  data: { properties: { ...properties } },
+  style: EDGE_STYLE
+});
+
+export const BUILTIN_TEMPLATES = [
+  {
+    name: 'T-junction (pump into connector)',
+    builtin: true,
+    nodes: [
+      templateNode('pump', 'pump', 'Pump', 0, 0),
+      templateNode('connector', 'connector', 'Connector', 0, 300)
+    ],
+    edges: [templateEdge('feed', 'pump', 'connector')]
+  },
+  {
+    name: 'Thermostat block',
+    builtin: true,
+    nodes: [
+      templateNode('start', 'thermostat', 'Thermostat', 0, 0),
+      templateNode('end', 'thermostat', 'Thermostat end', 450, 0, { end: true })
+    ],
+    edges: [templateEdge('chamber', 'start', 'end')]
+  },
+  {
+    name: 'Detector with inlet tubing',
+    builtin: true,
+    nodes: [
+      templateNode('inlet', 'connector', 'Detector inlet', 0, 0),
+      templateNode('detector', 'MQTTSpectrometer', 'Detector', 450, 0)
+    ],
+    edges: [templateEdge('tubing', 'inlet', 'detector')]
+  }
+].map(template => ({ format: TEMPLATE_FORMAT, version: TEMPLATE_VERSION, ...template }));
+
+/**
+ * Make a template from selected nodes and the edges between them
+ * @param {string} name - Template name
+ * @param {Array} selectedNodes - Nodes to include
+ * @param {Array} edges - All edges of the flowchart, only internal ones are kept
+ * @returns {Object} The template, positions relative to its top left node
+ */
+export const createTemplate = (name, selectedNodes, edges) => {
+  const ids = new Set(selectedNodes.map(node => node.id));
+  const minX = Math.min(...selectedNodes.map(node => node.position.x));
+  const minY = Math.min(...selectedNodes.map(node => node.position.y));
+
+  return {
+    format: TEMPLATE_FORMAT,
+    version: TEMPLATE_VERSION,
+    name,
+    createdAt: new Date().toISOString(),
+    nodes: selectedNodes.map(node => ({
+      ...cleanElement(node),
+      position: { x: node.position.x - minX, y: node.position.y - minY }
+    })),
+    edges: edges
+      .filter(edge => ids.has(edge.source) && ids.has(edge.target))
+      .map(cleanElement)
+  };
+};
+
+/**
+ * Copy a template's nodes and edges with new ids
+ * @param {Object} template
+ * @param {Object} origin - { x, y } where the template's top left goes
+ * @returns {Object} { nodes, edges } ready to add, still without handlers
+ */
+export const instantiateTemplate = (template, origin) => {
+  const stamp = Date.now();
+  const idMap = new Map();
+  template.nodes.forEach((node, index) => idMap.set(node.id, `node-${stamp}-${index}`));
+
+  return {
+    nodes: template.nodes.map(node => ({
+      ...JSON.parse(JSON.stringify(node)),
+      id: idMap.get(node.id),
+      position: { x: origin.x + node.position.x, y: origin.y + node.position.y }
+    })),
+    edges: template.edges.map((edge, index) => ({
+      ...JSON.parse(JSON.stringify(edge)),
+      id: `edge-${stamp}-${index}`,
+      source: idMap.get(edge.source),
+      target: idMap.get(edge.target)
+    }))
+  };
+};
+
+/**
+ * Parse and check a template file
+ * @throws {Error} If the file is not a template
+ */
+export const readTemplateFile = (text) => {
+  let template;
+  try {
+    template = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a JSON file: ${error.message}`);
+  }
+  if (!template || template.format !== TEMPLATE_FORMAT || !Array.isArray(template.nodes) || !Array.isArray(template.edges)) {
+    throw new Error('Not a FluidicGUI template file');
+  }
+  if (template.version > TEMPLATE_VERSION) {
+    throw new Error(`Template version ${template.version} is newer than this GUI supports (${TEMPLATE_VERSION})`);
+  }
+  const ids = new Set(template.nodes.map(node => node.id));
+  if (template.edges.some(edge => !ids.has(edge.source) || !ids.has(edge.target))) {
+    throw new Error('Template has edges to nodes it does not contain');
+  }
+  const { builtin, ...rest } = template;
+  return { ...rest, name: String(template.name || 'Imported template') };
+};
+
+export const downloadTemplate = (template) => {
+  const { builtin, ...content } = template;
+  const fileName = `${template.name.replace(/[^A-Za-z0-9_-]+/g, '_')}${TEMPLATE_EXTENSION}`;
+  const blob = new Blob([JSON.stringify(content, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
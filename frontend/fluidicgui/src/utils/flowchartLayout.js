@@ -0,0 +1,122 @@
+/**
+ * Automatic layout of fluidic flowcharts.
+ * The main line runs left to right from the node furthest from the outlet to the outlet,
+ * pumps (secondary line) are stacked above the connector they feed, main line branches
+ * hang below the node they leave from, and anything not connected to the outlet
+ * (the droplet configuration node, loose parts) is parked in a row underneath.
+ */
+import {
+  setOfMainLineNodes,
+  setOfSecondaryLineNodes,
+  findOutletNode,
+  findFurthestNode
+} from './simulationUtils';
+
+// Nodes are large (250px wide at 33px font), leave room for the edge controls
+export const LAYOUT_SPACING = { x: 450, y: 300 };
+
+// Walk from the outlet over the nodes accepted by `allow`, returns node id -> neighbour towards the outlet
+const walkFromOutlet = (outletId, links, allow) => {
+  const towardsOutlet = new Map([[outletId, null]]);
+  const queue = [outletId];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    links.forEach(link => {
+      const next = link.source === current ? link.target : link.target === current ? link.source : null;
+      if (next && !towardsOutlet.has(next) && allow(next)) {
+        towardsOutlet.set(next, current);
+        queue.push(next);
+      }
+    });
+  }
+  return towardsOutlet;
+};
+
+/**
+ * Compute new positions for every node
+ * @param {Array} nodes - React Flow nodes
+ * @param {Array} edges - React Flow edges
+ * @returns {Array|null} Nodes with new positions, null without an outlet to start from
+ */
+export const layoutFlowchart = (nodes, edges) => {
+  // The simulation helpers work on { id, type } nodes and { source, target } links
+  const graphNodes = nodes.map(node => ({ id: node.id, type: node.data?.type }));
+  const links = edges.map(edge => ({ source: edge.source, target: edge.target }));
+  const typeOf = new Map(graphNodes.map(node => [node.id, node.type]));
+  const isMainLine = (id) => setOfMainLineNodes.includes(typeOf.get(id));
+  const isSecondaryLine = (id) => setOfSecondaryLineNodes.includes(typeOf.get(id));
+
+  const outlet = findOutletNode(graphNodes);
+  if (!outlet) return null;
+
+  // Which node each pump feeds - pumps are placed last, above that node
+  const fedBy = new Map();
+  graphNodes.filter(node => isSecondaryLine(node.id)).forEach(pump => {
+    const link = links.find(link => {
+      const other = link.source === pump.id ? link.target : link.target === pump.id ? link.source : null;
+      return other && !isSecondaryLine(other);
+    });
+    if (!link) return;
+    const fed = link.source === pump.id ? link.target : link.source;
+    fedBy.set(fed, [...(fedBy.get(fed) || []), pump.id]);
+  });
+  const pumpCount = (id) => (fedBy.get(id) || []).length;
+
+  const positions = new Map();
+  const place = (id, column, row) => positions.set(id, { x: column * LAYOUT_SPACING.x, y: row * LAYOUT_SPACING.y });
+
+  // Main line: the path from the furthest node to the outlet
+  const mainWalk = walkFromOutlet(outlet.id, links, isMainLine);
+  const furthest = findFurthestNode(outlet, graphNodes, links);
+  const mainLine = [];
+  for (let id = mainWalk.has(furthest.id) ? furthest.id : outlet.id; id; id = mainWalk.get(id)) {
+    mainLine.push(id);
+  }
+  mainLine.forEach((id, column) => place(id, column, 0));
+
+  // Branches of the main line hang below in a row of their own, ending under their junction
+  const columnOf = new Map(mainLine.map((id, column) => [id, column]));
+  let nextBranchRow = 1;
+  const branchIds = [...mainWalk.keys()].filter(id => !columnOf.has(id));
+  const attachmentOf = (id) => {
+    let current = id;
+    while (current && !columnOf.has(current)) current = mainWalk.get(current);
+    return current;
+  };
+  // Group each branch by where it joins the main line, nodes further out go further left
+  const branches = new Map();
+  branchIds.forEach(id => {
+    const junction = attachmentOf(id);
+    if (!branches.has(junction)) branches.set(junction, []);
+    branches.get(junction).push(id);
+  });
+  branches.forEach((ids, junction) => {
+    const depth = (id) => {
+      let steps = 0;
+      for (let current = id; current !== junction; current = mainWalk.get(current)) steps++;
+      return steps;
+    };
+    ids.sort((a, b) => depth(a) - depth(b));
+    // Leave room for the pumps stacked above this branch
+    const row = nextBranchRow + Math.max(0, ...ids.map(pumpCount));
+    ids.forEach(id => place(id, columnOf.get(junction) - depth(id), row));
+    nextBranchRow = row + 1;
+  });
+
+  // Pumps stacked above the connector (or other main line node) they feed
+  fedBy.forEach((pumpIds, fed) => {
+    if (!positions.has(fed)) return;
+    const { x, y } = positions.get(fed);
+    pumpIds.forEach((pumpId, index) => positions.set(pumpId, { x, y: y - (index + 1) * LAYOUT_SPACING.y }));
+  });
+
+  // Everything else (droplet configuration, loose parts) in a row under the network
+  const parkingRow = nextBranchRow + 1;
+  let parkingColumn = 0;
+  graphNodes.forEach(node => {
+    if (positions.has(node.id)) return;
+    place(node.id, parkingColumn++, parkingRow);
+  });
+
+  return nodes.map(node => ({ ...node, position: positions.get(node.id) }));
+};
@@ -0,0 +1,73 @@
+import { layoutFlowchart, LAYOUT_SPACING } from './flowchartLayout';
+
+const { x: X, y: Y } = LAYOUT_SPACING;
+
+const node = (id, type) => ({ id, type: 'custom', position: { x: 0, y: 0 }, data: { type, label: id } });
+const edge = (source, target) => ({ id: `${source}-${target}`, source, target });
+
+const positionsOf = (nodes) => Object.fromEntries(nodes.map(entry => [entry.id, entry.position]));
+
+test('returns null without an outlet', () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  expect(layoutFlowchart([node('c1', 'connector')], [])).toBeNull();
+  console.error.mockRestore();
+});
+
+test('lays the main line out left to right with the pumps stacked above', () => {
+  const nodes = [
+    node('outlet', 'outlet'),
+    node('droplet', 'droplet'),
+    node('p1', 'pump'),
+    node('c2', 'connector'),
+    node('p2', 'pump'),
+    node('c1', 'connector'),
+    node('p3', 'pump')
+  ];
+  const edges = [edge('p1', 'c1'), edge('c1', 'c2'), edge('p2', 'c2'), edge('p3', 'c2'), edge('c2', 'outlet')];
+
+  expect(positionsOf(layoutFlowchart(nodes, edges))).toEqual({
+    c1: { x: 0, y: 0 },
+    c2: { x: X, y: 0 },
+    outlet: { x: 2 * X, y: 0 },
+    p1: { x: 0, y: -Y },
+    p2: { x: X, y: -Y },
+    p3: { x: X, y: -2 * Y },
+    // Not part of the tubing, parked below
+    droplet: { x: 0, y: 2 * Y }
+  });
+});
+
+test('hangs branches below their junction with room for their pumps', () => {
+  const nodes = ['c0', 'c1', 'c2', 'c3', 'c4'].map(id => node(id, 'connector'));
+  nodes.push(node('thermo', 'thermostat'), node('outlet', 'outlet'), node('p1', 'pump'), node('loose', 'connector'));
+  const edges = [
+    edge('c0', 'c1'),
+    edge('c1', 'c2'),
+    edge('c2', 'thermo'),
+    edge('thermo', 'outlet'),
+    // Branch of two nodes joining at c2, fed by a pump at its far end
+    edge('c4', 'c3'),
+    edge('c3', 'c2'),
+    edge('p1', 'c4')
+  ];
+
+  const positions = positionsOf(layoutFlowchart(nodes, edges));
+  expect(positions.c0).toEqual({ x: 0, y: 0 });
+  expect(positions.thermo).toEqual({ x: 3 * X, y: 0 });
+  expect(positions.outlet).toEqual({ x: 4 * X, y: 0 });
+  // One row for the branch plus one for the pump above it
+  expect(positions.c3).toEqual({ x: X, y: 2 * Y });
+  expect(positions.c4).toEqual({ x: 0, y: 2 * Y });
+  expect(positions.p1).toEqual({ x: 0, y: Y });
+  expect(positions.loose).toEqual({ x: 0, y: 4 * Y });
+});
+
+test('keeps everything but the position', () => {
+  const nodes = [node('c1', 'connector'), node('outlet', 'outlet')];
+  nodes[0].selected = true;
+  const result = layoutFlowchart(nodes, [edge('c1', 'outlet')]);
+
+  expect(result[0]).toEqual({ ...nodes[0], position: { x: 0, y: 0 } });
+  expect(result[0]).not.toBe(nodes[0]);
+  expect(nodes[1].position).toEqual({ x: 0, y: 0 });
+});
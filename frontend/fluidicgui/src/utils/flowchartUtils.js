@@ -129,4 +129,25 @@ export const findShortestPath = (nodes, edges, startNodeId, endNodeId) => {
   }
   
   return []; // No path found
-}; 
\ No newline at end of file
+}; 
+/**
+ * Short id of a flowchart's structure, sent with device commands so the backend
+ * audit log can tell which flowchart they came from. Moving nodes around keeps the id.
+ * @param {Array} nodes - Array of node objects
+ * @param {Array} edges - Array of edge objects
+ * @returns {string} Id like "fc-1a2b3c4d"
+ */
+export const getFlowchartId = (nodes = [], edges = []) => {
+  const structure = JSON.stringify({
+    nodes: nodes.map(node => [node.id, node.type, node.data?.MQTTname || null]).sort(),
+    edges: edges.map(edge => [edge.source, edge.target]).sort()
+  });
+
+  // FNV-1a
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < structure.length; i++) {
+    hash ^= structure.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return `fc-${hash.toString(16).padStart(8, '0')}`;
+};
@@ -0,0 +1,223 @@
+/**
+ * Rule-based checks of the flowchart, run by the editor on every change.
+ * The simulation walks the graph from the single outlet and expects a tree of
+ * main line nodes with pumps feeding connectors, so these rules catch what
+ * would otherwise only show up as console errors in Simulation.js.
+ */
+import defaultProperties from '../data/defaultProperties.json';
+
+// Configuration nodes that are not part of the tubing
+const STANDALONE_TYPES = ['droplet'];
+
+const issue = (rule, severity, message, { nodeIds = [], edgeIds = [] } = {}) => ({
+  rule,
+  severity,
+  message,
+  nodeIds,
+  edgeIds
+});
+
+const nodeName = (node) => `"${node.data?.label || node.id}"`;
+
+// Value of a node property, falling back to the default of its type
+export const getNodeProperty = (node, name) => {
+  if (node.data && node.data[name] !== undefined) return node.data[name];
+  const properties = Array.isArray(node.data?.properties) ? node.data.properties : [];
+  const property = properties.find(candidate => candidate.name === name);
+  return property ? property.default : undefined;
+};
+
+const isPositiveNumber = (value) => value !== '' && value !== null && value !== undefined && Number(value) > 0;
+
+// Nodes that may end the section started by a node of this type, if any can be built in the editor
+const getEnderMatcher = (nodeTypes, type) => {
+  const ender = nodeTypes[type]?.ender;
+  if (!ender) return null;
+  const hasEndProperty = (nodeTypes[type].properties || []).some(property => property.name === 'end');
+  return {
+    ender,
+    // Types with an "end" property (thermostat) mark the end node with it
+    placeable: Boolean(nodeTypes[ender]) || hasEndProperty,
+    isStart: (node) => !(hasEndProperty && getNodeProperty(node, 'end')),
+    isEnd: (node) => node.data?.type === ender || (hasEndProperty && node.data?.type === type && Boolean(getNodeProperty(node, 'end')))
+  };
+};
+
+const checkOutletAndDroplet = (nodes) => {
+  const issues = [];
+  const outlets = nodes.filter(node => node.data?.type === 'outlet');
+  if (outlets.length === 0) {
+    issues.push(issue('missing-outlet', 'error', 'The flowchart needs an outlet node'));
+  } else if (outlets.length > 1) {
+    issues.push(issue('duplicate-outlet', 'error', `Only one outlet is allowed, found ${outlets.length}`, {
+      nodeIds: outlets.map(node => node.id)
+    }));
+  }
+  if (!nodes.some(node => node.data?.type === 'droplet')) {
+    issues.push(issue('missing-droplet', 'error', 'The flowchart needs a droplet node'));
+  }
+  return issues;
+};
+
+const checkEdgeProperties = (edges) => edges
+  .filter(edge => !isPositiveNumber(edge.data?.properties?.length) || !isPositiveNumber(edge.data?.properties?.diameter))
+  .map(edge => {
+    const missing = ['length', 'diameter'].filter(name => !isPositiveNumber(edge.data?.properties?.[name]));
+    return issue('edge-properties', 'error', `Connection ${edge.id} has no ${missing.join(' or ')}`, { edgeIds: [edge.id] });
+  });
+
+const checkPumps = (nodes, edges, nodesById) => {
+  const issues = [];
+  nodes.filter(node => node.data?.type === 'pump').forEach(pump => {
+    const pumpEdges = edges.filter(edge => edge.source === pump.id || edge.target === pump.id);
+    if (pumpEdges.length === 0) {
+      issues.push(issue('orphan-pump', 'error', `Pump ${nodeName(pump)} is not connected`, { nodeIds: [pump.id] }));
+      return;
+    }
+    const feedsConnector = pumpEdges.some(edge => {
+      const other = nodesById.get(edge.source === pump.id ? edge.target : edge.source);
+      return other && other.data?.type === 'connector';
+    });
+    if (!feedsConnector) {
+      issues.push(issue('pump-without-connector', 'error', `Pump ${nodeName(pump)} must feed a connector`, {
+        nodeIds: [pump.id],
+        edgeIds: pumpEdges.map(edge => edge.id)
+      }));
+    }
+  });
+  return issues;
+};
+
+// Tubing has no loops - an edge between two nodes that are already connected closes one
+const checkCycles = (edges, nodesById) => {
+  const parent = new Map();
+  const find = (id) => {
+    let root = id;
+    while (parent.get(root) !== root) root = parent.get(root);
+    return root;
+  };
+
+  const cycleEdges = [];
+  edges.forEach(edge => {
+    if (!nodesById.has(edge.source) || !nodesById.has(edge.target)) return;
+    [edge.source, edge.target].forEach(id => {
+      if (!parent.has(id)) parent.set(id, id);
+    });
+    const sourceRoot = find(edge.source);
+    const targetRoot = find(edge.target);
+    if (sourceRoot === targetRoot) {
+      cycleEdges.push(edge);
+    } else {
+      parent.set(sourceRoot, targetRoot);
+    }
+  });
+
+  return cycleEdges.map(edge => issue('cycle', 'error', `Connection ${edge.id} closes a loop`, {
+    nodeIds: [edge.source, edge.target],
+    edgeIds: [edge.id]
+  }));
+};
+
+// Everything except the droplet configuration has to be reachable from the outlet
+const checkConnectivity = (nodes, edges, outlet) => {
+  const reachable = new Set([outlet.id]);
+  const queue = [outlet.id];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    edges.forEach(edge => {
+      const next = edge.source === current ? edge.target : edge.target === current ? edge.source : null;
+      if (next && !reachable.has(next)) {
+        reachable.add(next);
+        queue.push(next);
+      }
+    });
+  }
+
+  const disconnected = nodes.filter(node => !STANDALONE_TYPES.includes(node.data?.type) && !reachable.has(node.id));
+  // Orphan pumps already have their own message
+  const segmentNodes = disconnected.filter(node => node.data?.type !== 'pump' || edges.some(edge => edge.source === node.id || edge.target === node.id));
+  if (segmentNodes.length === 0) return [];
+  const segmentIds = new Set(segmentNodes.map(node => node.id));
+  return [issue('disconnected', 'error',
+    `${segmentNodes.length === 1 ? `Node ${nodeName(segmentNodes[0])} is` : `${segmentNodes.length} nodes are`} not connected to the outlet`,
+    {
+      nodeIds: segmentNodes.map(node => node.id),
+      edgeIds: edges.filter(edge => segmentIds.has(edge.source) || segmentIds.has(edge.target)).map(edge => edge.id)
+    }
+  )];
+};
+
+// Thermostat and LED sections need their end node between the start and the outlet
+const checkEnders = (nodes, edges, outlet, nodesById, nodeTypes) => {
+  // Path towards the outlet: parent of every node in a walk starting at the outlet
+  const towardsOutlet = new Map([[outlet.id, null]]);
+  const queue = [outlet.id];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    edges.forEach(edge => {
+      const next = edge.source === current ? edge.target : edge.target === current ? edge.source : null;
+      if (next && !towardsOutlet.has(next)) {
+        towardsOutlet.set(next, current);
+        queue.push(next);
+      }
+    });
+  }
+
+  const issues = [];
+  nodes.forEach(node => {
+    const matcher = getEnderMatcher(nodeTypes, node.data?.type);
+    if (!matcher || !matcher.isStart(node) || !towardsOutlet.has(node.id)) return;
+
+    let current = towardsOutlet.get(node.id);
+    while (current) {
+      const candidate = nodesById.get(current);
+      if (candidate && matcher.isEnd(candidate)) return;
+      current = towardsOutlet.get(current);
+    }
+    issues.push(issue('missing-ender', matcher.placeable ? 'error' : 'warning',
+      `${nodeTypes[node.data.type].label} ${nodeName(node)} has no ${matcher.ender} node before the outlet`,
+      { nodeIds: [node.id] }
+    ));
+  });
+  return issues;
+};
+
+/**
+ * Check a flowchart
+ * @param {Array} nodes - React Flow nodes
+ * @param {Array} edges - React Flow edges
+ * @param {Object} [nodeTypes] - Node type schemas, defaultProperties.json plus any user-defined types
+ * @returns {Object} { issues, errors, warnings, nodeIssues, edgeIssues } where
+ *   nodeIssues / edgeIssues map an element id to the issues that mention it
+ */
+export const validateFlowchart = (nodes = [], edges = [], nodeTypes = defaultProperties) => {
+  const nodesById = new Map(nodes.map(node => [node.id, node]));
+  const outlets = nodes.filter(node => node.data?.type === 'outlet');
+
+  const issues = [
+    ...checkOutletAndDroplet(nodes),
+    ...checkPumps(nodes, edges, nodesById),
+    ...checkCycles(edges, nodesById),
+    ...checkEdgeProperties(edges)
+  ];
+  // The graph walks only make sense from a single outlet
+  if (outlets.length === 1) {
+    issues.push(...checkConnectivity(nodes, edges, outlets[0]));
+    issues.push(...checkEnders(nodes, edges, outlets[0], nodesById, nodeTypes));
+  }
+
+  const nodeIssues = new Map();
+  const edgeIssues = new Map();
+  issues.forEach(entry => {
+    entry.nodeIds.forEach(id => nodeIssues.set(id, [...(nodeIssues.get(id) || []), entry]));
+    entry.edgeIds.forEach(id => edgeIssues.set(id, [...(edgeIssues.get(id) || []), entry]));
+  });
+
+  return {
+    issues,
+    errors: issues.filter(entry => entry.severity === 'error'),
+    warnings: issues.filter(entry => entry.severity === 'warning'),
+    nodeIssues,
+    edgeIssues
+  };
+};
@@ -0,0 +1,114 @@
+import { validateFlowchart } from './flowchartValidation';
+
+const node = (id, type, data = {}) => ({ id, data: { type, label: id, ...data } });
+const edge = (id, source, target, properties = { length: 100, diameter: 0.8 }) => ({
+  id,
+  source,
+  target,
+  data: { properties }
+});
+
+// droplet config, pump1 -> connector -> outlet
+const validNodes = () => [
+  node('droplet', 'droplet'),
+  node('pump1', 'pump'),
+  node('connector', 'connector'),
+  node('outlet', 'outlet')
+];
+const validEdges = () => [
+  edge('e1', 'pump1', 'connector'),
+  edge('e2', 'connector', 'outlet')
+];
+
+const rules = (result) => result.issues.map(entry => entry.rule);
+
+test('a complete flowchart has no issues', () => {
+  const result = validateFlowchart(validNodes(), validEdges());
+  expect(result.issues).toEqual([]);
+  expect(result.errors).toEqual([]);
+  expect(result.warnings).toEqual([]);
+});
+
+test('missing-outlet', () => {
+  const nodes = validNodes().filter(entry => entry.id !== 'outlet');
+  expect(rules(validateFlowchart(nodes, [edge('e1', 'pump1', 'connector')]))).toEqual(['missing-outlet']);
+});
+
+test('duplicate-outlet', () => {
+  const nodes = [...validNodes(), node('outlet2', 'outlet')];
+  const result = validateFlowchart(nodes, [...validEdges(), edge('e3', 'connector', 'outlet2')]);
+  expect(rules(result)).toEqual(['duplicate-outlet']);
+  expect(result.issues[0].nodeIds).toEqual(['outlet', 'outlet2']);
+});
+
+test('missing-droplet', () => {
+  const nodes = validNodes().filter(entry => entry.id !== 'droplet');
+  expect(rules(validateFlowchart(nodes, validEdges()))).toEqual(['missing-droplet']);
+});
+
+test('edge-properties', () => {
+  const edges = [edge('e1', 'pump1', 'connector', { length: 100, diameter: '' }), edge('e2', 'connector', 'outlet', { length: 0, diameter: 0.8 })];
+  const result = validateFlowchart(validNodes(), edges);
+  expect(rules(result)).toEqual(['edge-properties', 'edge-properties']);
+  expect(result.issues[0].message).toBe('Connection e1 has no diameter');
+  expect(result.issues[1].message).toBe('Connection e2 has no length');
+  expect(result.edgeIssues.get('e1')).toHaveLength(1);
+});
+
+test('orphan-pump', () => {
+  const result = validateFlowchart([...validNodes(), node('pump2', 'pump')], validEdges());
+  expect(rules(result)).toEqual(['orphan-pump']);
+  expect(result.nodeIssues.get('pump2')[0].message).toBe('Pump "pump2" is not connected');
+});
+
+test('pump-without-connector', () => {
+  const nodes = [...validNodes(), node('pump2', 'pump')];
+  const result = validateFlowchart(nodes, [...validEdges(), edge('e3', 'pump2', 'outlet')]);
+  expect(rules(result)).toEqual(['pump-without-connector']);
+  expect(result.issues[0].edgeIds).toEqual(['e3']);
+});
+
+test('cycle', () => {
+  const nodes = [...validNodes(), node('connector2', 'connector')];
+  const edges = [...validEdges(), edge('e3', 'connector', 'connector2'), edge('e4', 'connector2', 'outlet')];
+  const result = validateFlowchart(nodes, edges);
+  expect(rules(result)).toEqual(['cycle']);
+  expect(result.issues[0].edgeIds).toEqual(['e4']);
+});
+
+test('disconnected', () => {
+  const nodes = [...validNodes(), node('pump2', 'pump'), node('connector2', 'connector')];
+  const result = validateFlowchart(nodes, [...validEdges(), edge('e3', 'pump2', 'connector2')]);
+  expect(rules(result)).toEqual(['disconnected']);
+  expect(result.issues[0].message).toBe('2 nodes are not connected to the outlet');
+  expect(result.issues[0].edgeIds).toEqual(['e3']);
+});
+
+test('missing-ender is an error for a thermostat without its end node', () => {
+  const nodes = [...validNodes(), node('thermo', 'thermostat')];
+  const edges = [edge('e1', 'pump1', 'connector'), edge('e2', 'connector', 'thermo'), edge('e3', 'thermo', 'outlet')];
+  const result = validateFlowchart(nodes, edges);
+  expect(rules(result)).toEqual(['missing-ender']);
+  expect(result.errors).toHaveLength(1);
+  expect(result.issues[0].message).toBe('Thermostat "thermo" has no thermostatend node before the outlet');
+});
+
+test('a thermostat marked as end closes the section', () => {
+  const nodes = [...validNodes(), node('thermo', 'thermostat'), node('thermoEnd', 'thermostat', { end: true })];
+  const edges = [
+    edge('e1', 'pump1', 'connector'),
+    edge('e2', 'connector', 'thermo'),
+    edge('e3', 'thermo', 'thermoEnd'),
+    edge('e4', 'thermoEnd', 'outlet')
+  ];
+  expect(validateFlowchart(nodes, edges).issues).toEqual([]);
+});
+
+test('missing-ender is only a warning when the end node cannot be placed', () => {
+  const nodes = [...validNodes(), node('led', 'led')];
+  const edges = [edge('e1', 'pump1', 'connector'), edge('e2', 'connector', 'led'), edge('e3', 'led', 'outlet')];
+  const result = validateFlowchart(nodes, edges);
+  expect(rules(result)).toEqual(['missing-ender']);
+  expect(result.errors).toEqual([]);
+  expect(result.warnings).toHaveLength(1);
+});
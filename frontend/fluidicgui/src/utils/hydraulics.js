@@ -0,0 +1,217 @@
+/**
+ * Hydraulic model of the tubing: Hagen-Poiseuille pressure drop and residence time per
+ * edge at the pump speeds of the simulated event list.
+ * Units follow the rest of the GUI - tube length and diameter in mm, volumes in µL
+ * (= mm³), flow rates in µL/s, viscosity in mPa·s - and pressures are returned in bar.
+ * Every pump pushes its liquid along the single path from the pump to the outlet, so an
+ * edge carries the sum of the pumps behind it and a pump has to overcome the sum of the
+ * pressure drops on its path (the outlet is at atmospheric pressure).
+ */
+import { calculateEdgeVolume } from './simulationUtils';
+import { getNodeProperty } from './flowchartValidation';
+
+// Syringes and fittings of common microfluidic setups hold a few bar
+export const DEFAULT_PRESSURE_LIMIT = 7;
+// Used when the pump content is not a known liquid
+export const DEFAULT_VISCOSITY = 1.0;
+
+// Dynamic viscosity in mPa·s at room temperature, matched against the pump's `content`
+export const VISCOSITIES = {
+  water: 1.0,
+  aqueous: 1.0,
+  buffer: 1.0,
+  pbs: 1.0,
+  ethanol: 1.2,
+  methanol: 0.59,
+  isopropanol: 2.0,
+  acetone: 0.32,
+  acetonitrile: 0.37,
+  dmso: 2.0,
+  glycerol: 1410,
+  hexadecane: 3.0,
+  'mineral oil': 30,
+  'silicone oil': 50,
+  'fc-40': 4.1,
+  'hfe-7500': 1.24,
+  'novec 7500': 1.24,
+  oil: 30
+};
+
+const PASCALS_PER_BAR = 100000;
+
+/**
+ * Viscosity of a pump's liquid
+ * @param {string} content - The pump's content, e.g. "water + dye"
+ * @param {number} [override] - The pump's viscosity property, 0 or empty looks the content up
+ * @returns {Object} { viscosity, source } where source is 'property', 'content' or 'default'
+ */
+export const getViscosity = (content, override) => {
+  if (Number(override) > 0) return { viscosity: Number(override), source: 'property' };
+  const text = String(content || '').toLowerCase();
+  // Longest name first so "silicone oil" wins over "oil"
+  const match = Object.keys(VISCOSITIES)
+    .sort((a, b) => b.length - a.length)
+    .find(name => text.includes(name));
+  return match
+    ? { viscosity: VISCOSITIES[match], source: 'content' }
+    : { viscosity: DEFAULT_VISCOSITY, source: 'default' };
+};
+
+/**
+ * Hagen-Poiseuille pressure drop of laminar flow through a round tube
+ * @param {Object} tube
+ * @param {number} tube.length - mm
+ * @param {number} tube.diameter - Inner diameter, mm
+ * @param {number} tube.flowRate - µL/s
+ * @param {number} tube.viscosity - mPa·s
+ * @returns {number} Pressure drop in bar
+ */
+export const poiseuillePressureDrop = ({ length, diameter, flowRate, viscosity }) => {
+  const radius = (diameter / 2) / 1000;     // m
+  const lengthMeters = length / 1000;
+  const flow = Math.abs(flowRate) * 1e-9;   // m³/s
+  const viscosityPaS = viscosity / 1000;
+  if (!(radius > 0)) return 0;
+  return (8 * viscosityPaS * lengthMeters * flow) / (Math.PI * Math.pow(radius, 4)) / PASCALS_PER_BAR;
+};
+
+// Edge towards the outlet for every node that is connected to it
+const buildOutletTree = (outletId, edges) => {
+  const towardsOutlet = new Map([[outletId, null]]);
+  const queue = [outletId];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    edges.forEach(edge => {
+      const next = edge.source === current ? edge.target : edge.target === current ? edge.source : null;
+      if (next && !towardsOutlet.has(next)) {
+        towardsOutlet.set(next, { edge, next: current });
+        queue.push(next);
+      }
+    });
+  }
+  return towardsOutlet;
+};
+
+/**
+ * Pressures and residence times over a simulated run
+ * @param {Object} options
+ * @param {Array} options.nodes - React Flow nodes
+ * @param {Array} options.edges - React Flow edges, length and diameter in data.properties
+ * @param {Array} options.pumpEvents - setPumpSpeed events { target, time, value } from the simulation
+ * @param {number} [options.fittingPressureLimit] - bar, applies to every pump together with its own syringe limit
+ * @returns {Object|null} { pumps, segments, warnings, duration }, null without an outlet
+ */
+export const analyzeHydraulics = ({ nodes, edges, pumpEvents = [], fittingPressureLimit = DEFAULT_PRESSURE_LIMIT }) => {
+  const outlet = nodes.find(node => node.data?.type === 'outlet');
+  if (!outlet) return null;
+  const labelOf = (id) => nodes.find(node => node.id === id)?.data?.label || id;
+  const tree = buildOutletTree(outlet.id, edges);
+
+  const segments = new Map(edges.map(edge => {
+    const length = Number(edge.data?.properties?.length) || 0;
+    const diameter = Number(edge.data?.properties?.diameter) || 0;
+    return [edge.id, {
+      id: edge.id,
+      from: labelOf(edge.source),
+      to: labelOf(edge.target),
+      length,
+      diameter,
+      volume: calculateEdgeVolume({ length, diameter }),
+      peakFlow: 0,
+      lowestFlow: null,
+      peakPressureDrop: 0
+    }];
+  }));
+
+  const pumps = nodes.filter(node => node.data?.type === 'pump').map(node => {
+    const content = getNodeProperty(node, 'content') || '';
+    const { viscosity, source } = getViscosity(content, getNodeProperty(node, 'viscosity'));
+    const limits = [Number(getNodeProperty(node, 'max pressure')), Number(fittingPressureLimit)].filter(limit => limit > 0);
+    const path = [];
+    for (let step = tree.get(node.id); step; step = tree.get(step.next)) path.push(step.edge.id);
+    return {
+      id: node.id,
+      label: node.data.label,
+      content,
+      viscosity,
+      viscositySource: source,
+      limit: limits.length > 0 ? Math.min(...limits) : null,
+      connected: tree.has(node.id),
+      path,
+      peakPressure: 0,
+      peakTime: null
+    };
+  });
+
+  // Walk through the run once, evaluating the network whenever a pump changes speed
+  const speeds = new Map();
+  const events = pumpEvents.filter(event => event.type === undefined || event.type === 'setPumpSpeed')
+    .slice()
+    .sort((a, b) => a.time - b.time);
+  events.forEach((event, index) => {
+    speeds.set(event.target, Math.abs(Number(event.value) || 0));
+    if (events[index + 1] && events[index + 1].time === event.time) return;
+
+    // Flow and flow-weighted viscosity of the mixed liquid in every edge
+    const flows = new Map();
+    pumps.forEach(pump => {
+      const flowRate = speeds.get(pump.id) || 0;
+      if (!flowRate) return;
+      pump.path.forEach(edgeId => {
+        const current = flows.get(edgeId) || { flowRate: 0, viscosityFlow: 0 };
+        flows.set(edgeId, { flowRate: current.flowRate + flowRate, viscosityFlow: current.viscosityFlow + flowRate * pump.viscosity });
+      });
+    });
+
+    const drops = new Map();
+    flows.forEach(({ flowRate, viscosityFlow }, edgeId) => {
+      const segment = segments.get(edgeId);
+      const drop = poiseuillePressureDrop({ length: segment.length, diameter: segment.diameter, flowRate, viscosity: viscosityFlow / flowRate });
+      drops.set(edgeId, drop);
+      segment.peakFlow = Math.max(segment.peakFlow, flowRate);
+      segment.lowestFlow = segment.lowestFlow === null ? flowRate : Math.min(segment.lowestFlow, flowRate);
+      segment.peakPressureDrop = Math.max(segment.peakPressureDrop, drop);
+    });
+
+    pumps.forEach(pump => {
+      if (!speeds.get(pump.id)) return;
+      const pressure = pump.path.reduce((sum, edgeId) => sum + (drops.get(edgeId) || 0), 0);
+      if (pressure > pump.peakPressure) {
+        pump.peakPressure = pressure;
+        pump.peakTime = event.time;
+      }
+    });
+  });
+
+  // Shortest residence at the highest flow, longest at the lowest flow that still moves liquid
+  const segmentList = [...segments.values()].map(segment => ({
+    ...segment,
+    shortestResidence: segment.peakFlow > 0 ? segment.volume / segment.peakFlow : null,
+    longestResidence: segment.lowestFlow > 0 ? segment.volume / segment.lowestFlow : null
+  }));
+
+  const warnings = [];
+  pumps.forEach(pump => {
+    if (pump.limit !== null && pump.peakPressure > pump.limit) {
+      warnings.push({
+        severity: 'error',
+        pumpId: pump.id,
+        message: `${pump.label} reaches ${pump.peakPressure.toFixed(2)} bar at ${pump.peakTime.toFixed(1)} s, above its ${pump.limit} bar limit`
+      });
+    }
+    if (pump.viscositySource === 'default' && pump.connected) {
+      warnings.push({
+        severity: 'warning',
+        pumpId: pump.id,
+        message: `Unknown content "${pump.content}" of ${pump.label} - assuming ${DEFAULT_VISCOSITY} mPa·s, set its viscosity property`
+      });
+    }
+  });
+
+  return {
+    pumps,
+    segments: segmentList,
+    warnings,
+    duration: events.length > 0 ? events[events.length - 1].time : 0
+  };
+};
@@ -0,0 +1,100 @@
+import { poiseuillePressureDrop, analyzeHydraulics, getViscosity } from './hydraulics';
+
+// Hand-computed: 100 mm of 0.5 mm tubing, 10 µL/s of water
+// r = 0.25e-3 m, r^4 = 3.90625e-15 m^4, Q = 1e-8 m³/s, µ = 1e-3 Pa·s, L = 0.1 m
+// ΔP = 8 µ L Q / (π r^4) = 8e-12 / 1.2272e-14 = 651.90 Pa = 0.0065190 bar
+const WATER_DROP = 0.0065190;
+
+const node = (id, type, data = {}) => ({ id, data: { type, label: id, ...data } });
+const edge = (id, source, target, length, diameter) => ({ id, source, target, data: { properties: { length, diameter } } });
+
+// p1 (water) and p2 (ethanol) join at c, which leads to the outlet through wider tubing
+const nodes = () => [
+  node('p1', 'pump', { content: 'water' }),
+  node('p2', 'pump', { content: 'ethanol' }),
+  node('c', 'connector'),
+  node('outlet', 'outlet')
+];
+const edges = () => [
+  edge('e1', 'p1', 'c', 100, 0.5),
+  edge('e2', 'p2', 'c', 100, 0.5),
+  edge('e3', 'c', 'outlet', 200, 1)
+];
+const pumpEvents = [
+  { target: 'p1', time: 0, value: 10 },
+  { target: 'p2', time: 0, value: 5 },
+  { target: 'p1', time: 2, value: 0 }
+];
+
+const byId = (list) => Object.fromEntries(list.map(entry => [entry.id, entry]));
+
+test('poiseuillePressureDrop matches the hand-computed value', () => {
+  expect(poiseuillePressureDrop({ length: 100, diameter: 0.5, flowRate: 10, viscosity: 1 })).toBeCloseTo(WATER_DROP, 7);
+  // Linear in length, flow and viscosity, 1/d^4 in the diameter
+  expect(poiseuillePressureDrop({ length: 200, diameter: 0.5, flowRate: 5, viscosity: 3 })).toBeCloseTo(3 * WATER_DROP, 7);
+  expect(poiseuillePressureDrop({ length: 100, diameter: 1, flowRate: 10, viscosity: 1 })).toBeCloseTo(WATER_DROP / 16, 8);
+  expect(poiseuillePressureDrop({ length: 100, diameter: 0, flowRate: 10, viscosity: 1 })).toBe(0);
+});
+
+test('getViscosity prefers the property, then the longest matching content name', () => {
+  expect(getViscosity('water', 4)).toEqual({ viscosity: 4, source: 'property' });
+  expect(getViscosity('Silicone oil', '')).toEqual({ viscosity: 50, source: 'content' });
+  expect(getViscosity('something', 0)).toEqual({ viscosity: 1, source: 'default' });
+});
+
+test('analyzeHydraulics returns null without an outlet', () => {
+  expect(analyzeHydraulics({ nodes: nodes().slice(0, 3), edges: edges().slice(0, 2) })).toBeNull();
+});
+
+test('analyzeHydraulics sums the pressure drops along each pump path', () => {
+  const result = analyzeHydraulics({ nodes: nodes(), edges: edges(), pumpEvents });
+  const segments = byId(result.segments);
+  const pumps = byId(result.pumps);
+
+  // e2: half the flow of water at 1.2 mPa·s
+  // e3: 15 µL/s at (10 * 1 + 5 * 1.2) / 15 mPa·s, twice as long and twice as wide
+  const e2Drop = WATER_DROP * 0.5 * 1.2;
+  const e3Drop = WATER_DROP * 1.5 * (16 / 15) * 2 / 16;
+  expect(segments.e1.peakPressureDrop).toBeCloseTo(WATER_DROP, 7);
+  expect(segments.e2.peakPressureDrop).toBeCloseTo(e2Drop, 7);
+  expect(segments.e3.peakPressureDrop).toBeCloseTo(e3Drop, 7);
+
+  expect(pumps.p1.path).toEqual(['e1', 'e3']);
+  expect(pumps.p1.peakPressure).toBeCloseTo(WATER_DROP + e3Drop, 7);
+  expect(pumps.p2.peakPressure).toBeCloseTo(e2Drop + e3Drop, 7);
+  expect(pumps.p2.peakTime).toBe(0);
+
+  // e3 holds π * 0.5² * 200 µL, passed at 15 µL/s at best and 5 µL/s once p1 stops
+  const volume = Math.PI * 0.25 * 200;
+  expect(segments.e3.peakFlow).toBe(15);
+  expect(segments.e3.lowestFlow).toBe(5);
+  expect(segments.e3.shortestResidence).toBeCloseTo(volume / 15, 6);
+  expect(segments.e3.longestResidence).toBeCloseTo(volume / 5, 6);
+
+  expect(result.duration).toBe(2);
+  expect(result.warnings).toEqual([]);
+});
+
+test('analyzeHydraulics warns about pumps above their limit', () => {
+  const withLimit = nodes();
+  withLimit[1].data['max pressure'] = 0.005;
+  // 0.006 bar lets p1 (0.0078 bar) through the fitting limit, p2 (0.0052 bar) fails its own lower limit
+  const result = analyzeHydraulics({ nodes: withLimit, edges: edges(), pumpEvents, fittingPressureLimit: 0.006 });
+
+  expect(byId(result.pumps).p1.limit).toBe(0.006);
+  expect(byId(result.pumps).p2.limit).toBe(0.005);
+  expect(result.warnings.map(warning => [warning.severity, warning.pumpId])).toEqual([['error', 'p1'], ['error', 'p2']]);
+  expect(result.warnings[0].message).toBe('p1 reaches 0.01 bar at 0.0 s, above its 0.006 bar limit');
+});
+
+test('analyzeHydraulics warns about unknown content of connected pumps only', () => {
+  const unknown = [...nodes(), node('p3', 'pump', { content: 'mystery' })];
+  unknown[0].data.content = 'mystery mix';
+  const result = analyzeHydraulics({ nodes: unknown, edges: edges(), pumpEvents });
+
+  expect(result.warnings).toEqual([{
+    severity: 'warning',
+    pumpId: 'p1',
+    message: 'Unknown content "mystery mix" of p1 - assuming 1 mPa·s, set its viscosity property'
+  }]);
+});
@@ -1,9 +1,12 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 
 /**
  * Utility functions for working with localStorage
  */
 
+// Fired on window when useLocalStorage changes a key, so other components using it follow
+const LOCAL_STORAGE_CHANGE_EVENT = 'localStorageValueChanged';
+
 /**
  * Save data to localStorage with the given key
  * @param {string} key - The localStorage key
@@ -56,22 +59,39 @@ export const useLocalStorage = (key, initialValue) => {
   // State to store our value
   const [storedValue, setStoredValue] = useState(loadState);
 
+  // Follow changes made through another useLocalStorage with the same key (e.g. the Settings modal)
+  useEffect(() => {
+    const handleChange = (event) => {
+      if (event.detail.key === key) {
+        setStoredValue(event.detail.value);
+      }
+    };
+    window.addEventListener(LOCAL_STORAGE_CHANGE_EVENT, handleChange);
+    return () => window.removeEventListener(LOCAL_STORAGE_CHANGE_EVENT, handleChange);
+  }, [key]);
+
+  // Latest value for the setter, so it can stay the same function across renders like useState's
+  const valueRef = useRef(storedValue);
+  valueRef.current = storedValue;
+
   // Return a wrapped version of useState's setter function
-  const setValue = (value) => {
+  const setValue = useCallback((value) => {
     try {
       // Allow value to be a function so we have same API as useState
       const valueToStore =
-        value instanceof Function ? value(storedValue) : value;
+        value instanceof Function ? value(valueRef.current) : value;
       
       // Save state
+      valueRef.current = valueToStore;
       setStoredValue(valueToStore);
       
       // Save to localStorage
       saveToLocalStorage(key, valueToStore);
+      window.dispatchEvent(new CustomEvent(LOCAL_STORAGE_CHANGE_EVENT, { detail: { key, value: valueToStore } }));
     } catch (error) {
       console.error(`Error setting localStorage value (key: ${key}):`, error);
     }
-  };
+  }, [key]);
 
   return [storedValue, setValue];
 }; 
\ No newline at end of file
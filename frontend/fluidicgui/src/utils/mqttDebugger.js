@@ -60,6 +60,7 @@ export const createWebSocket = (url, options = {}) => {
   let ws = null;
   let retryCount = 0;
   let reconnectTimeout = null;
+  let stopped = false;
 
   const connect = () => {
     ws = new WebSocket(url);
@@ -111,17 +112,22 @@ export const createWebSocket = (url, options = {}) => {
           });
         }
         
-        if (onMessage) onMessage(data);
+        if (onMessage) onMessage(data, ws);
       } catch (error) {
         console.error('Error processing WebSocket message:', error);
         console.log('Raw message:', event.data);
       }
     };
 
-    ws.onclose = () => {
+    ws.onclose = (event) => {
       console.log('🔌 WebSocket disconnected');
       
-      if (retryCount < maxRetries) {
+      // 4401: the backend wants a login, retrying with the same URL will not help
+      if (stopped) {
+        console.log('WebSocket closed by cleanup - not reconnecting');
+      } else if (event.code === 4401) {
+        console.error('WebSocket refused - login required');
+      } else if (retryCount < maxRetries) {
         retryCount++;
         console.log(`Retrying connection (${retryCount}/${maxRetries}) in ${retryDelay}ms...`);
         reconnectTimeout = setTimeout(connect, retryDelay);
@@ -143,6 +149,7 @@ export const createWebSocket = (url, options = {}) => {
 
   // Return cleanup function
   return () => {
+    stopped = true;
     if (reconnectTimeout) {
       clearTimeout(reconnectTimeout);
     }
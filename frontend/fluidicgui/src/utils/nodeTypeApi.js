@@ -0,0 +1,20 @@
+import { API_URL } from '../config';
+import { request } from './projectApi';
+
+// Client for the backend's user-defined node types (/node-types) - every save is a new version
+const nodeTypeUrl = (...parts) => `${API_URL}/node-types${parts.map(part => `/${encodeURIComponent(part)}`).join('')}`;
+
+export const listNodeTypes = () => request(nodeTypeUrl())
+  .then(data => data.nodeTypes);
+
+// Latest schema with the list of versions
+export const getNodeType = (name) => request(nodeTypeUrl(name));
+
+export const getNodeTypeVersion = (name, version) => request(nodeTypeUrl(name, 'versions', version));
+
+export const saveNodeType = (name, schema) => request(nodeTypeUrl(name), {
+  method: 'PUT',
+  body: JSON.stringify(schema)
+}).then(data => data.nodeType);
+
+export const deleteNodeType = (name) => request(nodeTypeUrl(name), { method: 'DELETE' });
@@ -0,0 +1,50 @@
+import { API_URL } from '../config';
+import { authHeaders } from './auth';
+
+// Client for the backend's project storage (/projects) - documents are plain JSON
+// files in a folder shared by every lab PC that talks to the same backend.
+// Kinds: flowcharts, droplets, detector-settings and results
+
+const projectUrl = (...parts) => `${API_URL}/projects${parts.map(part => `/${encodeURIComponent(part)}`).join('')}`;
+
+export const request = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: authHeaders(options.body ? { 'Content-Type': 'application/json' } : {})
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.error || `Request failed (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+};
+
+export const listProjects = () => request(`${API_URL}/projects`);
+
+export const createProject = (name, description = '') => request(`${API_URL}/projects`, {
+  method: 'POST',
+  body: JSON.stringify({ name, description })
+});
+
+export const listDocuments = (project, kind) => request(projectUrl(project, kind))
+  .then(data => data.documents);
+
+export const loadDocument = (project, kind, name) => request(projectUrl(project, kind, name));
+
+// Rejects with status 409 if the document exists and overwrite is not set
+export const saveDocument = (project, kind, name, data, { overwrite = false } = {}) => request(
+  `${projectUrl(project, kind, name)}${overwrite ? '?overwrite=true' : ''}`,
+  { method: 'PUT', body: JSON.stringify(data) }
+);
+
+export const deleteDocument = (project, kind, name) => request(projectUrl(project, kind, name), { method: 'DELETE' });
+
+export const getProjectsDirectory = () => request(`${API_URL}/projects/config`)
+  .then(data => data.directory);
+
+export const setProjectsDirectory = (directory) => request(`${API_URL}/projects/config`, {
+  method: 'POST',
+  body: JSON.stringify({ directory })
+});
@@ -0,0 +1,129 @@
+import { API_URL } from '../config';
+import { authHeaders } from './auth';
+
+// One file holding everything needed to pick a piece of work up again: the flowchart,
+// droplet sequences, detector settings, simulation events and recorded MQTT sessions
+export const ARCHIVE_FORMAT = 'fluidicgui-project';
+export const ARCHIVE_VERSION = 1;
+export const ARCHIVE_EXTENSION = '.fluidic.json';
+
+// Detector panels keep their saved settings under this localStorage prefix
+const DETECTOR_SETTINGS_PREFIX = 'detector_settings_';
+
+// Functions (property change handlers) are dropped, only the saved state stays
+const cleanFlowElements = (elements) => JSON.parse(JSON.stringify(elements || []));
+
+export const collectDetectorSettings = () => {
+  const detectorSettings = {};
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (!key || !key.startsWith(DETECTOR_SETTINGS_PREFIX)) continue;
+    try {
+      detectorSettings[key.slice(DETECTOR_SETTINGS_PREFIX.length)] = JSON.parse(localStorage.getItem(key));
+    } catch (error) {
+      console.error(`Skipping unreadable detector settings ${key}:`, error);
+    }
+  }
+  return detectorSettings;
+};
+
+export const restoreDetectorSettings = (detectorSettings = {}) => {
+  Object.entries(detectorSettings).forEach(([detectorId, settings]) => {
+    localStorage.setItem(`${DETECTOR_SETTINGS_PREFIX}${detectorId}`, JSON.stringify(settings));
+  });
+};
+
+// Recorded sessions from the backend recorder, as JSONL text
+export const fetchRecordedSessions = async () => {
+  const response = await fetch(`${API_URL}/sessions`, { headers: authHeaders() });
+  if (!response.ok) throw new Error(`Could not list recorded sessions (${response.status})`);
+  const { sessions = [] } = await response.json();
+  return sessions;
+};
+
+export const fetchRecordedSession = async (session) => {
+  const response = await fetch(`${API_URL}/sessions/${encodeURIComponent(session.id)}`, { headers: authHeaders() });
+  if (!response.ok) throw new Error(`Could not download session ${session.id} (${response.status})`);
+  return { id: session.id, modifiedAt: session.modifiedAt, content: await response.text() };
+};
+
+/**
+ * Build a project archive from the App state
+ * @param {Object} state - step, nodes, edges, droplets, manualDroplets,
+ *   parameterRanges, parameterVisibility, simulationEvents, recordings
+ */
+export const createProjectArchive = (state) => ({
+  format: ARCHIVE_FORMAT,
+  version: ARCHIVE_VERSION,
+  savedAt: new Date().toISOString(),
+  step: state.step || 1,
+  flowchart: {
+    nodes: cleanFlowElements(state.nodes),
+    edges: cleanFlowElements(state.edges)
+  },
+  droplets: state.droplets || [],
+  manualDroplets: state.manualDroplets || [],
+  parameterRanges: state.parameterRanges || {},
+  parameterVisibility: state.parameterVisibility || {},
+  detectorSettings: collectDetectorSettings(),
+  simulationEvents: state.simulationEvents || [],
+  recordings: state.recordings || []
+});
+
+/**
+ * Check an archive, filling in anything an older version did not have
+ * @param {Object} archive - Parsed archive
+ * @returns {Object} The archive in the current version
+ * @throws {Error} If it is not a project archive or comes from a newer version
+ */
+export const normalizeProjectArchive = (archive) => {
+  if (!archive || archive.format !== ARCHIVE_FORMAT) {
+    throw new Error('Not a FluidicGUI project file');
+  }
+  if (!Number.isInteger(archive.version) || archive.version > ARCHIVE_VERSION) {
+    throw new Error(`Project file version ${archive.version} is newer than this GUI supports (${ARCHIVE_VERSION})`);
+  }
+
+  const flowchart = archive.flowchart || {};
+  if (!Array.isArray(flowchart.nodes) || !Array.isArray(flowchart.edges)) {
+    throw new Error('Project file has no flowchart');
+  }
+
+  return {
+    ...archive,
+    version: ARCHIVE_VERSION,
+    step: Number.isInteger(archive.step) ? archive.step : 1,
+    flowchart: { nodes: flowchart.nodes, edges: flowchart.edges },
+    droplets: Array.isArray(archive.droplets) ? archive.droplets : [],
+    manualDroplets: Array.isArray(archive.manualDroplets) ? archive.manualDroplets : [],
+    parameterRanges: archive.parameterRanges || {},
+    parameterVisibility: archive.parameterVisibility || {},
+    detectorSettings: archive.detectorSettings || {},
+    simulationEvents: Array.isArray(archive.simulationEvents) ? archive.simulationEvents : [],
+    recordings: Array.isArray(archive.recordings) ? archive.recordings : []
+  };
+};
+
+// Parse and check the contents of a project file
+export const readProjectArchive = (text) => {
+  let archive;
+  try {
+    archive = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a JSON file: ${error.message}`);
+  }
+  return normalizeProjectArchive(archive);
+};
+
+export const downloadProjectArchive = (archive, name = 'project') => {
+  const fileName = name.endsWith(ARCHIVE_EXTENSION) ? name : `${name}${ARCHIVE_EXTENSION}`;
+  const blob = new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
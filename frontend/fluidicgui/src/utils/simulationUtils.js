@@ -309,26 +309,12 @@ export const getPumpSpeedAtTime = (pumpId, pumpEvents, currentTime) => {
 };
 
 /**
- * Send events to devices via WebSocket
+ * Build per-device pump programs from the event list
  * @param {Array} pumpEvents - List of pump events
- * @param {WebSocket} ws - WebSocket connection
  * @param {Array} nodes - Array of graph nodes
- * @param {Function} convertToHardwareValues - Function to convert values to hardware format
- * @returns {void}
+ * @returns {Array} [{ device, entries: [[delayMicroseconds, waitMicroseconds], ...], role }]
  */
-export const sendEventsToDevices = (pumpEvents, ws, nodes) => {
-  if (!ws || ws.readyState !== WebSocket.OPEN) {
-    console.error('WebSocket is not connected');
-    return;
-  }
-
-  if (!pumpEvents || !Array.isArray(pumpEvents) || pumpEvents.length === 0) {
-    console.error('No pump events to send');
-    return;
-  }
-
-  console.log('Sending events to devices:', pumpEvents);
-
+export const buildDevicePrograms = (pumpEvents, nodes) => {
   // Group events by device
   const deviceEvents = new Map();
 
@@ -357,57 +343,85 @@ export const sendEventsToDevices = (pumpEvents, ws, nodes) => {
   let deviceEntries = Array.from(deviceEvents.entries());
   console.log('Device events:', deviceEntries);
 
+  // Absolute event times become waits since the previous event
   deviceEntries.forEach(([deviceName, events]) => {
     for (let i = events.length - 1; i > 0; i--) {
       events[i][1] = events[i][1] - events[i - 1][1];
     }
   });
-  
-  deviceEntries.forEach(([deviceName, events], deviceIndex) => {
-    const chunks = [];
-    for (let i = 0; i < events.length; i += 5) {
-      chunks.push(events.slice(i, i + 5));
-    }
 
-    const sendChunks = async () => {
-      if (chunks.length > 0) {
-        try {
-          const firstMessage = {
-            topic: `${deviceName}/new_program`,
-            payload: chunks[0]
-          };
-          console.log('Sending new program to device:', deviceName, firstMessage);
-          ws.send(JSON.stringify(firstMessage));
-
-          const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
-
-          for (let i = 1; i < chunks.length; i++) {
-            await delay(2);
-            const message = {
-              topic: `${deviceName}/continue_program`,
-              payload: chunks[i]
-            };
-            console.log('Sending continue program to device:', deviceName, message);
-            ws.send(JSON.stringify(message));
-          }
-
-          await delay(2);
-
-          const runMessage = {
-            topic: `${deviceName}/${deviceIndex === 0 ? 'run_master' : 'run_slave'}`,
-            payload: "run"
-          };
-          console.log('Sending run command to device:', deviceName, runMessage);
-          ws.send(JSON.stringify(runMessage));
-        } catch (error) {
-          console.error('Error sending messages to device:', deviceName, error);
-        }
+  return deviceEntries.map(([deviceName, events], deviceIndex) => ({
+    device: deviceName,
+    entries: events,
+    role: deviceIndex === 0 ? 'master' : 'slave'
+  }));
+};
+
+/**
+ * Send events to devices via WebSocket
+ * The events are submitted to the backend as an experiment job; the backend uploads
+ * the programs with device acknowledgements, starts the run and reports progress on
+ * server/experiment_status, even if this page is closed in the meantime.
+ * @param {Array} pumpEvents - List of pump events
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Array} nodes - Array of graph nodes
+ * @param {string} [name] - Experiment name shown in the job list
+ * @param {string} [flowchartId] - Flowchart the programs were built from, for the audit log
+ * @returns {Promise<Object>} Resolves with the queued job, rejects if the backend refused it
+ */
+export const sendEventsToDevices = (pumpEvents, ws, nodes, name, flowchartId) => {
+  if (!ws || ws.readyState !== WebSocket.OPEN) {
+    console.error('WebSocket is not connected');
+    return Promise.reject(new Error('WebSocket is not connected'));
+  }
+
+  if (!pumpEvents || !Array.isArray(pumpEvents) || pumpEvents.length === 0) {
+    console.error('No pump events to send');
+    return Promise.reject(new Error('No pump events to send'));
+  }
+
+  console.log('Sending events to devices:', pumpEvents);
+  const programs = buildDevicePrograms(pumpEvents, nodes);
+  if (programs.length === 0) {
+    return Promise.reject(new Error('None of the pumps has an MQTT name'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const handleMessage = (event) => {
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch (error) {
+        return;
+      }
+      if (data.topic !== 'server/experiment_response' || data.payload?.action !== 'submit') return;
+
+      cleanup();
+      if (data.payload.success) {
+        resolve(data.payload.job);
+      } else {
+        reject(new Error(data.payload.error || 'Experiment was not accepted'));
       }
     };
 
-    sendChunks().catch(error => {
-      console.error('Error in sendChunks:', error);
-    });
+    const handleClose = () => {
+      cleanup();
+      reject(new Error('WebSocket closed before the experiment was accepted'));
+    };
+
+    const cleanup = () => {
+      ws.removeEventListener('message', handleMessage);
+      ws.removeEventListener('close', handleClose);
+    };
+
+    ws.addEventListener('message', handleMessage);
+    ws.addEventListener('close', handleClose);
+
+    console.log('Submitting experiment for devices:', programs.map(program => program.device));
+    ws.send(JSON.stringify({
+      topic: 'server/experiment_submit',
+      payload: { name, flowchartId, programs }
+    }));
   });
 };
 